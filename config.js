@@ -22,17 +22,134 @@ export const CONFIG = {
         "img/img-sc3.jpg"
     ],
     
-    // FHWA Object Class Colors
-    ANNOTATION_COLORS: {
-        "Car": "#FF6B6B",           // Red
-        "Truck": "#4ECDC4",         // Teal
-        "Bus": "#45B7D1",           // Blue
-        "Motorcycle": "#96CEB4",    // Light Green
-        "Bicycle": "#FFEAA7",       // Yellow
-        "Person": "#DDA0DD",        // Plum
-        "Other": "#98D8C8"          // Mint
+    // URL of the project taxonomy JSON file (same shape as CLASS_TAXONOMY), relative to
+    // index.html. It replaces CLASS_TAXONOMY at startup; see loadClassTaxonomy(). Set to
+    // null to use the built-in taxonomy below.
+    TAXONOMY_URL: "classes.json",
+    
+    // Built-in Object Class Taxonomy (FHWA / ITE-aligned, see classes.md), used when
+    // TAXONOMY_URL is null or its file cannot be loaded. Keep in step with classes.json.
+    // Class ids are stable: YOLO uses `id`, COCO uses `id + 1`. Never reuse or
+    // renumber an id once a dataset has been exported - append new classes instead.
+    CLASS_TAXONOMY: {
+        name: "fhwa-transportation",
+        version: "1.0",
+        defaultClass: "Other",
+        classes: [
+            { id: 0, name: "Car", color: "#FF6B6B", fhwaClass: "Class 2", fhwaClassName: "Passenger Cars", domain: "Motor Vehicle", category: "Passenger Vehicle", supercategory: "vehicle" },
+            { id: 1, name: "Truck", color: "#4ECDC4", fhwaClass: "Class 5–13", fhwaClassName: "Trucks (unspecified)", domain: "Motor Vehicle", category: "Truck", supercategory: "vehicle" },
+            { id: 2, name: "Bus", color: "#45B7D1", fhwaClass: "Class 4", fhwaClassName: "Buses", domain: "Motor Vehicle", category: "Bus", supercategory: "vehicle" },
+            { id: 3, name: "Motorcycle", color: "#96CEB4", fhwaClass: "Class 1", fhwaClassName: "Motorcycles", domain: "Motor Vehicle", category: "Motorcycle", supercategory: "vehicle" },
+            { id: 4, name: "Bicycle", color: "#FFEAA7", fhwaClass: null, fhwaClassName: null, domain: "VRU", category: "Micromobility Device", supercategory: "micromobility" },
+            { id: 5, name: "Person", color: "#DDA0DD", fhwaClass: null, fhwaClassName: null, domain: "VRU", category: "Pedestrian / VRU", supercategory: "person" },
+            { id: 6, name: "Other", color: "#98D8C8", fhwaClass: null, fhwaClassName: null, domain: "Misc", category: "Miscellaneous Object", supercategory: "other" },
+            { id: 7, name: "Van", color: "#F08A5D", fhwaClass: "Class 2", fhwaClassName: "Passenger Cars", domain: "Motor Vehicle", category: "Passenger Vehicle", supercategory: "vehicle" },
+            { id: 8, name: "Pickup truck", color: "#B83B5E", fhwaClass: "Class 2", fhwaClassName: "Passenger Cars", domain: "Motor Vehicle", category: "Passenger Vehicle", supercategory: "vehicle" },
+            { id: 9, name: "Medium truck", color: "#3F72AF", fhwaClass: "Class 5–6", fhwaClassName: "Single-Unit Trucks", domain: "Motor Vehicle", category: "Single-Unit Truck", supercategory: "vehicle" },
+            { id: 10, name: "Semi (tractor)", color: "#6A2C70", fhwaClass: "Class 7–13", fhwaClassName: "Combination Trucks", domain: "Motor Vehicle", category: "Combination Truck", supercategory: "vehicle" },
+            { id: 11, name: "Truck trailer", color: "#A9A9A9", fhwaClass: "Class 7–13", fhwaClassName: "Combination Trucks (Trailer Component)", domain: "Motor Vehicle", category: "Trailer", supercategory: "trailer" },
+            { id: 12, name: "Car trailer", color: "#C9B79C", fhwaClass: "Class 7–13", fhwaClassName: "Combination Vehicles (Trailer Component)", domain: "Motor Vehicle", category: "Trailer", supercategory: "trailer" },
+            { id: 13, name: "Scooter", color: "#08D9D6", fhwaClass: null, fhwaClassName: null, domain: "VRU", category: "Micromobility Device", supercategory: "micromobility" },
+            { id: 14, name: "Wheelchair", color: "#FF9A76", fhwaClass: null, fhwaClassName: null, domain: "VRU", category: "Mobility Assist Device", supercategory: "person" },
+            { id: 15, name: "Dog", color: "#8D6E63", fhwaClass: null, fhwaClassName: null, domain: "Animal", category: "Animal", supercategory: "animal" },
+            { id: 16, name: "Traffic sign", color: "#F9A825", fhwaClass: null, fhwaClassName: null, domain: "Misc", category: "Traffic Control Device", supercategory: "sign" }
+        ]
+    },
+    
+    // Auxiliary metadata fields per class, keyed by class supercategory or class name (a
+    // class gets its supercategory's fields followed by its own). Types: "enum" (options),
+    // "bool", "number" (optional min/max), "text" (optional maxLength) and "mutcd" (a sign
+    // code from CONFIG.MUTCD.SIGNS, picked by search in the annotation dialog). Required fields
+    // must be filled in before an object can be verified. Values are stored in the
+    // annotation's metadata under the field key, so keys must not clash with metadata the
+    // app sets itself (source, model_version, rejected_reason, merged_from).
+    METADATA_SCHEMA: {
+        vehicle: [
+            { key: "color", label: "Color", type: "enum", options: ["white", "black", "gray", "silver", "red", "blue", "green", "yellow", "other"] },
+            { key: "direction_of_travel", label: "Direction of travel", type: "enum", options: ["NB", "SB", "EB", "WB"] }
+        ],
+        person: [
+            { key: "on_crosswalk", label: "On crosswalk", type: "bool" }
+        ],
+        sign: [
+            { key: "mutcd_code", label: "MUTCD code", type: "mutcd", required: true },
+            { key: "shape", label: "Shape", type: "enum", options: ["octagon", "triangle", "rectangle", "square", "diamond", "circle", "pentagon", "pennant", "crossbuck"] },
+            { key: "condition", label: "Condition", type: "enum", options: ["good", "faded", "damaged", "obstructed"] }
+        ]
+    },
+    
+    // MUTCD sign catalog for Traffic sign annotations. Sign ids are stable like class ids:
+    // COCO exports with MUTCD categories use CATEGORY_ID_BASE + id, so append new signs
+    // with new ids. Colors are the standard background color.
+    MUTCD: {
+        CATEGORY_ID_BASE: 1000,
+        RECENT_LIMIT: 8,            // Recently used codes offered before typing
+        SEARCH_LIMIT: 10,           // Matches listed while typing
+        CATEGORIES: {
+            regulatory: "Regulatory",
+            warning: "Warning",
+            school: "School",
+            guide: "Guide",
+            temporary_traffic_control: "Temporary traffic control"
+        },
+        SIGNS: [
+            { id: 0, code: "R1-1", name: "Stop", category: "regulatory", shape: "octagon", color: "red" },
+            { id: 1, code: "R1-2", name: "Yield", category: "regulatory", shape: "triangle", color: "red" },
+            { id: 2, code: "R1-6", name: "In-Street Pedestrian Crossing", category: "regulatory", shape: "rectangle", color: "white" },
+            { id: 3, code: "R2-1", name: "Speed Limit", category: "regulatory", shape: "rectangle", color: "white" },
+            { id: 4, code: "R3-1", name: "No Right Turn", category: "regulatory", shape: "square", color: "white" },
+            { id: 5, code: "R3-2", name: "No Left Turn", category: "regulatory", shape: "square", color: "white" },
+            { id: 6, code: "R3-4", name: "No U-Turn", category: "regulatory", shape: "square", color: "white" },
+            { id: 7, code: "R3-7", name: "Right (Left) Lane Must Turn Right (Left)", category: "regulatory", shape: "rectangle", color: "white" },
+            { id: 8, code: "R4-1", name: "Do Not Pass", category: "regulatory", shape: "rectangle", color: "white" },
+            { id: 9, code: "R4-7", name: "Keep Right", category: "regulatory", shape: "rectangle", color: "white" },
+            { id: 10, code: "R5-1", name: "Do Not Enter", category: "regulatory", shape: "square", color: "red" },
+            { id: 11, code: "R5-1a", name: "Wrong Way", category: "regulatory", shape: "rectangle", color: "red" },
+            { id: 12, code: "R6-1", name: "One Way", category: "regulatory", shape: "rectangle", color: "black" },
+            { id: 13, code: "R7-1", name: "No Parking Any Time", category: "regulatory", shape: "rectangle", color: "white" },
+            { id: 14, code: "R8-8", name: "Do Not Stop on Tracks", category: "regulatory", shape: "rectangle", color: "white" },
+            { id: 15, code: "R10-6", name: "Stop Here on Red", category: "regulatory", shape: "rectangle", color: "white" },
+            { id: 16, code: "R10-7", name: "Do Not Block Intersection", category: "regulatory", shape: "rectangle", color: "white" },
+            { id: 17, code: "R10-11", name: "No Turn on Red", category: "regulatory", shape: "rectangle", color: "white" },
+            { id: 18, code: "R11-2", name: "Road Closed", category: "regulatory", shape: "rectangle", color: "white" },
+            { id: 19, code: "R15-1", name: "Railroad Crossing (Crossbuck)", category: "regulatory", shape: "crossbuck", color: "white" },
+            { id: 20, code: "W1-1", name: "Turn", category: "warning", shape: "diamond", color: "yellow" },
+            { id: 21, code: "W1-2", name: "Curve", category: "warning", shape: "diamond", color: "yellow" },
+            { id: 22, code: "W1-6", name: "Large Arrow", category: "warning", shape: "rectangle", color: "yellow" },
+            { id: 23, code: "W2-1", name: "Cross Road", category: "warning", shape: "diamond", color: "yellow" },
+            { id: 24, code: "W3-1", name: "Stop Ahead", category: "warning", shape: "diamond", color: "yellow" },
+            { id: 25, code: "W3-2", name: "Yield Ahead", category: "warning", shape: "diamond", color: "yellow" },
+            { id: 26, code: "W3-3", name: "Signal Ahead", category: "warning", shape: "diamond", color: "yellow" },
+            { id: 27, code: "W4-2", name: "Lane Ends", category: "warning", shape: "diamond", color: "yellow" },
+            { id: 28, code: "W10-1", name: "Grade Crossing Advance Warning", category: "warning", shape: "circle", color: "yellow" },
+            { id: 29, code: "W11-1", name: "Bicycle Warning", category: "warning", shape: "diamond", color: "yellow" },
+            { id: 30, code: "W11-2", name: "Pedestrian Warning", category: "warning", shape: "diamond", color: "fluorescent yellow-green" },
+            { id: 31, code: "W11-3", name: "Deer Crossing", category: "warning", shape: "diamond", color: "yellow" },
+            { id: 32, code: "W14-1", name: "Dead End", category: "warning", shape: "diamond", color: "yellow" },
+            { id: 33, code: "W14-3", name: "No Passing Zone", category: "warning", shape: "pennant", color: "yellow" },
+            { id: 34, code: "S1-1", name: "School Advance Warning", category: "school", shape: "pentagon", color: "fluorescent yellow-green" },
+            { id: 35, code: "S3-1", name: "School Bus Stop Ahead", category: "school", shape: "rectangle", color: "yellow" },
+            { id: 36, code: "D3-1", name: "Street Name", category: "guide", shape: "rectangle", color: "green" },
+            { id: 37, code: "D9-2", name: "Hospital", category: "guide", shape: "square", color: "blue" },
+            { id: 38, code: "D11-1", name: "Bike Route", category: "guide", shape: "rectangle", color: "green" },
+            { id: 39, code: "W20-1", name: "Road Work Ahead", category: "temporary_traffic_control", shape: "diamond", color: "orange" },
+            { id: 40, code: "W20-4", name: "One Lane Road Ahead", category: "temporary_traffic_control", shape: "diamond", color: "orange" },
+            { id: 41, code: "W20-7", name: "Flagger Ahead", category: "temporary_traffic_control", shape: "diamond", color: "orange" }
+        ]
     },
     
+    // Image-level scene attributes, set for the whole frame in the Scene panel. Fields use
+    // the METADATA_SCHEMA format and are exported with the image (COCO images[].attributes,
+    // JSON metadata.imageAttributes) so datasets can be stratified into train/test splits.
+    IMAGE_ATTRIBUTES: [
+        { key: "weather", label: "Weather", type: "enum", options: ["clear", "cloudy", "rain", "snow", "fog"] },
+        { key: "lighting", label: "Lighting", type: "enum", options: ["daylight", "dawn_dusk", "dark_lit", "dark_unlit", "glare"] },
+        { key: "time_of_day", label: "Time of day", type: "enum", options: ["morning_peak", "midday", "evening_peak", "night"] },
+        { key: "road_type", label: "Road type", type: "enum", options: ["freeway", "arterial", "collector", "local", "intersection", "roundabout", "parking_lot"] },
+        { key: "camera_view", label: "Camera view", type: "enum", options: ["overhead", "pole_mounted", "roadside", "dashcam", "aerial"] },
+        { key: "unusable", label: "Unusable frame", type: "bool" }
+    ],
+    
     // Verification State Colors
     STATE_COLORS: {
         "Suggested": "#FFA500",     // Orange
@@ -46,7 +163,34 @@ export const CONFIG = {
         LINE_WIDTH: 2,
         HANDLE_SIZE: 8,
         MIN_BOX_SIZE: 10,
-        SELECTION_TOLERANCE: 5
+        SELECTION_TOLERANCE: 5,
+        MARQUEE_COLOR: "#0d6efd"    // Drag-to-select rectangle
+    },
+    
+    // Polygon Annotation Configuration
+    POLYGON: {
+        MIN_POINTS: 3,
+        VERTEX_RADIUS: 5,           // Drawn vertex handle radius (screen pixels)
+        VERTEX_TOLERANCE: 8,        // Hit distance for grabbing a vertex (screen pixels)
+        EDGE_TOLERANCE: 6,          // Hit distance for inserting a vertex on an edge (screen pixels)
+        CLOSE_TOLERANCE: 10,        // Click distance to the first vertex that closes the polygon
+        SIMPLIFY_TOLERANCE: {       // Douglas-Peucker tolerance slider (image pixels)
+            DEFAULT: 2,
+            MIN: 0.5,
+            MAX: 20,
+            STEP: 0.5
+        }
+    },
+    
+    // Zoom and Pan Configuration
+    ZOOM: {
+        WHEEL_STEP: 1.15,           // Zoom factor per wheel notch
+        BUTTON_STEP: 1.5,           // Zoom factor for zoom in/out buttons and keys
+        MAX_PIXEL_SCALE: 16,        // Maximum screen pixels per image pixel
+        SELECTION_PADDING: 0.25,    // Padding around the selection for zoom-to-selection
+        PIXELATED_ABOVE: 3,         // Disable image smoothing above this pixel scale
+        MINIMAP_SIZE: 160,          // Longest side of the minimap in pixels
+        MINIMAP_MARGIN: 10
     },
     
     // ROI Configuration
@@ -57,7 +201,167 @@ export const CONFIG = {
         FILL_COLOR: "#FF4500",      // Orange Red
         POINT_RADIUS: 6,
         MIN_POINTS: 3,
-        SELECTION_TOLERANCE: 8
+        SELECTION_TOLERANCE: 8,
+        DEFAULT_NAME: "ROI",        // New ROIs are named "ROI 1", "ROI 2", ...
+        DISABLED_OPACITY: 0.35,     // Disabled ROIs stay visible but faded
+        // Colors assigned to new ROIs in turn
+        PALETTE: ["#FF4500", "#1E90FF", "#32CD32", "#FFD700", "#BA55D3", "#00CED1", "#FF69B4", "#8B4513"],
+        // Rules deciding whether an object is inside an ROI (set per ROI)
+        INCLUSION: {
+            DEFAULT: "bottom_center",
+            DEFAULT_MIN_OVERLAP: 0.5,   // area_fraction: share of the box that must lie in the ROI
+            POLICIES: {
+                any_overlap: "Any overlap",
+                bbox_centroid: "Box centre",
+                bottom_center: "Bottom centre (ground contact)",
+                mask_centroid: "Mask centroid",
+                area_fraction: "Minimum overlap"
+            }
+        }
+    },
+    
+    // Count Line (directional gate) Configuration
+    COUNT_LINE: {
+        MIN_POINTS: 2,
+        LINE_WIDTH: 3,
+        ARROW_SIZE: 12,             // Direction arrowhead length (screen pixels)
+        LABEL_OFFSET: 18,           // Distance of the IN/OUT labels from the line (screen pixels)
+        POINT_RADIUS: 5,
+        DEFAULT_NAME: "Line",       // New lines are named "Line 1", "Line 2", ...
+        DEFAULT_IN_SIDE: "left",    // Side of the drawing direction that counts as "in"
+        PALETTE: ["#00E5FF", "#FF1744", "#76FF03", "#FF9100", "#D500F9", "#FFEA00"]
+    },
+    
+    // Detection (Grounding DINO) Configuration
+    DETECTION: {
+        MODEL: "groundingdino_swint",
+        MODEL_VERSION: "1.5",       // Recorded as model_version unless the backend reports its own
+        TIMEOUT: 60000,
+        BOX_THRESHOLD: 0.35,        // Minimum box confidence kept
+        TEXT_THRESHOLD: 0.25,       // Minimum phrase/token score for labelling a box
+        DUPLICATE_IOU: 0.5,         // Detections overlapping an existing box this much are skipped
+        PROMPT_SEPARATOR: " . "     // Grounding DINO separates phrases with periods
+    },
+    
+    // Overlap analysis: pairs of same-class boxes at or above DUPLICATE_IOU are flagged as
+    // duplicates; boxes of different classes are flagged as conflicts when the smaller box
+    // is covered at least CONFLICT_COVERAGE and is at least CONFLICT_MIN_AREA_RATIO of the
+    // larger box's area (e.g. a "Truck" box nearly covering a "Car" box)
+    OVERLAPS: {
+        DUPLICATE_IOU: 0.7,
+        CONFLICT_COVERAGE: 0.85,
+        CONFLICT_MIN_AREA_RATIO: 0.5,
+        DUPLICATE_COLOR: "#fd7e14",
+        CONFLICT_COLOR: "#d63384"
+    },
+
+    // Per-object visibility attributes. Truncation is suggested when a box comes within
+    // EDGE_MARGIN image pixels of the frame edge and the annotator has not set it yet.
+    // Objects with an occlusion level in DIFFICULT_OCCLUSION, or flagged as a crowd, are
+    // exported as VOC <difficult>.
+    OBJECT_ATTRIBUTES: {
+        OCCLUSION_LEVELS: {
+            none: "None",
+            partial: "Partial",
+            heavy: "Heavy"
+        },
+        DEFAULT_OCCLUSION: "none",
+        EDGE_MARGIN: 2,
+        DIFFICULT_OCCLUSION: ["heavy"],
+        BADGES: {                   // Short labels drawn after the class label on the canvas
+            partial: "occ",
+            heavy: "occ+",
+            truncated: "trunc",
+            crowd: "crowd"
+        },
+        BADGE_COLOR: "#495057"
+    },
+
+    // Segmentation (SAM v2) Configuration
+    SEGMENTATION: {
+        MODEL: "sam2",
+        TIMEOUT: 30000,             // Segmentation requests can be slow on large images
+        SIMPLIFY_TOLERANCE: 1,      // Douglas-Peucker tolerance applied to returned outlines (image pixels)
+        POINT_RADIUS: 6,
+        POSITIVE_COLOR: "#28a745",
+        NEGATIVE_COLOR: "#dc3545",
+        PROPOSAL_COLOR: "#00BFFF",  // Deep Sky Blue
+        SAMPLE_VERTEX_COUNT: 48,    // Sample-mode stand-in: vertices of the proposed outline
+        SAMPLE_POINT_RADIUS: 40     // Sample-mode stand-in: region around point-only prompts
+    },
+    
+    // Dataset listing Configuration
+    DATASET: {
+        PAGE_SIZE: 50,              // Images requested per page from /images
+        PREFETCH_THRESHOLD: 5,      // Fetch the next page when this close to the end of the loaded ones
+        STATUS_FILTERS: {           // Values accepted by the /images status filter
+            unreviewed: "Unreviewed",
+            in_progress: "In progress",
+            complete: "Complete",
+            complete_empty: "Complete, no objects",
+            skipped: "Skipped",
+            unusable: "Unusable"
+        },
+        PROGRESS_BADGES: {          // Dataset browser badges, computed from annotation states
+            not_started: { label: "Not started", color: "secondary" },
+            opened: { label: "Opened, not reviewed", color: "info" },
+            in_progress: { label: "In progress", color: "primary" },
+            verified: { label: "Fully verified", color: "success" },
+            has_rejected: { label: "Has rejected", color: "danger" },
+            has_unverified: { label: "Unverified suggestions", color: "warning" }
+        }
+    },
+    
+    // Image review statuses, shown next to the image counter. Unreviewed and in progress
+    // follow the annotation states; the MANUAL ones are set from the Mark menu and saved.
+    // complete_empty states that the image has no objects: only those images are exported
+    // without labels (e.g. an empty YOLO file). NOT_EXPORTED images are left out of exports.
+    IMAGE_REVIEW: {
+        STATUSES: {
+            unreviewed: { label: "Unreviewed", color: "secondary" },
+            in_progress: { label: "In progress", color: "primary" },
+            complete: { label: "Complete", color: "success" },
+            complete_empty: { label: "Complete, no objects", color: "success" },
+            skipped: { label: "Skipped", color: "warning" },
+            unusable: { label: "Unusable", color: "dark" }
+        },
+        MANUAL: ["complete", "complete_empty", "skipped", "unusable"],
+        SKIP_REASONS: {
+            needs_expert: "Needs expert review",
+            unclear_guidelines: "Guidelines unclear",
+            poor_quality: "Poor image quality",
+            duplicate_frame: "Duplicate frame",
+            other: "Other"
+        },
+        NOT_EXPORTED: ["skipped", "unusable"]
+    },
+    
+    // Review queues: which images "next/previous in queue" stop on
+    REVIEW_QUEUE: {
+        MODES: {
+            all: "All images",
+            unverified: "Suggested or modified objects",
+            class: "Contains class",
+            low_confidence: "Low-confidence suggestions",
+            scene: "Scene attribute"
+        },
+        LOW_CONFIDENCE_THRESHOLD: 0.5,  // Suggestions below this confidence count as low-confidence
+        MAX_SCAN: 500                   // Images checked per jump before pausing the search
+    },
+    
+    // Confidence filtering of model suggestions. Suggested objects below their class's
+    // threshold (CLASS_THRESHOLDS, else THRESHOLD) are dimmed or hidden and left out of the
+    // annotation counts. Auto-reject rejects suggestions below AUTO_REJECT.BELOW as they
+    // are loaded or detected, with rejected_reason "below_threshold".
+    CONFIDENCE_FILTER: {
+        THRESHOLD: 0,               // 0 shows every suggestion
+        CLASS_THRESHOLDS: {},       // e.g. { "Person": 0.3 }
+        DISPLAY: "dim",             // "dim" | "hide"
+        DIM_OPACITY: 0.35,
+        AUTO_REJECT: {
+            ENABLED: false,
+            BELOW: 0.1
+        }
     },
     
     // UI Configuration
@@ -78,16 +382,84 @@ export const CONFIG = {
         COCO: "coco"
     },
     
+    // FHWA / ITE summary groups in report order. Classes without an FHWA class
+    // are grouped as "Non-FHWA <domain>" (e.g. Non-FHWA VRU).
+    FHWA_SUMMARY_GROUPS: [
+        "Class 1",
+        "Class 2",
+        "Class 4",
+        "Class 5–6",
+        "Class 5–13",
+        "Class 7–13",
+        "Non-FHWA VRU",
+        "Non-FHWA Animal",
+        "Non-FHWA Misc"
+    ],
+    
+    // Export Policies - annotation states each policy allows into an export.
+    // Only Verified objects are exportable by default; unverified model
+    // suggestions must never leak into training data unless explicitly requested.
+    EXPORT_POLICY: {
+        DEFAULT: "verified_only",
+        POLICIES: {
+            verified_only: ["Verified"],
+            include_unverified: ["Suggested", "Modified", "Verified"]
+        }
+    },
+    
+    // Verification gate: checked before leaving or exporting an image that still has
+    // Suggested or Modified objects. "warn" asks before continuing, "block" only continues
+    // once they are reviewed or an override reason is given; "off" disables the gate.
+    // Overrides are recorded in the annotation history.
+    VERIFICATION_GATE: {
+        MODE: "warn",               // "off" | "warn" | "block"
+        MIN_REASON_LENGTH: 10       // Characters required for an override reason in "block" mode
+    },
+    
+    // Rejection reasons, stored as metadata.rejected_reason on Rejected objects and counted
+    // per class and model version for detector failure analysis. AUTOMATIC reasons are set
+    // by the app (confidence auto-reject) and are not offered in the reject picker.
+    REJECTION: {
+        REASONS: {
+            false_positive: "False positive",
+            duplicate: "Duplicate",
+            wrong_class: "Wrong class",
+            out_of_scope: "Out of scope",
+            too_occluded: "Too occluded",
+            below_threshold: "Below confidence threshold"
+        },
+        AUTOMATIC: ["below_threshold"],
+        DEFAULT_REASON: "false_positive",  // Used when rejecting without the picker
+        ASK_REASON: true                   // Ask for a reason on every manual reject
+    },
+    
     // Keyboard Shortcuts
     KEYBOARD_SHORTCUTS: {
         NEXT_IMAGE: "ArrowRight",
         PREV_IMAGE: "ArrowLeft",
+        NEXT_IN_QUEUE: "BracketRight",
+        PREV_IN_QUEUE: "BracketLeft",
         SAVE: "KeyS",
         DRAW_MODE: "KeyD",
         SELECT_MODE: "KeyV",
         ROI_MODE: "KeyR",
+        POLYGON_MODE: "KeyP",
+        MASK_EDIT: "KeyM",
+        SEGMENT_MODE: "KeyG",
+        COUNT_LINE_MODE: "KeyL",
+        DATASET_BROWSER: "KeyB",
+        SELECT_ALL: "KeyA",         // With Ctrl/Cmd
+        COPY: "KeyC",               // With Ctrl/Cmd
+        PASTE: "KeyV",              // With Ctrl/Cmd+Shift (Ctrl+V verifies)
         DELETE: "Delete",
-        ESCAPE: "Escape"
+        ESCAPE: "Escape",
+        UNDO: "KeyZ",
+        REDO: "KeyY",
+        ZOOM_IN: "Equal",
+        ZOOM_OUT: "Minus",
+        ZOOM_FIT: "KeyF",
+        ZOOM_ACTUAL_SIZE: "Digit1",
+        ZOOM_SELECTION: "Period"     // "." - Z is taken by Ctrl+Z undo
     },
     
     // API Endpoints
@@ -97,7 +469,12 @@ export const CONFIG = {
         GET_ANNOTATIONS: "/annotations",
         SAVE_ANNOTATION: "/annotations",
         DELETE_ANNOTATION: "/annotations",
-        EXPORT_ANNOTATIONS: "/export"
+        EXPORT_ANNOTATIONS: "/export",
+        SEGMENT: "/segment",
+        DETECT: "/detect",
+        ROIS: "/rois",
+        IMAGE_ATTRIBUTES: "/image-attributes",
+        IMAGE_STATUS: "/image-status"
     },
     
     // Error Messages
@@ -130,9 +507,23 @@ export function validateConfig() {
         errors.push("At least one sample image is required");
     }
     
-    if (!CONFIG.ANNOTATION_COLORS || Object.keys(CONFIG.ANNOTATION_COLORS).length === 0) {
-        errors.push("Annotation colors configuration is required");
-    }
+    const taxonomyValidation = validateClassTaxonomy(CONFIG.CLASS_TAXONOMY);
+    errors.push(...taxonomyValidation.errors);
+    
+    const schemaValidation = validateMetadataSchema(CONFIG.METADATA_SCHEMA);
+    errors.push(...schemaValidation.errors);
+    
+    const catalogValidation = validateMutcdCatalog(CONFIG.MUTCD);
+    errors.push(...catalogValidation.errors);
+    
+    const imageAttributeValidation = validateMetadataSchema({ image: CONFIG.IMAGE_ATTRIBUTES });
+    errors.push(...imageAttributeValidation.errors);
+    
+    [...CONFIG.IMAGE_REVIEW.MANUAL, ...CONFIG.IMAGE_REVIEW.NOT_EXPORTED].forEach(status => {
+        if (!CONFIG.IMAGE_REVIEW.STATUSES[status]) {
+            errors.push(`Unknown image review status ${status}`);
+        }
+    });
     
     if (!CONFIG.STATE_COLORS || Object.keys(CONFIG.STATE_COLORS).length === 0) {
         errors.push("State colors configuration is required");
@@ -144,9 +535,274 @@ export function validateConfig() {
     };
 }
 
+// Validation function to check a class taxonomy schema
+export function validateClassTaxonomy(taxonomy) {
+    const errors = [];
+    
+    if (!taxonomy || !Array.isArray(taxonomy.classes) || taxonomy.classes.length === 0) {
+        return { isValid: false, errors: ["Class taxonomy must define at least one class"] };
+    }
+    
+    const ids = new Set();
+    const names = new Set();
+    
+    taxonomy.classes.forEach((classDef, index) => {
+        if (!Number.isInteger(classDef.id) || classDef.id < 0) {
+            errors.push(`Class at index ${index} needs a non-negative integer id`);
+        } else if (ids.has(classDef.id)) {
+            errors.push(`Duplicate class id ${classDef.id}`);
+        }
+        ids.add(classDef.id);
+        
+        if (!classDef.name) {
+            errors.push(`Class at index ${index} needs a name`);
+        } else if (names.has(classDef.name)) {
+            errors.push(`Duplicate class name ${classDef.name}`);
+        }
+        names.add(classDef.name);
+        
+        if (!/^#[0-9A-Fa-f]{6}$/.test(classDef.color || '')) {
+            errors.push(`Class ${classDef.name || index} needs a #RRGGBB color`);
+        }
+        
+        if (!classDef.domain || !classDef.supercategory) {
+            errors.push(`Class ${classDef.name || index} needs a domain and supercategory`);
+        }
+    });
+    
+    if (!names.has(taxonomy.defaultClass)) {
+        errors.push(`Default class ${taxonomy.defaultClass} is not defined in the taxonomy`);
+    }
+    
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+// Validation function to check the per-class metadata schema
+export function validateMetadataSchema(schema) {
+    const errors = [];
+    const types = ["enum", "bool", "number", "text", "mutcd"];
+    
+    Object.entries(schema || {}).forEach(([target, fields]) => {
+        if (!Array.isArray(fields)) {
+            errors.push(`Metadata schema for ${target} must be a list of fields`);
+            return;
+        }
+        
+        const keys = new Set();
+        fields.forEach((field, index) => {
+            if (!/^[a-z][a-z0-9_]*$/.test(field.key || '')) {
+                errors.push(`Metadata field ${index} of ${target} needs a snake_case key`);
+            } else if (keys.has(field.key)) {
+                errors.push(`Duplicate metadata field ${field.key} in ${target}`);
+            }
+            keys.add(field.key);
+            
+            if (!types.includes(field.type)) {
+                errors.push(`Metadata field ${field.key || index} of ${target} has unknown type ${field.type}`);
+            } else if (field.type === "enum" && (!Array.isArray(field.options) || field.options.length === 0)) {
+                errors.push(`Metadata field ${field.key || index} of ${target} needs options`);
+            }
+        });
+    });
+    
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+// Validation function to check the MUTCD sign catalog (stable unique ids and codes)
+export function validateMutcdCatalog(catalog) {
+    const errors = [];
+    const ids = new Set();
+    const codes = new Set();
+    
+    (catalog?.SIGNS || []).forEach((sign, index) => {
+        if (!Number.isInteger(sign.id) || sign.id < 0 || ids.has(sign.id)) {
+            errors.push(`MUTCD sign at index ${index} needs a unique non-negative integer id`);
+        }
+        ids.add(sign.id);
+        
+        const code = String(sign.code || '').toLowerCase();
+        if (!code || codes.has(code)) {
+            errors.push(`MUTCD sign at index ${index} needs a unique code`);
+        }
+        codes.add(code);
+        
+        if (!catalog.CATEGORIES?.[sign.category]) {
+            errors.push(`MUTCD sign ${sign.code || index} has unknown category ${sign.category}`);
+        }
+    });
+    
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+// Helper function to load a project taxonomy file, keeping the built-in one on failure
+export async function loadClassTaxonomy(url = CONFIG.TAXONOMY_URL) {
+    if (!url) {
+        return { success: true, taxonomy: CONFIG.CLASS_TAXONOMY, source: 'config' };
+    }
+    
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const taxonomy = await response.json();
+        const validation = validateClassTaxonomy(taxonomy);
+        if (!validation.isValid) {
+            throw new Error(`Invalid class taxonomy: ${validation.errors.join('; ')}`);
+        }
+        
+        CONFIG.CLASS_TAXONOMY = taxonomy;
+        return { success: true, taxonomy: taxonomy, source: url };
+        
+    } catch (error) {
+        return { success: false, error: error.message, taxonomy: CONFIG.CLASS_TAXONOMY, source: 'config' };
+    }
+}
+
+// Helper function to get all class definitions in taxonomy order
+export function getClassDefinitions() {
+    return CONFIG.CLASS_TAXONOMY.classes;
+}
+
+// Helper function to group class definitions by taxonomy domain (Motor Vehicle, VRU, Animal, ...)
+// Returns [{ domain, classes }] in taxonomy order for building grouped class selectors
+export function getClassDefinitionsByDomain() {
+    const domains = new Map();
+    CONFIG.CLASS_TAXONOMY.classes.forEach(classDef => {
+        if (!domains.has(classDef.domain)) {
+            domains.set(classDef.domain, []);
+        }
+        domains.get(classDef.domain).push(classDef);
+    });
+    return Array.from(domains, ([domain, classes]) => ({ domain, classes }));
+}
+
+// Helper function to get all class names in taxonomy order
+export function getClassNames() {
+    return CONFIG.CLASS_TAXONOMY.classes.map(classDef => classDef.name);
+}
+
+// Helper function to get the class definition for a class name
+export function getClassDefinition(className) {
+    return CONFIG.CLASS_TAXONOMY.classes.find(classDef => classDef.name === className) || null;
+}
+
+// Helper function to get the class used when a name is unknown
+export function getDefaultClassName() {
+    return CONFIG.CLASS_TAXONOMY.defaultClass;
+}
+
+// Helper function to build the default detection prompt from the taxonomy (e.g. "car . truck . bus")
+export function getDefaultDetectionPrompt() {
+    return getClassNames()
+        .filter(name => name !== getDefaultClassName())
+        .map(name => name.toLowerCase())
+        .join(CONFIG.DETECTION.PROMPT_SEPARATOR);
+}
+
+// Helper function to map a detector phrase to a taxonomy class (case-insensitive, default class if unknown)
+export function getClassNameForPhrase(phrase) {
+    const normalized = String(phrase || '').trim().toLowerCase();
+    const match = CONFIG.CLASS_TAXONOMY.classes.find(classDef => classDef.name.toLowerCase() === normalized);
+    return match ? match.name : getDefaultClassName();
+}
+
+// Helper function to get the stable numeric id for a class (-1 if unknown)
+export function getClassId(className) {
+    const classDef = getClassDefinition(className);
+    return classDef ? classDef.id : -1;
+}
+
+// Helper function to check that a rejection reason is configured
+export function isRejectionReason(reason) {
+    return Object.prototype.hasOwnProperty.call(CONFIG.REJECTION.REASONS, reason);
+}
+
+// Helper function to get the display label of a rejection reason (unknown reasons are shown as is)
+export function getRejectionReasonLabel(reason) {
+    return isRejectionReason(reason) ? CONFIG.REJECTION.REASONS[reason] : String(reason);
+}
+
+// Helper function to list the rejection reasons offered when rejecting by hand
+export function getPickableRejectionReasons() {
+    return Object.keys(CONFIG.REJECTION.REASONS).filter(reason => !CONFIG.REJECTION.AUTOMATIC.includes(reason));
+}
+
+// Helper function to get the metadata fields of a class (supercategory fields first)
+export function getMetadataSchema(className) {
+    const classDef = getClassDefinition(className);
+    if (!classDef) {
+        return [];
+    }
+    const schema = CONFIG.METADATA_SCHEMA || {};
+    return [...(schema[classDef.supercategory] || []), ...(schema[classDef.name] || [])];
+}
+
+// Helper function to find a MUTCD sign by code (case-insensitive)
+export function getMutcdSign(code) {
+    if (typeof code !== 'string') {
+        return null;
+    }
+    const wanted = code.trim().toLowerCase();
+    return CONFIG.MUTCD.SIGNS.find(sign => sign.code.toLowerCase() === wanted) || null;
+}
+
+// Helper function to search the MUTCD catalog by code or name; code prefix matches come first
+export function searchMutcdSigns(query, limit = CONFIG.MUTCD.SEARCH_LIMIT) {
+    const wanted = String(query || '').trim().toLowerCase();
+    if (!wanted) {
+        return [];
+    }
+    const byCode = CONFIG.MUTCD.SIGNS.filter(sign => sign.code.toLowerCase().startsWith(wanted));
+    const byName = CONFIG.MUTCD.SIGNS.filter(sign =>
+        !byCode.includes(sign) && sign.name.toLowerCase().includes(wanted));
+    return [...byCode, ...byName].slice(0, limit);
+}
+
+// Helper function to get the COCO category id of a MUTCD sign (null if the code is unknown)
+export function getMutcdCategoryId(code) {
+    const sign = getMutcdSign(code);
+    return sign ? CONFIG.MUTCD.CATEGORY_ID_BASE + sign.id : null;
+}
+
+// Helper function to get the label of an image review status
+export function getImageReviewStatusLabel(status) {
+    return CONFIG.IMAGE_REVIEW.STATUSES[status]?.label || String(status);
+}
+
+// Helper function to get the image-level scene attribute fields
+export function getImageAttributeSchema() {
+    return CONFIG.IMAGE_ATTRIBUTES || [];
+}
+
+// Helper function to check that an occlusion level is configured
+export function isOcclusionLevel(level) {
+    return Object.prototype.hasOwnProperty.call(CONFIG.OBJECT_ATTRIBUTES.OCCLUSION_LEVELS, level);
+}
+
+// Helper function to get the FHWA summary group for a class (e.g. "Class 2", "Non-FHWA VRU")
+export function getFhwaGroup(className) {
+    const classDef = getClassDefinition(className) || getClassDefinition(getDefaultClassName());
+    if (!classDef) {
+        return 'Non-FHWA Misc';
+    }
+    return classDef.fhwaClass || `Non-FHWA ${classDef.domain}`;
+}
+
 // Helper function to get color for annotation class
 export function getClassColor(className) {
-    return CONFIG.ANNOTATION_COLORS[className] || CONFIG.ANNOTATION_COLORS["Other"];
+    const classDef = getClassDefinition(className) || getClassDefinition(getDefaultClassName());
+    return classDef ? classDef.color : '#98D8C8';
 }
 
 // Helper function to get color for verification state
@@ -3,8 +3,9 @@
  * Handles annotation data model, state management, CRUD operations, and state transitions
  */
 
-import { CONFIG, getClassColor, getStateColor } from '../config.js';
+import { CONFIG, getClassColor, getStateColor, getClassDefinitions, getClassDefinition, getClassId, getDefaultClassName, getFhwaGroup, isRejectionReason, getRejectionReasonLabel, isOcclusionLevel, getMetadataSchema, getImageAttributeSchema, getImageReviewStatusLabel, getMutcdSign, getMutcdCategoryId } from '../config.js';
 import { apiClient } from './api-client.js';
+import { roiManager } from './roi-manager.js';
 
 /**
  * AnnotationManager class handles all annotation-related operations including
@@ -15,14 +16,46 @@ export class AnnotationManager {
         // Annotation storage - Map keyed by imageId
         this.annotations = new Map();
         
+        // Annotation responses fetched by review queue look-ahead for images not opened yet -
+        // Map keyed by imageId, moved into the working set by loadAnnotations
+        this.peekedAnnotations = new Map();
+        
+        // Images opened with loadAnnotations this session, for the 'opened' progress status
+        this.openedImageIds = new Set();
+        
+        // Scene attributes per image (see CONFIG.IMAGE_ATTRIBUTES) - Map keyed by imageId
+        this.imageAttributes = new Map();
+        
+        // Review statuses set by hand (see CONFIG.IMAGE_REVIEW) - Map keyed by imageId,
+        // null once loaded when the image has none
+        this.imageReviews = new Map();
+        
         // Current image context
         this.currentImageId = null;
         
         // State management
-        this.selectedAnnotation = null;
+        this.selectedAnnotation = null; // Primary selection (resize, mask edit, class selector)
+        this.selectedAnnotationIds = new Set(); // All selected annotations, including the primary one
+        this.clipboard = []; // Annotation snapshots from copySelection
         this.annotationHistory = [];
         this.maxHistorySize = 100;
         
+        // Undo/redo stacks - Map keyed by imageId, each step groups one or more history entries
+        this.undoStacks = new Map();
+        this.redoStacks = new Map();
+        this.historyGroupDepth = 0;
+        this.activeHistoryStep = null;
+        this.isReplayingHistory = false;
+        
+        // Confidence filter for Suggested annotations (see CONFIG.CONFIDENCE_FILTER)
+        this.confidenceFilter = {
+            threshold: CONFIG.CONFIDENCE_FILTER.THRESHOLD,
+            classThresholds: { ...CONFIG.CONFIDENCE_FILTER.CLASS_THRESHOLDS },
+            display: CONFIG.CONFIDENCE_FILTER.DISPLAY,
+            autoReject: CONFIG.CONFIDENCE_FILTER.AUTO_REJECT.ENABLED,
+            autoRejectBelow: CONFIG.CONFIDENCE_FILTER.AUTO_REJECT.BELOW
+        };
+        
         // Session management
         this.sessionId = null;
         
@@ -34,9 +67,12 @@ export class AnnotationManager {
         // Event callbacks
         this.onAnnotationsChanged = null;
         this.onAnnotationSelected = null;
+        this.onSelectionChanged = null;
         this.onAnnotationStateChanged = null;
         this.onSaveComplete = null;
         this.onSaveError = null;
+        this.onHistoryChanged = null;
+        this.onMetadataRequired = null;
         
         // Load history from local storage on initialization
         this.loadHistoryFromLocalStorage();
@@ -60,6 +96,12 @@ export class AnnotationManager {
         }
 
         console.log(`Loading annotations for image: ${imageId}`);
+        this.openedImageIds.add(imageId);
+        
+        // Selections do not carry over to another image
+        if (imageId !== this.currentImageId) {
+            this.clearSelection();
+        }
         
         try {
             // Check if annotations are already cached
@@ -77,8 +119,10 @@ export class AnnotationManager {
                 };
             }
 
-            // Load from API client (will handle sample mode fallback)
-            const result = await apiClient.getAnnotations(imageId);
+            // Use a look-ahead response if there is one, otherwise load from the API client
+            // (will handle sample mode fallback)
+            const result = this.peekedAnnotations.get(imageId) || await apiClient.getAnnotations(imageId);
+            this.peekedAnnotations.delete(imageId);
             
             if (result.success) {
                 // Process and validate annotations
@@ -90,6 +134,10 @@ export class AnnotationManager {
                 
                 console.log(`Loaded ${processedAnnotations.length} annotations for image ${imageId}`);
                 
+                if (this.confidenceFilter.autoReject) {
+                    this.autoRejectLowConfidence();
+                }
+                
                 // Notify listeners
                 this.notifyAnnotationsChanged();
                 
@@ -151,6 +199,9 @@ export class AnnotationManager {
                 createdAt: annotation.createdAt ? new Date(annotation.createdAt) : new Date(),
                 modifiedAt: annotation.modifiedAt ? new Date(annotation.modifiedAt) : new Date(),
                 segmentationMask: annotation.segmentationMask || null,
+                occlusion: this.validateOcclusion(annotation.occlusion),
+                truncated: this.validateTruncated(annotation.truncated),
+                crowd: annotation.crowd === true,
                 selected: false,
                 metadata: annotation.metadata || {}
             };
@@ -194,6 +245,9 @@ export class AnnotationManager {
             createdAt: new Date(),
             modifiedAt: new Date(),
             segmentationMask: options.segmentationMask || null,
+            occlusion: this.validateOcclusion(options.occlusion),
+            truncated: this.validateTruncated(options.truncated),
+            crowd: options.crowd === true,
             selected: false,
             metadata: options.metadata || {}
         };
@@ -242,6 +296,12 @@ export class AnnotationManager {
         if (changes.bbox !== undefined) {
             const validatedBbox = this.validateBoundingBox(changes.bbox);
             if (validatedBbox) {
+                // Keep polygon outlines in step with box moves/resizes
+                if (changes.segmentationMask === undefined && this.isPolygonMask(annotation.segmentationMask)) {
+                    annotation.segmentationMask = this.mapPolygonToBounds(
+                        annotation.segmentationMask, annotation.bbox, validatedBbox
+                    );
+                }
                 annotation.bbox = validatedBbox;
             }
         }
@@ -265,6 +325,18 @@ export class AnnotationManager {
             annotation.segmentationMask = changes.segmentationMask;
         }
 
+        if (changes.occlusion !== undefined) {
+            annotation.occlusion = this.validateOcclusion(changes.occlusion);
+        }
+
+        if (changes.truncated !== undefined) {
+            annotation.truncated = this.validateTruncated(changes.truncated);
+        }
+
+        if (changes.crowd !== undefined) {
+            annotation.crowd = changes.crowd === true;
+        }
+
         if (changes.metadata !== undefined) {
             annotation.metadata = { ...annotation.metadata, ...changes.metadata };
         }
@@ -293,6 +365,477 @@ export class AnnotationManager {
         return true;
     }
 
+    /**
+     * Merge detector output into the current image as Suggested annotations.
+     * Boxes overlapping any existing annotation (including Rejected ones, so false
+     * positives aren't re-suggested) or a higher-confidence detection are skipped.
+     * @param {Array} detections - { bbox, className, phrase, confidence }
+     * @param {Object} options - { iouThreshold, source, modelVersion, prompt } - modelVersion defaults
+     *   to CONFIG.DETECTION.MODEL_VERSION so in-app and loaded suggestions group together
+     * Detections below the auto-reject confidence are added as Rejected when auto-reject is on.
+     * @returns {Object} - { success, addedCount, skippedCount, autoRejectedCount, addedIds } or
+     *   { success: false, error }
+     */
+    mergeDetections(detections, options = {}) {
+        if (!this.currentImageId) {
+            return { success: false, error: 'No current image' };
+        }
+
+        const {
+            iouThreshold = CONFIG.DETECTION.DUPLICATE_IOU,
+            source = 'GroundingDINO',
+            modelVersion = CONFIG.DETECTION.MODEL_VERSION,
+            prompt = null
+        } = options;
+
+        const occupiedBoxes = this.getCurrentAnnotations().map(annotation => annotation.bbox);
+        const addedIds = [];
+        let skippedCount = 0;
+        let autoRejectedCount = 0;
+
+        // Highest confidence first so the best of overlapping detections wins
+        const ordered = [...detections].sort((a, b) => b.confidence - a.confidence);
+
+        // One undo step for the whole detection run
+        this.beginHistoryGroup('detect');
+        try {
+            for (const detection of ordered) {
+                if (occupiedBoxes.some(bbox => this.calculateIoU(bbox, detection.bbox) >= iouThreshold)) {
+                    skippedCount++;
+                    continue;
+                }
+
+                const annotation = this.createAnnotation(detection.bbox, detection.className, detection.confidence, {
+                    state: 'Suggested',
+                    metadata: { source, model_version: modelVersion, phrase: detection.phrase, prompt }
+                });
+
+                if (annotation) {
+                    addedIds.push(annotation.id);
+                    occupiedBoxes.push(annotation.bbox);
+                } else {
+                    skippedCount++;
+                }
+            }
+
+            if (this.confidenceFilter.autoReject) {
+                autoRejectedCount = this.autoRejectLowConfidence(addedIds).count;
+            }
+        } finally {
+            this.endHistoryGroup();
+        }
+
+        console.log(`Merged detections: ${addedIds.length} added, ${skippedCount} skipped`);
+
+        return {
+            success: true,
+            addedCount: addedIds.length,
+            skippedCount,
+            autoRejectedCount,
+            addedIds
+        };
+    }
+
+    /**
+     * Area where two bounding boxes overlap
+     */
+    calculateIntersection(a, b) {
+        const overlapWidth = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+        const overlapHeight = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+
+        if (overlapWidth <= 0 || overlapHeight <= 0) {
+            return 0;
+        }
+
+        return overlapWidth * overlapHeight;
+    }
+
+    /**
+     * Intersection over union of two bounding boxes
+     */
+    calculateIoU(a, b) {
+        const intersection = this.calculateIntersection(a, b);
+        if (intersection === 0) {
+            return 0;
+        }
+
+        const union = a.width * a.height + b.width * b.height - intersection;
+        return union > 0 ? intersection / union : 0;
+    }
+
+    /**
+     * Find overlapping annotations on an image: same-class pairs at or above the IoU
+     * threshold (duplicates) and different-class pairs where one box nearly covers the
+     * other (class conflicts). Rejected annotations and suggestions below the confidence
+     * threshold are left out.
+     * @param {Object} options - { imageId, iouThreshold, coverage, minAreaRatio }, defaulting to
+     *   the current image and CONFIG.OVERLAPS
+     * @returns {Object} - { duplicates, conflicts }, each a list of { ids, classNames, iou, coverage }
+     *   sorted by descending IoU. The larger box comes first; coverage is the share of the
+     *   smaller box inside the larger one.
+     */
+    findOverlaps(options = {}) {
+        const {
+            imageId = this.currentImageId,
+            iouThreshold = CONFIG.OVERLAPS.DUPLICATE_IOU,
+            coverage: minCoverage = CONFIG.OVERLAPS.CONFLICT_COVERAGE,
+            minAreaRatio = CONFIG.OVERLAPS.CONFLICT_MIN_AREA_RATIO
+        } = options;
+
+        const annotations = (this.annotations.get(imageId) || []).filter(annotation =>
+            annotation.state !== 'Rejected' && !this.isBelowConfidenceThreshold(annotation));
+        const area = annotation => annotation.bbox.width * annotation.bbox.height;
+        const duplicates = [];
+        const conflicts = [];
+
+        for (let i = 0; i < annotations.length; i++) {
+            for (let j = i + 1; j < annotations.length; j++) {
+                const intersection = this.calculateIntersection(annotations[i].bbox, annotations[j].bbox);
+                if (intersection === 0) {
+                    continue;
+                }
+
+                const [larger, smaller] = area(annotations[j]) > area(annotations[i])
+                    ? [annotations[j], annotations[i]]
+                    : [annotations[i], annotations[j]];
+                const pair = {
+                    ids: [larger.id, smaller.id],
+                    classNames: [larger.className, smaller.className],
+                    iou: intersection / (area(larger) + area(smaller) - intersection),
+                    coverage: intersection / area(smaller)
+                };
+
+                if (larger.className === smaller.className) {
+                    if (pair.iou >= iouThreshold) {
+                        duplicates.push(pair);
+                    }
+                } else if (pair.coverage >= minCoverage && area(smaller) / area(larger) >= minAreaRatio) {
+                    conflicts.push(pair);
+                }
+            }
+        }
+
+        const byIoU = (a, b) => b.iou - a.iou;
+        return { duplicates: duplicates.sort(byIoU), conflicts: conflicts.sort(byIoU) };
+    }
+
+    /**
+     * Resolve an overlapping pair as a single undo step. The dropped annotation is
+     * rejected with rejected_reason 'duplicate'. 'merge' also moves the kept box to the
+     * confidence-weighted average of both boxes and takes the higher confidence.
+     * @param {string} keepId - Annotation to keep
+     * @param {string} dropId - Annotation to reject
+     * @param {string} mode - 'keep' or 'merge'
+     * @returns {Object} - { success, error }
+     */
+    resolveOverlap(keepId, dropId, mode = 'keep') {
+        if (mode !== 'keep' && mode !== 'merge') {
+            return { success: false, error: `Unknown overlap resolution: ${mode}` };
+        }
+
+        const keep = this.findAnnotationByIdInternal(keepId);
+        const drop = this.findAnnotationByIdInternal(dropId);
+        if (!keep || !drop || keep === drop) {
+            return { success: false, error: 'Overlapping annotations not found' };
+        }
+
+        this.beginHistoryGroup(mode === 'merge' ? 'merge duplicates' : 'keep one');
+        try {
+            if (mode === 'merge') {
+                this.updateAnnotation(keep.id, {
+                    bbox: this.fuseBoundingBoxes([keep, drop]),
+                    confidence: Math.max(keep.confidence, drop.confidence),
+                    metadata: { merged_from: [...(keep.metadata?.merged_from || []), drop.id] }
+                });
+            }
+            this.rejectWithReason(drop, 'duplicate');
+        } finally {
+            this.endHistoryGroup();
+        }
+
+        this.notifyAnnotationsChanged();
+        return { success: true };
+    }
+
+    /**
+     * Class-aware non-maximum suppression on the current image, as a single undo step.
+     * Within each class, a Suggested annotation overlapping a higher-ranked one at or
+     * above the IoU threshold is rejected as a duplicate. Reviewed annotations rank
+     * first and are never rejected; ties go to the higher confidence.
+     * @param {number} iouThreshold - Minimum IoU for duplicates
+     * @returns {Object} - { success, count }
+     */
+    suppressDuplicates(iouThreshold = CONFIG.OVERLAPS.DUPLICATE_IOU) {
+        const rank = annotation => (annotation.state === 'Suggested' ? 0 : 1);
+        const ordered = this.getCountedAnnotations()
+            .filter(annotation => annotation.state !== 'Rejected')
+            .sort((a, b) => rank(b) - rank(a) || b.confidence - a.confidence);
+
+        const kept = [];
+        const suppressed = [];
+        ordered.forEach(annotation => {
+            const isDuplicate = annotation.state === 'Suggested' && kept.some(other =>
+                other.className === annotation.className &&
+                this.calculateIoU(other.bbox, annotation.bbox) >= iouThreshold);
+            (isDuplicate ? suppressed : kept).push(annotation);
+        });
+
+        if (suppressed.length === 0) {
+            return { success: true, count: 0 };
+        }
+
+        this.beginHistoryGroup('remove duplicates');
+        try {
+            suppressed.forEach(annotation => this.rejectWithReason(annotation, 'duplicate'));
+        } finally {
+            this.endHistoryGroup();
+        }
+
+        console.log(`Rejected ${suppressed.length} duplicate suggestions`);
+        this.notifyAnnotationsChanged();
+        return { success: true, count: suppressed.length };
+    }
+
+    /**
+     * Confidence-weighted average of bounding boxes (equal weights if no box has a confidence)
+     * @param {Array} annotations - Annotations whose boxes are fused
+     * @returns {Object} - Bounding box {x, y, width, height}
+     */
+    fuseBoundingBoxes(annotations) {
+        const weights = annotations.map(annotation => annotation.confidence || 0);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const weightOf = index => (totalWeight > 0 ? weights[index] / totalWeight : 1 / annotations.length);
+        const average = edge => annotations.reduce((sum, annotation, index) => sum + edge(annotation.bbox) * weightOf(index), 0);
+
+        const left = average(bbox => bbox.x);
+        const top = average(bbox => bbox.y);
+        return {
+            x: left,
+            y: top,
+            width: average(bbox => bbox.x + bbox.width) - left,
+            height: average(bbox => bbox.y + bbox.height) - top
+        };
+    }
+
+    /**
+     * Create a polygon annotation; the bounding box is derived from the outline
+     * @param {Array} points - Polygon vertices in image coordinates ({x, y})
+     * @param {string} className - Object class
+     * @param {number} confidence - Confidence score
+     * @param {Object} options - Same options as createAnnotation
+     * @returns {Object|null} - Created annotation or null if the polygon is invalid
+     */
+    createPolygonAnnotation(points, className, confidence = 1.0, options = {}) {
+        if (!this.isPolygonMask(points)) {
+            console.error(`Cannot create polygon annotation: at least ${CONFIG.POLYGON.MIN_POINTS} points are required`);
+            return null;
+        }
+
+        const polygon = this.normalizePolygon(points);
+
+        return this.createAnnotation(this.getPolygonBounds(polygon), className, confidence, {
+            ...options,
+            segmentationMask: polygon
+        });
+    }
+
+    /**
+     * Replace an annotation's polygon and re-derive its bounding box.
+     * Outline edits need re-verification, so the annotation always ends up Modified.
+     * @param {string} id - Annotation ID
+     * @param {Array} points - New polygon vertices in image coordinates
+     * @returns {boolean} - Success status
+     */
+    updateAnnotationPolygon(id, points) {
+        if (!this.isPolygonMask(points)) {
+            console.error(`Cannot update polygon: at least ${CONFIG.POLYGON.MIN_POINTS} points are required`);
+            return false;
+        }
+
+        const polygon = this.normalizePolygon(points);
+
+        return this.updateAnnotation(id, {
+            segmentationMask: polygon,
+            bbox: this.getPolygonBounds(polygon),
+            state: 'Modified'
+        });
+    }
+
+    /**
+     * Simplify an annotation's polygon mask with Douglas-Peucker
+     * @param {string} id - Annotation ID
+     * @param {number} tolerance - Maximum deviation in image pixels
+     * @returns {Object} - { success, originalCount, simplifiedCount } or { success: false, error }
+     */
+    simplifyAnnotationPolygon(id, tolerance) {
+        const annotation = this.findAnnotationByIdInternal(id);
+        if (!annotation || !this.isPolygonMask(annotation.segmentationMask)) {
+            return { success: false, error: 'Annotation has no editable polygon mask' };
+        }
+
+        const originalCount = annotation.segmentationMask.length;
+        const simplified = this.simplifyPolygon(annotation.segmentationMask, tolerance);
+
+        // Nothing to remove at this tolerance - don't record an empty edit
+        if (simplified.length === originalCount) {
+            return { success: true, originalCount, simplifiedCount: originalCount };
+        }
+
+        if (!this.updateAnnotationPolygon(id, simplified)) {
+            return { success: false, error: 'Failed to update polygon' };
+        }
+
+        return { success: true, originalCount, simplifiedCount: simplified.length };
+    }
+
+    /**
+     * Simplify a closed polygon with the Douglas-Peucker algorithm
+     * @param {Array} points - Polygon vertices
+     * @param {number} tolerance - Maximum deviation in image pixels
+     * @returns {Array} - Simplified vertices (never fewer than CONFIG.POLYGON.MIN_POINTS)
+     */
+    simplifyPolygon(points, tolerance) {
+        if (!this.isPolygonMask(points) || points.length <= CONFIG.POLYGON.MIN_POINTS || !(tolerance > 0)) {
+            return points.map(point => ({ ...point }));
+        }
+
+        // Split the ring at the vertex farthest from the first one so both halves are open polylines
+        let splitIndex = 1;
+        let maxDistance = -1;
+        points.forEach((point, index) => {
+            const distance = Math.hypot(point.x - points[0].x, point.y - points[0].y);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                splitIndex = index;
+            }
+        });
+
+        const firstHalf = this.simplifyPolyline(points.slice(0, splitIndex + 1), tolerance);
+        const secondHalf = this.simplifyPolyline([...points.slice(splitIndex), points[0]], tolerance);
+        const simplified = [...firstHalf.slice(0, -1), ...secondHalf.slice(0, -1)];
+
+        if (simplified.length >= CONFIG.POLYGON.MIN_POINTS) {
+            return simplified.map(point => ({ ...point }));
+        }
+
+        // Tolerance collapsed the outline - keep the triangle that best preserves its extent
+        let apexIndex = -1;
+        let apexDistance = -1;
+        points.forEach((point, index) => {
+            if (index === 0 || index === splitIndex) return;
+            const distance = this.pointToSegmentDistance(point, points[0], points[splitIndex]);
+            if (distance > apexDistance) {
+                apexDistance = distance;
+                apexIndex = index;
+            }
+        });
+
+        return [0, splitIndex, apexIndex]
+            .sort((a, b) => a - b)
+            .map(index => ({ ...points[index] }));
+    }
+
+    /**
+     * Douglas-Peucker simplification of an open polyline (endpoints are always kept)
+     */
+    simplifyPolyline(points, tolerance) {
+        if (points.length <= 2) {
+            return [...points];
+        }
+
+        const keep = new Array(points.length).fill(false);
+        keep[0] = true;
+        keep[points.length - 1] = true;
+
+        // Iterative to avoid deep recursion on dense SAM outlines
+        const ranges = [[0, points.length - 1]];
+        while (ranges.length > 0) {
+            const [start, end] = ranges.pop();
+            let maxDistance = 0;
+            let maxIndex = -1;
+
+            for (let i = start + 1; i < end; i++) {
+                const distance = this.pointToSegmentDistance(points[i], points[start], points[end]);
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    maxIndex = i;
+                }
+            }
+
+            if (maxIndex !== -1 && maxDistance > tolerance) {
+                keep[maxIndex] = true;
+                ranges.push([start, maxIndex], [maxIndex, end]);
+            }
+        }
+
+        return points.filter((point, index) => keep[index]);
+    }
+
+    /**
+     * Distance from a point to a line segment
+     */
+    pointToSegmentDistance(point, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx * dx + dy * dy;
+
+        if (lengthSquared === 0) {
+            return Math.hypot(point.x - start.x, point.y - start.y);
+        }
+
+        const t = Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+        return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+    }
+
+    /**
+     * Check whether a segmentation mask is an editable polygon ({x, y} vertex array)
+     */
+    isPolygonMask(mask) {
+        return Array.isArray(mask) &&
+            mask.length >= CONFIG.POLYGON.MIN_POINTS &&
+            mask.every(point => point && typeof point.x === 'number' && typeof point.y === 'number');
+    }
+
+    /**
+     * Copy polygon vertices, rounded to 0.1px to keep saved data compact
+     */
+    normalizePolygon(points) {
+        return points.map(point => ({
+            x: Math.round(Math.max(0, point.x) * 10) / 10,
+            y: Math.round(Math.max(0, point.y) * 10) / 10
+        }));
+    }
+
+    /**
+     * Get the axis-aligned bounding box of a polygon
+     */
+    getPolygonBounds(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const minX = Math.floor(Math.min(...xs));
+        const minY = Math.floor(Math.min(...ys));
+
+        return {
+            x: minX,
+            y: minY,
+            width: Math.ceil(Math.max(...xs)) - minX,
+            height: Math.ceil(Math.max(...ys)) - minY
+        };
+    }
+
+    /**
+     * Map polygon vertices from one bounding box to another (translate and scale)
+     */
+    mapPolygonToBounds(points, fromBbox, toBbox) {
+        const scaleX = fromBbox.width > 0 ? toBbox.width / fromBbox.width : 1;
+        const scaleY = fromBbox.height > 0 ? toBbox.height / fromBbox.height : 1;
+
+        return this.normalizePolygon(points.map(point => ({
+            x: toBbox.x + (point.x - fromBbox.x) * scaleX,
+            y: toBbox.y + (point.y - fromBbox.y) * scaleY
+        })));
+    }
+
     /**
      * Delete an annotation
      * @param {string} id - Annotation ID
@@ -312,18 +855,19 @@ export class AnnotationManager {
 
         const imageId = annotation.imageId;
         const imageAnnotations = this.annotations.get(imageId) || [];
+        const index = imageAnnotations.indexOf(annotation);
         
         // Remove from annotations array
         const filteredAnnotations = imageAnnotations.filter(ann => ann.id !== id);
         this.annotations.set(imageId, filteredAnnotations);
 
-        // Clear selection if deleted annotation was selected
-        if (this.selectedAnnotation === id) {
-            this.selectedAnnotation = null;
+        // Drop the deleted annotation from the selection
+        if (this.removeFromSelection(id)) {
+            this.notifySelectionChanged();
         }
 
-        // Add to history
-        this.addToHistory('delete', annotation);
+        // Add to history (keep position so undo restores drawing order)
+        this.addToHistory('delete', annotation, null, { index });
 
         console.log(`Deleted annotation ${id}`);
 
@@ -352,7 +896,14 @@ export class AnnotationManager {
             return false;
         }
 
-        return this.changeAnnotationState(annotation, newState);
+        const originalAnnotation = { ...annotation };
+        const success = this.changeAnnotationState(annotation, newState);
+
+        if (success && originalAnnotation.state !== annotation.state) {
+            this.addToHistory('state', annotation, originalAnnotation);
+        }
+
+        return success;
     }
 
     /**
@@ -380,6 +931,22 @@ export class AnnotationManager {
             // Allow it anyway but log the warning
         }
 
+        // Required metadata fields must be filled in before verifying
+        if (validatedState === 'Verified') {
+            const missingFields = this.getMissingRequiredMetadata(annotation);
+            if (missingFields.length > 0) {
+                console.warn(`Cannot verify annotation ${annotation.id}: missing ${missingFields.map(field => field.key).join(', ')}`);
+                this.notifyMetadataRequired(annotation, missingFields);
+                return false;
+            }
+        }
+
+        // A rejection reason no longer applies once the annotation leaves Rejected
+        if (oldState === 'Rejected' && annotation.metadata?.rejected_reason !== undefined) {
+            const { rejected_reason, ...metadata } = annotation.metadata;
+            annotation.metadata = metadata;
+        }
+
         // Update state and timestamp
         annotation.state = validatedState;
         annotation.modifiedAt = new Date();
@@ -424,23 +991,47 @@ export class AnnotationManager {
     }
 
     /**
-     * Get annotation counts by state for current image
-     * @returns {Object} - Count object with state names as keys
+     * Get the current image's annotations that the confidence filter does not hide
+     * @returns {Array} - Visible annotations, in drawing order
      */
-    getAnnotationCounts() {
-        const annotations = this.getCurrentAnnotations();
+    getVisibleAnnotations() {
+        return this.getCurrentAnnotations().filter(annotation => !this.isAnnotationHidden(annotation));
+    }
+
+    /**
+     * Get the current image's annotations that count towards totals, i.e. without
+     * suggestions below the confidence threshold
+     * @returns {Array} - Counted annotations, in drawing order
+     */
+    getCountedAnnotations() {
+        return this.getCurrentAnnotations().filter(annotation => !this.isBelowConfidenceThreshold(annotation));
+    }
+
+    /**
+     * Get annotation counts by state for an image. Suggested annotations below the
+     * confidence threshold are left out and counted separately as belowThreshold.
+     * @param {string} imageId - Optional image ID (defaults to current image)
+     * @returns {Object} - Count object with state names as keys, plus total and belowThreshold
+     */
+    getAnnotationCounts(imageId = null) {
+        const targetImageId = imageId || this.currentImageId;
+        const annotations = targetImageId ? (this.annotations.get(targetImageId) || []) : [];
         
         const counts = {
             Suggested: 0,
             Modified: 0,
             Verified: 0,
             Rejected: 0,
-            total: annotations.length
+            total: 0,
+            belowThreshold: 0
         };
 
         annotations.forEach(annotation => {
-            if (counts.hasOwnProperty(annotation.state)) {
+            if (this.isBelowConfidenceThreshold(annotation)) {
+                counts.belowThreshold++;
+            } else if (counts.hasOwnProperty(annotation.state)) {
                 counts[annotation.state]++;
+                counts.total++;
             }
         });
 
@@ -448,57 +1039,558 @@ export class AnnotationManager {
     }
 
     /**
-     * Select an annotation
-     * @param {string} annotationId - Annotation ID to select
-     * @returns {boolean} - Success status
+     * Get the confidence filter settings
+     * @returns {Object} - { threshold, classThresholds, display, autoReject, autoRejectBelow }
      */
-    selectAnnotation(annotationId) {
-        if (!annotationId) {
-            this.clearSelection();
-            return true;
+    getConfidenceFilter() {
+        return { ...this.confidenceFilter, classThresholds: { ...this.confidenceFilter.classThresholds } };
+    }
+
+    /**
+     * Update the confidence filter. Omitted fields keep their value; a class threshold
+     * of null removes that class's override. Annotations that become hidden are deselected.
+     * @param {Object} changes - { threshold, classThresholds, display, autoReject, autoRejectBelow }
+     * @returns {Object} - { success, error }
+     */
+    setConfidenceFilter(changes = {}) {
+        const isThreshold = value => typeof value === 'number' && value >= 0 && value <= 1;
+        const filter = this.getConfidenceFilter();
+
+        if (changes.threshold !== undefined) {
+            if (!isThreshold(changes.threshold)) {
+                return { success: false, error: 'Confidence threshold must be between 0 and 1' };
+            }
+            filter.threshold = changes.threshold;
         }
 
-        const annotation = this.findAnnotationByIdInternal(annotationId);
-        if (!annotation) {
-            console.error(`Cannot select annotation: annotation ${annotationId} not found`);
-            return false;
+        for (const [className, threshold] of Object.entries(changes.classThresholds || {})) {
+            if (threshold === null) {
+                delete filter.classThresholds[className];
+            } else if (isThreshold(threshold)) {
+                filter.classThresholds[className] = threshold;
+            } else {
+                return { success: false, error: `Confidence threshold for ${className} must be between 0 and 1` };
+            }
         }
 
-        // Clear previous selection
-        this.clearSelection();
+        if (changes.display !== undefined) {
+            if (changes.display !== 'dim' && changes.display !== 'hide') {
+                return { success: false, error: `Unknown confidence display: ${changes.display}` };
+            }
+            filter.display = changes.display;
+        }
 
-        // Set new selection
-        annotation.selected = true;
-        this.selectedAnnotation = annotationId;
+        if (changes.autoRejectBelow !== undefined) {
+            if (!isThreshold(changes.autoRejectBelow)) {
+                return { success: false, error: 'Auto-reject confidence must be between 0 and 1' };
+            }
+            filter.autoRejectBelow = changes.autoRejectBelow;
+        }
 
-        console.log(`Selected annotation ${annotationId}`);
+        if (changes.autoReject !== undefined) {
+            filter.autoReject = Boolean(changes.autoReject);
+        }
 
-        // Notify listeners
-        this.notifyAnnotationSelected(annotation);
+        this.confidenceFilter = filter;
 
-        return true;
+        const hidden = this.getSelectedAnnotations().filter(annotation => this.isAnnotationHidden(annotation));
+        if (hidden.some(annotation => this.removeFromSelection(annotation.id))) {
+            this.notifySelectionChanged();
+        }
+
+        this.notifyAnnotationsChanged();
+        return { success: true };
     }
 
     /**
-     * Clear annotation selection
+     * Confidence threshold that applies to a class
+     * @param {string} className - Class name
+     * @returns {number} - The class's own threshold, else the global one
      */
-    clearSelection() {
-        if (this.selectedAnnotation) {
-            const annotation = this.findAnnotationByIdInternal(this.selectedAnnotation);
-            if (annotation) {
-                annotation.selected = false;
-            }
-            
-            console.log(`Cleared selection of annotation ${this.selectedAnnotation}`);
-            this.selectedAnnotation = null;
-        }
+    getConfidenceThreshold(className) {
+        return this.confidenceFilter.classThresholds[className] ?? this.confidenceFilter.threshold;
     }
 
     /**
-     * Get currently selected annotation
-     * @returns {Object|null} - Selected annotation or null
+     * Whether an annotation is a Suggested annotation below its class's confidence threshold.
+     * Reviewed annotations are never filtered.
      */
-    getSelectedAnnotation() {
+    isBelowConfidenceThreshold(annotation) {
+        return annotation.state === 'Suggested' &&
+            annotation.confidence < this.getConfidenceThreshold(annotation.className);
+    }
+
+    /**
+     * Whether the confidence filter hides an annotation rather than dimming it
+     */
+    isAnnotationHidden(annotation) {
+        return this.confidenceFilter.display === 'hide' && this.isBelowConfidenceThreshold(annotation);
+    }
+
+    /**
+     * Reject Suggested annotations of the current image below the auto-reject confidence,
+     * as a single undo step. Each is recorded in the history with rejected_reason
+     * 'below_threshold', which is also stored in the annotation's metadata.
+     * @param {Array} annotationIds - Only consider these annotations (defaults to all)
+     * @returns {Object} - { success, count }
+     */
+    autoRejectLowConfidence(annotationIds = null) {
+        const below = this.getCurrentAnnotations().filter(annotation =>
+            (!annotationIds || annotationIds.includes(annotation.id)) &&
+            annotation.state === 'Suggested' &&
+            annotation.confidence < this.confidenceFilter.autoRejectBelow);
+
+        if (below.length === 0) {
+            return { success: true, count: 0 };
+        }
+
+        this.beginHistoryGroup('auto-reject');
+        try {
+            below.forEach(annotation => this.rejectWithReason(annotation, 'below_threshold'));
+        } finally {
+            this.endHistoryGroup();
+        }
+
+        console.log(`Auto-rejected ${below.length} suggestions below ${this.confidenceFilter.autoRejectBelow} confidence`);
+        return { success: true, count: below.length };
+    }
+
+    /**
+     * Reject an annotation, recording the reason as rejected_reason in both its metadata
+     * and its history entry
+     * @param {Object} annotation - Annotation object
+     * @param {string} reason - Rejection reason, e.g. 'below_threshold' or 'duplicate'
+     */
+    rejectWithReason(annotation, reason) {
+        const originalAnnotation = { ...annotation };
+        annotation.metadata = { ...annotation.metadata, rejected_reason: reason };
+        this.changeAnnotationState(annotation, 'Rejected');
+        this.addToHistory('state', annotation, originalAnnotation, { rejected_reason: reason });
+    }
+
+    /**
+     * Reject annotations of the current image with a rejection reason, as a single undo
+     * step. Annotations that are already Rejected get the new reason.
+     * @param {Array} annotationIds - Annotation IDs
+     * @param {string} reason - Rejection reason key from CONFIG.REJECTION.REASONS
+     * @param {string} label - Undo step label
+     * @returns {Object} - { success, count, error }
+     */
+    rejectAnnotations(annotationIds, reason, label = 'reject') {
+        if (!isRejectionReason(reason)) {
+            return { success: false, count: 0, error: `Unknown rejection reason: ${reason}` };
+        }
+
+        const annotations = annotationIds
+            .map(id => this.findAnnotationByIdInternal(id))
+            .filter(annotation => annotation && annotation.imageId === this.currentImageId);
+        if (annotations.length === 0) {
+            return { success: false, count: 0, error: 'No annotations to reject' };
+        }
+
+        this.beginHistoryGroup(label);
+        try {
+            annotations.forEach(annotation => this.rejectWithReason(annotation, reason));
+        } finally {
+            this.endHistoryGroup();
+        }
+
+        console.log(`Rejected ${annotations.length} annotations as ${reason}`);
+        return { success: true, count: annotations.length };
+    }
+
+    /**
+     * Reject every selected annotation with a rejection reason, as a single undo step
+     * @param {string} reason - Rejection reason key from CONFIG.REJECTION.REASONS
+     * @returns {Object} - { success, count, error }
+     */
+    rejectSelection(reason) {
+        return this.rejectAnnotations([...this.selectedAnnotationIds], reason, 'rejected selection');
+    }
+
+    /**
+     * Count rejection reasons of Rejected annotations overall, per class and per model
+     * version, for detector failure analysis. Rejections without a reason count as
+     * 'unspecified'; the model version is the metadata source and model_version
+     * (e.g. "GroundingDINO 1.5"), or 'manual' for annotations drawn by hand.
+     * @param {Array} annotations - Annotations to count (defaults to every loaded image)
+     * @returns {Object} - { total, byReason, byClass, byModelVersion }, each a map of reason counts
+     */
+    getRejectionStatistics(annotations = null) {
+        const source = annotations || [...this.annotations.values()].flat();
+        const stats = { total: 0, byReason: {}, byClass: {}, byModelVersion: {} };
+        const increment = (groups, key, reason) => {
+            groups[key] = groups[key] || {};
+            groups[key][reason] = (groups[key][reason] || 0) + 1;
+        };
+
+        source.filter(annotation => annotation.state === 'Rejected').forEach(annotation => {
+            const reason = annotation.metadata?.rejected_reason || 'unspecified';
+            const modelVersion = [annotation.metadata?.source, annotation.metadata?.model_version]
+                .filter(Boolean).join(' ') || 'manual';
+
+            stats.total++;
+            stats.byReason[reason] = (stats.byReason[reason] || 0) + 1;
+            increment(stats.byClass, annotation.className, reason);
+            increment(stats.byModelVersion, modelVersion, reason);
+        });
+
+        return stats;
+    }
+
+    /**
+     * Rejection statistics as a CSV table with one row per group and reason
+     * @param {Object} stats - Statistics from getRejectionStatistics
+     * @returns {string} - CSV with group, value, rejected_reason, reason_label and count columns
+     */
+    rejectionStatisticsToCSV(stats) {
+        const headers = ['group', 'value', 'rejected_reason', 'reason_label', 'count'];
+        const rows = [];
+        const addRows = (group, value, counts) => {
+            Object.entries(counts).forEach(([reason, count]) => {
+                rows.push([group, value, reason, getRejectionReasonLabel(reason), count]);
+            });
+        };
+
+        addRows('all', 'ALL', stats.byReason);
+        Object.entries(stats.byClass).forEach(([className, counts]) => addRows('class', className, counts));
+        Object.entries(stats.byModelVersion).forEach(([modelVersion, counts]) => addRows('model_version', modelVersion, counts));
+
+        return [headers, ...rows]
+            .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+            .join('\n');
+    }
+
+    /**
+     * Review progress of an image, derived from its annotation counts. Images with nothing
+     * verified, modified or rejected yet count as opened once the annotator has opened them
+     * this session, and as not started otherwise (including images only looked ahead at).
+     * Suggestions below the confidence threshold are still unreviewed: an image is only
+     * verified once they are reviewed too, e.g. by auto-reject.
+     * @param {string} imageId - Image ID
+     * @returns {Object} - { status: 'not_started' | 'opened' | 'in_progress' | 'verified', loaded,
+     *   opened, counts, hasRejected, hasUnverified }
+     */
+    getImageProgress(imageId) {
+        const counts = this.getAnnotationCounts(imageId);
+        const reviewed = counts.Verified + counts.Modified + counts.Rejected;
+        const opened = this.openedImageIds.has(imageId);
+
+        let status = 'in_progress';
+        if (reviewed === 0) {
+            status = opened ? 'opened' : 'not_started';
+        } else if (counts.Suggested === 0 && counts.Modified === 0 && counts.belowThreshold === 0) {
+            status = 'verified';
+        }
+
+        return {
+            status,
+            loaded: this.annotations.has(imageId),
+            opened,
+            counts,
+            hasRejected: counts.Rejected > 0,
+            hasUnverified: counts.Suggested + counts.belowThreshold > 0
+        };
+    }
+
+    /**
+     * Set every Suggested or Modified annotation of the current image to one state,
+     * as a single undo step. Suggestions below the confidence threshold are left alone
+     * unless options.includeBelowThreshold is set (the verification gate counts them).
+     * @param {string} newState - 'Verified' or 'Rejected'
+     * @param {string} reason - Rejection reason when rejecting (see CONFIG.REJECTION)
+     * @param {Object} options - { includeBelowThreshold }
+     * @returns {Object} - { success, count, blockedCount, error } - blockedCount objects could
+     *   not be verified because required metadata is missing
+     */
+    resolveUnreviewedAnnotations(newState, reason = CONFIG.REJECTION.DEFAULT_REASON, options = {}) {
+        if (newState !== 'Verified' && newState !== 'Rejected') {
+            return { success: false, count: 0, error: `Cannot resolve unreviewed annotations as ${newState}` };
+        }
+        if (newState === 'Rejected' && !isRejectionReason(reason)) {
+            return { success: false, count: 0, error: `Unknown rejection reason: ${reason}` };
+        }
+
+        const unreviewed = this.getCurrentAnnotations()
+            .filter(annotation => annotation.state === 'Suggested' || annotation.state === 'Modified')
+            .filter(annotation => options.includeBelowThreshold || !this.isBelowConfidenceThreshold(annotation));
+        let count = 0;
+
+        this.beginHistoryGroup(newState === 'Verified' ? 'verify remaining' : 'reject remaining');
+        try {
+            unreviewed.forEach(annotation => {
+                if (newState === 'Rejected') {
+                    this.rejectWithReason(annotation, reason);
+                    count++;
+                } else if (this.changeState(annotation, newState)) {
+                    count++;
+                }
+            });
+        } finally {
+            this.endHistoryGroup();
+        }
+
+        console.log(`Set ${count} unreviewed annotations to ${newState}`);
+        return { success: true, count, blockedCount: unreviewed.length - count };
+    }
+
+    /**
+     * Record that the verification gate was overridden on the current image. The entry
+     * is kept in the annotation history (and its exports) but is not an undoable step.
+     * @param {string} trigger - What the reviewer went on to do, e.g. 'navigate' or 'export'
+     * @param {string} reason - Reason given by the reviewer
+     */
+    recordVerificationOverride(trigger, reason) {
+        const counts = this.getAnnotationCounts();
+        this.addToHistory('verification_override', null, null, {
+            trigger,
+            reason,
+            remaining: { Suggested: counts.Suggested, Modified: counts.Modified, belowThreshold: counts.belowThreshold }
+        });
+    }
+
+    /**
+     * Get an image's annotations without opening it, so review queues can look ahead.
+     * Responses are kept in peekedAnnotations rather than the working set, so images
+     * that were only looked at are not exported, counted or badged.
+     * @param {string} imageId - Image ID
+     * @returns {Promise<Array|null>} - Annotations, or null if they could not be loaded
+     */
+    async peekAnnotations(imageId) {
+        if (this.annotations.has(imageId)) {
+            return [...this.annotations.get(imageId)];
+        }
+
+        if (!this.peekedAnnotations.has(imageId)) {
+            const result = await apiClient.getAnnotations(imageId);
+            if (!result.success) {
+                console.warn(`Could not look ahead at annotations for image ${imageId}:`, result.error);
+                return null;
+            }
+            this.peekedAnnotations.set(imageId, result);
+        }
+
+        return this.processLoadedAnnotations(this.peekedAnnotations.get(imageId).annotations, imageId);
+    }
+
+    /**
+     * Check whether a set of annotations puts its image in a review queue
+     * @param {Array} annotations - Annotations of one image
+     * @param {Object} queue - { mode: 'all' | 'unverified' | 'class' | 'low_confidence', className, threshold }
+     *   ('scene' queues match on scene attributes, see imageAttributesMatchReviewQueue)
+     * @returns {boolean} - True if the image belongs to the queue
+     */
+    annotationsMatchReviewQueue(annotations, queue) {
+        switch (queue.mode) {
+            case 'unverified':
+                // Suggestions below the confidence threshold do not need review
+                return annotations.some(annotation =>
+                    (annotation.state === 'Suggested' || annotation.state === 'Modified') &&
+                    !this.isBelowConfidenceThreshold(annotation));
+            case 'class':
+                return annotations.some(annotation =>
+                    annotation.className === queue.className && annotation.state !== 'Rejected');
+            case 'low_confidence': {
+                const threshold = queue.threshold ?? CONFIG.REVIEW_QUEUE.LOW_CONFIDENCE_THRESHOLD;
+                return annotations.some(annotation =>
+                    annotation.state === 'Suggested' && annotation.confidence < threshold);
+            }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Check whether an image belongs to a review queue, loading its annotations if needed.
+     * Images whose annotations cannot be loaded match, so the reviewer gets to see them.
+     * @param {string} imageId - Image ID
+     * @param {Object} queue - See annotationsMatchReviewQueue
+     * @returns {Promise<boolean>} - True if the image belongs to the queue
+     */
+    async imageMatchesReviewQueue(imageId, queue) {
+        if (queue.mode === 'scene') {
+            return this.imageAttributesMatchReviewQueue(await this.loadImageAttributes(imageId), queue);
+        }
+        const annotations = await this.peekAnnotations(imageId);
+        return annotations === null || this.annotationsMatchReviewQueue(annotations, queue);
+    }
+
+    /**
+     * Select an annotation, replacing the current selection
+     * @param {string} annotationId - Annotation ID to select
+     * @returns {boolean} - Success status
+     */
+    selectAnnotation(annotationId) {
+        if (!annotationId) {
+            this.clearSelection();
+            return true;
+        }
+
+        const annotation = this.findAnnotationByIdInternal(annotationId);
+        if (!annotation) {
+            console.error(`Cannot select annotation: annotation ${annotationId} not found`);
+            return false;
+        }
+
+        // Clear previous selection
+        this.clearSelection();
+
+        // Set new selection
+        annotation.selected = true;
+        this.selectedAnnotation = annotationId;
+        this.selectedAnnotationIds.add(annotationId);
+
+        console.log(`Selected annotation ${annotationId}`);
+
+        // Notify listeners
+        this.notifyAnnotationSelected(annotation);
+        this.notifySelectionChanged();
+
+        return true;
+    }
+
+    /**
+     * Add an annotation to the selection, or remove it if it is already selected (shift-click)
+     * @param {string} annotationId - Annotation ID
+     * @returns {boolean} - True if the annotation is selected afterwards
+     */
+    toggleAnnotationSelection(annotationId) {
+        const annotation = this.findAnnotationByIdInternal(annotationId);
+        if (!annotation) {
+            console.error(`Cannot toggle selection: annotation ${annotationId} not found`);
+            return false;
+        }
+
+        if (this.selectedAnnotationIds.has(annotationId)) {
+            this.removeFromSelection(annotationId);
+            const primary = this.getSelectedAnnotation();
+            if (primary) {
+                this.notifyAnnotationSelected(primary);
+            }
+            this.notifySelectionChanged();
+            return false;
+        }
+
+        annotation.selected = true;
+        this.selectedAnnotationIds.add(annotationId);
+        this.selectedAnnotation = annotationId;
+
+        this.notifyAnnotationSelected(annotation);
+        this.notifySelectionChanged();
+        return true;
+    }
+
+    /**
+     * Select several annotations of the current image (marquee, select all of class, select in ROI)
+     * @param {Array<string>} annotationIds - Annotation IDs; unknown IDs are ignored
+     * @param {boolean} additive - Keep the current selection and add to it
+     * @returns {number} - Number of selected annotations afterwards
+     */
+    selectAnnotations(annotationIds, additive = false) {
+        if (!additive) {
+            this.clearSelection();
+        }
+
+        let lastAdded = null;
+        annotationIds.forEach(annotationId => {
+            const annotation = this.findAnnotationByIdInternal(annotationId);
+            if (annotation && !this.selectedAnnotationIds.has(annotationId)) {
+                annotation.selected = true;
+                this.selectedAnnotationIds.add(annotationId);
+                lastAdded = annotation;
+            }
+        });
+
+        if (lastAdded) {
+            this.selectedAnnotation = lastAdded.id;
+            this.notifyAnnotationSelected(lastAdded);
+        }
+        this.notifySelectionChanged();
+
+        console.log(`Selected ${this.selectedAnnotationIds.size} annotations`);
+        return this.selectedAnnotationIds.size;
+    }
+
+    /**
+     * Select every annotation of a class on the current image. Rejected and hidden annotations
+     * are skipped.
+     * @param {string} className - Class name
+     * @param {boolean} additive - Keep the current selection and add to it
+     * @returns {number} - Number of selected annotations afterwards
+     */
+    selectAnnotationsByClass(className, additive = false) {
+        const ids = this.getVisibleAnnotations()
+            .filter(annotation => annotation.className === className && annotation.state !== 'Rejected')
+            .map(annotation => annotation.id);
+        return this.selectAnnotations(ids, additive);
+    }
+
+    /**
+     * Select every annotation inside an ROI (under the ROI's inclusion policy). Rejected
+     * and hidden annotations are skipped.
+     * @param {string} roiId - ROI ID (defaults to the current ROI)
+     * @param {boolean} additive - Keep the current selection and add to it
+     * @returns {Object} - { success, count, error }
+     */
+    selectAnnotationsInROI(roiId = null, additive = false) {
+        const roi = roiId ? roiManager.findROIById(roiId) : roiManager.getCurrentROI();
+        if (!roi) {
+            return { success: false, count: 0, error: 'Draw or select an ROI first' };
+        }
+
+        const ids = this.getVisibleAnnotations()
+            .filter(annotation => annotation.state !== 'Rejected' && roiManager.isAnnotationInROI(annotation, roi))
+            .map(annotation => annotation.id);
+        return { success: true, count: this.selectAnnotations(ids, additive) };
+    }
+
+    /**
+     * Clear annotation selection
+     */
+    clearSelection() {
+        if (this.selectedAnnotationIds.size === 0 && !this.selectedAnnotation) {
+            return;
+        }
+
+        this.selectedAnnotationIds.forEach(annotationId => {
+            const annotation = this.findAnnotationByIdInternal(annotationId);
+            if (annotation) {
+                annotation.selected = false;
+            }
+        });
+
+        console.log(`Cleared selection of ${this.selectedAnnotationIds.size} annotations`);
+        this.selectedAnnotationIds.clear();
+        this.selectedAnnotation = null;
+        this.notifySelectionChanged();
+    }
+
+    /**
+     * Drop one annotation from the selection without notifying listeners
+     * @returns {boolean} - True if the annotation was selected
+     */
+    removeFromSelection(annotationId) {
+        if (!this.selectedAnnotationIds.delete(annotationId)) {
+            return false;
+        }
+
+        const annotation = this.findAnnotationByIdInternal(annotationId);
+        if (annotation) {
+            annotation.selected = false;
+        }
+
+        if (this.selectedAnnotation === annotationId) {
+            const remaining = [...this.selectedAnnotationIds];
+            this.selectedAnnotation = remaining[remaining.length - 1] || null;
+        }
+        return true;
+    }
+
+    /**
+     * Get currently selected annotation
+     * @returns {Object|null} - Selected annotation or null
+     */
+    getSelectedAnnotation() {
         if (!this.selectedAnnotation) {
             return null;
         }
@@ -506,14 +1598,141 @@ export class AnnotationManager {
         return this.findAnnotationByIdInternal(this.selectedAnnotation);
     }
 
+    /**
+     * Get all selected annotations, in drawing order
+     * @returns {Array} - Selected annotations of the current image
+     */
+    getSelectedAnnotations() {
+        return this.getCurrentAnnotations().filter(annotation => this.selectedAnnotationIds.has(annotation.id));
+    }
+
+    /**
+     * Set the state of every selected annotation as a single undo step
+     * @param {string} newState - Verification state
+     * @returns {Object} - { success, count, error }
+     */
+    setSelectionState(newState) {
+        if (this.validateState(newState) !== newState) {
+            return { success: false, count: 0, error: `Invalid state: ${newState}` };
+        }
+
+        return this.applyToSelection(`${newState.toLowerCase()} selection`,
+            annotation => annotation.state !== newState && this.changeState(annotation, newState));
+    }
+
+    /**
+     * Set the class of every selected annotation as a single undo step
+     * @param {string} className - Class name from the taxonomy
+     * @returns {Object} - { success, count, error }
+     */
+    setSelectionClass(className) {
+        if (!getClassDefinition(className)) {
+            return { success: false, count: 0, error: `Unknown class: ${className}` };
+        }
+
+        return this.applyToSelection('change class of selection',
+            annotation => annotation.className !== className && this.updateAnnotation(annotation.id, { className }));
+    }
+
+    /**
+     * Delete every selected annotation as a single undo step
+     * @returns {Object} - { success, count, error }
+     */
+    deleteSelection() {
+        return this.applyToSelection('delete selection', annotation => this.deleteAnnotation(annotation.id));
+    }
+
+    /**
+     * Run an edit on every selected annotation inside one history group
+     * @param {string} label - Undo step label
+     * @param {Function} edit - (annotation) => boolean, true if the annotation changed
+     * @returns {Object} - { success, count, error }
+     */
+    applyToSelection(label, edit) {
+        const selected = this.getSelectedAnnotations();
+        if (selected.length === 0) {
+            return { success: false, count: 0, error: 'No annotations selected' };
+        }
+
+        let count = 0;
+        this.beginHistoryGroup(label);
+        try {
+            selected.forEach(annotation => {
+                if (edit(annotation)) count++;
+            });
+        } finally {
+            this.endHistoryGroup();
+        }
+
+        console.log(`Applied "${label}" to ${count} of ${selected.length} selected annotations`);
+        return { success: true, count };
+    }
+
+    /**
+     * Copy the selected annotations so they can be pasted on this or another image
+     * @returns {Object} - { success, count, error }
+     */
+    copySelection() {
+        const selected = this.getSelectedAnnotations();
+        if (selected.length === 0) {
+            return { success: false, count: 0, error: 'No annotations selected' };
+        }
+
+        this.clipboard = selected.map(annotation => JSON.parse(JSON.stringify(annotation)));
+        console.log(`Copied ${this.clipboard.length} annotations`);
+
+        // Selection listeners also show whether there is something to paste
+        this.notifySelectionChanged();
+        return { success: true, count: this.clipboard.length };
+    }
+
+    /**
+     * Paste copied annotations onto the current image as new Modified annotations,
+     * as a single undo step. The pasted annotations become the selection.
+     * @returns {Object} - { success, count, error }
+     */
+    pasteAnnotations() {
+        if (this.clipboard.length === 0) {
+            return { success: false, count: 0, error: 'Nothing to paste' };
+        }
+        if (!this.currentImageId) {
+            return { success: false, count: 0, error: 'No image loaded' };
+        }
+
+        const pastedIds = [];
+        this.beginHistoryGroup('paste');
+        try {
+            this.clipboard.forEach(snapshot => {
+                const annotation = this.createAnnotation({ ...snapshot.bbox }, snapshot.className, snapshot.confidence, {
+                    segmentationMask: snapshot.segmentationMask ? JSON.parse(JSON.stringify(snapshot.segmentationMask)) : null,
+                    occlusion: snapshot.occlusion,
+                    truncated: snapshot.truncated,
+                    crowd: snapshot.crowd,
+                    metadata: JSON.parse(JSON.stringify(snapshot.metadata || {}))
+                });
+                if (annotation) pastedIds.push(annotation.id);
+            });
+        } finally {
+            this.endHistoryGroup();
+        }
+
+        this.selectAnnotations(pastedIds);
+        return { success: true, count: pastedIds.length };
+    }
+
     /**
      * Export annotations in specified format
      * @param {string} format - Export format (yolo, pascal_voc, coco)
      * @param {string} imageId - Optional image ID (defaults to current image)
      * @param {Object} imageMetadata - Optional image metadata for proper export
-     * @returns {Object} - Export result
+     * @param {Object} options - Export options ({ policy, includeFhwa, includeRejectionStats, mutcdCategories } -
+     *   policy defaults to CONFIG.EXPORT_POLICY.DEFAULT; mutcdCategories gives signs their MUTCD code's
+     *   COCO category)
+     * @returns {Object} - Export result including a per-image report of held back objects. Skipped
+     *   and unusable images, and images with nothing to export unless marked complete with no
+     *   objects, fail with excluded: true (JSON exports still cover images with nothing to export)
      */
-    exportAnnotations(format = 'yolo', imageId = null, imageMetadata = null) {
+    exportAnnotations(format = 'yolo', imageId = null, imageMetadata = null, options = {}) {
         const targetImageId = imageId || this.currentImageId;
         if (!targetImageId) {
             return {
@@ -522,9 +1741,42 @@ export class AnnotationManager {
             };
         }
 
-        const annotations = this.annotations.get(targetImageId) || [];
-        
         try {
+            const review = this.getImageReviewStatus(targetImageId);
+            if (CONFIG.IMAGE_REVIEW.NOT_EXPORTED.includes(review.status)) {
+                return {
+                    success: false,
+                    excluded: true,
+                    reviewStatus: review.status,
+                    error: `Image ${targetImageId} is marked ${getImageReviewStatusLabel(review.status).toLowerCase()} and is not exported`
+                };
+            }
+
+            // Enforce the export policy before any exporter sees the annotations
+            const policyResult = this.applyExportPolicy(
+                this.annotations.get(targetImageId) || [],
+                options.policy
+            );
+            const annotations = policyResult.exportable;
+
+            // A label file without objects claims the image has none
+            if (annotations.length === 0 && format.toLowerCase() !== 'json' && review.status !== 'complete_empty') {
+                return {
+                    success: false,
+                    excluded: true,
+                    reviewStatus: review.status,
+                    error: `Image ${targetImageId} has no objects to export; mark it "${getImageReviewStatusLabel('complete_empty')}" to export it without labels`
+                };
+            }
+
+            // Named ROIs with per-ROI class counts of the exported objects
+            const regions = this.getROIExportData(annotations, targetImageId);
+            // Directional count lines with per-direction class counts (TMC-style)
+            const countLines = this.getCountLineExportData(annotations, targetImageId);
+            // Scene attributes travel with the image for stratified splits
+            const imageAttributes = this.getImageAttributes(targetImageId);
+            const exportOptions = { ...options, regions, countLines, imageAttributes, reviewStatus: review };
+
             let exportData;
             let filename;
             let mimeType = 'application/json';
@@ -536,17 +1788,17 @@ export class AnnotationManager {
                     mimeType = 'text/plain';
                     break;
                 case 'pascal_voc':
-                    exportData = this.exportToPascalVOC(annotations, imageMetadata);
+                    exportData = this.exportToPascalVOC(annotations, imageMetadata, exportOptions);
                     filename = `annotations_voc_${targetImageId}_${Date.now()}.xml`;
                     mimeType = 'application/xml';
                     break;
                 case 'coco':
-                    exportData = this.exportToCOCO(annotations, imageMetadata);
+                    exportData = this.exportToCOCO(annotations, imageMetadata, exportOptions);
                     filename = `annotations_coco_${targetImageId}_${Date.now()}.json`;
                     mimeType = 'application/json';
                     break;
                 case 'json':
-                    exportData = this.exportToJSON(annotations, imageMetadata);
+                    exportData = this.exportToJSON(annotations, imageMetadata, exportOptions);
                     filename = `annotations_${targetImageId}_${Date.now()}.json`;
                     mimeType = 'application/json';
                     break;
@@ -554,7 +1806,7 @@ export class AnnotationManager {
                     throw new Error(`Unsupported export format: ${format}`);
             }
 
-            console.log(`Exported ${annotations.length} annotations in ${format} format`);
+            console.log(`Exported ${annotations.length} annotations in ${format} format (${policyResult.heldBack.length} held back by ${policyResult.policy} policy)`);
 
             return {
                 success: true,
@@ -563,7 +1815,21 @@ export class AnnotationManager {
                 filename: filename,
                 mimeType: mimeType,
                 annotationCount: annotations.length,
-                imageId: targetImageId
+                imageId: targetImageId,
+                reviewStatus: review.status,
+                exportReport: {
+                    policy: policyResult.policy,
+                    exportedCount: annotations.length,
+                    heldBackCount: policyResult.heldBack.length,
+                    heldBack: policyResult.heldBack
+                },
+                fhwaSummary: options.includeFhwa ? this.getFhwaSummary(annotations) : null,
+                // Rejected objects are never exported, so their reasons are counted over the whole image
+                rejectionStats: options.includeRejectionStats
+                    ? this.getRejectionStatistics(this.annotations.get(targetImageId) || [])
+                    : null,
+                roiSummary: regions,
+                countLineSummary: countLines
             };
 
         } catch (error) {
@@ -578,19 +1844,34 @@ export class AnnotationManager {
     /**
      * Export all annotations for all images
      * @param {string} format - Export format
-     * @returns {Object} - Export result with all images
+     * @param {Object} options - Export options ({ policy, includeFhwa, includeRejectionStats, mutcdCategories })
+     * @returns {Object} - Export result with all images; exportReport.excludedImages gives the
+     *   review status of images left out (see exportAnnotations)
      */
-    exportAllAnnotations(format = 'json') {
+    exportAllAnnotations(format = 'json', options = {}) {
         try {
             const allExports = {};
+            const imageReports = {};
+            const imageFhwaSummaries = {};
+            const excludedImages = {};
             let totalAnnotations = 0;
+            let totalHeldBack = 0;
+            let policy = options.policy || CONFIG.EXPORT_POLICY.DEFAULT;
 
             for (const [imageId, annotations] of this.annotations.entries()) {
-                if (annotations.length > 0) {
-                    const exportResult = this.exportAnnotations(format, imageId);
+                if (annotations.length > 0 || this.getImageReviewStatus(imageId).status === 'complete_empty') {
+                    const exportResult = this.exportAnnotations(format, imageId, null, options);
                     if (exportResult.success) {
                         allExports[imageId] = exportResult.data;
-                        totalAnnotations += annotations.length;
+                        imageReports[imageId] = exportResult.exportReport;
+                        if (exportResult.fhwaSummary) {
+                            imageFhwaSummaries[imageId] = exportResult.fhwaSummary;
+                        }
+                        totalAnnotations += exportResult.annotationCount;
+                        totalHeldBack += exportResult.exportReport.heldBackCount;
+                        policy = exportResult.exportReport.policy;
+                    } else if (exportResult.excluded) {
+                        excludedImages[imageId] = exportResult.reviewStatus;
                     }
                 }
             }
@@ -604,7 +1885,19 @@ export class AnnotationManager {
                 filename: filename,
                 mimeType: 'application/json',
                 annotationCount: totalAnnotations,
-                imageCount: Object.keys(allExports).length
+                imageCount: Object.keys(allExports).length,
+                exportReport: {
+                    policy: policy,
+                    exportedCount: totalAnnotations,
+                    heldBackCount: totalHeldBack,
+                    images: imageReports,
+                    excludedImages
+                },
+                fhwaSummary: options.includeFhwa ? {
+                    dataset: this.mergeFhwaSummaries(Object.values(imageFhwaSummaries)),
+                    images: imageFhwaSummaries
+                } : null,
+                rejectionStats: options.includeRejectionStats ? this.getRejectionStatistics() : null
             };
 
         } catch (error) {
@@ -616,6 +1909,45 @@ export class AnnotationManager {
         }
     }
 
+    /**
+     * Split annotations into exportable ones and ones held back by an export policy
+     * @param {Array} annotations - Annotations to filter
+     * @param {string} policy - Policy name from CONFIG.EXPORT_POLICY.POLICIES (defaults to verified_only)
+     * @returns {Object} - { policy, exportable, heldBack } where heldBack lists each object and why
+     */
+    applyExportPolicy(annotations, policy = null) {
+        const policyName = policy || CONFIG.EXPORT_POLICY.DEFAULT;
+        const allowedStates = CONFIG.EXPORT_POLICY.POLICIES[policyName];
+
+        if (!allowedStates) {
+            throw new Error(`Unknown export policy: ${policyName}`);
+        }
+
+        const exportable = [];
+        const heldBack = [];
+
+        annotations.forEach(annotation => {
+            if (allowedStates.includes(annotation.state)) {
+                exportable.push(annotation);
+                return;
+            }
+
+            heldBack.push({
+                annotationId: annotation.id,
+                className: annotation.className,
+                state: annotation.state,
+                confidence: annotation.confidence,
+                reason: annotation.state === 'Rejected' ? 'rejected' : 'not_verified'
+            });
+        });
+
+        return {
+            policy: policyName,
+            exportable: exportable,
+            heldBack: heldBack
+        };
+    }
+
     /**
      * Save annotations to API or local storage
      * @param {boolean} force - Force save even if no changes
@@ -739,6 +2071,8 @@ export class AnnotationManager {
         try {
             const storageData = {
                 annotations: {},
+                imageAttributes: Object.fromEntries(this.imageAttributes),
+                imageReviews: Object.fromEntries(this.imageReviews),
                 history: this.annotationHistory,
                 timestamp: new Date().toISOString(),
                 version: '1.0'
@@ -793,13 +2127,26 @@ export class AnnotationManager {
 
             // Clear current data
             this.annotations.clear();
+            this.peekedAnnotations.clear();
+            this.imageAttributes.clear();
+            this.imageReviews.clear();
             this.annotationHistory = [];
+            this.undoStacks.clear();
+            this.redoStacks.clear();
 
             // Load annotations
             for (const [imageId, annotations] of Object.entries(storageData.annotations)) {
                 this.annotations.set(imageId, annotations);
             }
 
+            // Scene attributes and review statuses were added later; older backups have none
+            for (const [imageId, attributes] of Object.entries(storageData.imageAttributes || {})) {
+                this.imageAttributes.set(imageId, attributes);
+            }
+            for (const [imageId, review] of Object.entries(storageData.imageReviews || {})) {
+                this.imageReviews.set(imageId, review);
+            }
+
             // Load history
             this.annotationHistory = storageData.history || [];
 
@@ -890,29 +2237,459 @@ export class AnnotationManager {
 
     validateClassName(className) {
         if (!className || typeof className !== 'string') {
-            return 'Other';
+            return getDefaultClassName();
+        }
+
+        // Check if class exists in the class taxonomy
+        return getClassDefinition(className) ? className : getDefaultClassName();
+    }
+
+    validateConfidence(confidence) {
+        if (typeof confidence !== 'number') {
+            return 1.0;
+        }
+
+        return Math.max(0, Math.min(1, confidence));
+    }
+
+    validateState(state) {
+        if (!state || typeof state !== 'string') {
+            return 'Suggested';
+        }
+
+        const validStates = Object.keys(CONFIG.STATE_COLORS);
+        return validStates.includes(state) ? state : 'Suggested';
+    }
+
+    validateOcclusion(occlusion) {
+        return isOcclusionLevel(occlusion) ? occlusion : CONFIG.OBJECT_ATTRIBUTES.DEFAULT_OCCLUSION;
+    }
+
+    validateTruncated(truncated) {
+        // null means the annotator has not decided yet (see isTruncated)
+        return typeof truncated === 'boolean' ? truncated : null;
+    }
+
+    /**
+     * Object attributes
+     */
+
+    /**
+     * Whether a bounding box reaches the edge of the image frame
+     * @param {Object} bbox - Bounding box in image pixels
+     * @param {Object} imageSize - { width, height } of the image
+     * @returns {boolean} - True when the box is within CONFIG.OBJECT_ATTRIBUTES.EDGE_MARGIN of an edge
+     */
+    touchesImageEdge(bbox, imageSize) {
+        if (!bbox || !imageSize?.width || !imageSize?.height) {
+            return false;
+        }
+
+        const margin = CONFIG.OBJECT_ATTRIBUTES.EDGE_MARGIN;
+        return bbox.x <= margin || bbox.y <= margin ||
+            bbox.x + bbox.width >= imageSize.width - margin ||
+            bbox.y + bbox.height >= imageSize.height - margin;
+    }
+
+    /**
+     * Whether an object is cut off by the image frame. An explicit value set by the
+     * annotator wins; otherwise truncation is inferred from the box touching the frame edge.
+     * @param {Object} annotation - Annotation to check
+     * @param {Object} imageSize - Optional { width, height }; without it unset means not truncated
+     * @returns {boolean}
+     */
+    isTruncated(annotation, imageSize = null) {
+        if (typeof annotation.truncated === 'boolean') {
+            return annotation.truncated;
+        }
+        return this.touchesImageEdge(annotation.bbox, imageSize);
+    }
+
+    /**
+     * Whether an object is marked difficult for VOC export (heavily occluded or a crowd)
+     */
+    isDifficult(annotation) {
+        return annotation.crowd === true ||
+            CONFIG.OBJECT_ATTRIBUTES.DIFFICULT_OCCLUSION.includes(this.validateOcclusion(annotation.occlusion));
+    }
+
+    /**
+     * Visibility attributes of an annotation as exported
+     * @param {Object} annotation - Annotation to describe
+     * @param {Object} imageSize - Optional { width, height } used to infer unset truncation
+     * @returns {Object} - { occlusion, truncated, crowd }
+     */
+    getObjectAttributes(annotation, imageSize = null) {
+        return {
+            occlusion: this.validateOcclusion(annotation.occlusion),
+            truncated: this.isTruncated(annotation, imageSize),
+            crowd: annotation.crowd === true
+        };
+    }
+
+    /**
+     * Auxiliary metadata (see CONFIG.METADATA_SCHEMA)
+     */
+
+    /**
+     * Check metadata values against a class's schema
+     * @param {string} className - Class whose fields apply
+     * @param {Object} values - Field key to value; null, undefined or '' clears a field
+     * @returns {Object} - { isValid, errors: { key: message }, values } with values
+     *   normalized and cleared fields set to null
+     */
+    validateMetadataValues(className, values = {}) {
+        return this.validateFieldValues(getMetadataSchema(className), values, className);
+    }
+
+    /**
+     * Check values against a list of schema fields
+     * @param {Array} schemaFields - Field definitions in the CONFIG.METADATA_SCHEMA format
+     * @param {Object} values - Field key to value; null, undefined or '' clears a field
+     * @param {string} owner - What the fields belong to, for error messages
+     * @returns {Object} - See validateMetadataValues
+     */
+    validateFieldValues(schemaFields, values, owner) {
+        const fields = new Map(schemaFields.map(field => [field.key, field]));
+        const errors = {};
+        const normalized = {};
+
+        Object.entries(values).forEach(([key, value]) => {
+            const field = fields.get(key);
+            if (!field) {
+                errors[key] = `${key} is not a field of ${owner}`;
+                return;
+            }
+            if (value === null || value === undefined || value === '') {
+                normalized[key] = null;
+                return;
+            }
+
+            switch (field.type) {
+                case 'enum':
+                    if (!field.options.includes(value)) {
+                        errors[key] = `${field.label} must be one of ${field.options.join(', ')}`;
+                    }
+                    break;
+                case 'bool':
+                    if (typeof value !== 'boolean') {
+                        errors[key] = `${field.label} must be yes or no`;
+                    }
+                    break;
+                case 'number':
+                    if (typeof value !== 'number' || !Number.isFinite(value)) {
+                        errors[key] = `${field.label} must be a number`;
+                    } else if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+                        errors[key] = `${field.label} must be between ${field.min ?? '-∞'} and ${field.max ?? '∞'}`;
+                    }
+                    break;
+                case 'text':
+                    if (typeof value !== 'string') {
+                        errors[key] = `${field.label} must be text`;
+                        break;
+                    }
+                    value = value.trim();
+                    if (field.maxLength && value.length > field.maxLength) {
+                        errors[key] = `${field.label} must be at most ${field.maxLength} characters`;
+                    }
+                    break;
+                case 'mutcd': {
+                    const sign = getMutcdSign(value);
+                    if (!sign) {
+                        errors[key] = `${field.label} must be a code from the MUTCD catalog`;
+                    } else {
+                        value = sign.code;
+                    }
+                    break;
+                }
+            }
+            normalized[key] = value === '' ? null : value;
+        });
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors,
+            values: normalized
+        };
+    }
+
+    /**
+     * Set metadata fields of an annotation after checking them against its class's schema
+     * @param {string} id - Annotation ID
+     * @param {Object} values - Field key to value; null or '' removes the field
+     * @returns {Object} - { success, errors, error }
+     */
+    setAnnotationMetadata(id, values) {
+        const annotation = this.findAnnotationByIdInternal(id);
+        if (!annotation) {
+            return { success: false, errors: {}, error: `Annotation ${id} not found` };
+        }
+
+        const validation = this.validateMetadataValues(annotation.className, values);
+        if (!validation.isValid) {
+            return { success: false, errors: validation.errors, error: Object.values(validation.errors).join('; ') };
+        }
+
+        const metadata = { ...annotation.metadata };
+        Object.entries(validation.values).forEach(([key, value]) => {
+            if (value === null) {
+                delete metadata[key];
+            } else {
+                metadata[key] = value;
+            }
+        });
+        if (JSON.stringify(metadata) === JSON.stringify(annotation.metadata || {})) {
+            return { success: true, errors: {} };
+        }
+
+        // Replace the object so history snapshots keep the previous values
+        const originalAnnotation = { ...annotation };
+        annotation.metadata = metadata;
+        annotation.modifiedAt = new Date();
+        this.addToHistory('update', annotation, originalAnnotation);
+
+        this.scheduleAutoSave();
+        this.notifyAnnotationsChanged();
+        return { success: true, errors: {} };
+    }
+
+    /**
+     * Required metadata fields of an annotation's class that have no value
+     * @param {Object} annotation - Annotation to check
+     * @returns {Array} - Schema field definitions
+     */
+    getMissingRequiredMetadata(annotation) {
+        return getMetadataSchema(annotation.className).filter(field =>
+            field.required && (annotation.metadata?.[field.key] === undefined || annotation.metadata[field.key] === null));
+    }
+
+    /**
+     * MUTCD catalog entry of an annotation, from its class's "mutcd" metadata field
+     * @param {Object} annotation - Annotation to look up
+     * @returns {Object|null} - { id, code, name, category, shape, color } or null
+     */
+    getAnnotationMutcdSign(annotation) {
+        const field = getMetadataSchema(annotation.className).find(schemaField => schemaField.type === 'mutcd');
+        return field ? getMutcdSign(annotation.metadata?.[field.key]) : null;
+    }
+
+    /**
+     * Values of an annotation's schema fields, for exports
+     * @param {Object} annotation - Annotation to describe
+     * @returns {Object} - Field key to value, for fields that have a value
+     */
+    getSchemaMetadata(annotation) {
+        const values = {};
+        getMetadataSchema(annotation.className).forEach(field => {
+            const value = annotation.metadata?.[field.key];
+            if (value !== undefined && value !== null) {
+                values[field.key] = value;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Image-level scene attributes (see CONFIG.IMAGE_ATTRIBUTES)
+     */
+
+    /**
+     * Load an image's scene attributes into the cache without making it the current image.
+     * Cached attributes are returned as they are; values that no longer fit the schema are dropped.
+     * @param {string} imageId - Image ID
+     * @returns {Promise<Object>} - Field key to value
+     */
+    async loadImageAttributes(imageId) {
+        if (this.imageAttributes.has(imageId)) {
+            return this.getImageAttributes(imageId);
+        }
+
+        const result = await apiClient.getImageAttributes(imageId);
+        const attributes = {};
+        Object.entries(result.success ? result.attributes : {}).forEach(([key, value]) => {
+            const validation = this.validateImageAttributeValues({ [key]: value });
+            if (validation.isValid && validation.values[key] !== null) {
+                attributes[key] = validation.values[key];
+            }
+        });
+
+        // Keep attributes set while the request was in flight
+        if (!this.imageAttributes.has(imageId)) {
+            this.imageAttributes.set(imageId, attributes);
+        }
+        return this.getImageAttributes(imageId);
+    }
+
+    /**
+     * Get the scene attributes of an image
+     * @param {string} imageId - Image ID (defaults to the current image)
+     * @returns {Object} - Copy of the field key to value map; empty if not loaded
+     */
+    getImageAttributes(imageId = this.currentImageId) {
+        return { ...this.imageAttributes.get(imageId) };
+    }
+
+    /**
+     * Check scene attribute values against CONFIG.IMAGE_ATTRIBUTES
+     * @param {Object} values - Field key to value; null, undefined or '' clears a field
+     * @returns {Object} - See validateMetadataValues
+     */
+    validateImageAttributeValues(values = {}) {
+        return this.validateFieldValues(getImageAttributeSchema(), values, 'the image attributes');
+    }
+
+    /**
+     * Set scene attributes of an image and save them
+     * @param {string} imageId - Image ID
+     * @param {Object} values - Field key to value; null or '' removes the attribute
+     * @returns {Promise<Object>} - { success, errors, attributes, error }
+     */
+    async setImageAttributes(imageId, values) {
+        if (!imageId) {
+            return { success: false, errors: {}, error: 'Image ID is required' };
+        }
+
+        const validation = this.validateImageAttributeValues(values);
+        if (!validation.isValid) {
+            return { success: false, errors: validation.errors, error: Object.values(validation.errors).join('; ') };
+        }
+
+        const attributes = this.getImageAttributes(imageId);
+        Object.entries(validation.values).forEach(([key, value]) => {
+            if (value === null) {
+                delete attributes[key];
+            } else {
+                attributes[key] = value;
+            }
+        });
+        this.imageAttributes.set(imageId, attributes);
+
+        const result = await apiClient.saveImageAttributes(imageId, attributes);
+        if (!result.success) {
+            return { success: false, errors: {}, attributes: { ...attributes }, error: result.error };
+        }
+        return { success: true, errors: {}, attributes: { ...attributes } };
+    }
+
+    /**
+     * Check whether an image's scene attributes put it in a 'scene' review queue. An empty
+     * queue value matches images where the attribute is not set.
+     * @param {Object} attributes - Scene attributes of one image
+     * @param {Object} queue - { mode: 'scene', attribute, value } with value as a string
+     * @returns {boolean} - True if the image belongs to the queue
+     */
+    imageAttributesMatchReviewQueue(attributes, queue) {
+        const value = attributes[queue.attribute];
+        if (value === undefined || value === null) {
+            return !queue.value;
+        }
+        return String(value) === queue.value;
+    }
+
+    /**
+     * Image review statuses (see CONFIG.IMAGE_REVIEW)
+     */
+
+    /**
+     * Load the review status set on an image into the cache
+     * @param {string} imageId - Image ID
+     * @returns {Promise<Object>} - See getImageReviewStatus
+     */
+    async loadImageReviewStatus(imageId) {
+        if (!this.imageReviews.has(imageId)) {
+            const result = await apiClient.getImageReviewStatus(imageId);
+            const review = result.success && CONFIG.IMAGE_REVIEW.MANUAL.includes(result.review?.status)
+                ? result.review
+                : null;
+            // Keep a status set while the request was in flight
+            if (!this.imageReviews.has(imageId)) {
+                this.imageReviews.set(imageId, review);
+            }
+        }
+        return this.getImageReviewStatus(imageId);
+    }
+
+    /**
+     * Review status of an image. A status set by hand applies while the annotations agree
+     * with it; otherwise the status follows the annotations (unreviewed or in progress),
+     * and frames tagged with the unusable scene attribute count as unusable.
+     * @param {string} imageId - Image ID (defaults to the current image)
+     * @returns {Object} - { status, reason, updatedAt, manual }
+     */
+    getImageReviewStatus(imageId = this.currentImageId) {
+        const review = this.imageReviews.get(imageId);
+        if (review && !this.getImageReviewConflict(imageId, review.status)) {
+            return { status: review.status, reason: review.reason ?? null, updatedAt: review.updatedAt ?? null, manual: true };
+        }
+
+        const progress = this.getImageProgress(imageId).status;
+        let status = progress === 'not_started' || progress === 'opened' ? 'unreviewed' : 'in_progress';
+        if (this.getImageAttributes(imageId).unusable === true) {
+            status = 'unusable';
+        }
+        return { status, reason: null, updatedAt: null, manual: false };
+    }
+
+    /**
+     * Check whether an image's annotations contradict a review status
+     * @param {string} imageId - Image ID
+     * @param {string} status - Status to check
+     * @returns {string|null} - Why the status does not fit, or null if it does
+     */
+    getImageReviewConflict(imageId, status) {
+        const annotations = this.annotations.get(imageId) || [];
+        if (status === 'complete') {
+            const unreviewed = annotations.filter(annotation =>
+                (annotation.state === 'Suggested' || annotation.state === 'Modified') &&
+                !this.isBelowConfidenceThreshold(annotation)).length;
+            return unreviewed > 0 ? `${unreviewed} objects still need review` : null;
+        }
+        if (status === 'complete_empty') {
+            const objects = annotations.filter(annotation => annotation.state !== 'Rejected').length;
+            return objects > 0 ? `The image has ${objects} objects that are not rejected` : null;
+        }
+        return null;
+    }
+
+    /**
+     * Set or clear the review status of an image and save it
+     * @param {string} imageId - Image ID
+     * @param {string|null} status - One of CONFIG.IMAGE_REVIEW.MANUAL, or null to follow the annotations again
+     * @param {string} reason - Key of CONFIG.IMAGE_REVIEW.SKIP_REASONS, required when skipping
+     * @returns {Promise<Object>} - { success, review, error } with review as from getImageReviewStatus
+     */
+    async setImageReviewStatus(imageId, status, reason = null) {
+        if (!imageId) {
+            return { success: false, error: 'Image ID is required' };
+        }
+        if (status !== null && !CONFIG.IMAGE_REVIEW.MANUAL.includes(status)) {
+            return {
+                success: false,
+                error: CONFIG.IMAGE_REVIEW.STATUSES[status]
+                    ? `${getImageReviewStatusLabel(status)} follows the annotations and cannot be set`
+                    : `Unknown image review status: ${status}`
+            };
         }
-
-        // Check if class exists in FHWA classification
-        const validClasses = Object.keys(CONFIG.ANNOTATION_COLORS);
-        return validClasses.includes(className) ? className : 'Other';
-    }
-
-    validateConfidence(confidence) {
-        if (typeof confidence !== 'number') {
-            return 1.0;
+        if (status === 'skipped' && !CONFIG.IMAGE_REVIEW.SKIP_REASONS[reason]) {
+            return { success: false, error: 'Choose a reason for skipping the image' };
         }
 
-        return Math.max(0, Math.min(1, confidence));
-    }
-
-    validateState(state) {
-        if (!state || typeof state !== 'string') {
-            return 'Suggested';
+        const conflict = status && this.getImageReviewConflict(imageId, status);
+        if (conflict) {
+            return { success: false, error: `Cannot mark the image ${getImageReviewStatusLabel(status).toLowerCase()}: ${conflict}` };
         }
 
-        const validStates = Object.keys(CONFIG.STATE_COLORS);
-        return validStates.includes(state) ? state : 'Suggested';
+        const review = status
+            ? { status, reason: status === 'skipped' ? reason : null, updatedAt: new Date().toISOString() }
+            : null;
+        this.imageReviews.set(imageId, review);
+
+        const result = await apiClient.saveImageReviewStatus(imageId, review);
+        return {
+            success: result.success,
+            review: this.getImageReviewStatus(imageId),
+            ...(result.success ? {} : { error: result.error })
+        };
     }
 
     /**
@@ -961,15 +2738,16 @@ export class AnnotationManager {
     /**
      * History management
      */
-    addToHistory(action, annotation, originalAnnotation = null) {
+    addToHistory(action, annotation, originalAnnotation = null, details = {}) {
         const historyEntry = {
             id: this.generateHistoryId(),
             timestamp: new Date(),
             action: action,
-            annotation: { ...annotation },
+            annotation: annotation ? { ...annotation } : null,
             originalAnnotation: originalAnnotation ? { ...originalAnnotation } : null,
             imageId: this.currentImageId,
-            sessionId: this.getSessionId()
+            sessionId: this.getSessionId(),
+            ...details
         };
 
         this.annotationHistory.push(historyEntry);
@@ -979,10 +2757,315 @@ export class AnnotationManager {
             this.annotationHistory.shift();
         }
 
+        // Undo/redo replays and gate overrides are logged for auditing but never become undoable steps
+        if (!this.isReplayingHistory && action !== 'verification_override') {
+            this.pushUndoEntry(historyEntry);
+        }
+
         // Save history to local storage periodically
         this.saveHistoryToLocalStorage();
     }
 
+    /**
+     * Record an ROI edit so it can be undone alongside annotation edits
+     * @param {Array|Object|null} previousROIs - The image's ROI list before the edit
+     *   (a single ROI snapshot or null is treated as a one- or zero-element list)
+     * @param {Array|Object|null} newROIs - The image's ROI list after the edit
+     */
+    recordROIChange(previousROIs, newROIs) {
+        this.addToHistory('roi', null, null, {
+            originalROIs: this.snapshotROIs(previousROIs),
+            rois: this.snapshotROIs(newROIs)
+        });
+    }
+
+    /**
+     * Record a count line edit so it can be undone alongside annotation edits
+     * @param {Array} previousLines - The image's count lines before the edit
+     * @param {Array} newLines - The image's count lines after the edit
+     */
+    recordCountLineChange(previousLines, newLines) {
+        this.addToHistory('count_line', null, null, {
+            originalCountLines: (previousLines || []).map(line => ({ ...line, points: [...line.points] })),
+            countLines: (newLines || []).map(line => ({ ...line, points: [...line.points] }))
+        });
+    }
+
+    /**
+     * Copy ROI snapshots so later edits can't reach into history
+     */
+    snapshotROIs(rois) {
+        const list = Array.isArray(rois) ? rois : (rois ? [rois] : []);
+        return list.map(roi => ({ ...roi, polygon: [...roi.polygon] }));
+    }
+
+    /**
+     * Start grouping history entries into a single undo step (e.g. a drag that
+     * produces many updates). Groups may be nested; the outermost call wins.
+     * @param {string} label - Human readable label for the grouped step
+     */
+    beginHistoryGroup(label = 'group') {
+        if (this.historyGroupDepth === 0) {
+            this.activeHistoryStep = { label: label, imageId: this.currentImageId, entries: [] };
+        }
+        this.historyGroupDepth++;
+    }
+
+    /**
+     * Close the current history group
+     */
+    endHistoryGroup() {
+        if (this.historyGroupDepth === 0) {
+            return;
+        }
+
+        this.historyGroupDepth--;
+        if (this.historyGroupDepth === 0) {
+            this.activeHistoryStep = null;
+        }
+    }
+
+    /**
+     * Add a history entry to the undo stack of its image
+     * @param {Object} historyEntry - Entry created by addToHistory
+     */
+    pushUndoEntry(historyEntry) {
+        const imageId = historyEntry.imageId;
+        if (!imageId) {
+            return;
+        }
+
+        const groupStep = this.activeHistoryStep;
+        let step;
+
+        if (groupStep && groupStep.imageId === imageId) {
+            step = groupStep;
+        } else {
+            step = { label: historyEntry.action, imageId: imageId, entries: [] };
+        }
+
+        const isNewStep = step.entries.length === 0;
+
+        // Collapse consecutive updates of the same annotation within a step (drag/resize)
+        const lastEntry = step.entries[step.entries.length - 1];
+        if (lastEntry && lastEntry.action === 'update' && historyEntry.action === 'update' &&
+            lastEntry.annotation.id === historyEntry.annotation.id) {
+            step.entries[step.entries.length - 1] = {
+                ...historyEntry,
+                originalAnnotation: lastEntry.originalAnnotation
+            };
+        } else {
+            step.entries.push(historyEntry);
+        }
+
+        // A grouped step is pushed once, when it receives its first entry
+        if (isNewStep) {
+            const undoStack = this.undoStacks.get(imageId) || [];
+            undoStack.push(step);
+            if (undoStack.length > this.maxHistorySize) {
+                undoStack.shift();
+            }
+            this.undoStacks.set(imageId, undoStack);
+        }
+
+        // Any new edit invalidates the redo stack for this image
+        this.redoStacks.delete(imageId);
+
+        this.notifyHistoryChanged();
+    }
+
+    /**
+     * Undo the most recent step for the current image
+     * @returns {Object} - Result with success status and the undone action
+     */
+    undo() {
+        return this.replayHistoryStep(this.undoStacks, this.redoStacks, 'undo');
+    }
+
+    /**
+     * Redo the most recently undone step for the current image
+     * @returns {Object} - Result with success status and the redone action
+     */
+    redo() {
+        return this.replayHistoryStep(this.redoStacks, this.undoStacks, 'redo');
+    }
+
+    /**
+     * Check if there is anything to undo for the current image
+     * @returns {boolean}
+     */
+    canUndo() {
+        return (this.undoStacks.get(this.currentImageId) || []).length > 0;
+    }
+
+    /**
+     * Check if there is anything to redo for the current image
+     * @returns {boolean}
+     */
+    canRedo() {
+        return (this.redoStacks.get(this.currentImageId) || []).length > 0;
+    }
+
+    /**
+     * Pop a step from one stack, replay it and move it onto the other stack
+     * @param {Map} sourceStacks - Stacks to take the step from
+     * @param {Map} targetStacks - Stacks to move the step to
+     * @param {string} direction - 'undo' or 'redo'
+     * @returns {Object} - Replay result
+     */
+    replayHistoryStep(sourceStacks, targetStacks, direction) {
+        const imageId = this.currentImageId;
+        const sourceStack = sourceStacks.get(imageId) || [];
+
+        if (!imageId || sourceStack.length === 0) {
+            return {
+                success: false,
+                error: `Nothing to ${direction}`
+            };
+        }
+
+        const step = sourceStack.pop();
+        const entries = direction === 'undo' ? [...step.entries].reverse() : step.entries;
+
+        this.isReplayingHistory = true;
+        try {
+            entries.forEach(entry => {
+                if (direction === 'undo') {
+                    this.revertHistoryEntry(entry);
+                } else {
+                    this.applyHistoryEntry(entry);
+                }
+
+                if (entry.action !== 'roi' && entry.action !== 'count_line') {
+                    this.addToHistory(direction, entry.annotation, entry.originalAnnotation, {
+                        replayedEntryId: entry.id
+                    });
+                }
+            });
+        } finally {
+            this.isReplayingHistory = false;
+        }
+
+        const targetStack = targetStacks.get(imageId) || [];
+        targetStack.push(step);
+        targetStacks.set(imageId, targetStack);
+
+        console.log(`${direction === 'undo' ? 'Undid' : 'Redid'} ${step.label} (${step.entries.length} entries) for image ${imageId}`);
+
+        // Trigger auto-save
+        this.scheduleAutoSave();
+
+        // Notify listeners
+        this.notifyAnnotationsChanged();
+        this.notifyHistoryChanged();
+
+        return {
+            success: true,
+            action: step.label,
+            entryCount: step.entries.length
+        };
+    }
+
+    /**
+     * Reverse the effect of a single history entry
+     * @param {Object} entry - History entry
+     */
+    revertHistoryEntry(entry) {
+        switch (entry.action) {
+            case 'create':
+                this.removeAnnotationSnapshot(entry.imageId, entry.annotation.id);
+                break;
+            case 'update':
+            case 'state':
+                this.restoreAnnotationSnapshot(entry.imageId, entry.originalAnnotation);
+                break;
+            case 'delete':
+                this.insertAnnotationSnapshot(entry.imageId, entry.annotation, entry.index);
+                break;
+            case 'roi':
+                roiManager.restoreROIs(entry.originalROIs, entry.imageId);
+                break;
+            case 'count_line':
+                roiManager.restoreCountLines(entry.originalCountLines, entry.imageId);
+                break;
+            default:
+                console.warn(`Cannot undo unknown history action: ${entry.action}`);
+        }
+    }
+
+    /**
+     * Re-apply the effect of a single history entry
+     * @param {Object} entry - History entry
+     */
+    applyHistoryEntry(entry) {
+        switch (entry.action) {
+            case 'create':
+                this.insertAnnotationSnapshot(entry.imageId, entry.annotation, entry.index);
+                break;
+            case 'update':
+            case 'state':
+                this.restoreAnnotationSnapshot(entry.imageId, entry.annotation);
+                break;
+            case 'delete':
+                this.removeAnnotationSnapshot(entry.imageId, entry.annotation.id);
+                break;
+            case 'roi':
+                roiManager.restoreROIs(entry.rois, entry.imageId);
+                break;
+            case 'count_line':
+                roiManager.restoreCountLines(entry.countLines, entry.imageId);
+                break;
+            default:
+                console.warn(`Cannot redo unknown history action: ${entry.action}`);
+        }
+    }
+
+    /**
+     * Overwrite an annotation with a snapshot, keeping object identity and selection
+     */
+    restoreAnnotationSnapshot(imageId, snapshot) {
+        const imageAnnotations = this.annotations.get(imageId) || [];
+        const annotation = imageAnnotations.find(ann => ann.id === snapshot.id);
+
+        if (!annotation) {
+            console.warn(`Cannot restore annotation ${snapshot.id}: not found`);
+            return;
+        }
+
+        const { selected, ...fields } = snapshot;
+        Object.assign(annotation, fields);
+        this.notifyAnnotationStateChanged(annotation);
+    }
+
+    /**
+     * Re-insert an annotation snapshot at its original position
+     */
+    insertAnnotationSnapshot(imageId, snapshot, index = undefined) {
+        const imageAnnotations = this.annotations.get(imageId) || [];
+        if (imageAnnotations.some(ann => ann.id === snapshot.id)) {
+            return;
+        }
+
+        const annotation = { ...snapshot, selected: false };
+        const position = typeof index === 'number' && index >= 0
+            ? Math.min(index, imageAnnotations.length)
+            : imageAnnotations.length;
+
+        imageAnnotations.splice(position, 0, annotation);
+        this.annotations.set(imageId, imageAnnotations);
+    }
+
+    /**
+     * Remove an annotation by ID without recording history
+     */
+    removeAnnotationSnapshot(imageId, annotationId) {
+        const imageAnnotations = this.annotations.get(imageId) || [];
+        this.annotations.set(imageId, imageAnnotations.filter(ann => ann.id !== annotationId));
+        if (this.removeFromSelection(annotationId)) {
+            this.notifySelectionChanged();
+        }
+    }
+
     getHistory(imageId = null, limit = null) {
         let history = [...this.annotationHistory];
         
@@ -1114,10 +3197,10 @@ export class AnnotationManager {
             entry.timestamp.toISOString(),
             entry.action,
             entry.imageId,
-            entry.annotation.id,
-            entry.annotation.className,
-            entry.annotation.confidence,
-            entry.annotation.state,
+            entry.annotation?.id || '',
+            entry.annotation?.className || '',
+            entry.annotation?.confidence ?? '',
+            entry.annotation?.state || '',
             entry.sessionId || ''
         ]);
 
@@ -1166,13 +3249,18 @@ export class AnnotationManager {
     clearHistory(imageId = null) {
         if (imageId) {
             this.annotationHistory = this.annotationHistory.filter(entry => entry.imageId !== imageId);
+            this.undoStacks.delete(imageId);
+            this.redoStacks.delete(imageId);
             console.log(`Cleared history for image ${imageId}`);
         } else {
             this.annotationHistory = [];
+            this.undoStacks.clear();
+            this.redoStacks.clear();
             console.log('Cleared all history');
         }
         
         this.saveHistoryToLocalStorage();
+        this.notifyHistoryChanged();
     }
 
     /**
@@ -1218,7 +3306,7 @@ export class AnnotationManager {
         return yoloLines.join('\n');
     }
 
-    exportToPascalVOC(annotations, imageMetadata = null) {
+    exportToPascalVOC(annotations, imageMetadata = null, options = {}) {
         // Pascal VOC XML format
         const imageWidth = imageMetadata?.width || 1;
         const imageHeight = imageMetadata?.height || 1;
@@ -1243,22 +3331,23 @@ export class AnnotationManager {
 ${validAnnotations.map(annotation => `    <object>
         <name>${annotation.className}</name>
         <pose>Unspecified</pose>
-        <truncated>0</truncated>
-        <difficult>${annotation.state === 'Modified' ? 1 : 0}</difficult>
+        <truncated>${this.isTruncated(annotation, imageMetadata) ? 1 : 0}</truncated>
+        <occluded>${this.validateOcclusion(annotation.occlusion) !== 'none' ? 1 : 0}</occluded>
+        <difficult>${this.isDifficult(annotation) ? 1 : 0}</difficult>
         <bndbox>
             <xmin>${Math.round(annotation.bbox.x)}</xmin>
             <ymin>${Math.round(annotation.bbox.y)}</ymin>
             <xmax>${Math.round(annotation.bbox.x + annotation.bbox.width)}</xmax>
             <ymax>${Math.round(annotation.bbox.y + annotation.bbox.height)}</ymax>
         </bndbox>
-        <confidence>${annotation.confidence}</confidence>
+        <confidence>${annotation.confidence}</confidence>${this.getVOCAttributes(annotation, options)}
     </object>`).join('\n')}
 </annotation>`;
         
         return xmlContent;
     }
 
-    exportToCOCO(annotations, imageMetadata = null) {
+    exportToCOCO(annotations, imageMetadata = null, options = {}) {
         // COCO format structure
         const imageWidth = imageMetadata?.width || 1;
         const imageHeight = imageMetadata?.height || 1;
@@ -1267,31 +3356,47 @@ ${validAnnotations.map(annotation => `    <object>
         
         const validAnnotations = annotations.filter(annotation => annotation.state !== 'Rejected');
         
-        const categories = Object.keys(CONFIG.ANNOTATION_COLORS).map((className, index) => ({
-            id: index + 1,
-            name: className,
-            supercategory: 'vehicle'
+        const categories = getClassDefinitions().map(classDef => ({
+            id: this.getCategoryIdForCOCO(classDef.name),
+            name: classDef.name,
+            supercategory: classDef.supercategory
         }));
+        if (options.mutcdCategories) {
+            categories.push(...this.getMutcdCategoriesForCOCO());
+        }
         
-        const cocoAnnotations = validAnnotations.map((annotation, index) => ({
-            id: index + 1,
-            image_id: imageId,
-            category_id: this.getCategoryIdForCOCO(annotation.className),
-            bbox: [
-                annotation.bbox.x,
-                annotation.bbox.y,
-                annotation.bbox.width,
-                annotation.bbox.height
-            ],
-            area: annotation.bbox.width * annotation.bbox.height,
-            iscrowd: 0,
-            score: annotation.confidence,
-            attributes: {
-                state: annotation.state,
-                created_at: annotation.createdAt,
-                modified_at: annotation.modifiedAt
-            }
-        }));
+        const cocoAnnotations = validAnnotations.map((annotation, index) => {
+            // Polygon outlines keep their shape; the area is the polygon's, not the box's
+            const polygon = this.isPolygonMask(annotation.segmentationMask) ? annotation.segmentationMask : null;
+            return {
+                id: index + 1,
+                image_id: imageId,
+                category_id: options.mutcdCategories
+                    ? this.getAnnotationCategoryIdForCOCO(annotation)
+                    : this.getCategoryIdForCOCO(annotation.className),
+                bbox: [
+                    annotation.bbox.x,
+                    annotation.bbox.y,
+                    annotation.bbox.width,
+                    annotation.bbox.height
+                ],
+                ...(polygon ? { segmentation: [polygon.flatMap(point => [point.x, point.y])] } : {}),
+                area: polygon ? roiManager.calculatePolygonArea(polygon) : annotation.bbox.width * annotation.bbox.height,
+                iscrowd: annotation.crowd === true ? 1 : 0,
+                score: annotation.confidence,
+                attributes: {
+                    ...this.getSchemaMetadata(annotation),
+                    state: annotation.state,
+                    occlusion: this.validateOcclusion(annotation.occlusion),
+                    truncated: this.isTruncated(annotation, imageMetadata),
+                    created_at: annotation.createdAt,
+                    modified_at: annotation.modifiedAt,
+                    ...(options.regions?.length ? { roi_ids: this.getAnnotationROIIds(annotation, options.regions) } : {}),
+                    ...(options.countLines?.length ? { count_line_directions: this.getAnnotationCountLineDirections(annotation, options.countLines) } : {}),
+                    ...(options.includeFhwa ? this.getCOCOFhwaAttributes(annotation.className) : {})
+                }
+            };
+        });
         
         return {
             info: {
@@ -1314,19 +3419,50 @@ ${validAnnotations.map(annotation => `    <object>
                 license: 1,
                 flickr_url: "",
                 coco_url: "",
-                date_captured: new Date().toISOString()
+                date_captured: new Date().toISOString(),
+                attributes: options.imageAttributes || {},
+                ...(options.reviewStatus ? { review_status: options.reviewStatus.status } : {})
             }],
             annotations: cocoAnnotations,
-            categories: categories
+            categories: categories,
+            regions_of_interest: (options.regions || []).map(region => ({
+                id: region.id,
+                image_id: imageId,
+                name: region.name,
+                color: region.color,
+                enabled: region.active,
+                inclusion_policy: region.inclusionPolicy,
+                min_overlap: region.minOverlap,
+                segmentation: [region.polygon.flatMap(point => [point.x, point.y])],
+                counts: {
+                    total: region.counts.total,
+                    by_class: region.counts.byClass
+                }
+            })),
+            count_lines: (options.countLines || []).map(line => ({
+                id: line.id,
+                image_id: imageId,
+                name: line.name,
+                color: line.color,
+                enabled: line.active,
+                in_side: line.inSide,
+                points: line.points.flatMap(point => [point.x, point.y]),
+                counts: Object.fromEntries(Object.entries(line.counts).map(([direction, count]) => [
+                    direction,
+                    { total: count.total, by_class: count.byClass }
+                ]))
+            }))
         };
     }
 
-    exportToJSON(annotations, imageMetadata = null) {
+    exportToJSON(annotations, imageMetadata = null, options = {}) {
         // Custom JSON format with full annotation data
         return {
             metadata: {
                 imageId: this.currentImageId,
                 imageMetadata: imageMetadata,
+                imageAttributes: options.imageAttributes || {},
+                reviewStatus: options.reviewStatus || null,
                 exportedAt: new Date().toISOString(),
                 exportedBy: "IMA Annotate Frontend",
                 version: "1.0"
@@ -1335,14 +3471,234 @@ ${validAnnotations.map(annotation => `    <object>
                 ...annotation,
                 // Convert dates to ISO strings for JSON serialization
                 createdAt: annotation.createdAt.toISOString(),
-                modifiedAt: annotation.modifiedAt.toISOString()
+                modifiedAt: annotation.modifiedAt.toISOString(),
+                // Unset truncation is resolved against the image frame
+                ...this.getObjectAttributes(annotation, imageMetadata),
+                ...(options.includeFhwa ? { classification: this.getFhwaClassification(annotation.className) } : {}),
+                ...(options.mutcdCategories ? { mutcdSign: this.getAnnotationMutcdSign(annotation) } : {}),
+                ...(options.regions?.length ? { roiIds: this.getAnnotationROIIds(annotation, options.regions) } : {}),
+                ...(options.countLines?.length ? { countLineDirections: this.getAnnotationCountLineDirections(annotation, options.countLines) } : {})
             })),
             summary: {
                 total: annotations.length,
                 byState: this.getAnnotationCounts(),
-                byClass: this.getAnnotationCountsByClass(annotations)
+                byClass: this.getAnnotationCountsByClass(annotations),
+                ...(options.includeFhwa ? { byFhwaClass: this.getFhwaSummary(annotations) } : {})
+            },
+            regionsOfInterest: options.regions || [],
+            countLines: options.countLines || []
+        };
+    }
+
+    /**
+     * Describe an image's ROIs for export, with class counts of the given annotations
+     * @param {Array} annotations - Annotations being exported
+     * @param {string} imageId - Image the ROIs belong to
+     * @returns {Array} - { id, name, color, inclusionPolicy, minOverlap, active, polygon,
+     *   counts: { total, byClass } } per ROI
+     */
+    getROIExportData(annotations, imageId) {
+        const counts = roiManager.getROICounts(annotations, imageId);
+
+        return roiManager.getROIs(imageId).map((roi, index) => ({
+            id: roi.id,
+            name: roi.name,
+            color: roi.color,
+            inclusionPolicy: roi.inclusionPolicy,
+            minOverlap: roi.minOverlap,
+            active: roi.active,
+            polygon: roi.polygon.map(point => ({ x: point.x, y: point.y })),
+            counts: {
+                total: counts[index].total,
+                byClass: counts[index].byClass
+            }
+        }));
+    }
+
+    /**
+     * IDs of the enabled ROIs an annotation falls in, using each ROI's inclusion policy
+     */
+    getAnnotationROIIds(annotation, regions) {
+        return regions
+            .filter(region => region.active && roiManager.isAnnotationInROI(annotation, region))
+            .map(region => region.id);
+    }
+
+    /**
+     * Describe an image's count lines for export, with per-direction class counts
+     * of the given annotations
+     * @param {Array} annotations - Annotations being exported
+     * @param {string} imageId - Image the lines belong to
+     * @returns {Array} - { id, name, color, inSide, active, points, counts: { in, out, crossing } }
+     *   per line, each direction being { total, byClass }
+     */
+    getCountLineExportData(annotations, imageId) {
+        const counts = roiManager.getCountLineCounts(annotations, imageId);
+
+        return roiManager.getCountLines(imageId).map((line, index) => ({
+            id: line.id,
+            name: line.name,
+            color: line.color,
+            inSide: line.inSide,
+            active: line.active,
+            points: line.points.map(point => ({ x: point.x, y: point.y })),
+            counts: counts[index].directions
+        }));
+    }
+
+    /**
+     * Direction ('in', 'out' or 'crossing') of an annotation for each enabled count line, keyed by line ID
+     */
+    getAnnotationCountLineDirections(annotation, countLines) {
+        return Object.fromEntries(countLines
+            .filter(line => line.active)
+            .map(line => [line.id, roiManager.getCountLineDirection(annotation, line)]));
+    }
+
+    /**
+     * Get FHWA / ITE classification for a class from the class taxonomy
+     * @param {string} className - Annotation class name
+     * @returns {Object} - FHWA class, class name, domain, category and summary group
+     */
+    getFhwaClassification(className) {
+        const classDef = getClassDefinition(className) || getClassDefinition(getDefaultClassName()) || {};
+        return {
+            fhwaClass: classDef.fhwaClass || null,
+            fhwaClassName: classDef.fhwaClassName || null,
+            domain: classDef.domain || null,
+            category: classDef.category || null,
+            fhwaGroup: getFhwaGroup(className)
+        };
+    }
+
+    getCOCOFhwaAttributes(className) {
+        const classification = this.getFhwaClassification(className);
+        return {
+            fhwa_class: classification.fhwaClass,
+            fhwa_class_name: classification.fhwaClassName,
+            fhwa_group: classification.fhwaGroup,
+            domain: classification.domain,
+            category: classification.category
+        };
+    }
+
+    getVOCAttributes(annotation, options = {}) {
+        // CVAT-style <attributes> block so VOC importers keep the FHWA mapping and metadata fields
+        const attributes = {
+            ...(options.includeFhwa ? this.getCOCOFhwaAttributes(annotation.className) : {}),
+            ...this.getSchemaMetadata(annotation)
+        };
+        if (Object.keys(attributes).length === 0) {
+            return '';
+        }
+
+        const attributeXml = Object.entries(attributes)
+            .filter(([, value]) => value !== null)
+            .map(([name, value]) => `
+            <attribute>
+                <name>${name}</name>
+                <value>${this.escapeXml(String(value))}</value>
+            </attribute>`).join('');
+
+        return `
+        <attributes>${attributeXml}
+        </attributes>`;
+    }
+
+    escapeXml(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Summarize annotations by FHWA group (Class 1, Class 2, ..., Non-FHWA VRU)
+     * @param {Array} annotations - Annotations to summarize
+     * @returns {Object} - { total, groups: [{ group, count, byClass }] } in report order
+     */
+    getFhwaSummary(annotations) {
+        const groups = new Map();
+
+        annotations.forEach(annotation => {
+            const group = getFhwaGroup(annotation.className);
+            if (!groups.has(group)) {
+                groups.set(group, { group: group, count: 0, byClass: {} });
             }
+            const entry = groups.get(group);
+            entry.count++;
+            entry.byClass[annotation.className] = (entry.byClass[annotation.className] || 0) + 1;
+        });
+
+        return {
+            total: annotations.length,
+            groups: this.sortFhwaGroups(Array.from(groups.values()))
+        };
+    }
+
+    /**
+     * Combine per-image FHWA summaries into a dataset summary
+     * @param {Array} summaries - Summaries from getFhwaSummary
+     * @returns {Object} - Combined summary
+     */
+    mergeFhwaSummaries(summaries) {
+        const groups = new Map();
+        let total = 0;
+
+        summaries.forEach(summary => {
+            total += summary.total;
+            summary.groups.forEach(groupEntry => {
+                if (!groups.has(groupEntry.group)) {
+                    groups.set(groupEntry.group, { group: groupEntry.group, count: 0, byClass: {} });
+                }
+                const entry = groups.get(groupEntry.group);
+                entry.count += groupEntry.count;
+                Object.entries(groupEntry.byClass).forEach(([className, count]) => {
+                    entry.byClass[className] = (entry.byClass[className] || 0) + count;
+                });
+            });
+        });
+
+        return {
+            total: total,
+            groups: this.sortFhwaGroups(Array.from(groups.values()))
+        };
+    }
+
+    sortFhwaGroups(groupEntries) {
+        const order = CONFIG.FHWA_SUMMARY_GROUPS;
+        const rank = group => order.includes(group) ? order.indexOf(group) : order.length;
+        return groupEntries.sort((a, b) => rank(a.group) - rank(b.group) || a.group.localeCompare(b.group));
+    }
+
+    /**
+     * Convert FHWA summaries to a CSV table (one row per image and group, plus dataset totals)
+     * @param {Object} imageSummaries - Map of imageId to summary
+     * @param {Object} datasetSummary - Optional combined summary (written with image_id "ALL")
+     * @returns {string} - CSV data
+     */
+    fhwaSummaryToCSV(imageSummaries, datasetSummary = null) {
+        const headers = ['image_id', 'fhwa_group', 'count', 'classes'];
+        const rows = [];
+        const addRows = (imageId, summary) => {
+            summary.groups.forEach(groupEntry => {
+                const classes = Object.entries(groupEntry.byClass)
+                    .map(([className, count]) => `${className}:${count}`)
+                    .join(';');
+                rows.push([imageId, groupEntry.group, groupEntry.count, classes]);
+            });
         };
+
+        Object.entries(imageSummaries).forEach(([imageId, summary]) => addRows(imageId, summary));
+        if (datasetSummary) {
+            addRows('ALL', datasetSummary);
+        }
+
+        return [headers, ...rows]
+            .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+            .join('\n');
     }
 
     /**
@@ -1359,13 +3715,41 @@ ${validAnnotations.map(annotation => `    <object>
     }
 
     getClassIdForYOLO(className) {
-        const classes = Object.keys(CONFIG.ANNOTATION_COLORS);
-        return classes.indexOf(className);
+        // Stable taxonomy id, independent of class order
+        return getClassId(className);
     }
 
     getCategoryIdForCOCO(className) {
-        const classes = Object.keys(CONFIG.ANNOTATION_COLORS);
-        return classes.indexOf(className) + 1; // COCO IDs start from 1
+        const classId = getClassId(className);
+        return classId >= 0 ? classId + 1 : -1; // COCO IDs start from 1
+    }
+
+    /**
+     * COCO category of an annotation when signs are exported by MUTCD code: signs with a
+     * catalog code get their sign category, everything else keeps its class category
+     */
+    getAnnotationCategoryIdForCOCO(annotation) {
+        const sign = this.getAnnotationMutcdSign(annotation);
+        return sign ? getMutcdCategoryId(sign.code) : this.getCategoryIdForCOCO(annotation.className);
+    }
+
+    /**
+     * COCO categories for the MUTCD catalog, one per sign code, with the sign class as supercategory
+     */
+    getMutcdCategoriesForCOCO() {
+        const signClasses = getClassDefinitions()
+            .filter(classDef => getMetadataSchema(classDef.name).some(field => field.type === 'mutcd'))
+            .map(classDef => classDef.name);
+
+        return CONFIG.MUTCD.SIGNS.map(sign => ({
+            id: getMutcdCategoryId(sign.code),
+            name: sign.code,
+            supercategory: signClasses[0] || 'sign',
+            mutcd_name: sign.name,
+            mutcd_category: sign.category,
+            shape: sign.shape,
+            color: sign.color
+        }));
     }
 
     /**
@@ -1383,6 +3767,12 @@ ${validAnnotations.map(annotation => `    <object>
         }
     }
 
+    notifySelectionChanged() {
+        if (this.onSelectionChanged) {
+            this.onSelectionChanged(this.getSelectedAnnotations());
+        }
+    }
+
     notifyAnnotationStateChanged(annotation) {
         if (this.onAnnotationStateChanged) {
             this.onAnnotationStateChanged(annotation);
@@ -1401,6 +3791,21 @@ ${validAnnotations.map(annotation => `    <object>
         }
     }
 
+    notifyHistoryChanged() {
+        if (this.onHistoryChanged) {
+            this.onHistoryChanged({
+                canUndo: this.canUndo(),
+                canRedo: this.canRedo()
+            });
+        }
+    }
+
+    notifyMetadataRequired(annotation, missingFields) {
+        if (this.onMetadataRequired) {
+            this.onMetadataRequired(annotation, missingFields);
+        }
+    }
+
     /**
      * Event callback setters
      */
@@ -1412,6 +3817,10 @@ ${validAnnotations.map(annotation => `    <object>
         this.onAnnotationSelected = callback;
     }
 
+    setOnSelectionChanged(callback) {
+        this.onSelectionChanged = callback;
+    }
+
     setOnAnnotationStateChanged(callback) {
         this.onAnnotationStateChanged = callback;
     }
@@ -1424,6 +3833,14 @@ ${validAnnotations.map(annotation => `    <object>
         this.onSaveError = callback;
     }
 
+    setOnHistoryChanged(callback) {
+        this.onHistoryChanged = callback;
+    }
+
+    setOnMetadataRequired(callback) {
+        this.onMetadataRequired = callback;
+    }
+
     /**
      * Configuration methods
      */
@@ -1449,16 +3866,25 @@ ${validAnnotations.map(annotation => `    <object>
 
         // Clear data
         this.annotations.clear();
+        this.peekedAnnotations.clear();
+        this.openedImageIds.clear();
         this.annotationHistory = [];
+        this.undoStacks.clear();
+        this.redoStacks.clear();
         this.selectedAnnotation = null;
+        this.selectedAnnotationIds.clear();
+        this.clipboard = [];
         this.currentImageId = null;
 
         // Clear callbacks
         this.onAnnotationsChanged = null;
         this.onAnnotationSelected = null;
+        this.onSelectionChanged = null;
         this.onAnnotationStateChanged = null;
         this.onSaveComplete = null;
         this.onSaveError = null;
+        this.onHistoryChanged = null;
+        this.onMetadataRequired = null;
 
         console.log('AnnotationManager destroyed');
     }
@@ -3,8 +3,9 @@
  * Handles all backend communication with automatic fallback to sample mode
  */
 
-import { CONFIG, getApiEndpoint } from '../config.js';
+import { CONFIG, getApiEndpoint, getClassNames, getClassNameForPhrase } from '../config.js';
 import { errorLogger } from './error-logger.js';
+import { roiManager } from './roi-manager.js';
 
 /**
  * APIClient class handles all communication with the backend API
@@ -119,13 +120,20 @@ export class APIClient {
     /**
      * Get list of images from API or return sample images
      */
-    async getImages(page = 1, limit = 50) {
+    /**
+     * Get one page of the image listing from API or the sample images
+     * @param {number} page - 1-based page number
+     * @param {number} limit - Images per page
+     * @param {Object} filters - Optional { status, camera, dateFrom, dateTo } (dates as YYYY-MM-DD)
+     * @returns {Object} - { success, images, total, page, mode }
+     */
+    async getImages(page = 1, limit = CONFIG.DATASET.PAGE_SIZE, filters = {}) {
         if (this.sampleMode) {
-            return this.getSampleImages();
+            return this.getSampleImages(page, limit, filters);
         }
 
         try {
-            const url = `${getApiEndpoint('GET_IMAGES')}?page=${page}&limit=${limit}`;
+            const url = `${getApiEndpoint('GET_IMAGES')}?${this.buildImageQuery(page, limit, filters)}`;
             const response = await this.makeRequest('GET', url, null, { requireAuth: true });
             
             if (response.ok) {
@@ -134,7 +142,8 @@ export class APIClient {
                     success: true,
                     images: data.images || [],
                     total: data.total || 0,
-                    page: data.page || 1
+                    page: data.page || page,
+                    mode: 'live'
                 };
             } else {
                 throw new Error(`Failed to fetch images: ${response.status}`);
@@ -142,14 +151,35 @@ export class APIClient {
             
         } catch (error) {
             console.error('Failed to get images from API:', error);
-            errorLogger.logApiError('getImages', error, { page, limit });
+            errorLogger.logApiError('getImages', error, { page, limit, filters });
             
             // Fallback to sample mode
             this.sampleMode = true;
-            return this.getSampleImages();
+            return this.getSampleImages(page, limit, filters);
         }
     }
 
+    /**
+     * Build the /images query string; empty filters are left out
+     */
+    buildImageQuery(page, limit, filters = {}) {
+        const params = new URLSearchParams({ page: String(page), limit: String(limit) });
+        const filterParams = {
+            status: filters.status,
+            camera: filters.camera,
+            date_from: filters.dateFrom,
+            date_to: filters.dateTo
+        };
+
+        Object.entries(filterParams).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            }
+        });
+
+        return params.toString();
+    }
+
     async getAnnotations(imageId) {
         if (this.sampleMode) {
             return this.getSampleAnnotations(imageId);
@@ -244,6 +274,599 @@ export class APIClient {
         }
     }
 
+    /**
+     * Get the named ROIs and count lines of an image from API or local storage in sample mode
+     * @returns {Object} - { success, rois, countLines, mode }
+     */
+    async getROIs(imageId) {
+        if (this.sampleMode) {
+            return {
+                success: true,
+                rois: this.loadROIsFromLocalStorage(imageId),
+                countLines: this.loadCountLinesFromLocalStorage(imageId),
+                mode: 'sample'
+            };
+        }
+
+        try {
+            const url = `${getApiEndpoint('ROIS')}/${imageId}`;
+            const response = await this.makeRequest('GET', url, null, { requireAuth: true });
+
+            if (response.ok) {
+                const data = await response.json();
+                return {
+                    success: true,
+                    rois: data.rois || [],
+                    countLines: data.count_lines || [],
+                    mode: 'live'
+                };
+            } else {
+                throw new Error(`Failed to fetch ROIs: ${response.status}`);
+            }
+
+        } catch (error) {
+            console.error('Failed to get ROIs from API:', error);
+            errorLogger.logApiError('getROIs', error, { imageId });
+
+            // Fallback to local storage
+            return {
+                success: true,
+                rois: this.loadROIsFromLocalStorage(imageId),
+                countLines: this.loadCountLinesFromLocalStorage(imageId),
+                mode: 'sample'
+            };
+        }
+    }
+
+    /**
+     * Save the full ROI and count line lists of an image to API or local storage in sample mode
+     */
+    async saveROIs(imageId, rois, countLines = []) {
+        if (this.sampleMode) {
+            return this.saveROIsToLocalStorage(imageId, rois, countLines);
+        }
+
+        try {
+            const url = `${getApiEndpoint('ROIS')}/${imageId}`;
+            const response = await this.makeRequest('PUT', url, { image_id: imageId, rois, count_lines: countLines }, {
+                requireAuth: true
+            });
+
+            if (response.ok) {
+                return {
+                    success: true,
+                    message: 'ROIs saved successfully'
+                };
+            } else {
+                throw new Error(`Failed to save ROIs: ${response.status}`);
+            }
+
+        } catch (error) {
+            console.error('Failed to save ROIs to API:', error);
+            errorLogger.logApiError('saveROIs', error, { imageId, roiCount: rois.length, countLineCount: countLines.length });
+
+            // Fallback to local storage
+            return this.saveROIsToLocalStorage(imageId, rois, countLines);
+        }
+    }
+
+    /**
+     * Get the scene attributes of an image from API or local storage in sample mode
+     * @returns {Object} - { success, attributes, mode }
+     */
+    async getImageAttributes(imageId) {
+        if (this.sampleMode) {
+            return {
+                success: true,
+                attributes: this.loadImageAttributesFromLocalStorage(imageId),
+                mode: 'sample'
+            };
+        }
+
+        try {
+            const url = `${getApiEndpoint('IMAGE_ATTRIBUTES')}/${imageId}`;
+            const response = await this.makeRequest('GET', url, null, { requireAuth: true });
+
+            if (response.ok) {
+                const data = await response.json();
+                return {
+                    success: true,
+                    attributes: data.attributes || {},
+                    mode: 'live'
+                };
+            } else {
+                throw new Error(`Failed to fetch image attributes: ${response.status}`);
+            }
+
+        } catch (error) {
+            console.error('Failed to get image attributes from API:', error);
+            errorLogger.logApiError('getImageAttributes', error, { imageId });
+
+            // Fallback to local storage
+            return {
+                success: true,
+                attributes: this.loadImageAttributesFromLocalStorage(imageId),
+                mode: 'sample'
+            };
+        }
+    }
+
+    /**
+     * Save the full scene attribute set of an image to API or local storage in sample mode
+     */
+    async saveImageAttributes(imageId, attributes) {
+        if (this.sampleMode) {
+            return this.saveImageAttributesToLocalStorage(imageId, attributes);
+        }
+
+        try {
+            const url = `${getApiEndpoint('IMAGE_ATTRIBUTES')}/${imageId}`;
+            const response = await this.makeRequest('PUT', url, { image_id: imageId, attributes }, {
+                requireAuth: true
+            });
+
+            if (response.ok) {
+                return {
+                    success: true,
+                    message: 'Image attributes saved successfully'
+                };
+            } else {
+                throw new Error(`Failed to save image attributes: ${response.status}`);
+            }
+
+        } catch (error) {
+            console.error('Failed to save image attributes to API:', error);
+            errorLogger.logApiError('saveImageAttributes', error, { imageId });
+
+            // Fallback to local storage
+            return this.saveImageAttributesToLocalStorage(imageId, attributes);
+        }
+    }
+
+    /**
+     * Get the review status an annotator set on an image, from API or local storage in sample mode
+     * @returns {Object} - { success, review, mode } with review { status, reason, updatedAt } or null
+     */
+    async getImageReviewStatus(imageId) {
+        if (this.sampleMode) {
+            return {
+                success: true,
+                review: this.loadImageReviewStatusFromLocalStorage(imageId),
+                mode: 'sample'
+            };
+        }
+
+        try {
+            const url = `${getApiEndpoint('IMAGE_STATUS')}/${imageId}`;
+            const response = await this.makeRequest('GET', url, null, { requireAuth: true });
+
+            if (response.ok) {
+                const data = await response.json();
+                return {
+                    success: true,
+                    review: data.status ? { status: data.status, reason: data.reason || null, updatedAt: data.updated_at || null } : null,
+                    mode: 'live'
+                };
+            } else {
+                throw new Error(`Failed to fetch image status: ${response.status}`);
+            }
+
+        } catch (error) {
+            console.error('Failed to get image status from API:', error);
+            errorLogger.logApiError('getImageReviewStatus', error, { imageId });
+
+            // Fallback to local storage
+            return {
+                success: true,
+                review: this.loadImageReviewStatusFromLocalStorage(imageId),
+                mode: 'sample'
+            };
+        }
+    }
+
+    /**
+     * Save the review status of an image to API or local storage in sample mode
+     * @param {Object|null} review - { status, reason, updatedAt }, or null to clear the status
+     */
+    async saveImageReviewStatus(imageId, review) {
+        if (this.sampleMode) {
+            return this.saveImageReviewStatusToLocalStorage(imageId, review);
+        }
+
+        try {
+            const url = `${getApiEndpoint('IMAGE_STATUS')}/${imageId}`;
+            const response = await this.makeRequest('PUT', url, {
+                image_id: imageId,
+                status: review?.status || null,
+                reason: review?.reason || null,
+                updated_at: review?.updatedAt || null
+            }, {
+                requireAuth: true
+            });
+
+            if (response.ok) {
+                return {
+                    success: true,
+                    message: 'Image status saved successfully'
+                };
+            } else {
+                throw new Error(`Failed to save image status: ${response.status}`);
+            }
+
+        } catch (error) {
+            console.error('Failed to save image status to API:', error);
+            errorLogger.logApiError('saveImageReviewStatus', error, { imageId, status: review?.status || null });
+
+            // Fallback to local storage
+            return this.saveImageReviewStatusToLocalStorage(imageId, review);
+        }
+    }
+
+    /**
+     * Request a SAM v2 segmentation mask for a box and/or click prompts
+     * @param {Object} request - { imageId, bbox, points } where bbox is {x, y, width, height}
+     *   and points are {x, y, label} with label 1 (include) or 0 (exclude), all in image pixels
+     * @returns {Object} - { success, polygon, score, mode } or { success: false, error }
+     */
+    async segment(request = {}) {
+        const { imageId, bbox = null, points = [] } = request;
+
+        if (!bbox && points.length === 0) {
+            return { success: false, error: 'Segmentation needs a bounding box or at least one click point' };
+        }
+
+        if (this.sampleMode) {
+            return this.getSampleSegmentation(request);
+        }
+
+        try {
+            const response = await this.makeRequest('POST', getApiEndpoint('SEGMENT'), {
+                image_id: imageId,
+                model: CONFIG.SEGMENTATION.MODEL,
+                box: bbox ? [bbox.x, bbox.y, bbox.x + bbox.width, bbox.y + bbox.height] : null,
+                points: points.map(point => [point.x, point.y]),
+                point_labels: points.map(point => point.label)
+            }, {
+                requireAuth: true,
+                timeout: CONFIG.SEGMENTATION.TIMEOUT
+            });
+
+            if (!response.ok) {
+                throw new Error(`Segmentation failed: ${response.status}`);
+            }
+
+            const data = await response.json();
+            const polygon = this.maskToPolygon(data.mask);
+            if (!polygon) {
+                throw new Error('Segmentation response did not contain a usable mask');
+            }
+
+            return {
+                success: true,
+                polygon: polygon,
+                score: typeof data.score === 'number' ? data.score : null,
+                mode: 'live'
+            };
+
+        } catch (error) {
+            console.error('Failed to get segmentation from API:', error);
+            errorLogger.logApiError('segment', error, {
+                imageId,
+                hasBox: !!bbox,
+                pointCount: points.length
+            });
+
+            // No sample fallback here - a stand-in mask must never be mistaken for a model result
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Run prompt-driven Grounding DINO detection on an image
+     * @param {Object} request - { imageId, prompt, boxThreshold, textThreshold, roi, imageSize }
+     *   prompt is period-separated phrases ("wheelchair . dog . scooter"), roi an optional
+     *   polygon of {x, y} points, imageSize ({width, height}) is only used by the sample stub
+     * @returns {Object} - { success, detections, mode } with detections as
+     *   { bbox, className, phrase, confidence } in image pixels, or { success: false, error }
+     */
+    async detect(request = {}) {
+        const {
+            imageId,
+            prompt = '',
+            boxThreshold = CONFIG.DETECTION.BOX_THRESHOLD,
+            textThreshold = CONFIG.DETECTION.TEXT_THRESHOLD,
+            roi = null
+        } = request;
+
+        const phrases = this.parseDetectionPrompt(prompt);
+        if (phrases.length === 0) {
+            return { success: false, error: 'Detection prompt is empty' };
+        }
+
+        if (this.sampleMode) {
+            return this.getSampleDetections({ ...request, phrases, boxThreshold, roi });
+        }
+
+        try {
+            const response = await this.makeRequest('POST', getApiEndpoint('DETECT'), {
+                image_id: imageId,
+                model: CONFIG.DETECTION.MODEL,
+                text_prompt: phrases.join(CONFIG.DETECTION.PROMPT_SEPARATOR),
+                box_threshold: boxThreshold,
+                text_threshold: textThreshold,
+                roi: roi ? roi.map(point => [point.x, point.y]) : null
+            }, {
+                requireAuth: true,
+                timeout: CONFIG.DETECTION.TIMEOUT
+            });
+
+            if (!response.ok) {
+                throw new Error(`Detection failed: ${response.status}`);
+            }
+
+            const data = await response.json();
+            const detections = (data.detections || [])
+                .map(detection => this.normalizeDetection(detection))
+                .filter(detection => detection && detection.confidence >= boxThreshold);
+
+            return {
+                success: true,
+                detections: this.filterDetectionsToROI(detections, roi),
+                modelVersion: data.model_version || CONFIG.DETECTION.MODEL_VERSION,
+                mode: 'live'
+            };
+
+        } catch (error) {
+            console.error('Failed to run detection on API:', error);
+            errorLogger.logApiError('detect', error, { imageId, prompt });
+
+            // No sample fallback here - stub boxes must never be mistaken for detector output
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Split a detection prompt into unique, trimmed phrases
+     */
+    parseDetectionPrompt(prompt) {
+        const seen = new Set();
+        return String(prompt || '')
+            .split('.')
+            .map(phrase => phrase.trim())
+            .filter(phrase => {
+                const key = phrase.toLowerCase();
+                if (!phrase || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Convert one backend detection ({ box: [x1, y1, x2, y2] | bbox, label, score }) to app form
+     */
+    normalizeDetection(detection) {
+        if (!detection) return null;
+
+        let bbox = null;
+        if (Array.isArray(detection.box) && detection.box.length === 4) {
+            const [x1, y1, x2, y2] = detection.box;
+            bbox = { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+        } else if (detection.bbox && typeof detection.bbox.x === 'number') {
+            bbox = { ...detection.bbox };
+        }
+
+        if (!bbox || bbox.width <= 0 || bbox.height <= 0) {
+            return null;
+        }
+
+        const phrase = detection.label || detection.phrase || '';
+        return {
+            bbox: {
+                x: Math.round(bbox.x),
+                y: Math.round(bbox.y),
+                width: Math.round(bbox.width),
+                height: Math.round(bbox.height)
+            },
+            className: getClassNameForPhrase(phrase),
+            phrase: phrase,
+            confidence: Number(detection.score ?? detection.confidence ?? 0)
+        };
+    }
+
+    /**
+     * Keep detections whose box centre lies inside the ROI polygon (all if no ROI)
+     */
+    filterDetectionsToROI(detections, roi) {
+        if (!Array.isArray(roi) || roi.length < CONFIG.ROI.MIN_POINTS) {
+            return detections;
+        }
+
+        return detections.filter(({ bbox }) =>
+            roiManager.isPointInPolygon(bbox.x + bbox.width / 2, bbox.y + bbox.height / 2, roi)
+        );
+    }
+
+    /**
+     * Convert a segmentation mask from the backend to polygon vertices
+     * Accepts { type: 'polygon', points }, a bare point array, [x, y] pairs,
+     * or COCO RLE ({ size: [height, width], counts }) with counts as a number array
+     * (uncompressed) or a pycocotools string (compressed, as SAM backends return it).
+     * @returns {Array|null} - Vertices as {x, y} or null if the mask can't be read
+     */
+    maskToPolygon(mask) {
+        if (!mask) {
+            return null;
+        }
+
+        const points = Array.isArray(mask) ? mask : (mask.points || mask.polygon);
+        if (Array.isArray(points)) {
+            const polygon = points.map(point => Array.isArray(point)
+                ? { x: point[0], y: point[1] }
+                : { x: point.x, y: point.y });
+            return polygon.length >= 3 ? polygon : null;
+        }
+
+        if (Array.isArray(mask.size) && Array.isArray(mask.counts)) {
+            return this.rleToPolygon(mask);
+        }
+        if (Array.isArray(mask.size) && typeof mask.counts === 'string') {
+            return this.rleToPolygon({ size: mask.size, counts: this.decodeRLECounts(mask.counts) });
+        }
+
+        return null;
+    }
+
+    /**
+     * Decode compressed COCO RLE counts (the pycocotools string form): each count is a
+     * run of 6-bit characters holding 5 value bits, with counts after the second stored
+     * as the difference to the count two places back
+     * @param {string} encoded - Compressed counts
+     * @returns {Array} - Run lengths
+     */
+    decodeRLECounts(encoded) {
+        const counts = [];
+        let position = 0;
+
+        while (position < encoded.length) {
+            let value = 0;
+            let shift = 0;
+            let more = true;
+            while (more) {
+                const chunk = encoded.charCodeAt(position++) - 48;
+                value |= (chunk & 0x1f) << shift;
+                more = (chunk & 0x20) !== 0;
+                shift += 5;
+                if (!more && (chunk & 0x10)) {
+                    value |= -1 << shift;
+                }
+            }
+            if (counts.length > 2) {
+                value += counts[counts.length - 2];
+            }
+            counts.push(value);
+        }
+
+        return counts;
+    }
+
+    /**
+     * Trace the outline of the largest region in an uncompressed COCO RLE mask
+     * @param {Object} rle - { size: [height, width], counts } (column-major, starting with background)
+     * @returns {Array|null} - Outline vertices through pixel centres, or null if the mask is empty
+     */
+    rleToPolygon(rle) {
+        const [height, width] = rle.size;
+        const grid = new Uint8Array(width * height);
+
+        // Decode column-major runs into a row-major grid
+        let position = 0;
+        rle.counts.forEach((count, runIndex) => {
+            if (runIndex % 2 === 1) {
+                for (let i = position; i < position + count && i < grid.length; i++) {
+                    grid[(i % height) * width + Math.floor(i / height)] = 1;
+                }
+            }
+            position += count;
+        });
+
+        // Label 4-connected regions and keep the largest
+        const labels = new Int32Array(grid.length);
+        let largestLabel = 0;
+        let largestSize = 0;
+        let nextLabel = 1;
+
+        for (let start = 0; start < grid.length; start++) {
+            if (!grid[start] || labels[start]) continue;
+
+            const stack = [start];
+            labels[start] = nextLabel;
+            let size = 0;
+
+            while (stack.length > 0) {
+                const index = stack.pop();
+                const x = index % width;
+                size++;
+
+                const neighbours = [
+                    x > 0 ? index - 1 : -1,
+                    x < width - 1 ? index + 1 : -1,
+                    index - width,
+                    index + width
+                ];
+                for (const neighbour of neighbours) {
+                    if (neighbour >= 0 && neighbour < grid.length && grid[neighbour] && !labels[neighbour]) {
+                        labels[neighbour] = nextLabel;
+                        stack.push(neighbour);
+                    }
+                }
+            }
+
+            if (size > largestSize) {
+                largestSize = size;
+                largestLabel = nextLabel;
+            }
+            nextLabel++;
+        }
+
+        if (!largestLabel) {
+            return null;
+        }
+
+        // Moore-neighbour boundary trace, clockwise starting from the first pixel in raster order
+        const directions = [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+        const isInside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === largestLabel;
+
+        const startIndex = labels.indexOf(largestLabel);
+        let current = { x: startIndex % width, y: Math.floor(startIndex / width) };
+        let backtrack = 0; // Direction of the (background) pixel we came from - west of the start pixel
+        const outline = [];
+        const visited = new Set();
+
+        while (outline.length <= grid.length) {
+            const state = `${current.x},${current.y},${backtrack}`;
+            if (visited.has(state)) break;
+            visited.add(state);
+            outline.push({ x: current.x + 0.5, y: current.y + 0.5 });
+
+            let moved = false;
+            for (let step = 1; step <= 8; step++) {
+                const direction = (backtrack + step) % 8;
+                const next = { x: current.x + directions[direction][0], y: current.y + directions[direction][1] };
+
+                if (isInside(next.x, next.y)) {
+                    // The pixel checked just before `next` becomes the new backtrack, seen from `next`
+                    const previous = directions[(direction + 7) % 8];
+                    const from = { x: current.x + previous[0] - next.x, y: current.y + previous[1] - next.y };
+                    backtrack = directions.findIndex(([dx, dy]) => dx === from.x && dy === from.y);
+                    current = next;
+                    moved = true;
+                    break;
+                }
+            }
+
+            // Single isolated pixel
+            if (!moved) break;
+        }
+
+        // Drop the closing repeat of the start pixel and collinear runs
+        const unique = outline.filter((point, index) =>
+            index === 0 || point.x !== outline[0].x || point.y !== outline[0].y
+        );
+        const corners = unique.filter((point, index) => {
+            const prev = unique[(index - 1 + unique.length) % unique.length];
+            const next = unique[(index + 1) % unique.length];
+            return (point.x - prev.x) * (next.y - point.y) !== (point.y - prev.y) * (next.x - point.x);
+        });
+
+        return corners.length >= 3 ? corners : null;
+    }
+
     /**
      * Make HTTP request with proper headers and error handling
      */
@@ -299,13 +922,14 @@ export class APIClient {
     /**
      * Sample mode methods - provide mock data when API is unavailable
      */
-    getSampleImages() {
+    getSampleImages(page = 1, limit = CONFIG.DATASET.PAGE_SIZE, filters = {}) {
         const sampleImages = CONFIG.SAMPLE_IMAGES.map((path, index) => ({
             id: `sample-${index + 1}`,
             filename: path.split('/').pop(),
             path: path,
             width: 1920, // Mock dimensions
             height: 1080,
+            status: this.getSampleImageStatus(`sample-${index + 1}`),
             metadata: {
                 captureDate: new Date().toISOString(),
                 location: 'Sample Location',
@@ -313,15 +937,58 @@ export class APIClient {
             }
         }));
 
+        // Filter and page the sample set the way the API does
+        const matching = sampleImages.filter(image => this.imageMatchesFilters(image, filters));
+        const start = (page - 1) * limit;
+
         return {
             success: true,
-            images: sampleImages,
-            total: sampleImages.length,
-            page: 1,
+            images: matching.slice(start, start + limit),
+            total: matching.length,
+            page: page,
             mode: 'sample'
         };
     }
 
+    /**
+     * Review status of a sample image the way the API reports it: the status an annotator
+     * set (see CONFIG.IMAGE_REVIEW), unusable for frames tagged unusable, otherwise derived
+     * from the stored annotations - unreviewed until an object is reviewed, complete once
+     * none are left Suggested or Modified
+     */
+    getSampleImageStatus(imageId) {
+        const review = this.loadImageReviewStatusFromLocalStorage(imageId);
+        if (review?.status) {
+            return review.status;
+        }
+        if (this.loadImageAttributesFromLocalStorage(imageId).unusable === true) {
+            return 'unusable';
+        }
+
+        const annotations = this.loadAnnotationsFromLocalStorage(imageId);
+        const reviewed = annotations.filter(annotation => annotation.state === 'Verified' || annotation.state === 'Rejected' || annotation.state === 'Modified');
+        if (reviewed.length === 0) {
+            return 'unreviewed';
+        }
+        return annotations.some(annotation => annotation.state === 'Suggested' || annotation.state === 'Modified')
+            ? 'in_progress'
+            : 'complete';
+    }
+
+    /**
+     * Check an image listing entry against { status, camera, dateFrom, dateTo } filters
+     */
+    imageMatchesFilters(image, filters = {}) {
+        const metadata = image.metadata || {};
+        const captureDay = (metadata.captureDate || '').slice(0, 10);
+
+        if (filters.status && image.status !== filters.status) return false;
+        if (filters.camera && !String(metadata.camera || '').toLowerCase().includes(filters.camera.toLowerCase())) return false;
+        if (filters.dateFrom && captureDay < filters.dateFrom) return false;
+        if (filters.dateTo && captureDay > filters.dateTo) return false;
+        return true;
+    }
+
     getSampleAnnotations(imageId) {
         // First check if we have saved annotations in local storage
         const savedAnnotations = this.loadAnnotationsFromLocalStorage(imageId);
@@ -353,7 +1020,7 @@ export class APIClient {
      */
     generateRealisticMockAnnotations(imageId) {
         const baseTime = new Date().toISOString();
-        const availableClasses = Object.keys(CONFIG.ANNOTATION_COLORS);
+        const availableClasses = getClassNames();
         const states = ['Suggested', 'Verified', 'Modified'];
         
         // Different annotation patterns based on image ID
@@ -548,6 +1215,136 @@ export class APIClient {
         return annotations;
     }
 
+    /**
+     * Deterministic local stand-in for SAM v2 used in sample mode.
+     * Proposes an ellipse over the prompt region: the box (grown to include any
+     * include-clicks), or a fixed-size region around the include-clicks. Exclude-clicks
+     * inside the ellipse pull the nearby part of the outline in so they fall outside.
+     */
+    getSampleSegmentation(request) {
+        const { bbox = null, points = [] } = request;
+        const positive = points.filter(point => point.label === 1);
+        const negative = points.filter(point => point.label === 0);
+
+        const padding = CONFIG.SEGMENTATION.SAMPLE_POINT_RADIUS;
+        const xs = positive.map(point => point.x);
+        const ys = positive.map(point => point.y);
+        if (bbox) {
+            xs.push(bbox.x, bbox.x + bbox.width);
+            ys.push(bbox.y, bbox.y + bbox.height);
+        }
+
+        if (xs.length === 0) {
+            return { success: false, error: 'Sample segmentation needs a box or an include click', mode: 'sample' };
+        }
+
+        const pad = bbox ? 0 : padding;
+        const minX = Math.max(0, Math.min(...xs) - pad);
+        const minY = Math.max(0, Math.min(...ys) - pad);
+        const maxX = Math.max(...xs) + pad;
+        const maxY = Math.max(...ys) + pad;
+
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+        const radiusX = Math.max(1, (maxX - minX) / 2);
+        const radiusY = Math.max(1, (maxY - minY) / 2);
+
+        // Exclude-clicks as (angle, normalised radius) in ellipse space
+        const exclusions = negative
+            .map(point => {
+                const u = (point.x - centerX) / radiusX;
+                const v = (point.y - centerY) / radiusY;
+                return { angle: Math.atan2(v, u), radius: Math.hypot(u, v) };
+            })
+            .filter(exclusion => exclusion.radius < 1);
+
+        const vertexCount = CONFIG.SEGMENTATION.SAMPLE_VERTEX_COUNT;
+        const polygon = [];
+        for (let i = 0; i < vertexCount; i++) {
+            const angle = (i / vertexCount) * 2 * Math.PI;
+            let radius = 1;
+
+            exclusions.forEach(exclusion => {
+                const delta = Math.abs(Math.atan2(Math.sin(angle - exclusion.angle), Math.cos(angle - exclusion.angle)));
+                if (delta < Math.PI / 4) {
+                    radius = Math.min(radius, Math.max(0.1, exclusion.radius * 0.8));
+                }
+            });
+
+            polygon.push({
+                x: Math.round((centerX + radiusX * radius * Math.cos(angle)) * 10) / 10,
+                y: Math.round((centerY + radiusY * radius * Math.sin(angle)) * 10) / 10
+            });
+        }
+
+        return {
+            success: true,
+            polygon: polygon,
+            score: 0.9,
+            mode: 'sample'
+        };
+    }
+
+    /**
+     * Deterministic stub detector used in sample mode. Each phrase yields one or
+     * two boxes whose size, position and confidence are seeded from the image id
+     * and phrase, so the same prompt always gives the same result.
+     */
+    getSampleDetections({ imageId, phrases, boxThreshold, roi, imageSize = null }) {
+        const { width = 1920, height = 1080 } = imageSize || {};
+        const detections = [];
+
+        phrases.forEach(phrase => {
+            const random = this.createSeededRandom(`${imageId}|${phrase.toLowerCase()}`);
+            const count = 1 + Math.floor(random() * 2);
+
+            for (let i = 0; i < count; i++) {
+                const boxWidth = Math.round(width * (0.04 + random() * 0.12));
+                const boxHeight = Math.round(height * (0.06 + random() * 0.15));
+
+                detections.push({
+                    bbox: {
+                        x: Math.round(random() * (width - boxWidth)),
+                        y: Math.round(random() * (height - boxHeight)),
+                        width: boxWidth,
+                        height: boxHeight
+                    },
+                    className: getClassNameForPhrase(phrase),
+                    phrase: phrase,
+                    confidence: Math.round((0.25 + random() * 0.7) * 100) / 100
+                });
+            }
+        });
+
+        return {
+            success: true,
+            detections: this.filterDetectionsToROI(
+                detections.filter(detection => detection.confidence >= boxThreshold),
+                roi
+            ),
+            modelVersion: CONFIG.DETECTION.MODEL_VERSION,
+            mode: 'sample'
+        };
+    }
+
+    /**
+     * Small seeded PRNG (FNV-1a hash + mulberry32) for reproducible sample data
+     */
+    createSeededRandom(seedText) {
+        let seed = 2166136261;
+        for (let i = 0; i < seedText.length; i++) {
+            seed ^= seedText.charCodeAt(i);
+            seed = Math.imul(seed, 16777619);
+        }
+
+        return () => {
+            seed = (seed + 0x6D2B79F5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
     saveSampleAnnotation(annotation) {
         try {
             const imageId = annotation.imageId;
@@ -697,7 +1494,7 @@ export class APIClient {
         return {
             active: this.sampleMode,
             sampleImages: CONFIG.SAMPLE_IMAGES,
-            availableClasses: Object.keys(CONFIG.ANNOTATION_COLORS),
+            availableClasses: getClassNames(),
             availableStates: Object.keys(CONFIG.STATE_COLORS),
             localStorageSupported: this.isLocalStorageAvailable(),
             persistenceEnabled: true
@@ -898,6 +1695,140 @@ export class APIClient {
         }
     }
 
+    loadROIsFromLocalStorage(imageId) {
+        try {
+            const stored = localStorage.getItem(`ima-rois-${imageId}`);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Failed to load ROIs from local storage:', error);
+            errorLogger.logError('Local storage load failed', {
+                type: 'storage_error',
+                operation: 'load_rois',
+                imageId
+            }, error);
+            return [];
+        }
+    }
+
+    loadCountLinesFromLocalStorage(imageId) {
+        try {
+            const stored = localStorage.getItem(`ima-count-lines-${imageId}`);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Failed to load count lines from local storage:', error);
+            errorLogger.logError('Local storage load failed', {
+                type: 'storage_error',
+                operation: 'load_count_lines',
+                imageId
+            }, error);
+            return [];
+        }
+    }
+
+    saveROIsToLocalStorage(imageId, rois, countLines = []) {
+        try {
+            localStorage.setItem(`ima-rois-${imageId}`, JSON.stringify(rois));
+            localStorage.setItem(`ima-count-lines-${imageId}`, JSON.stringify(countLines));
+            console.log(`Saved ${rois.length} ROIs and ${countLines.length} count lines to local storage for image ${imageId}`);
+            return {
+                success: true,
+                message: 'ROIs saved to local storage (sample mode)',
+                mode: 'sample'
+            };
+        } catch (error) {
+            console.error('Failed to save ROIs to local storage:', error);
+            errorLogger.logError('Local storage save failed', {
+                type: 'storage_error',
+                operation: 'save_rois',
+                imageId,
+                roiCount: rois.length
+            }, error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    loadImageAttributesFromLocalStorage(imageId) {
+        try {
+            const stored = localStorage.getItem(`ima-image-attributes-${imageId}`);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Failed to load image attributes from local storage:', error);
+            errorLogger.logError('Local storage load failed', {
+                type: 'storage_error',
+                operation: 'load_image_attributes',
+                imageId
+            }, error);
+            return {};
+        }
+    }
+
+    saveImageAttributesToLocalStorage(imageId, attributes) {
+        try {
+            localStorage.setItem(`ima-image-attributes-${imageId}`, JSON.stringify(attributes));
+            console.log(`Saved ${Object.keys(attributes).length} scene attributes to local storage for image ${imageId}`);
+            return {
+                success: true,
+                message: 'Image attributes saved to local storage (sample mode)',
+                mode: 'sample'
+            };
+        } catch (error) {
+            console.error('Failed to save image attributes to local storage:', error);
+            errorLogger.logError('Local storage save failed', {
+                type: 'storage_error',
+                operation: 'save_image_attributes',
+                imageId
+            }, error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    loadImageReviewStatusFromLocalStorage(imageId) {
+        try {
+            const stored = localStorage.getItem(`ima-image-status-${imageId}`);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Failed to load image status from local storage:', error);
+            errorLogger.logError('Local storage load failed', {
+                type: 'storage_error',
+                operation: 'load_image_status',
+                imageId
+            }, error);
+            return null;
+        }
+    }
+
+    saveImageReviewStatusToLocalStorage(imageId, review) {
+        try {
+            if (review) {
+                localStorage.setItem(`ima-image-status-${imageId}`, JSON.stringify(review));
+            } else {
+                localStorage.removeItem(`ima-image-status-${imageId}`);
+            }
+            return {
+                success: true,
+                message: 'Image status saved to local storage (sample mode)',
+                mode: 'sample'
+            };
+        } catch (error) {
+            console.error('Failed to save image status to local storage:', error);
+            errorLogger.logError('Local storage save failed', {
+                type: 'storage_error',
+                operation: 'save_image_status',
+                imageId
+            }, error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     clearAnnotationsFromLocalStorage(imageId) {
         try {
             const key = `ima-annotations-${imageId}`;
@@ -3,7 +3,7 @@
  * Initializes and coordinates all modules using ES6 module architecture
  */
 
-import { CONFIG, validateConfig, isApiKeyConfigured } from '../config.js';
+import { CONFIG, validateConfig, isApiKeyConfigured, loadClassTaxonomy, getClassDefinitions, getClassDefinitionsByDomain, getDefaultClassName, getDefaultDetectionPrompt, getPickableRejectionReasons, getRejectionReasonLabel, getImageAttributeSchema, getImageReviewStatusLabel } from '../config.js';
 import { apiClient } from './api-client.js';
 import { statusBanner } from './status-banner.js';
 import { loadingManager } from './loading-manager.js';
@@ -53,8 +53,23 @@ class App {
                 return;
             }
 
+            // Load project class taxonomy (falls back to CONFIG.CLASS_TAXONOMY)
+            const taxonomyResult = await loadClassTaxonomy();
+            if (!taxonomyResult.success) {
+                console.error('Failed to load class taxonomy:', taxonomyResult.error);
+                statusBanner.showWarning('Project class taxonomy could not be loaded. Using built-in classes.');
+            }
+
             // Initialize DOM elements
             this.initializeDOMElements();
+            this.populateClassSelector();
+            this.configureMaskSimplifySlider();
+            this.configureDetectionPanel();
+            this.configureDatasetFilters();
+            this.configureSelectionPanel();
+            this.configureConfidenceFilter();
+            this.configureRejectionReasons();
+            if (this.overlapIoU) this.overlapIoU.value = CONFIG.OVERLAPS.DUPLICATE_IOU;
             
             // Set up event listeners
             this.setupEventListeners();
@@ -115,11 +130,103 @@ class App {
         this.prevBtn = document.getElementById('prev-btn');
         this.nextBtn = document.getElementById('next-btn');
         this.imageCounter = document.getElementById('image-counter');
+        this.imageReviewStatus = document.getElementById('image-review-status');
+        this.imageReviewSelect = document.getElementById('image-review-select');
+        this.imageJump = document.getElementById('image-jump');
+        
+        // Dataset filters
+        this.datasetFilterForm = document.getElementById('dataset-filter-form');
+        this.datasetStatusFilter = document.getElementById('dataset-status-filter');
+        this.datasetCameraFilter = document.getElementById('dataset-camera-filter');
+        this.datasetDateFrom = document.getElementById('dataset-date-from');
+        this.datasetDateTo = document.getElementById('dataset-date-to');
+        this.datasetFilterClearBtn = document.getElementById('dataset-filter-clear-btn');
+        this.datasetFilterSummary = document.getElementById('dataset-filter-summary');
+        
+        // Review queue
+        this.reviewQueueMode = document.getElementById('review-queue-mode');
+        this.reviewQueueClass = document.getElementById('review-queue-class');
+        this.reviewQueueClassGroup = document.getElementById('review-queue-class-group');
+        this.reviewQueueThreshold = document.getElementById('review-queue-threshold');
+        this.reviewQueueThresholdGroup = document.getElementById('review-queue-threshold-group');
+        this.reviewQueueAttribute = document.getElementById('review-queue-attribute');
+        this.reviewQueueAttributeGroup = document.getElementById('review-queue-attribute-group');
+        this.reviewQueueAttributeValue = document.getElementById('review-queue-attribute-value');
+        this.reviewQueueAttributeValueGroup = document.getElementById('review-queue-attribute-value-group');
+        this.reviewQueuePrevBtn = document.getElementById('review-queue-prev-btn');
+        this.reviewQueueNextBtn = document.getElementById('review-queue-next-btn');
+        this.reviewQueueStatus = document.getElementById('review-queue-status');
+        
+        // Scene attributes
+        this.imageAttributesFields = document.getElementById('image-attributes-fields');
+        this.imageAttributesStatus = document.getElementById('image-attributes-status');
+        
+        // Verification gate
+        this.verificationGateModal = document.getElementById('verification-gate-modal');
+        this.verificationGateMessage = document.getElementById('verification-gate-message');
+        this.verificationGateReason = document.getElementById('verification-gate-reason');
+        this.verificationGateVerifyBtn = document.getElementById('verification-gate-verify-btn');
+        this.verificationGateRejectBtn = document.getElementById('verification-gate-reject-btn');
+        this.verificationGateOverrideBtn = document.getElementById('verification-gate-override-btn');
+        this.verificationGateRejectReason = document.getElementById('verification-gate-reject-reason');
+        
+        // Rejection reason picker
+        this.rejectionReasonModal = document.getElementById('rejection-reason-modal');
+        this.rejectionReasonTitle = document.getElementById('rejection-reason-title');
+        this.rejectionReasonList = document.getElementById('rejection-reason-list');
+        
+        // Dataset browser
+        this.datasetBrowserBtn = document.getElementById('dataset-browser-btn');
+        this.datasetBrowserModal = document.getElementById('dataset-browser-modal');
+        this.datasetBrowserProgress = document.getElementById('dataset-browser-progress');
+        this.datasetBrowserSearch = document.getElementById('dataset-browser-search');
+        this.datasetBrowserGrid = document.getElementById('dataset-browser-grid');
+        this.datasetBrowserEmpty = document.getElementById('dataset-browser-empty');
+        this.datasetBrowserSummary = document.getElementById('dataset-browser-summary');
+        this.datasetBrowserMoreBtn = document.getElementById('dataset-browser-more-btn');
+        
+        // Selection panel
+        this.selectionCount = document.getElementById('selection-count');
+        this.selectionClass = document.getElementById('selection-class');
+        this.selectClassBtn = document.getElementById('select-class-btn');
+        this.selectionSetClassBtn = document.getElementById('selection-set-class-btn');
+        this.selectROIBtn = document.getElementById('select-roi-btn');
+        this.selectionClearBtn = document.getElementById('selection-clear-btn');
+        this.bulkVerifyBtn = document.getElementById('bulk-verify-btn');
+        this.bulkRejectBtn = document.getElementById('bulk-reject-btn');
+        this.bulkDeleteBtn = document.getElementById('bulk-delete-btn');
+        this.bulkCopyBtn = document.getElementById('bulk-copy-btn');
+        this.bulkPasteBtn = document.getElementById('bulk-paste-btn');
+        
+        // Overlaps panel
+        this.overlapCount = document.getElementById('overlap-count');
+        this.overlapIoU = document.getElementById('overlap-iou');
+        this.overlapHighlight = document.getElementById('overlap-highlight');
+        this.overlapList = document.getElementById('overlap-list');
+        this.overlapEmpty = document.getElementById('overlap-empty');
+        this.overlapSuppressBtn = document.getElementById('overlap-suppress-btn');
         
         // Tool buttons
         this.drawBtn = document.getElementById('draw-btn');
         this.selectBtn = document.getElementById('select-btn');
         this.roiBtn = document.getElementById('roi-btn');
+        this.countLineBtn = document.getElementById('count-line-btn');
+        this.polygonBtn = document.getElementById('polygon-btn');
+        this.segmentBtn = document.getElementById('segment-btn');
+        this.segmentControls = document.getElementById('segment-controls');
+        this.segmentStatus = document.getElementById('segment-status');
+        this.segmentAcceptBtn = document.getElementById('segment-accept-btn');
+        this.segmentClearBtn = document.getElementById('segment-clear-btn');
+        this.undoBtn = document.getElementById('undo-btn');
+        this.redoBtn = document.getElementById('redo-btn');
+        
+        // Zoom controls
+        this.zoomInBtn = document.getElementById('zoom-in-btn');
+        this.zoomOutBtn = document.getElementById('zoom-out-btn');
+        this.zoomFitBtn = document.getElementById('zoom-fit-btn');
+        this.zoomActualBtn = document.getElementById('zoom-actual-btn');
+        this.zoomSelectionBtn = document.getElementById('zoom-selection-btn');
+        this.zoomLevel = document.getElementById('zoom-level');
         
         // Action buttons
         this.saveBtn = document.getElementById('save-btn');
@@ -135,29 +242,185 @@ class App {
         this.verifiedCount = document.getElementById('verified-count');
         this.modifiedCount = document.getElementById('modified-count');
         this.rejectedCount = document.getElementById('rejected-count');
+        this.belowThresholdCount = document.getElementById('below-threshold-count');
+        
+        // Confidence filter panel
+        this.confidenceThreshold = document.getElementById('confidence-threshold');
+        this.confidenceThresholdValue = document.getElementById('confidence-threshold-value');
+        this.confidenceDisplay = document.getElementById('confidence-display');
+        this.confidenceClass = document.getElementById('confidence-class');
+        this.confidenceClassThreshold = document.getElementById('confidence-class-threshold');
+        this.confidenceClassSetBtn = document.getElementById('confidence-class-set-btn');
+        this.confidenceClassThresholds = document.getElementById('confidence-class-thresholds');
+        this.autoRejectEnabled = document.getElementById('auto-reject-enabled');
+        this.autoRejectBelow = document.getElementById('auto-reject-below');
+        this.autoRejectNowBtn = document.getElementById('auto-reject-now-btn');
         
         // Class selector
         this.classSelector = document.getElementById('class-selector');
         
+        // Mask edit controls
+        this.maskEditBtn = document.getElementById('mask-edit-btn');
+        this.maskSimplifyTolerance = document.getElementById('mask-simplify-tolerance');
+        this.maskSimplifyValue = document.getElementById('mask-simplify-value');
+        this.maskSimplifyBtn = document.getElementById('mask-simplify-btn');
+        this.maskVertexCount = document.getElementById('mask-vertex-count');
+        
         // ROI controls
+        this.detectPrompt = document.getElementById('detect-prompt');
+        this.detectBoxThreshold = document.getElementById('detect-box-threshold');
+        this.detectTextThreshold = document.getElementById('detect-text-threshold');
+        this.detectRoiOnly = document.getElementById('detect-roi-only');
+        this.detectBtn = document.getElementById('detect-btn');
+        this.detectResult = document.getElementById('detect-result');
         this.roiToggle = document.getElementById('roi-toggle');
+        this.roiList = document.getElementById('roi-list');
+        this.roiEmpty = document.getElementById('roi-empty');
         this.clearRoiBtn = document.getElementById('clear-roi-btn');
         
+        // Count line controls
+        this.countLineList = document.getElementById('count-line-list');
+        this.countLineEmpty = document.getElementById('count-line-empty');
+        
         console.log('DOM elements initialized');
     }
 
+    /**
+     * Fill the class selector from the class taxonomy, grouped by domain
+     */
+    populateClassSelector() {
+        if (!this.classSelector) return;
+
+        const previousValue = this.classSelector.value;
+        this.classSelector.replaceChildren(...getClassDefinitionsByDomain().map(({ domain, classes }) => {
+            const group = document.createElement('optgroup');
+            group.label = domain;
+            classes.forEach(classDef => {
+                const fhwaLabel = classDef.fhwaClass ? ` (FHWA ${classDef.fhwaClass})` : '';
+                group.append(new Option(`${classDef.name}${fhwaLabel}`, classDef.name));
+            });
+            return group;
+        }));
+
+        const classNames = getClassDefinitions().map(classDef => classDef.name);
+        this.classSelector.value = classNames.includes(previousValue)
+            ? previousValue
+            : classNames[0] || getDefaultClassName();
+    }
+
     /**
      * Set up event listeners for UI interactions
      */
     setupEventListeners() {
         // Navigation events
         this.prevBtn?.addEventListener('click', () => this.previousImage());
+        this.imageJump?.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.jumpToImage();
+            }
+        });
+        this.datasetFilterForm?.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.applyDatasetFilters();
+        });
+        this.datasetFilterClearBtn?.addEventListener('click', () => this.clearDatasetFilters());
+        [this.reviewQueueMode, this.reviewQueueClass, this.reviewQueueThreshold, this.reviewQueueAttributeValue].forEach(control => {
+            control?.addEventListener('change', () => this.onReviewQueueChange());
+        });
+        this.reviewQueueAttribute?.addEventListener('change', () => {
+            this.populateReviewQueueAttributeValues();
+            this.onReviewQueueChange();
+        });
+        this.imageAttributesFields?.addEventListener('change', (event) => this.onImageAttributeChange(event));
+        this.imageReviewSelect?.addEventListener('change', () => this.onImageReviewStatusChange());
+        this.reviewQueuePrevBtn?.addEventListener('click', () => this.navigateReviewQueue(-1));
+        this.reviewQueueNextBtn?.addEventListener('click', () => this.navigateReviewQueue(1));
+        this.datasetBrowserBtn?.addEventListener('click', () => this.openDatasetBrowser());
+        this.datasetBrowserProgress?.addEventListener('change', () => this.renderDatasetBrowser());
+        this.datasetBrowserSearch?.addEventListener('input', () => this.renderDatasetBrowser());
+        this.datasetBrowserGrid?.addEventListener('click', (event) => this.onDatasetBrowserClick(event));
+        this.datasetBrowserMoreBtn?.addEventListener('click', () => this.loadMoreDatasetImages());
         this.nextBtn?.addEventListener('click', () => this.nextImage());
         
+        // Verification gate events
+        this.verificationGateVerifyBtn?.addEventListener('click', () => this.resolveVerificationGate('Verified'));
+        this.verificationGateRejectBtn?.addEventListener('click', () => this.resolveVerificationGate('Rejected'));
+        this.verificationGateOverrideBtn?.addEventListener('click', () => this.overrideVerificationGate());
+        this.verificationGateModal?.addEventListener('hidden.bs.modal', () => this.finishVerificationGate(false));
+        
+        // Rejection reason picker events
+        this.rejectionReasonList?.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-reason]');
+            if (button) this.finishRejectionReasonPicker(button.dataset.reason);
+        });
+        this.rejectionReasonModal?.addEventListener('keydown', (event) => {
+            const button = this.rejectionReasonList?.querySelector(`button[data-key="${event.key}"]`);
+            if (button) {
+                event.preventDefault();
+                this.finishRejectionReasonPicker(button.dataset.reason);
+            }
+        });
+        this.rejectionReasonModal?.addEventListener('shown.bs.modal', () => {
+            this.rejectionReasonList?.querySelector(`button[data-reason="${this.lastRejectionReason}"]`)?.focus();
+        });
+        this.rejectionReasonModal?.addEventListener('hidden.bs.modal', () => this.finishRejectionReasonPicker(null));
+        
+        // Selection panel events
+        this.selectClassBtn?.addEventListener('click', () => this.runSelectionAction('select_class'));
+        this.selectROIBtn?.addEventListener('click', () => this.runSelectionAction('select_roi'));
+        this.selectionClearBtn?.addEventListener('click', () => this.runSelectionAction('clear'));
+        this.selectionSetClassBtn?.addEventListener('click', () => this.runSelectionAction('set_class'));
+        this.bulkVerifyBtn?.addEventListener('click', () => this.runSelectionAction('verify'));
+        this.bulkRejectBtn?.addEventListener('click', () => this.runSelectionAction('reject'));
+        this.bulkDeleteBtn?.addEventListener('click', () => this.runSelectionAction('delete'));
+        this.bulkCopyBtn?.addEventListener('click', () => this.runSelectionAction('copy'));
+        this.bulkPasteBtn?.addEventListener('click', () => this.runSelectionAction('paste'));
+        
+        // Overlaps panel events
+        this.overlapIoU?.addEventListener('change', () => this.updateOverlapPanel());
+        this.overlapHighlight?.addEventListener('change', () => this.updateOverlapPanel());
+        this.overlapList?.addEventListener('click', (event) => this.onOverlapListClick(event));
+        this.overlapSuppressBtn?.addEventListener('click', () => this.suppressDuplicates());
+        
+        // Confidence filter events
+        this.confidenceThreshold?.addEventListener('input', () =>
+            this.updateConfidenceFilter({ threshold: Number(this.confidenceThreshold.value) }));
+        this.confidenceDisplay?.addEventListener('change', () =>
+            this.updateConfidenceFilter({ display: this.confidenceDisplay.value }));
+        this.confidenceClassSetBtn?.addEventListener('click', () => this.updateConfidenceFilter({
+            classThresholds: { [this.confidenceClass.value]: Number(this.confidenceClassThreshold.value) }
+        }));
+        this.confidenceClassThresholds?.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-class-name]');
+            if (button) {
+                this.updateConfidenceFilter({ classThresholds: { [button.dataset.className]: null } });
+            }
+        });
+        this.autoRejectEnabled?.addEventListener('change', () =>
+            this.updateConfidenceFilter({ autoReject: this.autoRejectEnabled.checked }));
+        this.autoRejectBelow?.addEventListener('change', () =>
+            this.updateConfidenceFilter({ autoRejectBelow: Number(this.autoRejectBelow.value) }));
+        this.autoRejectNowBtn?.addEventListener('click', () => this.autoRejectLowConfidence());
+        
         // Tool selection events
         this.drawBtn?.addEventListener('click', () => this.setDrawingMode(true));
         this.selectBtn?.addEventListener('click', () => this.setDrawingMode(false));
         this.roiBtn?.addEventListener('click', () => this.toggleROIMode());
+        this.countLineBtn?.addEventListener('click', () => this.toggleCountLineMode());
+        this.polygonBtn?.addEventListener('click', () => this.togglePolygonMode());
+        this.segmentBtn?.addEventListener('click', () => this.toggleSegmentMode());
+        this.segmentAcceptBtn?.addEventListener('click', () => this.drawingTools?.acceptSegmentProposal());
+        this.segmentClearBtn?.addEventListener('click', () => this.drawingTools?.clearSegmentPrompt());
+        this.undoBtn?.addEventListener('click', () => this.undo());
+        this.redoBtn?.addEventListener('click', () => this.redo());
+        
+        // Zoom events
+        this.zoomInBtn?.addEventListener('click', () => this.canvasRenderer?.zoomBy(CONFIG.ZOOM.BUTTON_STEP));
+        this.zoomOutBtn?.addEventListener('click', () => this.canvasRenderer?.zoomBy(1 / CONFIG.ZOOM.BUTTON_STEP));
+        this.zoomFitBtn?.addEventListener('click', () => this.canvasRenderer?.zoomToFit());
+        this.zoomActualBtn?.addEventListener('click', () => this.canvasRenderer?.zoomToActualSize());
+        this.zoomSelectionBtn?.addEventListener('click', () => this.zoomToSelection());
         
         // Action events
         this.saveBtn?.addEventListener('click', () => this.saveAnnotations());
@@ -187,9 +450,25 @@ class App {
             syncBtn.addEventListener('click', () => this.syncSampleDataToLive());
         }
         
+        // Mask edit events
+        this.maskEditBtn?.addEventListener('click', () => this.toggleMaskEditMode());
+        this.maskSimplifyTolerance?.addEventListener('input', () => this.previewMaskSimplification());
+        this.maskSimplifyBtn?.addEventListener('click', () => this.applyMaskSimplification());
+        
         // ROI events
+        this.detectBtn?.addEventListener('click', () => this.runDetection());
+        this.detectPrompt?.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.runDetection();
+            }
+        });
         this.roiToggle?.addEventListener('change', () => this.toggleROIFiltering());
         this.clearRoiBtn?.addEventListener('click', () => this.clearROI());
+        this.roiList?.addEventListener('change', (event) => this.onROIListChange(event));
+        this.roiList?.addEventListener('click', (event) => this.onROIListClick(event));
+        this.countLineList?.addEventListener('change', (event) => this.onCountLineListChange(event));
+        this.countLineList?.addEventListener('click', (event) => this.onCountLineListClick(event));
         
         // Class selector events
         this.classSelector?.addEventListener('change', () => this.onClassSelectorChange());
@@ -220,12 +499,20 @@ class App {
             return;
         }
         
-        // Set ROI manager reference in canvas renderer
+        // Set ROI and annotation manager references in canvas renderer
         this.canvasRenderer.setROIManager(roiManager);
+        this.canvasRenderer.setAnnotationManager(annotationManager);
+        this.canvasRenderer.setOnViewChanged((zoomInfo) => this.updateZoomIndicator(zoomInfo));
         
         // Initialize drawing tools
         this.drawingTools = initializeDrawingTools(this.canvas, this.canvasRenderer);
         
+        if (this.drawingTools) {
+            this.drawingTools.setOnMaskEditModeChanged(() => this.updateMaskEditControls());
+            this.drawingTools.setOnSegmentStateChanged((segmentState) => this.updateSegmentControls(segmentState));
+            this.drawingTools.setOnRejectRequested((annotationIds) => this.rejectAnnotations(annotationIds));
+        }
+        
         if (!this.drawingTools) {
             console.error('Failed to initialize drawing tools');
             return;
@@ -235,13 +522,18 @@ class App {
         imageManager.setOnImageLoaded((image) => this.onImageLoaded(image));
         imageManager.setOnImageLoadError((error, imageData) => this.onImageLoadError(error, imageData));
         imageManager.setOnNavigationChange((navInfo) => this.onNavigationChange(navInfo));
+        imageManager.setImageMatcher((imageData, reviewQueue) =>
+            annotationManager.imageMatchesReviewQueue(imageData.id, reviewQueue));
         
         // Set up annotation manager callbacks
         annotationManager.setOnAnnotationsChanged((annotations) => this.onAnnotationsChanged(annotations));
         annotationManager.setOnAnnotationSelected((annotation) => this.onAnnotationSelected(annotation));
+        annotationManager.setOnSelectionChanged((selected) => this.onSelectionChanged(selected));
         annotationManager.setOnAnnotationStateChanged((annotation) => this.onAnnotationStateChanged(annotation));
         annotationManager.setOnSaveComplete((result) => this.onSaveComplete(result));
         annotationManager.setOnSaveError((result) => this.onSaveError(result));
+        annotationManager.setOnHistoryChanged((historyState) => this.updateUndoRedoButtons(historyState));
+        annotationManager.setOnMetadataRequired((annotation, missingFields) => this.onMetadataRequired(annotation, missingFields));
         
         // Set up ROI manager callbacks
         roiManager.setOnROIChanged((roi) => this.onROIChanged(roi));
@@ -703,10 +995,9 @@ class App {
      * Set up keyboard navigation
      */
     setupKeyboardNavigation() {
-        // Add keyboard event listeners
-        document.addEventListener('keydown', (event) => {
-            this.handleKeyboardShortcuts(event);
-        });
+        // handleKeyboardShortcuts is bound on document keydown once, in
+        // setupEventListeners; a second binding here ran every shortcut
+        // (undo included) twice per keypress
         
         // Set up roving tabindex for annotation navigation
         if (this.canvas) {
@@ -1067,6 +1358,10 @@ class App {
 
         console.log('Previous image requested');
         
+        if (imageManager.canNavigatePrevious() && !await this.passVerificationGate('navigate')) {
+            return;
+        }
+        
         try {
             const result = await loadingManager.trackOperation(
                 'navigate-previous',
@@ -1104,6 +1399,10 @@ class App {
 
         console.log('Next image requested');
         
+        if (imageManager.canNavigateNext() && !await this.passVerificationGate('navigate')) {
+            return;
+        }
+        
         try {
             const result = await loadingManager.trackOperation(
                 'navigate-next',
@@ -1144,6 +1443,10 @@ class App {
 
         console.log(`Navigate to image index ${index} requested`);
         
+        if (index !== imageManager.getCurrentImageIndex() && !await this.passVerificationGate('navigate')) {
+            return;
+        }
+        
         try {
             const result = await loadingManager.trackOperation(
                 'navigate-to-image',
@@ -1174,12 +1477,200 @@ class App {
         }
     }
 
+    /**
+     * Check the verification gate before leaving or exporting the current image.
+     * While Suggested or Modified objects remain, ask the reviewer to verify or reject
+     * them all, or to continue with an override reason (CONFIG.VERIFICATION_GATE).
+     * @param {string} trigger - 'navigate' or 'export', recorded with overrides
+     * @returns {Promise<boolean>} - True if the action may go ahead
+     */
+    passVerificationGate(trigger) {
+        const mode = CONFIG.VERIFICATION_GATE.MODE;
+        const counts = annotationManager.getAnnotationCounts();
+        // Suggestions below the confidence threshold are hidden or dimmed, not reviewed
+        const remaining = counts.Suggested + counts.Modified + counts.belowThreshold;
+        // Images set aside on purpose are not held up by their open suggestions
+        const setAside = ['skipped', 'unusable'].includes(annotationManager.getImageReviewStatus().status);
+
+        if (mode === 'off' || remaining === 0 || setAside || !this.verificationGateModal) {
+            return Promise.resolve(true);
+        }
+        // The gate is already open (e.g. an arrow key pressed while it is showing)
+        if (this.verificationGateResolve) {
+            return Promise.resolve(false);
+        }
+
+        const parts = [];
+        if (counts.Suggested > 0) parts.push(`${counts.Suggested} Suggested`);
+        if (counts.Modified > 0) parts.push(`${counts.Modified} Modified`);
+        if (counts.belowThreshold > 0) parts.push(`${counts.belowThreshold} below-threshold Suggested`);
+        const target = trigger === 'export' ? 'exporting' : 'leaving';
+        this.verificationGateMessage.textContent = `${parts.join(' and ')} object${remaining === 1 ? '' : 's'} ` +
+            `on this image ${remaining === 1 ? 'has' : 'have'} not been reviewed. Review them before ${target} the image.`;
+        this.verificationGateReason.value = '';
+        this.verificationGateReason.required = mode === 'block';
+        this.verificationGateTrigger = trigger;
+
+        return new Promise(resolve => {
+            this.verificationGateResolve = resolve;
+            bootstrap.Modal.getOrCreateInstance(this.verificationGateModal).show();
+        });
+    }
+
+    /**
+     * Close the verification gate and let the waiting action go ahead or not
+     * @param {boolean} passed - True if the action may go ahead
+     */
+    finishVerificationGate(passed) {
+        const resolve = this.verificationGateResolve;
+        if (!resolve) return;
+
+        this.verificationGateResolve = null;
+        bootstrap.Modal.getInstance(this.verificationGateModal)?.hide();
+        resolve(passed);
+    }
+
+    /**
+     * Verify or reject every remaining unreviewed object, then continue
+     * @param {string} state - 'Verified' or 'Rejected'
+     */
+    resolveVerificationGate(state) {
+        const result = annotationManager.resolveUnreviewedAnnotations(state, this.verificationGateRejectReason?.value,
+            { includeBelowThreshold: true });
+        if (!result.success) {
+            statusBanner.showError(result.error);
+            return;
+        }
+        if (result.blockedCount > 0) {
+            // Objects missing required metadata stay unverified, so the gate stays open
+            this.verificationGateMessage.textContent = `${result.count} verified. ${result.blockedCount} ` +
+                `object${result.blockedCount === 1 ? ' needs' : 's need'} required metadata before verifying; ` +
+                'reject them or continue with a reason.';
+            return;
+        }
+
+        this.announceToScreenReader(`${result.count} annotations marked ${state}`);
+        this.finishVerificationGate(true);
+    }
+
+    /**
+     * Fill the rejection reason picker and the verification gate's reason list from
+     * CONFIG.REJECTION. Picker buttons are numbered for the number keys.
+     */
+    configureRejectionReasons() {
+        this.lastRejectionReason = CONFIG.REJECTION.DEFAULT_REASON;
+
+        getPickableRejectionReasons().forEach((reason, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-outline-danger btn-sm text-start';
+            button.dataset.reason = reason;
+
+            const key = document.createElement('kbd');
+            key.className = 'me-2';
+            key.textContent = index + 1;
+            if (index < 9) button.dataset.key = String(index + 1);
+
+            button.append(key, getRejectionReasonLabel(reason));
+            this.rejectionReasonList?.appendChild(button);
+
+            const option = document.createElement('option');
+            option.value = reason;
+            option.textContent = getRejectionReasonLabel(reason);
+            option.selected = reason === CONFIG.REJECTION.DEFAULT_REASON;
+            this.verificationGateRejectReason?.appendChild(option);
+        });
+    }
+
+    /**
+     * Ask for a rejection reason
+     * @param {number} count - Number of objects being rejected
+     * @returns {Promise<string|null>} - Reason key, or null if the picker was dismissed
+     */
+    pickRejectionReason(count) {
+        if (!CONFIG.REJECTION.ASK_REASON || !this.rejectionReasonModal) {
+            return Promise.resolve(CONFIG.REJECTION.DEFAULT_REASON);
+        }
+        // The picker is already open (e.g. the shortcut is handled twice)
+        if (this.rejectionReasonResolve) {
+            return Promise.resolve(null);
+        }
+
+        this.rejectionReasonTitle.textContent = count === 1 ? 'Reject object' : `Reject ${count} objects`;
+
+        return new Promise(resolve => {
+            this.rejectionReasonResolve = resolve;
+            bootstrap.Modal.getOrCreateInstance(this.rejectionReasonModal).show();
+        });
+    }
+
+    /**
+     * Close the rejection reason picker with the chosen reason
+     * @param {string|null} reason - Reason key, or null if dismissed
+     */
+    finishRejectionReasonPicker(reason) {
+        const resolve = this.rejectionReasonResolve;
+        if (!resolve) return;
+
+        this.rejectionReasonResolve = null;
+        bootstrap.Modal.getInstance(this.rejectionReasonModal)?.hide();
+        resolve(reason);
+    }
+
+    /**
+     * Reject annotations with a reason picked by the annotator, as one undo step
+     * @param {Array} annotationIds - Annotation IDs
+     * @returns {Promise<boolean>} - True if the annotations were rejected
+     */
+    async rejectAnnotations(annotationIds) {
+        if (annotationIds.length === 0) return false;
+
+        const reason = await this.pickRejectionReason(annotationIds.length);
+        if (!reason) return false;
+
+        const selectedIds = annotationManager.getSelectedAnnotations().map(annotation => annotation.id);
+        const isSelection = selectedIds.length > 1 &&
+            annotationIds.length === selectedIds.length && annotationIds.every(id => selectedIds.includes(id));
+        const result = isSelection
+            ? annotationManager.rejectSelection(reason)
+            : annotationManager.rejectAnnotations(annotationIds, reason);
+        if (!result.success) {
+            statusBanner.showWarning(result.error);
+            return false;
+        }
+
+        this.lastRejectionReason = reason;
+        this.announceToScreenReader(`Rejected ${result.count} object${result.count === 1 ? '' : 's'} ` +
+            `as ${getRejectionReasonLabel(reason).toLowerCase()}`);
+        return true;
+    }
+
+    /**
+     * Continue past the verification gate, recording the reason in the annotation history
+     */
+    overrideVerificationGate() {
+        const reason = this.verificationGateReason.value.trim();
+        if (CONFIG.VERIFICATION_GATE.MODE === 'block' && reason.length < CONFIG.VERIFICATION_GATE.MIN_REASON_LENGTH) {
+            statusBanner.showWarning(
+                `Give a reason of at least ${CONFIG.VERIFICATION_GATE.MIN_REASON_LENGTH} characters to continue without reviewing`
+            );
+            this.verificationGateReason.focus();
+            return;
+        }
+
+        annotationManager.recordVerificationOverride(this.verificationGateTrigger, reason);
+        this.finishVerificationGate(true);
+    }
+
     /**
      * Image Manager Callback Methods
      */
     onImageLoaded(image) {
         console.log(`Image loaded: ${image.data.filename}`);
         
+        // A segment prompt belongs to the previous image
+        this.drawingTools?.disableSegmentMode();
+        
         // Use canvas renderer to draw the image
         const success = this.canvasRenderer.drawImage(image.element);
         
@@ -1203,6 +1694,11 @@ class App {
         try {
             console.log(`Loading annotations for image: ${imageId}`);
             
+            // ROIs and scene attributes are per image as well; switch them right away and load alongside
+            this.loadROIsForImage(imageId);
+            this.loadImageAttributesForImage(imageId);
+            this.loadImageReviewStatusForImage(imageId);
+            
             const result = await annotationManager.loadAnnotations(imageId);
             
             if (result.success) {
@@ -1214,6 +1710,13 @@ class App {
                 // Update annotation counts
                 this.updateAnnotationCounts();
                 
+                // Undo/redo stacks are per image
+                this.updateUndoRedoButtons();
+
+                if (this.detectBtn) {
+                    this.detectBtn.disabled = false;
+                }
+                
                 // Show sample mode notification if applicable
                 if (result.mode === 'sample') {
                     console.log('Annotations loaded in sample mode');
@@ -1271,10 +1774,11 @@ class App {
         
         // Update UI elements
         this.updateImageCounter(
-            navInfo.currentIndex + 1, 
+            navInfo.totalImages > 0 ? navInfo.currentIndex + 1 : 0, 
             navInfo.totalImages
         );
         this.updateNavigationButtons(navInfo);
+        this.updateDatasetFilterSummary();
         
         // Update application state
         this.state.currentImageIndex = navInfo.currentIndex;
@@ -1285,6 +1789,15 @@ class App {
         
         // Update drawing tools
         if (this.drawingTools) {
+            if (this.drawingTools.polygonMode) {
+                this.drawingTools.disablePolygonMode();
+            }
+            if (this.drawingTools.segmentMode) {
+                this.drawingTools.disableSegmentMode();
+            }
+            if (this.drawingTools.countLineMode) {
+                this.drawingTools.disableCountLineMode();
+            }
             if (enabled) {
                 this.drawingTools.enableDrawMode();
             } else {
@@ -1300,6 +1813,12 @@ class App {
             this.selectBtn?.setAttribute('aria-pressed', 'false');
             this.roiBtn?.classList.remove('active');
             this.roiBtn?.setAttribute('aria-pressed', 'false');
+            this.polygonBtn?.classList.remove('active');
+            this.polygonBtn?.setAttribute('aria-pressed', 'false');
+            this.segmentBtn?.classList.remove('active');
+            this.segmentBtn?.setAttribute('aria-pressed', 'false');
+            this.countLineBtn?.classList.remove('active');
+            this.countLineBtn?.setAttribute('aria-pressed', 'false');
         } else {
             this.drawBtn?.classList.remove('active');
             this.drawBtn?.setAttribute('aria-pressed', 'false');
@@ -1307,6 +1826,12 @@ class App {
             this.selectBtn?.setAttribute('aria-pressed', 'true');
             this.roiBtn?.classList.remove('active');
             this.roiBtn?.setAttribute('aria-pressed', 'false');
+            this.polygonBtn?.classList.remove('active');
+            this.polygonBtn?.setAttribute('aria-pressed', 'false');
+            this.segmentBtn?.classList.remove('active');
+            this.segmentBtn?.setAttribute('aria-pressed', 'false');
+            this.countLineBtn?.classList.remove('active');
+            this.countLineBtn?.setAttribute('aria-pressed', 'false');
         }
         
         console.log(`Drawing mode ${enabled ? 'enabled' : 'disabled'}`);
@@ -1365,144 +1890,1123 @@ class App {
         console.log('ROI mode toggled');
     }
 
-    toggleROIFiltering() {
-        const isEnabled = this.roiToggle?.checked || false;
-        roiManager.setROIFiltering(isEnabled);
-        console.log(`ROI filtering ${isEnabled ? 'enabled' : 'disabled'}`);
+    /**
+     * Enter or leave count line drawing mode
+     */
+    toggleCountLineMode() {
+        if (!this.drawingTools) return;
+
+        if (this.drawingTools.countLineMode) {
+            // Leaving count line mode returns to selection
+            this.setDrawingMode(false);
+            return;
+        }
+
+        // Disable other modes first
+        this.setDrawingMode(false);
+        if (this.drawingTools.roiMode) {
+            this.drawingTools.disableROIMode();
+            this.roiBtn?.classList.remove('active');
+            this.roiBtn?.setAttribute('aria-pressed', 'false');
+        }
+        this.drawingTools.enableCountLineMode();
+        this.countLineBtn?.classList.add('active');
+        this.countLineBtn?.setAttribute('aria-pressed', 'true');
+        this.selectBtn?.classList.remove('active');
+        this.selectBtn?.setAttribute('aria-pressed', 'false');
     }
 
-    clearROI() {
+    togglePolygonMode() {
         if (this.drawingTools) {
-            const success = this.drawingTools.clearROI();
-            if (success) {
-                // Update UI state
-                this.roiToggle.checked = false;
-                roiManager.setROIFiltering(false);
+            if (this.drawingTools.polygonMode) {
+                // Leaving polygon mode returns to selection
+                this.setDrawingMode(false);
+            } else {
+                // Disable other modes first
+                this.setDrawingMode(false);
+                if (this.drawingTools.roiMode) {
+                    this.drawingTools.disableROIMode();
+                    this.roiBtn?.classList.remove('active');
+                    this.roiBtn?.setAttribute('aria-pressed', 'false');
+                }
+                this.drawingTools.enablePolygonMode();
+                this.polygonBtn?.classList.add('active');
+                this.polygonBtn?.setAttribute('aria-pressed', 'true');
+                this.selectBtn?.classList.remove('active');
+                this.selectBtn?.setAttribute('aria-pressed', 'false');
             }
         }
-        console.log('Clear ROI requested');
+        console.log('Polygon mode toggled');
     }
 
     /**
-     * Save and export methods - now implemented with AnnotationManager
+     * Enter or leave click-to-segment mode (uses the selected annotation's box as prompt)
      */
-    async saveAnnotations() {
-        console.log('Save annotations requested');
-        
-        try {
-            const result = await loadingManager.trackOperation(
-                'save-annotations',
-                annotationManager.saveAnnotations(),
-                {
-                    loadingMessage: 'Saving annotations...',
-                    successMessage: 'Annotations saved successfully',
-                    errorMessage: 'Failed to save annotations'
-                }
-            );
-            
-            if (result.success) {
-                console.log(`Successfully saved ${result.savedCount} annotations`);
-            } else {
-                console.error('Failed to save annotations:', result.errors);
-            }
-            
-        } catch (error) {
-            console.error('Error saving annotations:', error);
-            errorLogger.logError('Annotation save operation failed', {
-                type: 'save_error',
-                operation: 'save_annotations'
-            }, error);
+    toggleSegmentMode() {
+        if (!this.drawingTools) return;
+
+        if (this.drawingTools.segmentMode) {
+            // Leaving segment mode returns to selection
+            this.setDrawingMode(false);
+            return;
         }
-    }
 
-    exportAnnotations() {
-        console.log('Export annotations requested');
-        
-        // Show export options modal or use default format
-        this.showExportDialog();
+        // Disable other modes first
+        this.setDrawingMode(false);
+        if (this.drawingTools.roiMode) {
+            this.drawingTools.disableROIMode();
+            this.roiBtn?.classList.remove('active');
+            this.roiBtn?.setAttribute('aria-pressed', 'false');
+        }
+        this.drawingTools.enableSegmentMode();
+        this.segmentBtn?.classList.add('active');
+        this.segmentBtn?.setAttribute('aria-pressed', 'true');
+        this.selectBtn?.classList.remove('active');
+        this.selectBtn?.setAttribute('aria-pressed', 'false');
     }
 
     /**
-     * Show export dialog with format options
+     * Show segmentation progress, proposal score and accept/clear buttons
      */
-    showExportDialog() {
-        // Create a simple modal for export options
-        const modalHtml = `
-            <div class="modal fade" id="exportModal" tabindex="-1" aria-labelledby="exportModalLabel" aria-hidden="true">
-                <div class="modal-dialog">
-                    <div class="modal-content">
-                        <div class="modal-header">
-                            <h5 class="modal-title" id="exportModalLabel">Export Annotations</h5>
-                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
-                        </div>
-                        <div class="modal-body">
-                            <div class="mb-3">
-                                <label for="exportFormat" class="form-label">Export Format</label>
-                                <select class="form-select" id="exportFormat">
-                                    <option value="json">JSON (Full Data)</option>
-                                    <option value="yolo">YOLO Format</option>
-                                    <option value="pascal_voc">Pascal VOC XML</option>
-                                    <option value="coco">COCO JSON</option>
-                                </select>
-                            </div>
-                            <div class="mb-3">
-                                <label for="exportScope" class="form-label">Export Scope</label>
-                                <select class="form-select" id="exportScope">
-                                    <option value="current">Current Image Only</option>
-                                    <option value="all">All Images</option>
-                                </select>
-                            </div>
-                            <div class="form-check">
-                                <input class="form-check-input" type="checkbox" id="includeHistory">
-                                <label class="form-check-label" for="includeHistory">
-                                    Include annotation history
-                                </label>
-                            </div>
-                        </div>
-                        <div class="modal-footer">
-                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
-                            <button type="button" class="btn btn-primary" id="confirmExport">Export</button>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
+    updateSegmentControls(segmentState) {
+        if (!this.segmentControls) return;
 
-        // Remove existing modal if present
-        const existingModal = document.getElementById('exportModal');
-        if (existingModal) {
-            existingModal.remove();
+        this.segmentControls.classList.toggle('d-none', !segmentState.active);
+        if (!segmentState.active) return;
+
+        let status;
+        if (segmentState.isSegmenting) {
+            status = 'Segmenting…';
+        } else if (segmentState.error) {
+            status = `Segmentation failed: ${segmentState.error}`;
+        } else if (segmentState.hasProposal) {
+            const score = typeof segmentState.score === 'number' ? ` (score ${segmentState.score.toFixed(2)})` : '';
+            const sample = segmentState.proposalMode === 'sample' ? ' from the offline stand-in' : '';
+            status = `Proposed mask${score}${sample}. Click to refine or press Enter to accept.`;
+        } else if (segmentState.unverifiedBox) {
+            status = 'The selected box is not verified, so it is not used as a prompt. Click inside an object to segment it.';
+        } else {
+            status = 'Click inside an object to segment it. Shift+click or right-click to exclude.';
         }
 
-        // Add modal to DOM
-        document.body.insertAdjacentHTML('beforeend', modalHtml);
+        if (this.segmentStatus) {
+            this.segmentStatus.textContent = status;
+        }
+        if (this.segmentAcceptBtn) {
+            this.segmentAcceptBtn.disabled = !segmentState.hasProposal || segmentState.isSegmenting;
+        }
+    }
 
-        // Show modal
-        const modal = new bootstrap.Modal(document.getElementById('exportModal'));
-        modal.show();
+    /**
+     * Apply the simplify tolerance range from CONFIG.POLYGON.SIMPLIFY_TOLERANCE
+     */
+    configureMaskSimplifySlider() {
+        if (!this.maskSimplifyTolerance) return;
 
-        // Handle export confirmation
-        document.getElementById('confirmExport').addEventListener('click', () => {
-            const format = document.getElementById('exportFormat').value;
-            const scope = document.getElementById('exportScope').value;
-            const includeHistory = document.getElementById('includeHistory').checked;
-            
-            modal.hide();
-            this.performExport(format, scope, includeHistory);
-        });
+        const { MIN, MAX, STEP, DEFAULT } = CONFIG.POLYGON.SIMPLIFY_TOLERANCE;
+        this.maskSimplifyTolerance.min = MIN;
+        this.maskSimplifyTolerance.max = MAX;
+        this.maskSimplifyTolerance.step = STEP;
+        this.maskSimplifyTolerance.value = DEFAULT;
+
+        if (this.maskSimplifyValue) {
+            this.maskSimplifyValue.textContent = DEFAULT;
+        }
     }
 
     /**
-     * Perform the actual export
+     * Enter or leave mask edit mode for the selected annotation
      */
-    async performExport(format, scope, includeHistory) {
-        try {
-            const result = await loadingManager.trackOperation(
-                'export-annotations',
-                this.doExport(format, scope, includeHistory),
-                {
-                    loadingMessage: 'Exporting annotations...',
-                    successMessage: 'Export completed successfully',
+    toggleMaskEditMode() {
+        if (!this.drawingTools) return;
+
+        if (this.drawingTools.maskEditMode) {
+            this.drawingTools.disableMaskEditMode();
+            this.announceToScreenReader('Mask editing finished');
+            return;
+        }
+
+        // Vertex editing happens in selection mode
+        this.setDrawingMode(false);
+
+        const result = this.drawingTools.enableMaskEditMode();
+        if (result.success) {
+            this.previewMaskSimplification();
+            this.announceToScreenReader('Mask editing enabled');
+        } else {
+            statusBanner.showWarning(result.error);
+        }
+    }
+
+    /**
+     * Show the simplified outline and vertex count for the current slider value
+     */
+    previewMaskSimplification() {
+        if (!this.drawingTools || !this.maskSimplifyTolerance) return;
+
+        const tolerance = parseFloat(this.maskSimplifyTolerance.value);
+        if (this.maskSimplifyValue) {
+            this.maskSimplifyValue.textContent = tolerance;
+        }
+
+        const preview = this.drawingTools.previewMaskSimplification(tolerance);
+        if (preview && this.maskVertexCount) {
+            this.maskVertexCount.textContent = `${preview.originalCount} → ${preview.simplifiedCount} vertices`;
+        }
+    }
+
+    /**
+     * Simplify the mask being edited with the current slider tolerance
+     */
+    applyMaskSimplification() {
+        if (!this.drawingTools || !this.maskSimplifyTolerance) return;
+
+        const result = this.drawingTools.applyMaskSimplification(parseFloat(this.maskSimplifyTolerance.value));
+        if (!result.success) {
+            statusBanner.showWarning(result.error);
+            return;
+        }
+
+        this.updateMaskEditControls();
+        this.announceToScreenReader(`Mask simplified from ${result.originalCount} to ${result.simplifiedCount} vertices`);
+    }
+
+    /**
+     * Sync the mask editing panel with the selection and mask edit mode
+     */
+    updateMaskEditControls() {
+        if (!this.maskEditBtn) return;
+
+        const selectedAnnotation = annotationManager.getSelectedAnnotation();
+        const hasMask = annotationManager.isPolygonMask(selectedAnnotation?.segmentationMask);
+        const editing = !!this.drawingTools?.maskEditMode;
+
+        this.maskEditBtn.disabled = !hasMask && !editing;
+        this.maskEditBtn.classList.toggle('active', editing);
+        this.maskEditBtn.setAttribute('aria-pressed', editing ? 'true' : 'false');
+
+        if (this.maskSimplifyTolerance) {
+            this.maskSimplifyTolerance.disabled = !editing;
+        }
+        if (this.maskSimplifyBtn) {
+            this.maskSimplifyBtn.disabled = !editing;
+        }
+        if (this.maskVertexCount) {
+            this.maskVertexCount.textContent = hasMask ? `${selectedAnnotation.segmentationMask.length} vertices` : '';
+        }
+    }
+
+    /**
+     * Fill the dataset status filter from CONFIG.DATASET.STATUS_FILTERS
+     */
+    configureDatasetFilters() {
+        Object.entries(CONFIG.DATASET.STATUS_FILTERS).forEach(([status, label]) => {
+            const option = document.createElement('option');
+            option.value = status;
+            option.textContent = label;
+            this.datasetStatusFilter?.appendChild(option);
+        });
+
+        Object.entries(CONFIG.DATASET.PROGRESS_BADGES).forEach(([badge, { label }]) => {
+            const option = document.createElement('option');
+            option.value = badge;
+            option.textContent = label;
+            this.datasetBrowserProgress?.appendChild(option);
+        });
+
+        Object.entries(CONFIG.REVIEW_QUEUE.MODES).forEach(([mode, label]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            this.reviewQueueMode?.appendChild(option);
+        });
+
+        getClassDefinitions().forEach(classDef => {
+            const option = document.createElement('option');
+            option.value = classDef.name;
+            option.textContent = classDef.name;
+            this.reviewQueueClass?.appendChild(option);
+        });
+
+        if (this.reviewQueueThreshold) {
+            this.reviewQueueThreshold.value = CONFIG.REVIEW_QUEUE.LOW_CONFIDENCE_THRESHOLD;
+        }
+
+        getImageAttributeSchema().forEach(field => {
+            this.reviewQueueAttribute?.add(new Option(field.label, field.key));
+        });
+        this.populateReviewQueueAttributeValues();
+
+        // Skipping takes a reason, so each reason gets its own entry
+        this.imageReviewSelect?.add(new Option('Follow annotations', ''));
+        CONFIG.IMAGE_REVIEW.MANUAL.forEach(status => {
+            if (status === 'skipped') {
+                Object.entries(CONFIG.IMAGE_REVIEW.SKIP_REASONS).forEach(([reason, label]) => {
+                    this.imageReviewSelect?.add(new Option(`${getImageReviewStatusLabel(status)}: ${label}`, `${status}:${reason}`));
+                });
+            } else {
+                this.imageReviewSelect?.add(new Option(getImageReviewStatusLabel(status), status));
+            }
+        });
+    }
+
+    /**
+     * Offer the values of the scene attribute chosen for the review queue
+     */
+    populateReviewQueueAttributeValues() {
+        if (!this.reviewQueueAttributeValue) {
+            return;
+        }
+        const field = getImageAttributeSchema().find(schemaField => schemaField.key === this.reviewQueueAttribute?.value);
+        const choices = field?.type === 'bool'
+            ? [['true', 'Yes'], ['false', 'No']]
+            : (field?.options || []).map(option => [option, option]);
+        this.reviewQueueAttributeValue.replaceChildren(
+            ...[...choices, ['', 'Not set']].map(([value, text]) => new Option(text, value)));
+    }
+
+    /**
+     * Reload the image listing with the filters from the Dataset panel
+     */
+    async applyDatasetFilters() {
+        const filters = {
+            status: this.datasetStatusFilter?.value || '',
+            camera: this.datasetCameraFilter?.value.trim() || '',
+            dateFrom: this.datasetDateFrom?.value || '',
+            dateTo: this.datasetDateTo?.value || ''
+        };
+
+        if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+            statusBanner.showWarning('"Captured from" must not be after "Captured to"');
+            return;
+        }
+
+        try {
+            const result = await loadingManager.trackOperation(
+                'filter-images',
+                imageManager.setFilters(filters),
+                {
+                    loadingMessage: 'Loading matching images...',
+                    errorMessage: 'Failed to load matching images',
+                    showSuccess: false
+                }
+            );
+
+            if (!result.success) {
+                statusBanner.showError('Failed to load images. Check console for details.');
+                return;
+            }
+
+            if (result.total === 0) {
+                this.canvasRenderer?.clearImage();
+                statusBanner.showInfo('No images match the dataset filters');
+            }
+            this.updateImageCounter(result.total > 0 ? 1 : 0, result.total);
+            this.updateNavigationButtons();
+            this.updateDatasetFilterSummary();
+
+        } catch (error) {
+            console.error('Failed to apply dataset filters:', error);
+            errorLogger.logError('Dataset filtering failed', {
+                type: 'navigation_error',
+                filters
+            }, error);
+        }
+    }
+
+    clearDatasetFilters() {
+        this.datasetFilterForm?.reset();
+        if (Object.keys(imageManager.getFilters()).length > 0) {
+            this.applyDatasetFilters();
+        }
+    }
+
+    /**
+     * Show how many images the listing holds and whether it is filtered
+     */
+    updateDatasetFilterSummary() {
+        if (!this.datasetFilterSummary) return;
+
+        const total = imageManager.getImageCount();
+        const filterCount = Object.keys(imageManager.getFilters()).length;
+        this.datasetFilterSummary.textContent = `${total} image${total === 1 ? '' : 's'}` +
+            (filterCount > 0 ? ` (${filterCount} filter${filterCount === 1 ? '' : 's'})` : '');
+    }
+
+    /**
+     * Fill the Selection panel's class list from the class taxonomy
+     */
+    configureSelectionPanel() {
+        getClassDefinitions().forEach(classDef => {
+            const option = document.createElement('option');
+            option.value = classDef.name;
+            option.textContent = classDef.name;
+            this.selectionClass?.appendChild(option);
+        });
+    }
+
+    /**
+     * Duplicate IoU threshold from the Overlaps panel, falling back to CONFIG.OVERLAPS
+     * @returns {number} - IoU threshold
+     */
+    getOverlapIoUThreshold() {
+        const value = Number(this.overlapIoU?.value);
+        return value > 0 && value <= 1 ? value : CONFIG.OVERLAPS.DUPLICATE_IOU;
+    }
+
+    /**
+     * List the current image's duplicate pairs and class conflicts, with keep/merge
+     * actions, and outline them on the canvas when highlighting is on
+     */
+    updateOverlapPanel() {
+        const overlaps = annotationManager.findOverlaps({ iouThreshold: this.getOverlapIoUThreshold() });
+        const total = overlaps.duplicates.length + overlaps.conflicts.length;
+
+        this.canvasRenderer?.setOverlapHighlights(this.overlapHighlight?.checked ? overlaps : null);
+
+        if (this.overlapCount) {
+            this.overlapCount.textContent = total;
+            this.overlapCount.classList.toggle('bg-warning', total > 0);
+            this.overlapCount.classList.toggle('text-dark', total > 0);
+            this.overlapCount.classList.toggle('bg-secondary', total === 0);
+        }
+        if (this.overlapEmpty) this.overlapEmpty.hidden = total > 0;
+        if (this.overlapSuppressBtn) this.overlapSuppressBtn.disabled = overlaps.duplicates.length === 0;
+        if (!this.overlapList) return;
+
+        const actionButton = (label, dataset, className = 'btn-outline-secondary') => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn ${className}`;
+            button.textContent = label;
+            Object.assign(button.dataset, dataset);
+            return button;
+        };
+
+        const items = [
+            ...overlaps.duplicates.map(pair => ({ pair, isConflict: false })),
+            ...overlaps.conflicts.map(pair => ({ pair, isConflict: true }))
+        ].map(({ pair, isConflict }) => {
+            const [first, second] = pair.ids.map(id => annotationManager.findAnnotationById(id));
+            const percent = value => `${Math.round(value * 100)}%`;
+
+            const item = document.createElement('li');
+            item.className = 'mb-2';
+
+            const summary = actionButton(isConflict
+                ? `${first.className} covers ${second.className} (${percent(pair.coverage)})`
+                : `${first.className} duplicate (IoU ${percent(pair.iou)})`,
+            { action: 'select', ids: pair.ids.join(',') }, 'btn-link btn-sm p-0 text-start');
+            summary.classList.add(isConflict ? 'text-danger' : 'text-warning-emphasis');
+
+            const actions = document.createElement('div');
+            actions.className = 'btn-group btn-group-sm d-flex';
+            actions.setAttribute('role', 'group');
+            actions.setAttribute('aria-label', 'Resolve overlap');
+            actions.append(
+                actionButton(`Keep ${first.className} ${percent(first.confidence)}`, { action: 'keep', keep: first.id, drop: second.id }),
+                actionButton(`Keep ${second.className} ${percent(second.confidence)}`, { action: 'keep', keep: second.id, drop: first.id })
+            );
+            if (!isConflict) {
+                const [keep, drop] = first.confidence >= second.confidence ? [first, second] : [second, first];
+                actions.append(actionButton('Merge', { action: 'merge', keep: keep.id, drop: drop.id }));
+            }
+
+            item.append(summary, actions);
+            return item;
+        });
+
+        this.overlapList.replaceChildren(...items);
+    }
+
+    /**
+     * Select or resolve an overlapping pair from the Overlaps panel
+     */
+    onOverlapListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { action, keep, drop, ids } = button.dataset;
+        if (action === 'select') {
+            annotationManager.selectAnnotations(ids.split(','));
+            this.drawingTools?.syncSelection();
+            return;
+        }
+
+        const result = annotationManager.resolveOverlap(keep, drop, action);
+        if (!result.success) {
+            statusBanner.showWarning(result.error);
+            return;
+        }
+        this.announceToScreenReader(action === 'merge' ? 'Merged duplicate boxes' : 'Kept one box and rejected the other');
+    }
+
+    /**
+     * Keep the best box of each group of same-class duplicates (class-aware NMS)
+     */
+    suppressDuplicates() {
+        const { count } = annotationManager.suppressDuplicates(this.getOverlapIoUThreshold());
+        const message = `Rejected ${count} duplicate suggestion${count === 1 ? '' : 's'}`;
+        statusBanner.showInfo(message);
+        this.announceToScreenReader(message);
+    }
+
+    /**
+     * Fill the Confidence Filter panel's class list and restore the filter saved in
+     * local storage, falling back to CONFIG.CONFIDENCE_FILTER
+     */
+    configureConfidenceFilter() {
+        getClassDefinitions().forEach(classDef => {
+            const option = document.createElement('option');
+            option.value = classDef.name;
+            option.textContent = classDef.name;
+            this.confidenceClass?.appendChild(option);
+        });
+
+        try {
+            const saved = JSON.parse(localStorage.getItem('ima-confidence-filter'));
+            if (saved) {
+                const result = annotationManager.setConfidenceFilter(saved);
+                if (!result.success) {
+                    console.warn('Ignoring saved confidence filter:', result.error);
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load saved confidence filter:', error);
+        }
+
+        this.updateConfidenceFilterPanel();
+    }
+
+    /**
+     * Apply a confidence filter change from the panel and save the filter
+     * @param {Object} changes - Fields for annotationManager.setConfidenceFilter
+     */
+    updateConfidenceFilter(changes) {
+        const result = annotationManager.setConfidenceFilter(changes);
+        if (!result.success) {
+            statusBanner.showWarning(result.error);
+        } else {
+            try {
+                localStorage.setItem('ima-confidence-filter', JSON.stringify(annotationManager.getConfidenceFilter()));
+            } catch (error) {
+                console.warn('Failed to save confidence filter:', error);
+            }
+        }
+
+        this.updateConfidenceFilterPanel();
+    }
+
+    /**
+     * Show the current confidence filter in the panel, including one removable entry
+     * per class threshold
+     */
+    updateConfidenceFilterPanel() {
+        const filter = annotationManager.getConfidenceFilter();
+
+        if (this.confidenceThreshold) this.confidenceThreshold.value = filter.threshold;
+        if (this.confidenceThresholdValue) {
+            this.confidenceThresholdValue.textContent = `${Math.round(filter.threshold * 100)}%`;
+        }
+        if (this.confidenceDisplay) this.confidenceDisplay.value = filter.display;
+        if (this.autoRejectEnabled) this.autoRejectEnabled.checked = filter.autoReject;
+        if (this.autoRejectBelow) this.autoRejectBelow.value = filter.autoRejectBelow;
+
+        if (!this.confidenceClassThresholds) return;
+        this.confidenceClassThresholds.replaceChildren(...Object.entries(filter.classThresholds).map(([className, threshold]) => {
+            const item = document.createElement('li');
+            item.className = 'd-flex align-items-center justify-content-between';
+
+            const label = document.createElement('span');
+            label.textContent = `${className}: ${Math.round(threshold * 100)}%`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn btn-link btn-sm p-0 text-danger';
+            removeBtn.dataset.className = className;
+            removeBtn.setAttribute('aria-label', `Remove the ${className} threshold`);
+            removeBtn.innerHTML = '<i class="bi bi-x" aria-hidden="true"></i>';
+
+            item.append(label, removeBtn);
+            return item;
+        }));
+    }
+
+    /**
+     * Reject the current image's suggestions below the auto-reject confidence
+     */
+    autoRejectLowConfidence() {
+        const { count } = annotationManager.autoRejectLowConfidence();
+        const message = `Auto-rejected ${count} suggestion${count === 1 ? '' : 's'} below ` +
+            `${Math.round(annotationManager.getConfidenceFilter().autoRejectBelow * 100)}% confidence`;
+        statusBanner.showInfo(message);
+        this.announceToScreenReader(message);
+    }
+
+    /**
+     * Show the selection size and enable the bulk actions that apply to it
+     * @param {Array} selected - Selected annotations
+     */
+    updateSelectionPanel(selected = annotationManager.getSelectedAnnotations()) {
+        if (this.selectionCount) {
+            this.selectionCount.textContent = `${selected.length} selected`;
+            this.selectionCount.classList.toggle('bg-primary', selected.length > 0);
+            this.selectionCount.classList.toggle('bg-secondary', selected.length === 0);
+        }
+
+        [this.selectionSetClassBtn, this.selectionClearBtn, this.bulkVerifyBtn, this.bulkRejectBtn,
+            this.bulkDeleteBtn, this.bulkCopyBtn].forEach(button => {
+            if (button) button.disabled = selected.length === 0;
+        });
+        if (this.bulkPasteBtn) {
+            this.bulkPasteBtn.disabled = annotationManager.clipboard.length === 0;
+        }
+    }
+
+    /**
+     * Run a Selection panel action; bulk edits are single undo steps
+     * @param {string} action - select_class, select_roi, clear, set_class, verify, reject, delete, copy or paste
+     */
+    runSelectionAction(action) {
+        let result;
+        let message;
+
+        switch (action) {
+            case 'select_class': {
+                const count = annotationManager.selectAnnotationsByClass(this.selectionClass.value);
+                result = { success: true, count };
+                message = `Selected ${count} ${this.selectionClass.value} object${count === 1 ? '' : 's'}`;
+                break;
+            }
+            case 'select_roi':
+                result = annotationManager.selectAnnotationsInROI();
+                message = `Selected ${result.count} object${result.count === 1 ? '' : 's'} in the ROI`;
+                break;
+            case 'clear':
+                annotationManager.clearSelection();
+                result = { success: true };
+                break;
+            case 'set_class':
+                result = annotationManager.setSelectionClass(this.selectionClass.value);
+                message = `Changed ${result.count} object${result.count === 1 ? '' : 's'} to ${this.selectionClass.value}`;
+                break;
+            case 'verify':
+                result = annotationManager.setSelectionState('Verified');
+                message = `Verified ${result.count} object${result.count === 1 ? '' : 's'}`;
+                break;
+            case 'reject':
+                // Asks for a rejection reason first
+                this.rejectAnnotations(annotationManager.getSelectedAnnotations().map(annotation => annotation.id));
+                return;
+            case 'delete':
+                result = annotationManager.deleteSelection();
+                message = `Deleted ${result.count} object${result.count === 1 ? '' : 's'}`;
+                break;
+            case 'copy':
+                result = annotationManager.copySelection();
+                message = `Copied ${result.count} object${result.count === 1 ? '' : 's'}`;
+                break;
+            case 'paste':
+                result = annotationManager.pasteAnnotations();
+                message = `Pasted ${result.count} object${result.count === 1 ? '' : 's'}`;
+                break;
+            default:
+                return;
+        }
+
+        if (!result.success) {
+            statusBanner.showWarning(result.error);
+            return;
+        }
+
+        this.drawingTools?.syncSelection();
+        this.updateSelectionPanel();
+        if (message) {
+            this.announceToScreenReader(message);
+        }
+    }
+
+    /**
+     * Apply the review queue chosen in the Dataset panel and show only the inputs it uses
+     */
+    onReviewQueueChange() {
+        const mode = this.reviewQueueMode?.value || 'all';
+        if (this.reviewQueueClassGroup) this.reviewQueueClassGroup.hidden = mode !== 'class';
+        if (this.reviewQueueThresholdGroup) this.reviewQueueThresholdGroup.hidden = mode !== 'low_confidence';
+        if (this.reviewQueueAttributeGroup) this.reviewQueueAttributeGroup.hidden = mode !== 'scene';
+        if (this.reviewQueueAttributeValueGroup) this.reviewQueueAttributeValueGroup.hidden = mode !== 'scene';
+
+        const result = imageManager.setReviewQueue({
+            mode,
+            className: this.reviewQueueClass?.value,
+            threshold: this.reviewQueueThreshold?.value,
+            attribute: this.reviewQueueAttribute?.value,
+            value: this.reviewQueueAttributeValue?.value
+        });
+        if (!result.success) {
+            statusBanner.showWarning(result.error);
+            return;
+        }
+        if (this.reviewQueueStatus) this.reviewQueueStatus.textContent = '';
+    }
+
+    /**
+     * Jump to the next or previous image in the review queue
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    async navigateReviewQueue(direction) {
+        if (imageManager.isLoadingImage()) {
+            console.log('Image loading in progress, ignoring review queue request');
+            return;
+        }
+
+        if (!await this.passVerificationGate('navigate')) {
+            return;
+        }
+
+        const queueLabel = CONFIG.REVIEW_QUEUE.MODES[imageManager.getReviewQueue().mode];
+
+        try {
+            const result = await loadingManager.trackOperation(
+                'navigate-queue',
+                imageManager.navigateReviewQueue(direction),
+                {
+                    loadingMessage: 'Searching the review queue...',
+                    errorMessage: 'Failed to search the review queue',
+                    showSuccess: false
+                }
+            );
+
+            let message;
+            if (!result.success) {
+                message = result.error;
+                statusBanner.showWarning(result.error);
+            } else if (result.found) {
+                message = `${queueLabel}: image ${result.index + 1}` +
+                    (result.scanned > 1 ? ` (skipped ${result.scanned - 1})` : '');
+                this.announceToScreenReader(`Navigating to image ${result.index + 1} in review queue`);
+            } else if (result.reachedEnd) {
+                message = `No ${direction > 0 ? 'later' : 'earlier'} images in the review queue`;
+                statusBanner.showInfo(message);
+            } else {
+                message = `No match in the next ${result.scanned} images; press ${direction > 0 ? ']' : '['} to keep searching`;
+                statusBanner.showInfo(message);
+            }
+
+            if (this.reviewQueueStatus) this.reviewQueueStatus.textContent = message;
+
+        } catch (error) {
+            console.error('Failed to navigate the review queue:', error);
+            errorLogger.logError('Review queue navigation failed', {
+                type: 'navigation_error',
+                direction: direction > 0 ? 'next' : 'previous',
+                reviewQueue: imageManager.getReviewQueue()
+            }, error);
+        }
+    }
+
+    /**
+     * Show the thumbnail grid of the loaded images with their review progress
+     */
+    openDatasetBrowser() {
+        if (!this.datasetBrowserModal) return;
+
+        this.renderDatasetBrowser();
+        bootstrap.Modal.getOrCreateInstance(this.datasetBrowserModal).show();
+    }
+
+    /**
+     * Progress badges of an image: its status plus rejected / unverified flags
+     * @returns {Array} - Keys of CONFIG.DATASET.PROGRESS_BADGES
+     */
+    getImageProgressBadges(imageId) {
+        const progress = annotationManager.getImageProgress(imageId);
+        const badges = [progress.status];
+        if (progress.hasRejected) badges.push('has_rejected');
+        if (progress.hasUnverified) badges.push('has_unverified');
+        return badges;
+    }
+
+    /**
+     * Rebuild the dataset browser grid with the progress and file name filters applied
+     */
+    renderDatasetBrowser() {
+        if (!this.datasetBrowserGrid) return;
+
+        const progressFilter = this.datasetBrowserProgress?.value || '';
+        const search = (this.datasetBrowserSearch?.value || '').trim().toLowerCase();
+        const entries = imageManager.getLoadedImageEntries()
+            .map(entry => ({ ...entry, badges: this.getImageProgressBadges(entry.image.id) }))
+            .filter(entry => !progressFilter || entry.badges.includes(progressFilter))
+            .filter(entry => !search || (entry.image.filename || '').toLowerCase().includes(search));
+
+        this.datasetBrowserGrid.replaceChildren(...entries.map(entry => this.createDatasetBrowserItem(entry)));
+
+        if (this.datasetBrowserEmpty) {
+            this.datasetBrowserEmpty.classList.toggle('d-none', entries.length > 0);
+        }
+        if (this.datasetBrowserSummary) {
+            const loaded = imageManager.getLoadedImages().length;
+            this.datasetBrowserSummary.textContent =
+                `Showing ${entries.length} of ${loaded} loaded images (${imageManager.getImageCount()} in dataset)`;
+        }
+        if (this.datasetBrowserMoreBtn) {
+            this.datasetBrowserMoreBtn.classList.toggle('d-none', !imageManager.hasUnloadedPages());
+        }
+    }
+
+    createDatasetBrowserItem({ index, image, badges }) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'btn btn-outline-secondary dataset-browser-item';
+        item.classList.toggle('current', index === imageManager.getCurrentImageIndex());
+        item.dataset.imageIndex = index;
+        item.setAttribute('role', 'listitem');
+        item.innerHTML = `
+            <img loading="lazy" alt="">
+            <div class="small text-truncate mt-1"><span class="text-muted">${index + 1}.</span> <span class="dataset-browser-name"></span></div>
+            <div class="dataset-browser-badges">
+                ${badges.map(badge => {
+                    const { label, color } = CONFIG.DATASET.PROGRESS_BADGES[badge];
+                    return `<span class="badge bg-${color}${color === 'warning' ? ' text-dark' : ''}">${label}</span>`;
+                }).join('')}
+            </div>`;
+
+        // File names come from the listing, so they are set as text
+        item.querySelector('img').src = image.path;
+        item.querySelector('.dataset-browser-name').textContent = image.filename;
+        item.title = image.filename;
+        item.setAttribute('aria-label', `Open image ${index + 1}, ${image.filename}: ${badges
+            .map(badge => CONFIG.DATASET.PROGRESS_BADGES[badge].label).join(', ')}`);
+
+        return item;
+    }
+
+    async loadMoreDatasetImages() {
+        if (this.datasetBrowserMoreBtn) {
+            this.datasetBrowserMoreBtn.disabled = true;
+        }
+
+        try {
+            const result = await imageManager.loadNextPage();
+            if (!result.success) {
+                statusBanner.showWarning('More images could not be loaded');
+            }
+        } finally {
+            if (this.datasetBrowserMoreBtn) {
+                this.datasetBrowserMoreBtn.disabled = false;
+            }
+            this.renderDatasetBrowser();
+        }
+    }
+
+    onDatasetBrowserClick(event) {
+        const item = event.target.closest('.dataset-browser-item');
+        if (!item) return;
+
+        bootstrap.Modal.getInstance(this.datasetBrowserModal)?.hide();
+        this.goToImage(Number(item.dataset.imageIndex));
+    }
+
+    /**
+     * Go to the image number typed in the jump box; pages beyond the loaded ones are fetched
+     */
+    jumpToImage() {
+        const total = imageManager.getImageCount();
+        const number = parseInt(this.imageJump?.value, 10);
+
+        if (!Number.isInteger(number) || number < 1 || number > total) {
+            statusBanner.showWarning(`Enter an image number between 1 and ${total}`);
+            return;
+        }
+
+        this.imageJump.value = '';
+        this.goToImage(number - 1);
+    }
+
+    /**
+     * Fill the detection panel defaults from CONFIG.DETECTION and the class taxonomy
+     */
+    configureDetectionPanel() {
+        if (this.detectPrompt && !this.detectPrompt.value) {
+            this.detectPrompt.value = getDefaultDetectionPrompt();
+        }
+        if (this.detectBoxThreshold) {
+            this.detectBoxThreshold.value = CONFIG.DETECTION.BOX_THRESHOLD;
+        }
+        if (this.detectTextThreshold) {
+            this.detectTextThreshold.value = CONFIG.DETECTION.TEXT_THRESHOLD;
+        }
+    }
+
+    /**
+     * Run prompted detection on the current image and merge the results as Suggested
+     */
+    async runDetection() {
+        const currentImage = imageManager.getCurrentImage();
+        if (!currentImage || this.detectBtn?.disabled) return;
+
+        const prompt = this.detectPrompt?.value.trim() || '';
+        if (!prompt) {
+            statusBanner.showWarning('Enter a detection prompt, e.g. "wheelchair . dog . scooter"');
+            return;
+        }
+
+        let roi = null;
+        if (this.detectRoiOnly?.checked) {
+            roi = roiManager.getCurrentROI()?.polygon || null;
+            if (!roi) {
+                statusBanner.showWarning('No ROI defined - draw one or uncheck "Only inside current ROI"');
+                return;
+            }
+        }
+
+        const readThreshold = (input, fallback) => {
+            const value = parseFloat(input?.value);
+            return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : fallback;
+        };
+
+        const imageId = currentImage.data.id;
+        this.detectBtn.disabled = true;
+
+        try {
+            const result = await loadingManager.trackOperation(
+                'detect-objects',
+                apiClient.detect({
+                    imageId,
+                    prompt,
+                    boxThreshold: readThreshold(this.detectBoxThreshold, CONFIG.DETECTION.BOX_THRESHOLD),
+                    textThreshold: readThreshold(this.detectTextThreshold, CONFIG.DETECTION.TEXT_THRESHOLD),
+                    roi,
+                    imageSize: {
+                        width: currentImage.element.naturalWidth,
+                        height: currentImage.element.naturalHeight
+                    }
+                }),
+                {
+                    loadingMessage: 'Running detection...',
+                    showSuccess: false,
+                    showError: false
+                }
+            );
+
+            if (!result.success) {
+                statusBanner.showError(`Detection failed: ${result.error}`);
+                return;
+            }
+
+            // The user may have moved on while the detector was running
+            if (imageManager.getCurrentImage()?.data.id !== imageId) {
+                console.log('Discarding detections for an image that is no longer current');
+                return;
+            }
+
+            const merge = annotationManager.mergeDetections(result.detections, { prompt, modelVersion: result.modelVersion });
+            if (!merge.success) {
+                statusBanner.showWarning(merge.error);
+                return;
+            }
+
+            const summary = `${merge.addedCount} added, ${merge.skippedCount} duplicate${merge.skippedCount === 1 ? '' : 's'} skipped`;
+            if (this.detectResult) {
+                this.detectResult.textContent = result.mode === 'sample' ? `${summary} (sample)` : summary;
+            }
+            this.announceToScreenReader(`Detection finished: ${summary}`);
+
+        } catch (error) {
+            console.error('Detection failed:', error);
+            errorLogger.logError('Prompted detection failed', { type: 'detection_error', imageId }, error);
+            statusBanner.showError('Detection failed');
+        } finally {
+            this.detectBtn.disabled = false;
+        }
+    }
+
+    toggleROIFiltering() {
+        const isEnabled = this.roiToggle?.checked || false;
+        roiManager.setROIFiltering(isEnabled);
+        console.log(`ROI filtering ${isEnabled ? 'enabled' : 'disabled'}`);
+    }
+
+    clearROI() {
+        if (this.drawingTools) {
+            const success = this.drawingTools.clearROI();
+            if (success) {
+                // Update UI state
+                this.roiToggle.checked = false;
+                roiManager.setROIFiltering(false);
+            }
+        }
+        console.log('Clear ROI requested');
+    }
+
+    /**
+     * Save and export methods - now implemented with AnnotationManager
+     */
+    async saveAnnotations() {
+        console.log('Save annotations requested');
+        
+        try {
+            const result = await loadingManager.trackOperation(
+                'save-annotations',
+                annotationManager.saveAnnotations(),
+                {
+                    loadingMessage: 'Saving annotations...',
+                    successMessage: 'Annotations saved successfully',
+                    errorMessage: 'Failed to save annotations'
+                }
+            );
+            
+            if (result.success) {
+                console.log(`Successfully saved ${result.savedCount} annotations`);
+            } else {
+                console.error('Failed to save annotations:', result.errors);
+            }
+            
+        } catch (error) {
+            console.error('Error saving annotations:', error);
+            errorLogger.logError('Annotation save operation failed', {
+                type: 'save_error',
+                operation: 'save_annotations'
+            }, error);
+        }
+    }
+
+    async exportAnnotations() {
+        console.log('Export annotations requested');
+        
+        if (!await this.passVerificationGate('export')) {
+            return;
+        }
+        
+        // Show export options modal or use default format
+        this.showExportDialog();
+    }
+
+    /**
+     * Show export dialog with format options
+     */
+    showExportDialog() {
+        // Create a simple modal for export options
+        const modalHtml = `
+            <div class="modal fade" id="exportModal" tabindex="-1" aria-labelledby="exportModalLabel" aria-hidden="true">
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title" id="exportModalLabel">Export Annotations</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="mb-3">
+                                <label for="exportFormat" class="form-label">Export Format</label>
+                                <select class="form-select" id="exportFormat">
+                                    <option value="json">JSON (Full Data)</option>
+                                    <option value="yolo">YOLO Format</option>
+                                    <option value="pascal_voc">Pascal VOC XML</option>
+                                    <option value="coco">COCO JSON</option>
+                                </select>
+                            </div>
+                            <div class="mb-3">
+                                <label for="exportScope" class="form-label">Export Scope</label>
+                                <select class="form-select" id="exportScope">
+                                    <option value="current">Current Image Only</option>
+                                    <option value="all">All Images</option>
+                                </select>
+                            </div>
+                            <div class="form-check">
+                                <input class="form-check-input" type="checkbox" id="includeHistory">
+                                <label class="form-check-label" for="includeHistory">
+                                    Include annotation history
+                                </label>
+                            </div>
+                            <div class="form-check">
+                                <input class="form-check-input" type="checkbox" id="includeUnverified" aria-describedby="includeUnverifiedHelp">
+                                <label class="form-check-label" for="includeUnverified">
+                                    Include unverified annotations (Suggested and Modified)
+                                </label>
+                                <div id="includeUnverifiedHelp" class="form-text">
+                                    By default only Verified annotations are exported.
+                                </div>
+                            </div>
+                            <div class="form-check">
+                                <input class="form-check-input" type="checkbox" id="includeFhwa" aria-describedby="includeFhwaHelp">
+                                <label class="form-check-label" for="includeFhwa">
+                                    Include FHWA / ITE class mapping
+                                </label>
+                                <div id="includeFhwaHelp" class="form-text">
+                                    Adds FHWA class and domain to each object (COCO, VOC, JSON) and downloads a summary table grouped by FHWA class.
+                                </div>
+                            </div>
+                            <div class="form-check">
+                                <input class="form-check-input" type="checkbox" id="includeRejectionStats" aria-describedby="includeRejectionStatsHelp">
+                                <label class="form-check-label" for="includeRejectionStats">
+                                    Include rejection reason statistics
+                                </label>
+                                <div id="includeRejectionStatsHelp" class="form-text">
+                                    Downloads a table of rejection reasons per class and per model version for detector failure analysis.
+                                </div>
+                            </div>
+                            <div class="form-check">
+                                <input class="form-check-input" type="checkbox" id="mutcdCategories" aria-describedby="mutcdCategoriesHelp">
+                                <label class="form-check-label" for="mutcdCategories">
+                                    Export traffic signs by MUTCD code
+                                </label>
+                                <div id="mutcdCategoriesHelp" class="form-text">
+                                    COCO: signs with a MUTCD code get that sign's category (ids from ${CONFIG.MUTCD.CATEGORY_ID_BASE}). JSON: adds the catalog entry of each sign.
+                                </div>
+                            </div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                            <button type="button" class="btn btn-primary" id="confirmExport">Export</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Remove existing modal if present
+        const existingModal = document.getElementById('exportModal');
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        // Add modal to DOM
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        // Show modal
+        const modal = new bootstrap.Modal(document.getElementById('exportModal'));
+        modal.show();
+
+        // Handle export confirmation
+        document.getElementById('confirmExport').addEventListener('click', () => {
+            const format = document.getElementById('exportFormat').value;
+            const scope = document.getElementById('exportScope').value;
+            const includeHistory = document.getElementById('includeHistory').checked;
+            const policy = document.getElementById('includeUnverified').checked
+                ? 'include_unverified'
+                : CONFIG.EXPORT_POLICY.DEFAULT;
+            const includeFhwa = document.getElementById('includeFhwa').checked;
+            const includeRejectionStats = document.getElementById('includeRejectionStats').checked;
+            const mutcdCategories = document.getElementById('mutcdCategories').checked;
+            
+            modal.hide();
+            this.performExport(format, scope, includeHistory, policy, includeFhwa, includeRejectionStats, mutcdCategories);
+        });
+    }
+
+    /**
+     * Perform the actual export
+     */
+    async performExport(format, scope, includeHistory, policy = CONFIG.EXPORT_POLICY.DEFAULT, includeFhwa = false,
+        includeRejectionStats = false, mutcdCategories = false) {
+        try {
+            const result = await loadingManager.trackOperation(
+                'export-annotations',
+                this.doExport(format, scope, includeHistory, policy, includeFhwa, includeRejectionStats, mutcdCategories),
+                {
+                    loadingMessage: 'Exporting annotations...',
+                    successMessage: 'Export completed successfully',
                     errorMessage: 'Export failed'
                 }
             );
@@ -1534,24 +3038,28 @@ class App {
                     }
                 }
                 
-                const dataBlob = new Blob([dataToDownload], { type: result.mimeType });
-                
-                const link = document.createElement('a');
-                link.href = URL.createObjectURL(dataBlob);
-                link.download = result.filename;
-                link.click();
-                
-                // Clean up
-                URL.revokeObjectURL(link.href);
+                this.downloadFile(dataToDownload, result.filename, result.mimeType);
                 
+                const excludedCount = Object.keys(result.exportReport?.excludedImages || {}).length;
                 const message = scope === 'all' 
-                    ? `Exported ${result.imageCount || 1} images with ${result.annotationCount} annotations`
+                    ? `Exported ${result.imageCount || 1} images with ${result.annotationCount} annotations` +
+                        (excludedCount > 0 ? ` (${excludedCount} left out by review status)` : '')
                     : `Exported ${result.annotationCount} annotations`;
                     
                 loadingManager.showSuccess(message, { type: 'success' });
                 console.log(`Export completed: ${result.filename}`);
+                
+                this.reportHeldBackAnnotations(result.exportReport);
+                
+                if (result.fhwaSummary) {
+                    this.downloadFhwaSummary(result);
+                }
+                if (result.rejectionStats) {
+                    this.downloadRejectionStatistics(result);
+                }
             } else {
                 console.error('Failed to export annotations:', result.error);
+                statusBanner.showWarning(result.error);
             }
             
         } catch (error) {
@@ -1560,19 +3068,93 @@ class App {
                 type: 'export_error',
                 format,
                 scope,
-                includeHistory
+                includeHistory,
+                policy,
+                includeFhwa,
+                includeRejectionStats,
+                mutcdCategories
             }, error);
         }
     }
 
+    /**
+     * Download the FHWA class summary table that accompanies an export
+     */
+    downloadFhwaSummary(result) {
+        const csv = result.fhwaSummary.images
+            ? annotationManager.fhwaSummaryToCSV(result.fhwaSummary.images, result.fhwaSummary.dataset)
+            : annotationManager.fhwaSummaryToCSV({ [result.imageId]: result.fhwaSummary });
+
+        this.downloadFile(csv, `fhwa_summary_${result.imageId || 'all'}_${Date.now()}.csv`, 'text/csv');
+    }
+
+    /**
+     * Download the rejection reason statistics that accompany an export
+     */
+    downloadRejectionStatistics(result) {
+        const csv = annotationManager.rejectionStatisticsToCSV(result.rejectionStats);
+
+        this.downloadFile(csv, `rejection_reasons_${result.imageId || 'all'}_${Date.now()}.csv`, 'text/csv');
+    }
+
+    /**
+     * Save text content as a file through a temporary object URL
+     * @param {string} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} mimeType - MIME type of the content
+     */
+    downloadFile(content, filename, mimeType) {
+        const dataBlob = new Blob([content], { type: mimeType });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = filename;
+        link.click();
+
+        // Clean up
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Tell the user which annotations the export policy held back
+     */
+    reportHeldBackAnnotations(exportReport) {
+        if (!exportReport || exportReport.heldBackCount === 0) {
+            return;
+        }
+
+        // Per-image reports for "all images" exports, a single report otherwise
+        const reports = exportReport.images || { current: exportReport };
+        const reasonCounts = {};
+        let imageCount = 0;
+
+        Object.entries(reports).forEach(([imageId, report]) => {
+            if (report.heldBackCount === 0) return;
+            imageCount++;
+            report.heldBack.forEach(item => {
+                reasonCounts[item.reason] = (reasonCounts[item.reason] || 0) + 1;
+            });
+            console.log(`Export held back ${report.heldBackCount} annotations for image ${imageId}:`, report.heldBack);
+        });
+
+        const reasons = Object.entries(reasonCounts)
+            .map(([reason, count]) => `${count} ${reason.replace(/_/g, ' ')}`)
+            .join(', ');
+
+        statusBanner.showWarning(
+            `${exportReport.heldBackCount} annotations on ${imageCount} image(s) were held back ` +
+            `by the ${exportReport.policy.replace(/_/g, ' ')} export policy (${reasons}).`
+        );
+    }
+
     /**
      * Perform the actual export operation
      */
-    async doExport(format, scope, includeHistory) {
+    async doExport(format, scope, includeHistory, policy = CONFIG.EXPORT_POLICY.DEFAULT, includeFhwa = false,
+        includeRejectionStats = false, mutcdCategories = false) {
         let result;
         
         if (scope === 'all') {
-            result = annotationManager.exportAllAnnotations(format);
+            result = annotationManager.exportAllAnnotations(format, { policy, includeFhwa, includeRejectionStats, mutcdCategories });
         } else {
             // Get current image metadata for proper export
             const currentImage = imageManager.getCurrentImage();
@@ -1583,7 +3165,7 @@ class App {
                 height: currentImage.element.naturalHeight
             } : null;
             
-            result = annotationManager.exportAnnotations(format, null, imageMetadata);
+            result = annotationManager.exportAnnotations(format, null, imageMetadata, { policy, includeFhwa, includeRejectionStats, mutcdCategories });
         }
         
         return result;
@@ -1679,8 +3261,38 @@ class App {
             return;
         }
 
-        // Prevent shortcuts when loading
-        if (imageManager.isLoadingImage()) {
+        // Keys belong to an open dialog, not to the page behind it
+        if (document.querySelector('.modal.show')) {
+            return;
+        }
+
+        // Prevent shortcuts when loading
+        if (imageManager.isLoadingImage()) {
+            return;
+        }
+
+        // Undo/redo work whether or not the canvas has focus
+        if ((event.ctrlKey || event.metaKey) &&
+            (event.code === CONFIG.KEYBOARD_SHORTCUTS.UNDO || event.code === CONFIG.KEYBOARD_SHORTCUTS.REDO)) {
+            event.preventDefault();
+            if (event.code === CONFIG.KEYBOARD_SHORTCUTS.REDO || event.shiftKey) {
+                // Ctrl+Shift+Z or Ctrl+Y for redo
+                this.redo();
+            } else {
+                // Ctrl+Z for undo
+                this.undo();
+            }
+            return;
+        }
+
+        // Zoom shortcuts work whether or not the canvas has focus
+        if (this.handleZoomShortcut(event)) {
+            return;
+        }
+
+        if (event.code === CONFIG.KEYBOARD_SHORTCUTS.MASK_EDIT && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            event.preventDefault();
+            this.toggleMaskEditMode();
             return;
         }
 
@@ -1703,6 +3315,16 @@ class App {
                 this.announceToScreenReader(`Navigating to previous image`);
                 break;
                 
+            case CONFIG.KEYBOARD_SHORTCUTS.NEXT_IN_QUEUE:
+                event.preventDefault();
+                this.navigateReviewQueue(1);
+                break;
+                
+            case CONFIG.KEYBOARD_SHORTCUTS.PREV_IN_QUEUE:
+                event.preventDefault();
+                this.navigateReviewQueue(-1);
+                break;
+                
             case CONFIG.KEYBOARD_SHORTCUTS.SAVE:
                 if (event.ctrlKey || event.metaKey) {
                     event.preventDefault();
@@ -1736,6 +3358,37 @@ class App {
                 this.announceToScreenReader(`ROI mode toggled`);
                 break;
                 
+            case CONFIG.KEYBOARD_SHORTCUTS.SEGMENT_MODE:
+                if (!event.ctrlKey && !event.metaKey) {
+                    event.preventDefault();
+                    this.toggleSegmentMode();
+                    this.announceToScreenReader(`Segment mode toggled`);
+                }
+                break;
+                
+            case CONFIG.KEYBOARD_SHORTCUTS.DATASET_BROWSER:
+                if (!event.ctrlKey && !event.metaKey) {
+                    event.preventDefault();
+                    this.openDatasetBrowser();
+                }
+                break;
+                
+            case CONFIG.KEYBOARD_SHORTCUTS.COUNT_LINE_MODE:
+                if (!event.ctrlKey && !event.metaKey) {
+                    event.preventDefault();
+                    this.toggleCountLineMode();
+                    this.announceToScreenReader(`Count line mode toggled`);
+                }
+                break;
+                
+            case CONFIG.KEYBOARD_SHORTCUTS.POLYGON_MODE:
+                if (!event.ctrlKey && !event.metaKey) {
+                    event.preventDefault();
+                    this.togglePolygonMode();
+                    this.announceToScreenReader(`Polygon mode toggled`);
+                }
+                break;
+                
             case CONFIG.KEYBOARD_SHORTCUTS.ESCAPE:
                 event.preventDefault();
                 this.setDrawingMode(false);
@@ -1830,9 +3483,9 @@ class App {
                 
             case 'Enter':
             case 'Space':
-                // Activate selected annotation for editing
+                // Activate selected annotation for editing (Enter closes an in-progress polygon instead)
                 event.preventDefault();
-                if (selectedAnnotation) {
+                if (selectedAnnotation && !this.drawingTools?.isDrawingPolygon && !this.drawingTools?.segmentMode) {
                     this.editSelectedAnnotation();
                 }
                 break;
@@ -1876,6 +3529,10 @@ class App {
      * Accessibility helper methods for annotation management
      */
     verifySelectedAnnotation() {
+        if (annotationManager.getSelectedAnnotations().length > 1) {
+            this.runSelectionAction('verify');
+            return;
+        }
         const selectedAnnotation = annotationManager.getSelectedAnnotation();
         if (selectedAnnotation) {
             const success = annotationManager.updateAnnotation(selectedAnnotation.id, {
@@ -1888,15 +3545,7 @@ class App {
     }
 
     rejectSelectedAnnotation() {
-        const selectedAnnotation = annotationManager.getSelectedAnnotation();
-        if (selectedAnnotation) {
-            const success = annotationManager.updateAnnotation(selectedAnnotation.id, {
-                state: 'Rejected'
-            });
-            if (success) {
-                this.announceToScreenReader(`Annotation rejected`);
-            }
-        }
+        this.rejectAnnotations(annotationManager.getSelectedAnnotations().map(annotation => annotation.id));
     }
 
     markSelectedAnnotationAsModified() {
@@ -1912,6 +3561,10 @@ class App {
     }
 
     deleteSelectedAnnotation() {
+        if (annotationManager.getSelectedAnnotations().length > 1) {
+            this.runSelectionAction('delete');
+            return;
+        }
         const selectedAnnotation = annotationManager.getSelectedAnnotation();
         if (selectedAnnotation) {
             const success = annotationManager.deleteAnnotation(selectedAnnotation.id);
@@ -1921,8 +3574,114 @@ class App {
         }
     }
 
+    /**
+     * Undo the last annotation or ROI edit on the current image
+     */
+    undo() {
+        const result = annotationManager.undo();
+        if (result.success) {
+            this.syncSelectionAfterHistoryReplay();
+            this.announceToScreenReader(`Undid ${result.action}`);
+        } else {
+            this.announceToScreenReader(`Nothing to undo`);
+        }
+    }
+
+    /**
+     * Redo the last undone edit on the current image
+     */
+    redo() {
+        const result = annotationManager.redo();
+        if (result.success) {
+            this.syncSelectionAfterHistoryReplay();
+            this.announceToScreenReader(`Redid ${result.action}`);
+        } else {
+            this.announceToScreenReader(`Nothing to redo`);
+        }
+    }
+
+    /**
+     * Follow the selection after undo/redo, which drops removed annotations from it
+     */
+    syncSelectionAfterHistoryReplay() {
+        this.drawingTools?.syncSelection();
+        this.canvasRenderer?.redraw();
+    }
+
+    /**
+     * Handle zoom keyboard shortcuts, returns true if the event was handled
+     */
+    handleZoomShortcut(event) {
+        if (!this.canvasRenderer || event.ctrlKey || event.metaKey || event.altKey) {
+            return false;
+        }
+
+        switch (event.code) {
+            case CONFIG.KEYBOARD_SHORTCUTS.ZOOM_IN:
+            case 'NumpadAdd':
+                this.canvasRenderer.zoomBy(CONFIG.ZOOM.BUTTON_STEP);
+                break;
+            case CONFIG.KEYBOARD_SHORTCUTS.ZOOM_OUT:
+            case 'NumpadSubtract':
+                this.canvasRenderer.zoomBy(1 / CONFIG.ZOOM.BUTTON_STEP);
+                break;
+            case CONFIG.KEYBOARD_SHORTCUTS.ZOOM_FIT:
+                this.canvasRenderer.zoomToFit();
+                break;
+            case CONFIG.KEYBOARD_SHORTCUTS.ZOOM_ACTUAL_SIZE:
+                this.canvasRenderer.zoomToActualSize();
+                break;
+            case CONFIG.KEYBOARD_SHORTCUTS.ZOOM_SELECTION:
+                this.zoomToSelection();
+                break;
+            default:
+                return false;
+        }
+
+        event.preventDefault();
+        return true;
+    }
+
+    /**
+     * Zoom the canvas to the selected annotation
+     */
+    zoomToSelection() {
+        const selectedAnnotation = annotationManager.getSelectedAnnotation();
+        if (!selectedAnnotation || !this.canvasRenderer) {
+            this.announceToScreenReader('No annotation selected to zoom to');
+            return;
+        }
+
+        this.canvasRenderer.zoomToBoundingBox(selectedAnnotation.bbox);
+    }
+
+    /**
+     * Show the current zoom level next to the zoom controls
+     */
+    updateZoomIndicator(zoomInfo) {
+        if (!this.zoomLevel) return;
+
+        this.zoomLevel.textContent = zoomInfo.isFit ? 'Fit' : `${Math.round(zoomInfo.scale * 100)}%`;
+        this.zoomLevel.setAttribute('aria-label', `Zoom level ${Math.round(zoomInfo.scale * 100)} percent`);
+    }
+
+    /**
+     * Enable or disable the undo/redo toolbar buttons
+     */
+    updateUndoRedoButtons(historyState = null) {
+        const canUndo = historyState ? historyState.canUndo : annotationManager.canUndo();
+        const canRedo = historyState ? historyState.canRedo : annotationManager.canRedo();
+
+        if (this.undoBtn) {
+            this.undoBtn.disabled = !canUndo;
+        }
+        if (this.redoBtn) {
+            this.redoBtn.disabled = !canRedo;
+        }
+    }
+
     selectNextAnnotation() {
-        const annotations = annotationManager.getCurrentAnnotations();
+        const annotations = annotationManager.getVisibleAnnotations();
         const currentSelected = annotationManager.getSelectedAnnotation();
         
         if (annotations.length === 0) return;
@@ -1941,7 +3700,7 @@ class App {
     }
 
     selectPreviousAnnotation() {
-        const annotations = annotationManager.getCurrentAnnotations();
+        const annotations = annotationManager.getVisibleAnnotations();
         const currentSelected = annotationManager.getSelectedAnnotation();
         
         if (annotations.length === 0) return;
@@ -2033,6 +3792,10 @@ class App {
         if (this.imageCounter) {
             this.imageCounter.textContent = `${current} / ${total}`;
         }
+        if (this.imageJump) {
+            this.imageJump.max = total;
+            this.imageJump.disabled = total === 0;
+        }
     }
 
     updateNavigationButtons(navInfo = null) {
@@ -2061,6 +3824,11 @@ class App {
         if (this.verifiedCount) this.verifiedCount.textContent = counts.Verified;
         if (this.modifiedCount) this.modifiedCount.textContent = counts.Modified;
         if (this.rejectedCount) this.rejectedCount.textContent = counts.Rejected;
+        if (this.belowThresholdCount) {
+            this.belowThresholdCount.hidden = counts.belowThreshold === 0;
+            this.belowThresholdCount.textContent =
+                `${counts.belowThreshold} suggestion${counts.belowThreshold === 1 ? '' : 's'} below the confidence threshold`;
+        }
         
         console.log('Annotation counts updated:', counts);
     }
@@ -2078,28 +3846,38 @@ class App {
         
         // Update annotation counts
         this.updateAnnotationCounts();
+        this.updateROICounts();
+        this.updateCountLineCounts();
+        this.updateMaskEditControls();
+        this.updateOverlapPanel();
+        // Edits can contradict a complete mark
+        this.updateImageReviewStatus();
     }
 
     onAnnotationSelected(annotation) {
         console.log(`Annotation selected: ${annotation.id} (${annotation.className})`);
         
-        // Highlight annotation in canvas renderer
-        if (this.canvasRenderer) {
-            this.canvasRenderer.highlightAnnotation(annotation.id);
-        }
+        // The canvas is redrawn by onSelectionChanged, which follows every selection change
         
         // Update class selector to match selected annotation
         this.updateClassSelector(annotation);
+        this.updateMaskEditControls();
         
         // Update UI to show selected annotation details
         // This could be expanded to show annotation properties in a sidebar
     }
 
+    onSelectionChanged(selected) {
+        this.canvasRenderer?.redraw();
+        this.updateSelectionPanel(selected);
+    }
+
     onAnnotationStateChanged(annotation) {
         console.log(`Annotation state changed: ${annotation.id} -> ${annotation.state}`);
         
         // Update annotation counts to reflect state change
         this.updateAnnotationCounts();
+        this.updateOverlapPanel();
         
         // Trigger canvas redraw to show state color changes
         if (this.canvasRenderer) {
@@ -2107,6 +3885,11 @@ class App {
         }
     }
 
+    onMetadataRequired(annotation, missingFields) {
+        const fieldList = missingFields.map(field => field.label).join(', ');
+        statusBanner.showWarning(`${annotation.className} needs ${fieldList} before it can be verified (Ctrl+E to edit)`);
+    }
+
     onSaveComplete(result) {
         console.log(`Save completed: ${result.savedCount} annotations saved`);
         loadingManager.showSuccess(result.message, { type: 'success' });
@@ -2213,17 +3996,18 @@ class App {
             }, error);
         }
     }
-    onROIChanged(roi) {
-        console.log('ROI changed:', roi ? `${roi.polygon.length} points` : 'cleared');
+    onROIChanged(rois) {
+        console.log(`ROIs changed: ${rois.length} on current image`);
         
-        // Update canvas renderer with new ROI
+        // Update canvas renderer with the image's ROIs
         if (this.canvasRenderer) {
-            this.canvasRenderer.setROI(roi);
+            this.canvasRenderer.setROIs(rois, roiManager.selectedROIId);
+            this.canvasRenderer.setCountLines(roiManager.getCountLines());
         }
         
         // Update UI state
-        if (roi) {
-            // Enable ROI toggle if ROI is created
+        if (roiManager.hasActiveROI()) {
+            // Enable ROI toggle while at least one ROI is enabled
             if (this.roiToggle) {
                 this.roiToggle.disabled = false;
             }
@@ -2233,7 +4017,431 @@ class App {
                 this.roiToggle.checked = false;
                 this.roiToggle.disabled = true;
             }
-            roiManager.setROIFiltering(false);
+            if (roiManager.roiFilteringActive) {
+                roiManager.setROIFiltering(false);
+            }
+        }
+
+        this.renderROIList();
+        this.renderCountLineList();
+
+        // Persist ROI and count line edits (loading an image's ROIs is not an edit)
+        const imageId = roiManager.currentImageId;
+        if (imageId && roiManager.hasUnsavedChanges(imageId)) {
+            this.saveROIs(imageId);
+        }
+    }
+
+    /**
+     * Load the named ROIs of an image once per session and make them current
+     */
+    async loadROIsForImage(imageId) {
+        roiManager.setCurrentImage(imageId);
+
+        if (roiManager.hasImageROIs(imageId)) {
+            return;
+        }
+
+        try {
+            const result = await apiClient.getROIs(imageId);
+            // Skip if ROIs were drawn while the request was in flight
+            if (result.success && !roiManager.hasImageROIs(imageId)) {
+                roiManager.setImageROIs(imageId, result.rois, result.countLines);
+            }
+        } catch (error) {
+            console.error('Failed to load ROIs:', error);
+        }
+    }
+
+    /**
+     * Show the Scene panel for an image, loading its attributes if needed
+     */
+    async loadImageAttributesForImage(imageId) {
+        this.renderImageAttributes(imageId);
+
+        try {
+            await annotationManager.loadImageAttributes(imageId);
+            // Skip if another image was opened while the request was in flight
+            if (imageManager.getCurrentImage()?.data.id === imageId) {
+                this.renderImageAttributes(imageId);
+            }
+        } catch (error) {
+            console.error('Failed to load image attributes:', error);
+        }
+    }
+
+    /**
+     * Build the Scene panel inputs from CONFIG.IMAGE_ATTRIBUTES
+     */
+    renderImageAttributes(imageId) {
+        if (!this.imageAttributesFields || !this.drawingTools) {
+            return;
+        }
+        const attributes = annotationManager.getImageAttributes(imageId);
+        this.drawingTools.renderSchemaFields(this.imageAttributesFields, getImageAttributeSchema(), attributes, 'image-attribute');
+        this.updateImageAttributesStatus(attributes);
+    }
+
+    updateImageAttributesStatus(attributes) {
+        if (this.imageAttributesStatus) {
+            this.imageAttributesStatus.textContent = `${Object.keys(attributes).length} of ${getImageAttributeSchema().length} attributes set`;
+        }
+    }
+
+    /**
+     * Save a scene attribute as soon as it is changed in the Scene panel
+     */
+    async onImageAttributeChange(event) {
+        const key = event.target.dataset.key;
+        const imageId = imageManager.getCurrentImage()?.data.id;
+        if (!key || !imageId || !this.drawingTools) {
+            return;
+        }
+
+        const value = this.drawingTools.readMetadataFields(this.imageAttributesFields)[key];
+        const result = await annotationManager.setImageAttributes(imageId, { [key]: value });
+        this.drawingTools.showMetadataErrors(this.imageAttributesFields, result.errors);
+
+        if (!result.success) {
+            console.error('Failed to save image attributes:', result.error);
+            statusBanner.showWarning('Scene attributes could not be saved');
+            return;
+        }
+        this.updateImageAttributesStatus(result.attributes);
+        // The unusable attribute can change the review status
+        this.updateImageReviewStatus();
+    }
+
+    /**
+     * Load the review status of an image and show it next to the image counter
+     */
+    async loadImageReviewStatusForImage(imageId) {
+        this.updateImageReviewStatus();
+
+        try {
+            await annotationManager.loadImageReviewStatus(imageId);
+            if (imageManager.getCurrentImage()?.data.id === imageId) {
+                this.updateImageReviewStatus();
+            }
+        } catch (error) {
+            console.error('Failed to load image review status:', error);
+        }
+    }
+
+    /**
+     * Show the current image's review status badge and set the Mark select to match
+     */
+    updateImageReviewStatus() {
+        const imageId = imageManager.getCurrentImage()?.data.id;
+        if (!imageId) {
+            return;
+        }
+
+        const review = annotationManager.getImageReviewStatus(imageId);
+        const { color } = CONFIG.IMAGE_REVIEW.STATUSES[review.status];
+        const reason = review.reason ? CONFIG.IMAGE_REVIEW.SKIP_REASONS[review.reason] : null;
+
+        if (this.imageReviewStatus) {
+            this.imageReviewStatus.className = `badge bg-${color}${color === 'warning' ? ' text-dark' : ''}`;
+            this.imageReviewStatus.textContent = getImageReviewStatusLabel(review.status);
+            this.imageReviewStatus.title = reason ? `Skipped: ${reason}` : '';
+        }
+        if (this.imageReviewSelect) {
+            this.imageReviewSelect.value = !review.manual ? '' : review.reason ? `${review.status}:${review.reason}` : review.status;
+        }
+    }
+
+    /**
+     * Set the review status picked in the Mark select on the current image
+     */
+    async onImageReviewStatusChange() {
+        const imageId = imageManager.getCurrentImage()?.data.id;
+        if (!imageId || !this.imageReviewSelect) {
+            return;
+        }
+
+        const [status, reason = null] = this.imageReviewSelect.value.split(':');
+        const result = await annotationManager.setImageReviewStatus(imageId, status || null, reason);
+        if (!result.success) {
+            console.error('Failed to set image review status:', result.error);
+            statusBanner.showWarning(result.error);
+        } else {
+            this.announceToScreenReader(`Image marked ${getImageReviewStatusLabel(result.review.status)}`);
+        }
+        this.updateImageReviewStatus();
+    }
+
+    /**
+     * Persist the ROI and count line lists of an image
+     */
+    async saveROIs(imageId) {
+        // Mark first so edits made while saving are picked up by the next save
+        roiManager.markSaved(imageId);
+
+        const result = await apiClient.saveROIs(imageId, roiManager.exportROIs(imageId), roiManager.exportCountLines(imageId));
+        if (!result.success) {
+            console.error('Failed to save ROIs:', result.error);
+            statusBanner.showWarning('Regions of interest could not be saved');
+        }
+    }
+
+    /**
+     * Apply an ROI edit from the sidebar as one undoable step
+     */
+    editROIs(edit) {
+        const previousROIs = roiManager.exportROIs();
+        if (edit()) {
+            annotationManager.recordROIChange(previousROIs, roiManager.exportROIs());
+        }
+    }
+
+    /**
+     * Rebuild the ROI list for the current image
+     */
+    renderROIList() {
+        if (!this.roiList) return;
+
+        const rois = roiManager.getROIs();
+        this.roiList.replaceChildren(...rois.map(roi => this.createROIListItem(roi)));
+
+        if (this.roiEmpty) {
+            this.roiEmpty.classList.toggle('d-none', rois.length > 0);
+        }
+        if (this.clearRoiBtn) {
+            this.clearRoiBtn.disabled = rois.length === 0;
+        }
+
+        this.updateROICounts();
+    }
+
+    createROIListItem(roi) {
+        const item = document.createElement('li');
+        item.className = `list-group-item px-2 py-1 roi-item${roi.id === roiManager.selectedROIId ? ' selected' : ''}`;
+        item.dataset.roiId = roi.id;
+        item.style.borderLeftColor = roi.color;
+        item.innerHTML = `
+            <div class="d-flex align-items-center gap-1">
+                <input class="form-check-input mt-0 roi-enabled" type="checkbox" title="Enable or disable this ROI">
+                <input type="color" class="form-control form-control-color roi-color" title="ROI color">
+                <input type="text" class="form-control form-control-sm roi-name" maxlength="60">
+                <button type="button" class="btn btn-outline-danger btn-sm roi-delete" title="Delete ROI">
+                    <i class="bi bi-trash" aria-hidden="true"></i>
+                </button>
+            </div>
+            <div class="d-flex align-items-center gap-1 mt-1">
+                <select class="form-select form-select-sm roi-policy" title="When an object counts as inside this ROI">
+                    ${Object.entries(CONFIG.ROI.INCLUSION.POLICIES).map(([policy, label]) =>
+                        `<option value="${policy}">${label}</option>`).join('')}
+                </select>
+                <input type="number" class="form-control form-control-sm roi-min-overlap" min="0" max="100" step="5"
+                       title="Minimum share of the box inside the ROI (%)">
+            </div>
+            <small class="text-muted roi-counts" aria-live="polite"></small>`;
+
+        // User-entered values are assigned as properties, never parsed as markup
+        const enabledInput = item.querySelector('.roi-enabled');
+        enabledInput.checked = roi.active;
+        enabledInput.setAttribute('aria-label', `Enable ${roi.name}`);
+        const colorInput = item.querySelector('.roi-color');
+        colorInput.value = roi.color;
+        colorInput.setAttribute('aria-label', `Color of ${roi.name}`);
+        const nameInput = item.querySelector('.roi-name');
+        nameInput.value = roi.name;
+        nameInput.setAttribute('aria-label', 'ROI name');
+        item.querySelector('.roi-delete').setAttribute('aria-label', `Delete ${roi.name}`);
+        const policySelect = item.querySelector('.roi-policy');
+        policySelect.value = roi.inclusionPolicy;
+        policySelect.setAttribute('aria-label', `Inclusion rule for ${roi.name}`);
+        const minOverlapInput = item.querySelector('.roi-min-overlap');
+        minOverlapInput.value = Math.round(roi.minOverlap * 100);
+        minOverlapInput.setAttribute('aria-label', `Minimum overlap percent for ${roi.name}`);
+        minOverlapInput.classList.toggle('d-none', roi.inclusionPolicy !== 'area_fraction');
+
+        return item;
+    }
+
+    /**
+     * Refresh the per-ROI object counts by class
+     */
+    updateROICounts() {
+        if (!this.roiList) return;
+
+        roiManager.getROICounts(annotationManager.getCountedAnnotations()).forEach(counts => {
+            const countsElement = this.roiList.querySelector(`[data-roi-id="${counts.roiId}"] .roi-counts`);
+            if (!countsElement) return;
+
+            if (!counts.active) {
+                countsElement.textContent = 'Disabled';
+                return;
+            }
+
+            const byClass = Object.entries(counts.byClass)
+                .sort((a, b) => b[1] - a[1])
+                .map(([className, count]) => `${className} ${count}`)
+                .join(', ');
+            countsElement.textContent = `${counts.total} object${counts.total === 1 ? '' : 's'}${byClass ? `: ${byClass}` : ''}`;
+        });
+    }
+
+    onROIListChange(event) {
+        const roiId = event.target.closest('.roi-item')?.dataset.roiId;
+        if (!roiId) return;
+
+        if (event.target.classList.contains('roi-enabled')) {
+            this.editROIs(() => roiManager.setROIEnabled(roiId, event.target.checked));
+        } else if (event.target.classList.contains('roi-color')) {
+            this.editROIs(() => roiManager.setROIColor(roiId, event.target.value));
+        } else if (event.target.classList.contains('roi-policy')) {
+            this.editROIs(() => roiManager.setROIInclusion(roiId, event.target.value));
+        } else if (event.target.classList.contains('roi-min-overlap')) {
+            const roi = roiManager.findROIById(roiId);
+            const percent = parseFloat(event.target.value);
+            if (!roi || !Number.isFinite(percent)) {
+                this.renderROIList();
+                return;
+            }
+            this.editROIs(() => roiManager.setROIInclusion(roiId, roi.inclusionPolicy, percent / 100));
+        } else if (event.target.classList.contains('roi-name')) {
+            const renamed = event.target.value.trim() !== roiManager.findROIById(roiId)?.name;
+            if (!renamed) return;
+
+            this.editROIs(() => roiManager.renameROI(roiId, event.target.value));
+            // Blank names are ignored; put the current name back
+            this.renderROIList();
+        }
+    }
+
+    onROIListClick(event) {
+        const item = event.target.closest('.roi-item');
+        if (!item) return;
+
+        if (event.target.closest('.roi-delete')) {
+            const name = roiManager.findROIById(item.dataset.roiId)?.name;
+            this.editROIs(() => roiManager.deleteROI(item.dataset.roiId));
+            this.announceToScreenReader(`${name} deleted`);
+        } else if (!event.target.closest('input') && item.dataset.roiId !== roiManager.selectedROIId) {
+            roiManager.selectROI(item.dataset.roiId);
+        }
+    }
+
+    /**
+     * Apply a count line edit from the sidebar as one undoable step
+     */
+    editCountLines(edit) {
+        const previousLines = roiManager.exportCountLines();
+        if (edit()) {
+            annotationManager.recordCountLineChange(previousLines, roiManager.exportCountLines());
+        }
+    }
+
+    /**
+     * Rebuild the count line list for the current image
+     */
+    renderCountLineList() {
+        if (!this.countLineList) return;
+
+        const lines = roiManager.getCountLines();
+        this.countLineList.replaceChildren(...lines.map(line => this.createCountLineListItem(line)));
+
+        if (this.countLineEmpty) {
+            this.countLineEmpty.classList.toggle('d-none', lines.length > 0);
+        }
+
+        this.updateCountLineCounts();
+    }
+
+    createCountLineListItem(line) {
+        const item = document.createElement('li');
+        item.className = 'list-group-item px-2 py-1 count-line-item';
+        item.dataset.countLineId = line.id;
+        item.style.borderLeftColor = line.color;
+        item.innerHTML = `
+            <div class="d-flex align-items-center gap-1">
+                <input class="form-check-input mt-0 count-line-enabled" type="checkbox" title="Enable or disable this count line">
+                <input type="color" class="form-control form-control-color count-line-color" title="Count line color">
+                <input type="text" class="form-control form-control-sm count-line-name" maxlength="60">
+                <button type="button" class="btn btn-outline-secondary btn-sm count-line-flip" title="Swap the in and out sides">
+                    <i class="bi bi-arrow-left-right" aria-hidden="true"></i>
+                </button>
+                <button type="button" class="btn btn-outline-danger btn-sm count-line-delete" title="Delete count line">
+                    <i class="bi bi-trash" aria-hidden="true"></i>
+                </button>
+            </div>
+            <small class="text-muted count-line-counts" aria-live="polite"></small>`;
+
+        // User-entered values are assigned as properties, never parsed as markup
+        const enabledInput = item.querySelector('.count-line-enabled');
+        enabledInput.checked = line.active;
+        enabledInput.setAttribute('aria-label', `Enable ${line.name}`);
+        const colorInput = item.querySelector('.count-line-color');
+        colorInput.value = line.color;
+        colorInput.setAttribute('aria-label', `Color of ${line.name}`);
+        const nameInput = item.querySelector('.count-line-name');
+        nameInput.value = line.name;
+        nameInput.setAttribute('aria-label', 'Count line name');
+        item.querySelector('.count-line-flip').setAttribute('aria-label', `Swap in and out sides of ${line.name}`);
+        item.querySelector('.count-line-delete').setAttribute('aria-label', `Delete ${line.name}`);
+
+        return item;
+    }
+
+    /**
+     * Refresh the per-direction object counts of each count line
+     */
+    updateCountLineCounts() {
+        if (!this.countLineList) return;
+
+        const directionLabels = { in: 'In', out: 'Out', crossing: 'Crossing' };
+
+        roiManager.getCountLineCounts(annotationManager.getCountedAnnotations()).forEach(counts => {
+            const countsElement = this.countLineList.querySelector(`[data-count-line-id="${counts.lineId}"] .count-line-counts`);
+            if (!countsElement) return;
+
+            if (!counts.active) {
+                countsElement.textContent = 'Disabled';
+                return;
+            }
+
+            countsElement.textContent = Object.entries(directionLabels).map(([direction, label]) => {
+                const { total, byClass } = counts.directions[direction];
+                const classes = Object.entries(byClass)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([className, count]) => `${className} ${count}`)
+                    .join(', ');
+                return `${label} ${total}${classes ? ` (${classes})` : ''}`;
+            }).join(' · ');
+        });
+    }
+
+    onCountLineListChange(event) {
+        const lineId = event.target.closest('.count-line-item')?.dataset.countLineId;
+        if (!lineId) return;
+
+        if (event.target.classList.contains('count-line-enabled')) {
+            this.editCountLines(() => roiManager.setCountLineEnabled(lineId, event.target.checked));
+        } else if (event.target.classList.contains('count-line-color')) {
+            this.editCountLines(() => roiManager.updateCountLine(lineId, { color: event.target.value }));
+        } else if (event.target.classList.contains('count-line-name')) {
+            const renamed = event.target.value.trim() !== roiManager.findCountLineById(lineId)?.name;
+            if (!renamed) return;
+
+            this.editCountLines(() => roiManager.renameCountLine(lineId, event.target.value));
+            // Blank names are ignored; put the current name back
+            this.renderCountLineList();
+        }
+    }
+
+    onCountLineListClick(event) {
+        const item = event.target.closest('.count-line-item');
+        if (!item) return;
+
+        const lineId = item.dataset.countLineId;
+        if (event.target.closest('.count-line-flip')) {
+            this.editCountLines(() => roiManager.flipCountLine(lineId));
+        } else if (event.target.closest('.count-line-delete')) {
+            const name = roiManager.findCountLineById(lineId)?.name;
+            this.editCountLines(() => roiManager.deleteCountLine(lineId));
+            this.announceToScreenReader(`${name} deleted`);
         }
     }
 
@@ -21,13 +21,26 @@ export class CanvasRenderer {
         // Rendering state
         this.currentImage = null;
         this.scaledDimensions = null;
+        this.fitDimensions = null;
         this.annotations = [];
         this.selectedAnnotation = null;
-        this.roi = null;
+        this.maskEditAnnotationId = null;
+        this.rois = [];
+        this.selectedROIId = null;
+        this.countLines = [];
+        this.overlapHighlights = { duplicates: [], conflicts: [] };
+        
+        // View state: zoom is relative to fit-to-canvas, center is in image coordinates
+        this.view = { zoom: 1, centerX: null, centerY: null };
+        this.minimapBounds = null;
+        this.onViewChanged = null;
         
         // ROI manager reference (will be set externally)
         this.roiManager = null;
         
+        // Annotation manager reference for the confidence filter (will be set externally)
+        this.annotationManager = null;
+        
         // Canvas properties
         this.devicePixelRatio = window.devicePixelRatio || 1;
         
@@ -100,12 +113,9 @@ export class CanvasRenderer {
         // Re-setup high DPI if needed
         this.setupHighDPICanvas();
         
-        // Recalculate scaled dimensions if image is loaded
+        // Recalculate scaled dimensions if image is loaded (keeping zoom and pan)
         if (this.currentImage) {
-            this.scaledDimensions = this.calculateScaledDimensions(
-                this.currentImage.naturalWidth,
-                this.currentImage.naturalHeight
-            );
+            this.updateScaledDimensions();
         }
         
         // Trigger redraw
@@ -151,6 +161,182 @@ export class CanvasRenderer {
         };
     }
 
+    /**
+     * Recalculate the fit dimensions and apply the current zoom/pan on top of them.
+     * All coordinate conversions go through scaledDimensions, so drawing, hit-testing
+     * and ROI editing work at any zoom level.
+     */
+    updateScaledDimensions() {
+        this.fitDimensions = this.calculateScaledDimensions(
+            this.currentImage.naturalWidth,
+            this.currentImage.naturalHeight
+        );
+
+        if (!this.fitDimensions) {
+            this.scaledDimensions = null;
+            return;
+        }
+
+        this.clampView();
+
+        const fit = this.fitDimensions;
+        const scale = fit.scale * this.view.zoom;
+        const width = fit.originalWidth * scale;
+        const height = fit.originalHeight * scale;
+
+        this.scaledDimensions = {
+            ...fit,
+            scale: scale,
+            width: width,
+            height: height,
+            x: fit.canvasWidth / 2 - this.view.centerX * scale,
+            y: fit.canvasHeight / 2 - this.view.centerY * scale
+        };
+    }
+
+    /**
+     * Keep zoom within limits and the image on screen. When the zoomed image is
+     * smaller than the canvas along an axis it is centered on that axis.
+     */
+    clampView() {
+        const fit = this.fitDimensions;
+        const { minZoom, maxZoom } = this.getZoomLimits();
+        this.view.zoom = Math.max(minZoom, Math.min(maxZoom, this.view.zoom));
+
+        const scale = fit.scale * this.view.zoom;
+        const clampAxis = (center, imageSize, canvasSize) => {
+            const halfVisible = canvasSize / 2 / scale;
+            if (center === null || imageSize * scale <= canvasSize) {
+                return imageSize / 2;
+            }
+            return Math.max(halfVisible, Math.min(imageSize - halfVisible, center));
+        };
+
+        this.view.centerX = clampAxis(this.view.centerX, fit.originalWidth, fit.canvasWidth);
+        this.view.centerY = clampAxis(this.view.centerY, fit.originalHeight, fit.canvasHeight);
+    }
+
+    /**
+     * Zoom limits relative to fit: never smaller than fit or 1:1, never beyond MAX_PIXEL_SCALE
+     */
+    getZoomLimits() {
+        const fitScale = this.fitDimensions ? this.fitDimensions.scale : 1;
+        return {
+            minZoom: Math.min(1, 1 / fitScale),
+            maxZoom: Math.max(1, CONFIG.ZOOM.MAX_PIXEL_SCALE / fitScale)
+        };
+    }
+
+    /**
+     * Zoom by a factor keeping the given canvas point fixed
+     */
+    zoomAt(canvasX, canvasY, factor) {
+        if (!this.scaledDimensions) return;
+
+        const current = this.scaledDimensions;
+        const imageX = (canvasX - current.x) / current.scale;
+        const imageY = (canvasY - current.y) / current.scale;
+
+        this.view.zoom *= factor;
+        const { minZoom, maxZoom } = this.getZoomLimits();
+        this.view.zoom = Math.max(minZoom, Math.min(maxZoom, this.view.zoom));
+
+        // Solve for the center that keeps (imageX, imageY) under the cursor
+        const scale = this.fitDimensions.scale * this.view.zoom;
+        this.view.centerX = imageX + (current.canvasWidth / 2 - canvasX) / scale;
+        this.view.centerY = imageY + (current.canvasHeight / 2 - canvasY) / scale;
+
+        this.applyViewChange();
+    }
+
+    /**
+     * Zoom by a factor around the canvas center
+     */
+    zoomBy(factor) {
+        if (!this.scaledDimensions) return;
+        this.zoomAt(this.scaledDimensions.canvasWidth / 2, this.scaledDimensions.canvasHeight / 2, factor);
+    }
+
+    /**
+     * Pan the view by a distance in canvas pixels
+     */
+    panBy(deltaX, deltaY) {
+        if (!this.scaledDimensions) return;
+
+        this.view.centerX -= deltaX / this.scaledDimensions.scale;
+        this.view.centerY -= deltaY / this.scaledDimensions.scale;
+
+        this.applyViewChange();
+    }
+
+    /**
+     * Fit the whole image in the canvas
+     */
+    zoomToFit() {
+        this.view = { zoom: 1, centerX: null, centerY: null };
+        this.applyViewChange();
+    }
+
+    /**
+     * Show the image at 1:1 (one image pixel per screen pixel), keeping the current center
+     */
+    zoomToActualSize() {
+        if (!this.fitDimensions) return;
+
+        this.view.zoom = 1 / this.fitDimensions.scale;
+        this.applyViewChange();
+    }
+
+    /**
+     * Zoom so a bounding box (image coordinates) fills the canvas with some padding
+     */
+    zoomToBoundingBox(bbox, padding = CONFIG.ZOOM.SELECTION_PADDING) {
+        if (!this.fitDimensions || !bbox) return;
+
+        const fit = this.fitDimensions;
+        const paddedWidth = Math.max(1, bbox.width * (1 + padding * 2));
+        const paddedHeight = Math.max(1, bbox.height * (1 + padding * 2));
+        const targetScale = Math.min(fit.canvasWidth / paddedWidth, fit.canvasHeight / paddedHeight);
+
+        this.view.zoom = targetScale / fit.scale;
+        this.view.centerX = bbox.x + bbox.width / 2;
+        this.view.centerY = bbox.y + bbox.height / 2;
+
+        this.applyViewChange();
+    }
+
+    /**
+     * Recompute dimensions after a view change, redraw and notify listeners
+     */
+    applyViewChange() {
+        if (!this.currentImage) return;
+
+        this.updateScaledDimensions();
+        this.redraw();
+
+        if (this.onViewChanged) {
+            this.onViewChanged(this.getZoomInfo());
+        }
+    }
+
+    /**
+     * Get current zoom information
+     */
+    getZoomInfo() {
+        return {
+            zoom: this.view.zoom,
+            scale: this.scaledDimensions ? this.scaledDimensions.scale : 1,
+            isFit: this.view.zoom === 1
+        };
+    }
+
+    /**
+     * Set callback for zoom/pan changes
+     */
+    setOnViewChanged(callback) {
+        this.onViewChanged = callback;
+    }
+
     /**
      * Draw image on canvas with proper scaling and positioning
      */
@@ -161,14 +347,16 @@ export class CanvasRenderer {
         }
 
         try {
+            // A new image always starts fitted to the canvas
+            if (image !== this.currentImage) {
+                this.view = { zoom: 1, centerX: null, centerY: null };
+            }
+            
             // Store current image reference
             this.currentImage = image;
             
-            // Calculate scaled dimensions
-            this.scaledDimensions = this.calculateScaledDimensions(
-                image.naturalWidth,
-                image.naturalHeight
-            );
+            // Calculate scaled dimensions (fit + zoom/pan)
+            this.updateScaledDimensions();
             
             if (!this.scaledDimensions) {
                 console.warn('Cannot calculate scaled dimensions for image');
@@ -178,6 +366,9 @@ export class CanvasRenderer {
             // Clear canvas before drawing
             this.clearCanvas();
             
+            // Show individual pixels when zoomed far in
+            this.ctx.imageSmoothingEnabled = this.scaledDimensions.scale < CONFIG.ZOOM.PIXELATED_ABOVE;
+            
             // Draw image with calculated scaling and positioning
             this.ctx.drawImage(
                 image,
@@ -196,6 +387,19 @@ export class CanvasRenderer {
         }
     }
 
+    /**
+     * Drop the current image and its overlays (e.g. when no image matches the dataset filters)
+     */
+    clearImage() {
+        this.currentImage = null;
+        this.scaledDimensions = null;
+        this.annotations = [];
+        this.rois = [];
+        this.countLines = [];
+        this.overlapHighlights = { duplicates: [], conflicts: [] };
+        this.redraw();
+    }
+
     /**
      * Clear the entire canvas
      */
@@ -225,10 +429,89 @@ export class CanvasRenderer {
             this.drawAnnotations(this.annotations);
         }
         
-        // Draw ROI if available (will be implemented in future tasks)
-        if (this.roi) {
-            this.drawROI(this.roi);
+        // Outline duplicate and conflicting pairs
+        this.drawOverlapHighlights();
+        
+        // Draw ROIs of the current image
+        this.rois.forEach(roi => {
+            this.drawROI(roi, { selected: roi.id === this.selectedROIId });
+        });
+        
+        // Draw count lines of the current image
+        this.countLines.forEach(line => this.drawCountLine(line));
+        
+        // Draw minimap when zoomed in
+        this.drawMinimap();
+    }
+
+    /**
+     * Draw a minimap of the whole image with the visible area outlined
+     */
+    drawMinimap() {
+        this.minimapBounds = null;
+
+        if (!this.currentImage || !this.scaledDimensions || this.view.zoom <= 1) {
+            return;
         }
+
+        const dims = this.scaledDimensions;
+        const minimapScale = CONFIG.ZOOM.MINIMAP_SIZE / Math.max(dims.originalWidth, dims.originalHeight);
+        const width = dims.originalWidth * minimapScale;
+        const height = dims.originalHeight * minimapScale;
+        const x = dims.canvasWidth - width - CONFIG.ZOOM.MINIMAP_MARGIN;
+        const y = dims.canvasHeight - height - CONFIG.ZOOM.MINIMAP_MARGIN;
+
+        this.minimapBounds = { x, y, width, height, scale: minimapScale };
+
+        // Visible image region in image coordinates
+        const visibleX = Math.max(0, -dims.x / dims.scale);
+        const visibleY = Math.max(0, -dims.y / dims.scale);
+        const visibleWidth = Math.min(dims.originalWidth, dims.canvasWidth / dims.scale);
+        const visibleHeight = Math.min(dims.originalHeight, dims.canvasHeight / dims.scale);
+
+        this.ctx.save();
+
+        this.ctx.globalAlpha = 0.85;
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(x - 2, y - 2, width + 4, height + 4);
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.drawImage(this.currentImage, x, y, width, height);
+
+        this.ctx.globalAlpha = 1.0;
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([]);
+        this.ctx.strokeRect(
+            x + visibleX * minimapScale,
+            y + visibleY * minimapScale,
+            visibleWidth * minimapScale,
+            visibleHeight * minimapScale
+        );
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Check if a canvas point is on the minimap
+     */
+    isPointInMinimap(canvasX, canvasY) {
+        const bounds = this.minimapBounds;
+        return !!bounds &&
+            canvasX >= bounds.x && canvasX <= bounds.x + bounds.width &&
+            canvasY >= bounds.y && canvasY <= bounds.y + bounds.height;
+    }
+
+    /**
+     * Center the view on the image location under a minimap point
+     */
+    centerOnMinimapPoint(canvasX, canvasY) {
+        const bounds = this.minimapBounds;
+        if (!bounds) return;
+
+        this.view.centerX = (canvasX - bounds.x) / bounds.scale;
+        this.view.centerY = (canvasY - bounds.y) / bounds.scale;
+
+        this.applyViewChange();
     }
 
     /**
@@ -439,7 +722,7 @@ export class CanvasRenderer {
     }
 
     /**
-     * Draw all annotations on the canvas with ROI filtering support
+     * Draw all annotations on the canvas with ROI and confidence filtering support
      */
     drawAnnotations(annotations) {
         if (!annotations || annotations.length === 0) {
@@ -456,10 +739,16 @@ export class CanvasRenderer {
             let isInROI = true;
             
             if (isROIFilteringActive && this.roiManager) {
-                isInROI = this.roiManager.isBoundingBoxInROI(annotation.bbox);
+                isInROI = this.roiManager.isAnnotationInActiveROI(annotation);
+            }
+            
+            // Suggestions below the confidence threshold are hidden or dimmed (unless selected)
+            if (this.isAnnotationHidden(annotation)) {
+                return;
             }
+            const isDimmed = !annotation.selected && Boolean(this.annotationManager?.isBelowConfidenceThreshold(annotation));
             
-            this.drawAnnotation(annotation, { isInROI, isROIFilteringActive });
+            this.drawAnnotation(annotation, { isInROI, isROIFilteringActive, isDimmed });
         });
     }
 
@@ -495,7 +784,7 @@ export class CanvasRenderer {
         }
 
         const { bbox, className, state } = annotation;
-        const { isInROI = true, isROIFilteringActive = false } = roiInfo;
+        const { isInROI = true, isROIFilteringActive = false, isDimmed = false } = roiInfo;
         
         // Convert image coordinates to canvas coordinates
         const topLeft = this.imageToCanvasCoordinates(bbox.x, bbox.y);
@@ -534,7 +823,7 @@ export class CanvasRenderer {
         // Set line style based on verification state and ROI
         this.ctx.strokeStyle = strokeColor;
         this.ctx.lineWidth = this.getLineWidthForState(state);
-        this.ctx.globalAlpha = opacity;
+        this.ctx.globalAlpha = isDimmed ? opacity * CONFIG.CONFIDENCE_FILTER.DIM_OPACITY : opacity;
         
         // Set dash pattern for different states
         const dashPattern = this.getDashPatternForState(state);
@@ -579,13 +868,13 @@ export class CanvasRenderer {
         }
 
         const { className } = annotation;
-        const { isInROI = true, isROIFilteringActive = false } = roiInfo;
+        const { isInROI = true, isROIFilteringActive = false, isDimmed = false } = roiInfo;
         const classColor = getClassColor(className);
         
         // Calculate opacity based on ROI filtering
         let opacity = 0.25; // Default 25% opacity
-        if (isROIFilteringActive && !isInROI) {
-            opacity = 0.1; // Reduced opacity for annotations outside ROI
+        if ((isROIFilteringActive && !isInROI) || isDimmed) {
+            opacity = 0.1; // Reduced opacity for annotations outside ROI or below the confidence threshold
         }
         
         // Save current context state
@@ -617,10 +906,15 @@ export class CanvasRenderer {
                 
                 // Also draw outline with adjusted opacity
                 this.ctx.strokeStyle = classColor;
-                this.ctx.globalAlpha = isROIFilteringActive && !isInROI ? 0.3 : 1.0;
+                this.ctx.globalAlpha = (isROIFilteringActive && !isInROI) || isDimmed ? 0.3 : 1.0;
                 this.ctx.lineWidth = 1;
                 this.ctx.setLineDash([]);
                 this.ctx.stroke();
+                
+                // Editable vertices for the mask being edited
+                if (annotation.id === this.maskEditAnnotationId) {
+                    this.drawPolygonVertices(mask);
+                }
             }
             
         } catch (error) {
@@ -640,7 +934,7 @@ export class CanvasRenderer {
         }
 
         const { bbox, className, confidence, state } = annotation;
-        const { isInROI = true, isROIFilteringActive = false } = roiInfo;
+        const { isInROI = true, isROIFilteringActive = false, isDimmed = false } = roiInfo;
         
         // Convert image coordinates to canvas coordinates
         const topLeft = this.imageToCanvasCoordinates(bbox.x, bbox.y);
@@ -691,6 +985,10 @@ export class CanvasRenderer {
             backgroundOpacity = 0.3;
             textOpacity = 0.6;
         }
+        if (isDimmed) {
+            backgroundOpacity *= CONFIG.CONFIDENCE_FILTER.DIM_OPACITY;
+            textOpacity *= CONFIG.CONFIDENCE_FILTER.DIM_OPACITY;
+        }
 
         // Draw label background
         this.ctx.globalAlpha = backgroundOpacity;
@@ -710,10 +1008,48 @@ export class CanvasRenderer {
         this.ctx.textBaseline = 'top';
         this.ctx.fillText(labelText, labelX + padding, labelY + padding);
 
+        // Occlusion, truncation and crowd badges follow the label
+        let badgeX = labelX + labelWidth + 2;
+        this.getAttributeBadges(annotation).forEach(badge => {
+            const badgeWidth = this.ctx.measureText(badge).width + (padding * 2);
+            this.ctx.globalAlpha = backgroundOpacity;
+            this.ctx.fillStyle = CONFIG.OBJECT_ATTRIBUTES.BADGE_COLOR;
+            this.ctx.fillRect(badgeX, labelY, badgeWidth, labelHeight);
+            this.ctx.globalAlpha = textOpacity;
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillText(badge, badgeX + padding, labelY + padding);
+            badgeX += badgeWidth + 2;
+        });
+
         // Restore context state
         this.ctx.restore();
     }
 
+    /**
+     * Short badge texts for an annotation's visibility attributes (see CONFIG.OBJECT_ATTRIBUTES.BADGES)
+     */
+    getAttributeBadges(annotation) {
+        const badgeText = CONFIG.OBJECT_ATTRIBUTES.BADGES;
+        const imageSize = this.scaledDimensions
+            ? { width: this.scaledDimensions.originalWidth, height: this.scaledDimensions.originalHeight }
+            : null;
+        const truncated = this.annotationManager
+            ? this.annotationManager.isTruncated(annotation, imageSize)
+            : annotation.truncated === true;
+        const badges = [];
+
+        if (badgeText[annotation.occlusion]) {
+            badges.push(badgeText[annotation.occlusion]);
+        }
+        if (truncated) {
+            badges.push(badgeText.truncated);
+        }
+        if (annotation.crowd === true) {
+            badges.push(badgeText.crowd);
+        }
+        return badges;
+    }
+
     /**
      * Draw selection handles around a bounding box
      */
@@ -752,6 +1088,37 @@ export class CanvasRenderer {
         this.ctx.restore();
     }
 
+    /**
+     * Set which annotation's mask is being edited (vertex handles are drawn for it)
+     */
+    setMaskEditAnnotation(annotationId) {
+        this.maskEditAnnotationId = annotationId;
+        this.redraw();
+    }
+
+    /**
+     * Draw vertex handles for a polygon outline being edited
+     */
+    drawPolygonVertices(points) {
+        this.ctx.save();
+
+        this.ctx.globalAlpha = 1.0;
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.strokeStyle = '#007bff';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([]);
+
+        points.forEach(point => {
+            const canvasPoint = this.imageToCanvasCoordinates(point.x, point.y);
+            this.ctx.beginPath();
+            this.ctx.arc(canvasPoint.x, canvasPoint.y, CONFIG.POLYGON.VERTEX_RADIUS, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+
+        this.ctx.restore();
+    }
+
     /**
      * Get line width based on verification state
      */
@@ -860,11 +1227,85 @@ export class CanvasRenderer {
     }
 
     /**
-     * Set ROI for rendering
+     * Set annotation manager reference, used to dim or hide suggestions below the
+     * confidence threshold
+     */
+    setAnnotationManager(annotationManager) {
+        this.annotationManager = annotationManager;
+    }
+
+    /**
+     * Set the overlapping annotation pairs to outline
+     * @param {Object|null} overlaps - { duplicates, conflicts } from annotationManager.findOverlaps,
+     *   or null to clear
+     */
+    setOverlapHighlights(overlaps) {
+        this.overlapHighlights = {
+            duplicates: overlaps?.duplicates || [],
+            conflicts: overlaps?.conflicts || []
+        };
+
+        if (this.currentImage) {
+            this.redraw();
+        }
+    }
+
+    /**
+     * Outline each overlapping pair and join the box centers, in the duplicate or
+     * conflict color
+     */
+    drawOverlapHighlights() {
+        const { duplicates, conflicts } = this.overlapHighlights;
+        if (!this.scaledDimensions || (duplicates.length === 0 && conflicts.length === 0)) {
+            return;
+        }
+
+        const byId = new Map(this.annotations.map(annotation => [annotation.id, annotation]));
+        const pairs = [
+            ...duplicates.map(pair => ({ pair, color: CONFIG.OVERLAPS.DUPLICATE_COLOR })),
+            ...conflicts.map(pair => ({ pair, color: CONFIG.OVERLAPS.CONFLICT_COLOR }))
+        ];
+
+        this.ctx.save();
+        this.ctx.lineWidth = 3;
+
+        pairs.forEach(({ pair, color }) => {
+            const annotations = pair.ids.map(id => byId.get(id));
+            if (annotations.some(annotation => !annotation || this.isAnnotationHidden(annotation))) {
+                return;
+            }
+
+            this.ctx.strokeStyle = color;
+            const centers = annotations.map(({ bbox }) => {
+                const topLeft = this.imageToCanvasCoordinates(bbox.x, bbox.y);
+                const bottomRight = this.imageToCanvasCoordinates(bbox.x + bbox.width, bbox.y + bbox.height);
+
+                this.ctx.setLineDash([6, 4]);
+                this.ctx.strokeRect(topLeft.x - 3, topLeft.y - 3,
+                    bottomRight.x - topLeft.x + 6, bottomRight.y - topLeft.y + 6);
+
+                return { x: (topLeft.x + bottomRight.x) / 2, y: (topLeft.y + bottomRight.y) / 2 };
+            });
+
+            this.ctx.setLineDash([]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(centers[0].x, centers[0].y);
+            this.ctx.lineTo(centers[1].x, centers[1].y);
+            this.ctx.stroke();
+        });
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Set the ROIs of the current image for rendering
+     * @param {Array} rois - ROI list from the ROI manager
+     * @param {string|null} selectedROIId - ROI drawn with vertex handles
      */
-    setROI(roi) {
-        this.roi = roi;
-        console.log('ROI set for rendering:', roi ? `${roi.polygon.length} points` : 'null');
+    setROIs(rois, selectedROIId = null) {
+        this.rois = rois || [];
+        this.selectedROIId = selectedROIId;
+        console.log(`${this.rois.length} ROIs set for rendering`);
         
         // Trigger redraw if we have a current image
         if (this.currentImage) {
@@ -873,14 +1314,15 @@ export class CanvasRenderer {
     }
 
     /**
-     * Draw ROI (Region of Interest)
+     * Draw ROI (Region of Interest) in its own color, faded and dashed when disabled
      */
-    drawROI(roi) {
+    drawROI(roi, options = {}) {
         if (!roi || !roi.polygon || roi.polygon.length < 3) {
             return;
         }
 
-        console.log(`Drawing ROI with ${roi.polygon.length} points`);
+        const { selected = false } = options;
+        const color = roi.color || CONFIG.ROI.STROKE_COLOR;
 
         // Save current context state
         this.ctx.save();
@@ -901,18 +1343,29 @@ export class CanvasRenderer {
             
             this.ctx.closePath();
 
+            if (roi.active === false) {
+                this.ctx.globalAlpha = CONFIG.ROI.DISABLED_OPACITY;
+            }
+
             // Fill with semi-transparent color
-            this.ctx.fillStyle = CONFIG.ROI.FILL_COLOR + Math.floor(CONFIG.ROI.FILL_OPACITY * 255).toString(16).padStart(2, '0');
+            this.ctx.fillStyle = color + Math.floor(CONFIG.ROI.FILL_OPACITY * 255).toString(16).padStart(2, '0');
             this.ctx.fill();
 
             // Draw outline
-            this.ctx.strokeStyle = CONFIG.ROI.STROKE_COLOR;
-            this.ctx.lineWidth = CONFIG.ROI.LINE_WIDTH;
-            this.ctx.setLineDash([]);
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = selected ? CONFIG.ROI.LINE_WIDTH + 1 : CONFIG.ROI.LINE_WIDTH;
+            this.ctx.setLineDash(roi.active === false ? [8, 6] : []);
             this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            this.drawROIName(roi.name, canvasPoints, color);
 
-            // Draw points
-            this.ctx.fillStyle = CONFIG.ROI.STROKE_COLOR;
+            // Vertex handles only for the selected ROI
+            if (!selected) {
+                return;
+            }
+
+            this.ctx.fillStyle = color;
             canvasPoints.forEach((point, index) => {
                 this.ctx.beginPath();
                 this.ctx.arc(point.x, point.y, CONFIG.ROI.POINT_RADIUS, 0, 2 * Math.PI);
@@ -925,16 +1378,128 @@ export class CanvasRenderer {
                     this.ctx.textAlign = 'center';
                     this.ctx.textBaseline = 'middle';
                     this.ctx.fillText(index.toString(), point.x, point.y);
-                    this.ctx.fillStyle = CONFIG.ROI.STROKE_COLOR;
+                    this.ctx.fillStyle = color;
                 }
             });
 
         } catch (error) {
             console.warn('Error drawing ROI:', error);
+        } finally {
+            // Restore context state
+            this.ctx.restore();
         }
+    }
 
-        // Restore context state
-        this.ctx.restore();
+    /**
+     * Draw an ROI's name on a tag above its top-most vertex
+     */
+    drawROIName(name, canvasPoints, color) {
+        if (!name) return;
+
+        const anchor = canvasPoints.reduce((top, point) => (point.y < top.y ? point : top), canvasPoints[0]);
+        const fontSize = 12;
+        const padding = 3;
+
+        this.ctx.font = `bold ${fontSize}px Arial`;
+        const textWidth = this.ctx.measureText(name).width;
+        const tagX = anchor.x - textWidth / 2 - padding;
+        const tagY = Math.max(0, anchor.y - fontSize - padding * 3);
+
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(tagX, tagY, textWidth + padding * 2, fontSize + padding * 2);
+
+        this.ctx.fillStyle = this.getContrastColor(color);
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText(name, tagX + padding, tagY + padding);
+    }
+
+    /**
+     * Set the count lines of the current image for rendering
+     * @param {Array} countLines - Count line list from the ROI manager
+     */
+    setCountLines(countLines) {
+        this.countLines = countLines || [];
+        console.log(`${this.countLines.length} count lines set for rendering`);
+        
+        // Trigger redraw if we have a current image
+        if (this.currentImage) {
+            this.redraw();
+        }
+    }
+
+    /**
+     * Draw a count line with an arrowhead showing its direction and IN/OUT
+     * labels on either side of its middle segment; faded and dashed when disabled
+     */
+    drawCountLine(line) {
+        if (!line || !line.points || line.points.length < 2) {
+            return;
+        }
+
+        const color = line.color || CONFIG.COUNT_LINE.PALETTE[0];
+
+        this.ctx.save();
+
+        try {
+            const canvasPoints = line.points.map(point =>
+                this.imageToCanvasCoordinates(point.x, point.y)
+            );
+
+            if (line.active === false) {
+                this.ctx.globalAlpha = CONFIG.ROI.DISABLED_OPACITY;
+            }
+
+            this.ctx.strokeStyle = color;
+            this.ctx.fillStyle = color;
+            this.ctx.lineWidth = CONFIG.COUNT_LINE.LINE_WIDTH;
+            this.ctx.setLineDash(line.active === false ? [8, 6] : []);
+            this.ctx.beginPath();
+            this.ctx.moveTo(canvasPoints[0].x, canvasPoints[0].y);
+            for (let i = 1; i < canvasPoints.length; i++) {
+                this.ctx.lineTo(canvasPoints[i].x, canvasPoints[i].y);
+            }
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            // Arrowhead on the last segment
+            const tip = canvasPoints[canvasPoints.length - 1];
+            const tail = canvasPoints[canvasPoints.length - 2];
+            const angle = Math.atan2(tip.y - tail.y, tip.x - tail.x);
+            const size = CONFIG.COUNT_LINE.ARROW_SIZE;
+            this.ctx.beginPath();
+            this.ctx.moveTo(tip.x, tip.y);
+            this.ctx.lineTo(tip.x - size * Math.cos(angle - Math.PI / 6), tip.y - size * Math.sin(angle - Math.PI / 6));
+            this.ctx.lineTo(tip.x - size * Math.cos(angle + Math.PI / 6), tip.y - size * Math.sin(angle + Math.PI / 6));
+            this.ctx.closePath();
+            this.ctx.fill();
+
+            // IN/OUT labels beside the middle segment; the left of travel is (dy, -dx)
+            const middle = Math.floor((canvasPoints.length - 1) / 2);
+            const start = canvasPoints[middle];
+            const end = canvasPoints[middle + 1];
+            const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+            const offset = CONFIG.COUNT_LINE.LABEL_OFFSET;
+            const normalX = (end.y - start.y) / length * offset;
+            const normalY = -(end.x - start.x) / length * offset;
+            const midX = (start.x + end.x) / 2;
+            const midY = (start.y + end.y) / 2;
+            const leftLabel = line.inSide === 'right' ? 'OUT' : 'IN';
+            const rightLabel = line.inSide === 'right' ? 'IN' : 'OUT';
+
+            this.ctx.font = 'bold 12px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(leftLabel, midX + normalX, midY + normalY);
+            this.ctx.fillText(rightLabel, midX - normalX, midY - normalY);
+
+            this.drawROIName(line.name, [canvasPoints[0]], color);
+
+        } catch (error) {
+            console.warn('Error drawing count line:', error);
+        } finally {
+            this.ctx.restore();
+        }
     }
 
     /**
@@ -994,7 +1559,7 @@ export class CanvasRenderer {
         for (let i = this.annotations.length - 1; i >= 0; i--) {
             const annotation = this.annotations[i];
             
-            if (this.isPointInAnnotation(canvasX, canvasY, annotation)) {
+            if (!this.isAnnotationHidden(annotation) && this.isPointInAnnotation(canvasX, canvasY, annotation)) {
                 return annotation;
             }
         }
@@ -1002,6 +1567,13 @@ export class CanvasRenderer {
         return null;
     }
 
+    /**
+     * Whether the confidence filter hides an annotation from the canvas
+     */
+    isAnnotationHidden(annotation) {
+        return Boolean(this.annotationManager?.isAnnotationHidden(annotation));
+    }
+
     /**
      * Check if a point is within an annotation's bounding box
      */
@@ -1089,9 +1661,15 @@ export class CanvasRenderer {
     destroy() {
         this.currentImage = null;
         this.scaledDimensions = null;
+        this.fitDimensions = null;
+        this.minimapBounds = null;
+        this.onViewChanged = null;
         this.annotations = [];
         this.selectedAnnotation = null;
-        this.roi = null;
+        this.maskEditAnnotationId = null;
+        this.rois = [];
+        this.selectedROIId = null;
+        this.countLines = [];
         
         console.log('CanvasRenderer destroyed');
     }
@@ -3,9 +3,10 @@
  * Handles interactive drawing, annotation creation, and manipulation
  */
 
-import { CONFIG, getClassColor, getStateColor } from '../config.js';
+import { CONFIG, getClassColor, getStateColor, getClassDefinitionsByDomain, getClassDefinition, getRejectionReasonLabel, getMetadataSchema, getMutcdSign, searchMutcdSigns } from '../config.js';
 import { annotationManager } from './annotation-manager.js';
 import { roiManager } from './roi-manager.js';
+import { apiClient } from './api-client.js';
 
 /**
  * DrawingTools Class
@@ -34,10 +35,54 @@ export class DrawingTools {
         // Drawing preview
         this.previewBox = null;
         
+        // Marquee (drag-to-select) state, in canvas coordinates
+        this.isMarqueeSelecting = false;
+        this.marqueeStart = null;
+        this.marqueeBox = null;
+        this.marqueeAdditive = false;
+        
         // ROI drawing state
         this.roiPoints = [];
         this.isDrawingROI = false;
         
+        // Count line drawing state (directed polyline in image coordinates)
+        this.countLineMode = false;
+        this.countLinePoints = [];
+        this.isDrawingCountLine = false;
+        this.currentCountLinePoint = null;
+        
+        // Polygon annotation state
+        this.polygonMode = false;
+        this.polygonPoints = [];
+        this.isDrawingPolygon = false;
+        this.currentPolygonPoint = null;
+        this.isDraggingVertex = false;
+        this.vertexDrag = null;
+        
+        // Mask edit state (vertex editing of the selected annotation's segmentation mask)
+        this.maskEditMode = false;
+        this.maskEditAnnotationId = null;
+        this.simplifyPreview = null;
+        this.onMaskEditModeChanged = null;
+        
+        // Click-to-segment state (SAM v2 prompts and the proposed mask)
+        this.segmentMode = false;
+        this.segmentPrompt = { annotationId: null, bbox: null, points: [] };
+        this.segmentProposal = null;
+        this.isSegmenting = false;
+        this.segmentRequestId = 0;
+        this.onSegmentStateChanged = null;
+        
+        // Rejections ask the app for a rejection reason when set
+        this.onRejectRequested = null;
+        
+        // Zoom/pan state
+        this.isPanning = false;
+        this.isDraggingMinimap = false;
+        this.panLastPoint = null;
+        this.spaceHeld = false;
+        this.isPointerOverCanvas = false;
+        
         // Event handlers (bound to preserve 'this' context)
         this.handleMouseDown = this.handleMouseDown.bind(this);
         this.handleMouseMove = this.handleMouseMove.bind(this);
@@ -46,6 +91,9 @@ export class DrawingTools {
         this.handleTouchMove = this.handleTouchMove.bind(this);
         this.handleTouchEnd = this.handleTouchEnd.bind(this);
         this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handlePanKeyDown = this.handlePanKeyDown.bind(this);
+        this.handlePanKeyUp = this.handlePanKeyUp.bind(this);
         
         // Initialize event listeners
         this.setupEventListeners();
@@ -64,6 +112,9 @@ export class DrawingTools {
         this.canvas.addEventListener('mouseleave', this.handleMouseUp); // Treat as mouse up
         this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
         this.canvas.addEventListener('contextmenu', this.handleContextMenu.bind(this));
+        this.canvas.addEventListener('wheel', this.handleWheel, { passive: false });
+        this.canvas.addEventListener('mouseenter', () => { this.isPointerOverCanvas = true; });
+        this.canvas.addEventListener('mouseleave', () => { this.isPointerOverCanvas = false; });
         
         // Touch events for mobile support
         this.canvas.addEventListener('touchstart', this.handleTouchStart, { passive: false });
@@ -73,6 +124,11 @@ export class DrawingTools {
         // Keyboard events for deletion
         document.addEventListener('keydown', this.handleKeyDown);
         
+        // Space+drag panning - captured before other handlers so Space doesn't also
+        // trigger canvas keyboard actions while the pointer is over the canvas
+        window.addEventListener('keydown', this.handlePanKeyDown, true);
+        window.addEventListener('keyup', this.handlePanKeyUp, true);
+        
         console.log('Drawing tools event listeners set up');
     }
 
@@ -80,6 +136,8 @@ export class DrawingTools {
      * Enable drawing mode
      */
     enableDrawMode() {
+        this.disableMaskEditMode();
+        this.disableSegmentMode();
         this.drawingMode = true;
         this.canvas.style.cursor = 'crosshair';
         console.log('Drawing mode enabled');
@@ -102,8 +160,11 @@ export class DrawingTools {
      * Enable ROI drawing mode
      */
     enableROIMode() {
+        this.disableMaskEditMode();
+        this.disableSegmentMode();
         this.roiMode = true;
         this.drawingMode = false;
+        this.countLineMode = false;
         this.canvas.style.cursor = 'crosshair';
         
         // Cancel any ongoing operations
@@ -125,6 +186,343 @@ export class DrawingTools {
         console.log('ROI drawing mode disabled');
     }
 
+    /**
+     * Enable polygon annotation mode
+     */
+    enablePolygonMode() {
+        this.disableMaskEditMode();
+        this.disableSegmentMode();
+        this.polygonMode = true;
+        this.drawingMode = false;
+        this.roiMode = false;
+        this.countLineMode = false;
+        this.canvas.style.cursor = 'crosshair';
+        
+        // Cancel any ongoing operations
+        this.cancelCurrentOperation();
+        
+        console.log('Polygon drawing mode enabled');
+    }
+
+    /**
+     * Disable polygon annotation mode
+     */
+    disablePolygonMode() {
+        this.polygonMode = false;
+        this.canvas.style.cursor = 'default';
+        
+        // Cancel any ongoing polygon drawing
+        this.cancelPolygonDrawing();
+        
+        console.log('Polygon drawing mode disabled');
+    }
+
+    /**
+     * Enable count line drawing mode
+     */
+    enableCountLineMode() {
+        this.disableMaskEditMode();
+        this.disableSegmentMode();
+        this.countLineMode = true;
+        this.drawingMode = false;
+        this.roiMode = false;
+        this.polygonMode = false;
+        this.canvas.style.cursor = 'crosshair';
+        
+        // Cancel any ongoing operations
+        this.cancelCurrentOperation();
+        
+        console.log('Count line drawing mode enabled');
+    }
+
+    /**
+     * Disable count line drawing mode
+     */
+    disableCountLineMode() {
+        this.countLineMode = false;
+        this.canvas.style.cursor = 'default';
+        
+        // Cancel any ongoing count line drawing
+        if (this.isDrawingCountLine) {
+            this.cancelCountLineDrawing();
+        }
+        
+        console.log('Count line drawing mode disabled');
+    }
+
+    /**
+     * Enter mask edit mode for the selected annotation
+     * @returns {Object} - { success, error }
+     */
+    enableMaskEditMode() {
+        const annotation = annotationManager.getSelectedAnnotation();
+        if (!annotation) {
+            return { success: false, error: 'Select an annotation to edit its mask' };
+        }
+        if (!annotationManager.isPolygonMask(annotation.segmentationMask)) {
+            return { success: false, error: 'Selected annotation has no polygon mask to edit' };
+        }
+
+        this.cancelCurrentOperation();
+
+        this.maskEditMode = true;
+        this.maskEditAnnotationId = annotation.id;
+        this.selectedAnnotation = annotation;
+        this.canvasRenderer.setMaskEditAnnotation(annotation.id);
+
+        console.log(`Mask edit mode enabled for annotation ${annotation.id}`);
+        this.notifyMaskEditModeChanged();
+
+        return { success: true };
+    }
+
+    /**
+     * Leave mask edit mode
+     */
+    disableMaskEditMode() {
+        if (!this.maskEditMode) return;
+
+        if (this.isDraggingVertex) {
+            this.finishVertexDrag();
+        }
+
+        this.maskEditMode = false;
+        this.maskEditAnnotationId = null;
+        this.simplifyPreview = null;
+        this.canvasRenderer.setMaskEditAnnotation(null);
+
+        console.log('Mask edit mode disabled');
+        this.notifyMaskEditModeChanged();
+    }
+
+    /**
+     * Enable click-to-segment mode. If a Verified annotation is selected, its box is
+     * the prompt and the accepted mask is attached to it; otherwise clicks alone
+     * prompt the model and accepting creates a new annotation.
+     */
+    enableSegmentMode() {
+        this.disableMaskEditMode();
+        this.cancelCurrentOperation();
+        
+        const selected = annotationManager.getSelectedAnnotation();
+        // Only a reviewed box is trusted as a prompt
+        const annotation = selected && selected.state === 'Verified' ? selected : null;
+        
+        this.segmentMode = true;
+        this.drawingMode = false;
+        this.roiMode = false;
+        this.polygonMode = false;
+        this.countLineMode = false;
+        this.segmentPrompt = {
+            annotationId: annotation ? annotation.id : null,
+            bbox: annotation ? { ...annotation.bbox } : null,
+            points: [],
+            unverifiedBox: Boolean(selected) && !annotation
+        };
+        this.segmentProposal = null;
+        this.canvas.style.cursor = 'crosshair';
+        
+        console.log(`Segment mode enabled${annotation ? ` for annotation ${annotation.id}` : ''}`);
+        this.notifySegmentStateChanged();
+        
+        // A box prompt is enough for a first proposal
+        if (this.segmentPrompt.bbox) {
+            this.requestSegmentation();
+        }
+    }
+
+    /**
+     * Disable click-to-segment mode, discarding any pending proposal
+     */
+    disableSegmentMode() {
+        if (!this.segmentMode) return;
+        
+        this.segmentMode = false;
+        this.resetSegmentPrompt();
+        this.canvas.style.cursor = 'default';
+        
+        console.log('Segment mode disabled');
+        this.notifySegmentStateChanged();
+    }
+
+    /**
+     * Add an include (positive) or exclude (negative) click and refresh the proposal
+     */
+    handleSegmentClick(x, y, event = {}) {
+        if (!this.segmentMode) return;
+        
+        const imageCoords = this.canvasRenderer.canvasToImageCoordinates(x, y);
+        const isExclude = event.shiftKey || event.button === 2;
+        
+        this.segmentPrompt.points.push({
+            x: Math.round(imageCoords.x * 10) / 10,
+            y: Math.round(imageCoords.y * 10) / 10,
+            label: isExclude ? 0 : 1
+        });
+        
+        this.redrawWithSegmentPreview();
+        this.requestSegmentation();
+    }
+
+    /**
+     * Send the current prompt to the segmentation backend (or sample stand-in)
+     */
+    async requestSegmentation() {
+        const requestId = ++this.segmentRequestId;
+        this.isSegmenting = true;
+        this.notifySegmentStateChanged();
+        
+        const result = await apiClient.segment({
+            imageId: annotationManager.currentImageId,
+            bbox: this.segmentPrompt.bbox,
+            points: this.segmentPrompt.points
+        });
+        
+        // A newer click superseded this request, or the mode was left meanwhile
+        if (requestId !== this.segmentRequestId || !this.segmentMode) {
+            return result;
+        }
+        
+        this.isSegmenting = false;
+        
+        if (result.success) {
+            this.segmentProposal = {
+                polygon: annotationManager.simplifyPolygon(result.polygon, CONFIG.SEGMENTATION.SIMPLIFY_TOLERANCE),
+                score: result.score,
+                mode: result.mode
+            };
+        } else {
+            console.warn('Segmentation failed:', result.error);
+            this.segmentProposal = null;
+        }
+        
+        this.redrawWithSegmentPreview();
+        this.notifySegmentStateChanged(result.success ? null : result.error);
+        
+        return result;
+    }
+
+    /**
+     * Accept the proposed mask: attach it to the prompting annotation or create a new one
+     * @returns {Object} - { success, annotationId } or { success: false, error }
+     */
+    acceptSegmentProposal() {
+        if (!this.segmentMode || !this.segmentProposal) {
+            return { success: false, error: 'No segmentation proposal to accept' };
+        }
+        
+        const { polygon, score, mode } = this.segmentProposal;
+        const metadata = { mask_source: CONFIG.SEGMENTATION.MODEL, mask_score: score, mask_mode: mode };
+        let annotationId = this.segmentPrompt.annotationId;
+        
+        if (annotationId && annotationManager.findAnnotationById(annotationId)) {
+            // Accepting is the review of the mask, so the verified box keeps its state
+            const success = annotationManager.updateAnnotation(annotationId, {
+                segmentationMask: annotationManager.normalizePolygon(polygon),
+                metadata: metadata
+            });
+            if (!success) {
+                return { success: false, error: 'Failed to attach mask to annotation' };
+            }
+        } else {
+            const annotation = annotationManager.createPolygonAnnotation(
+                polygon,
+                this.getSelectedClass(),
+                typeof score === 'number' ? score : 1.0,
+                { state: 'Modified', metadata: metadata }
+            );
+            if (!annotation) {
+                return { success: false, error: 'Failed to create annotation from mask' };
+            }
+            annotationId = annotation.id;
+        }
+        
+        console.log(`Accepted segmentation mask for annotation ${annotationId}`);
+        
+        // Stay in segment mode for the next object, prompting from scratch
+        this.resetSegmentPrompt();
+        annotationManager.selectAnnotation(annotationId);
+        this.notifySegmentStateChanged();
+        
+        return { success: true, annotationId };
+    }
+
+    /**
+     * Discard the proposal and all clicks, keeping any box prompt
+     */
+    clearSegmentPrompt() {
+        this.segmentRequestId++;
+        this.isSegmenting = false;
+        this.segmentPrompt.points = [];
+        this.segmentProposal = null;
+        this.canvasRenderer.redraw();
+        this.notifySegmentStateChanged();
+    }
+
+    /**
+     * Reset prompt and proposal completely
+     */
+    resetSegmentPrompt() {
+        this.segmentRequestId++;
+        this.isSegmenting = false;
+        this.segmentPrompt = { annotationId: null, bbox: null, points: [] };
+        this.segmentProposal = null;
+        this.canvasRenderer.redraw();
+    }
+
+    /**
+     * Get segment mode state for the UI
+     */
+    getSegmentState() {
+        return {
+            active: this.segmentMode,
+            isSegmenting: this.isSegmenting,
+            hasProposal: !!this.segmentProposal,
+            score: this.segmentProposal ? this.segmentProposal.score : null,
+            proposalMode: this.segmentProposal ? this.segmentProposal.mode : null,
+            annotationId: this.segmentPrompt.annotationId,
+            unverifiedBox: Boolean(this.segmentPrompt.unverifiedBox),
+            pointCount: this.segmentPrompt.points.length
+        };
+    }
+
+    /**
+     * Set callback for segment mode changes
+     */
+    setOnSegmentStateChanged(callback) {
+        this.onSegmentStateChanged = callback;
+    }
+
+    /**
+     * Set callback that asks for a rejection reason and rejects annotations
+     * @param {Function} callback - Called with the annotation IDs to reject
+     */
+    setOnRejectRequested(callback) {
+        this.onRejectRequested = callback;
+    }
+
+    /**
+     * Reject annotations, asking for a reason through onRejectRequested when set and
+     * otherwise using CONFIG.REJECTION.DEFAULT_REASON
+     * @param {Array} annotationIds - Annotation IDs
+     */
+    requestRejection(annotationIds) {
+        if (this.onRejectRequested) {
+            this.onRejectRequested(annotationIds);
+            return true;
+        }
+        return annotationManager.rejectAnnotations(annotationIds, CONFIG.REJECTION.DEFAULT_REASON).success;
+    }
+
+    /**
+     * Notify segment mode change
+     */
+    notifySegmentStateChanged(error = null) {
+        if (this.onSegmentStateChanged) {
+            this.onSegmentStateChanged({ ...this.getSegmentState(), error });
+        }
+    }
+
     /**
      * Handle mouse down events
      */
@@ -133,6 +531,20 @@ export class DrawingTools {
         
         const canvasCoords = this.canvasRenderer.getCanvasCoordinates(event.clientX, event.clientY);
         
+        // Middle button or Space+drag pans the view
+        if (event.button === 1 || this.spaceHeld) {
+            this.startPan(canvasCoords.x, canvasCoords.y);
+            return;
+        }
+        
+        // Clicking the minimap moves the view
+        if (this.canvasRenderer.isPointInMinimap(canvasCoords.x, canvasCoords.y)) {
+            this.isDraggingMinimap = true;
+            this.canvasRenderer.centerOnMinimapPoint(canvasCoords.x, canvasCoords.y);
+            this.refreshPreviewAfterViewChange();
+            return;
+        }
+        
         // Check if point is within image bounds
         if (!this.canvasRenderer.isPointInImage(canvasCoords.x, canvasCoords.y)) {
             return;
@@ -140,10 +552,16 @@ export class DrawingTools {
         
         if (this.drawingMode) {
             this.startDrawing(canvasCoords.x, canvasCoords.y);
+        } else if (this.polygonMode) {
+            this.handlePolygonClick(canvasCoords.x, canvasCoords.y);
+        } else if (this.segmentMode) {
+            this.handleSegmentClick(canvasCoords.x, canvasCoords.y, event);
         } else if (this.roiMode) {
             this.handleROIClick(canvasCoords.x, canvasCoords.y);
+        } else if (this.countLineMode) {
+            this.handleCountLineClick(canvasCoords.x, canvasCoords.y);
         } else {
-            this.handleSelectionInteraction(canvasCoords.x, canvasCoords.y);
+            this.handleSelectionInteraction(canvasCoords.x, canvasCoords.y, event);
         }
     }
 
@@ -155,14 +573,29 @@ export class DrawingTools {
         
         const canvasCoords = this.canvasRenderer.getCanvasCoordinates(event.clientX, event.clientY);
         
-        if (this.isDrawing) {
+        if (this.isPanning) {
+            this.updatePan(canvasCoords.x, canvasCoords.y);
+        } else if (this.isDraggingMinimap) {
+            if (this.canvasRenderer.isPointInMinimap(canvasCoords.x, canvasCoords.y)) {
+                this.canvasRenderer.centerOnMinimapPoint(canvasCoords.x, canvasCoords.y);
+                this.refreshPreviewAfterViewChange();
+            }
+        } else if (this.isDrawing) {
             this.updateDrawing(canvasCoords.x, canvasCoords.y);
+        } else if (this.isDrawingPolygon) {
+            this.updatePolygonPreview(canvasCoords.x, canvasCoords.y);
+        } else if (this.isDraggingVertex) {
+            this.updateVertexDrag(canvasCoords.x, canvasCoords.y);
         } else if (this.isDrawingROI) {
             this.updateROIPreview(canvasCoords.x, canvasCoords.y);
+        } else if (this.isDrawingCountLine) {
+            this.updateCountLinePreview(canvasCoords.x, canvasCoords.y);
         } else if (this.isResizing) {
             this.updateResize(canvasCoords.x, canvasCoords.y);
         } else if (this.isMoving) {
             this.updateMove(canvasCoords.x, canvasCoords.y);
+        } else if (this.isMarqueeSelecting) {
+            this.updateMarquee(canvasCoords.x, canvasCoords.y);
         } else {
             this.updateCursor(canvasCoords.x, canvasCoords.y);
         }
@@ -172,12 +605,127 @@ export class DrawingTools {
      * Handle mouse up events
      */
     handleMouseUp(event) {
-        if (this.isDrawing) {
+        if (this.isPanning) {
+            this.finishPan();
+        } else if (this.isDraggingMinimap) {
+            this.isDraggingMinimap = false;
+        } else if (this.isDrawing) {
             this.finishDrawing();
+        } else if (this.isDraggingVertex) {
+            this.finishVertexDrag();
         } else if (this.isResizing) {
             this.finishResize();
         } else if (this.isMoving) {
             this.finishMove();
+        } else if (this.isMarqueeSelecting) {
+            this.finishMarquee();
+        }
+    }
+
+    /**
+     * Handle mouse wheel zoom around the cursor
+     */
+    handleWheel(event) {
+        event.preventDefault();
+        
+        // Zooming mid-drag would invalidate the canvas-space drag offsets
+        if (this.isResizing || this.isMoving || this.isPanning || this.isMarqueeSelecting) {
+            return;
+        }
+        
+        const canvasCoords = this.canvasRenderer.getCanvasCoordinates(event.clientX, event.clientY);
+        const factor = event.deltaY < 0 ? CONFIG.ZOOM.WHEEL_STEP : 1 / CONFIG.ZOOM.WHEEL_STEP;
+        
+        this.canvasRenderer.zoomAt(canvasCoords.x, canvasCoords.y, factor);
+        this.refreshPreviewAfterViewChange();
+    }
+
+    /**
+     * Track Space being held while the pointer is over the canvas
+     */
+    handlePanKeyDown(event) {
+        if (event.code !== 'Space' || !this.isPointerOverCanvas) {
+            return;
+        }
+        
+        const tagName = event.target.tagName;
+        if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') {
+            return;
+        }
+        
+        event.preventDefault();
+        event.stopPropagation();
+        
+        if (!this.spaceHeld) {
+            this.spaceHeld = true;
+            this.canvas.style.cursor = 'grab';
+        }
+    }
+
+    handlePanKeyUp(event) {
+        if (event.code !== 'Space' || !this.spaceHeld) {
+            return;
+        }
+        
+        this.spaceHeld = false;
+        if (!this.isPanning) {
+            this.canvas.style.cursor = this.drawingMode || this.roiMode ? 'crosshair' : 'default';
+        }
+    }
+
+    /**
+     * Start panning the view
+     */
+    startPan(x, y) {
+        this.isPanning = true;
+        this.panLastPoint = { x, y };
+        this.canvas.style.cursor = 'grabbing';
+    }
+
+    /**
+     * Pan by the distance moved since the last mouse event
+     */
+    updatePan(x, y) {
+        if (!this.isPanning || !this.panLastPoint) return;
+        
+        this.canvasRenderer.panBy(x - this.panLastPoint.x, y - this.panLastPoint.y);
+        this.panLastPoint = { x, y };
+        this.refreshPreviewAfterViewChange();
+    }
+
+    /**
+     * Finish panning
+     */
+    finishPan() {
+        this.isPanning = false;
+        this.panLastPoint = null;
+        this.canvas.style.cursor = this.spaceHeld ? 'grab' : (this.drawingMode || this.roiMode ? 'crosshair' : 'default');
+    }
+
+    /**
+     * Re-project in-progress box/ROI previews after zoom or pan
+     */
+    refreshPreviewAfterViewChange() {
+        if (this.isDrawing && this.startImagePoint && this.currentImagePoint) {
+            this.startPoint = this.canvasRenderer.imageToCanvasCoordinates(this.startImagePoint.x, this.startImagePoint.y);
+            this.currentPoint = this.canvasRenderer.imageToCanvasCoordinates(this.currentImagePoint.x, this.currentImagePoint.y);
+            this.previewBox = {
+                x: Math.min(this.startPoint.x, this.currentPoint.x),
+                y: Math.min(this.startPoint.y, this.currentPoint.y),
+                width: Math.abs(this.currentPoint.x - this.startPoint.x),
+                height: Math.abs(this.currentPoint.y - this.startPoint.y)
+            };
+            this.redrawWithPreview();
+        } else if (this.isDrawingPolygon) {
+            this.redrawWithPolygonPreview();
+        } else if (this.isDrawingROI) {
+            this.redrawWithROIPreview();
+        } else if (this.isDrawingCountLine) {
+            this.redrawWithCountLinePreview();
+        } else if (this.segmentMode) {
+            this.redrawWithSegmentPreview();
+        } else if (this.simplifyPreview) {
+            this.redrawWithMaskPreview();
         }
     }
 
@@ -229,6 +777,18 @@ export class DrawingTools {
     handleDoubleClick(event) {
         event.preventDefault();
         
+        // Double-click closes the polygon being drawn
+        if (this.isDrawingPolygon) {
+            this.finishPolygonDrawing();
+            return;
+        }
+        
+        // Double-click ends the count line being drawn
+        if (this.isDrawingCountLine) {
+            this.finishCountLineDrawing();
+            return;
+        }
+        
         const canvasCoords = this.canvasRenderer.getCanvasCoordinates(event.clientX, event.clientY);
         const annotation = this.canvasRenderer.getAnnotationAtPoint(canvasCoords.x, canvasCoords.y);
         
@@ -243,6 +803,11 @@ export class DrawingTools {
     handleContextMenu(event) {
         event.preventDefault();
         
+        // Right-click is an exclude click while segmenting (handled on mousedown)
+        if (this.segmentMode) {
+            return;
+        }
+        
         const canvasCoords = this.canvasRenderer.getCanvasCoordinates(event.clientX, event.clientY);
         const annotation = this.canvasRenderer.getAnnotationAtPoint(canvasCoords.x, canvasCoords.y);
         
@@ -299,7 +864,7 @@ export class DrawingTools {
                     this.setAnnotationState(annotation.id, 'Verified');
                     break;
                 case 'reject':
-                    this.setAnnotationState(annotation.id, 'Rejected');
+                    this.requestRejection([annotation.id]);
                     break;
                 case 'delete':
                     if (confirm('Are you sure you want to delete this annotation?')) {
@@ -325,11 +890,75 @@ export class DrawingTools {
         }
     }
     handleKeyDown(event) {
-        // Only handle keys when canvas has focus or annotation is selected
-        if (document.activeElement !== this.canvas && !this.selectedAnnotation) {
+        // Keys belong to an open dialog, not to the canvas behind it
+        if (document.querySelector('.modal.show')) {
+            return;
+        }
+        
+        // Only handle keys when canvas has focus, annotation is selected or a polygon/count line/segmentation is in progress
+        if (document.activeElement !== this.canvas && !this.selectedAnnotation &&
+            !this.isDrawingPolygon && !this.isDrawingCountLine && !this.segmentMode) {
+            return;
+        }
+        
+        // Enter accepts the proposed segmentation mask
+        if (this.segmentMode && (event.code === 'Enter' || event.code === 'NumpadEnter')) {
+            event.preventDefault();
+            this.acceptSegmentProposal();
             return;
         }
         
+        // Polygon drawing keys: Enter closes the outline, Backspace removes the last vertex
+        if (this.isDrawingPolygon) {
+            if (event.code === 'Enter' || event.code === 'NumpadEnter') {
+                event.preventDefault();
+                this.finishPolygonDrawing();
+                return;
+            }
+            if (event.code === 'Backspace') {
+                event.preventDefault();
+                this.removeLastPolygonPoint();
+                return;
+            }
+        }
+        
+        // Count line drawing keys: Enter ends the line, Backspace removes the last point
+        if (this.isDrawingCountLine) {
+            if (event.code === 'Enter' || event.code === 'NumpadEnter') {
+                event.preventDefault();
+                this.finishCountLineDrawing();
+                return;
+            }
+            if (event.code === 'Backspace') {
+                event.preventDefault();
+                this.removeLastCountLinePoint();
+                return;
+            }
+        }
+        
+        // Multi-select shortcuts: Ctrl+A selects all, Ctrl+C copies, Ctrl+Shift+V pastes
+        if (event.ctrlKey || event.metaKey) {
+            if (event.code === CONFIG.KEYBOARD_SHORTCUTS.SELECT_ALL) {
+                event.preventDefault();
+                annotationManager.selectAnnotations(annotationManager.getVisibleAnnotations()
+                    .filter(annotation => annotation.state !== 'Rejected')
+                    .map(annotation => annotation.id));
+                this.syncSelection();
+                return;
+            }
+            if (event.code === CONFIG.KEYBOARD_SHORTCUTS.COPY) {
+                event.preventDefault();
+                annotationManager.copySelection();
+                return;
+            }
+            if (event.code === CONFIG.KEYBOARD_SHORTCUTS.PASTE && event.shiftKey) {
+                event.preventDefault();
+                annotationManager.pasteAnnotations();
+                this.syncSelection();
+                return;
+            }
+        }
+        
         switch (event.code) {
             case CONFIG.KEYBOARD_SHORTCUTS.DELETE:
                 event.preventDefault();
@@ -339,27 +968,31 @@ export class DrawingTools {
             case CONFIG.KEYBOARD_SHORTCUTS.ESCAPE:
                 event.preventDefault();
                 this.cancelCurrentOperation();
+                this.disableMaskEditMode();
+                if (this.segmentMode) {
+                    this.clearSegmentPrompt();
+                }
                 break;
                 
             // Quick state change shortcuts
             case 'KeyV':
                 if (event.ctrlKey && this.selectedAnnotation) {
                     event.preventDefault();
-                    this.setAnnotationState(this.selectedAnnotation.id, 'Verified');
+                    this.setSelectionState('Verified');
                 }
                 break;
                 
             case 'KeyR':
                 if (event.ctrlKey && this.selectedAnnotation) {
                     event.preventDefault();
-                    this.setAnnotationState(this.selectedAnnotation.id, 'Rejected');
+                    this.setSelectionState('Rejected');
                 }
                 break;
                 
             case 'KeyM':
                 if (event.ctrlKey && this.selectedAnnotation) {
                     event.preventDefault();
-                    this.setAnnotationState(this.selectedAnnotation.id, 'Modified');
+                    this.setSelectionState('Modified');
                 }
                 break;
                 
@@ -391,6 +1024,10 @@ export class DrawingTools {
         this.startPoint = { x, y };
         this.currentPoint = { x, y };
         
+        // Image-space copies keep the preview correct if the view zooms mid-draw
+        this.startImagePoint = this.canvasRenderer.canvasToImageCoordinates(x, y);
+        this.currentImagePoint = this.startImagePoint;
+        
         // Create preview box
         this.previewBox = {
             x: Math.min(this.startPoint.x, this.currentPoint.x),
@@ -409,6 +1046,7 @@ export class DrawingTools {
         if (!this.isDrawing || !this.startPoint) return;
         
         this.currentPoint = { x, y };
+        this.currentImagePoint = this.canvasRenderer.canvasToImageCoordinates(x, y);
         
         // Update preview box
         this.previewBox = {
@@ -485,6 +1123,306 @@ export class DrawingTools {
         this.cancelCurrentOperation();
     }
 
+    /**
+     * Handle clicks in polygon annotation mode
+     */
+    handlePolygonClick(x, y) {
+        if (!this.polygonMode) return;
+
+        const imageCoords = this.canvasRenderer.canvasToImageCoordinates(x, y);
+
+        if (!this.isDrawingPolygon) {
+            this.isDrawingPolygon = true;
+            this.polygonPoints = [{ x: imageCoords.x, y: imageCoords.y }];
+            console.log(`Started polygon at (${imageCoords.x.toFixed(1)}, ${imageCoords.y.toFixed(1)})`);
+            this.redrawWithPolygonPreview();
+            return;
+        }
+
+        // Clicking near the first vertex closes the polygon (tolerance is in screen pixels)
+        const firstPoint = this.canvasRenderer.imageToCanvasCoordinates(this.polygonPoints[0].x, this.polygonPoints[0].y);
+        const distance = Math.hypot(x - firstPoint.x, y - firstPoint.y);
+
+        if (this.polygonPoints.length >= CONFIG.POLYGON.MIN_POINTS && distance < CONFIG.POLYGON.CLOSE_TOLERANCE) {
+            this.finishPolygonDrawing();
+        } else {
+            this.polygonPoints.push({ x: imageCoords.x, y: imageCoords.y });
+            this.redrawWithPolygonPreview();
+        }
+    }
+
+    /**
+     * Update polygon preview during mouse movement
+     */
+    updatePolygonPreview(x, y) {
+        if (!this.isDrawingPolygon) return;
+
+        this.currentPolygonPoint = this.canvasRenderer.canvasToImageCoordinates(x, y);
+        this.redrawWithPolygonPreview();
+    }
+
+    /**
+     * Remove the most recently placed polygon vertex
+     */
+    removeLastPolygonPoint() {
+        if (!this.isDrawingPolygon) return;
+
+        this.polygonPoints.pop();
+
+        if (this.polygonPoints.length === 0) {
+            this.cancelPolygonDrawing();
+        } else {
+            this.redrawWithPolygonPreview();
+        }
+    }
+
+    /**
+     * Finish polygon drawing and create a polygon annotation
+     */
+    finishPolygonDrawing() {
+        // Drop repeated vertices (a double-click places the same point twice)
+        const points = this.polygonPoints.filter((point, index, all) =>
+            index === 0 || Math.hypot(point.x - all[index - 1].x, point.y - all[index - 1].y) >= 1
+        );
+
+        if (!this.isDrawingPolygon || points.length < CONFIG.POLYGON.MIN_POINTS) {
+            console.log('Cannot finish polygon: insufficient points');
+            this.cancelPolygonDrawing();
+            return;
+        }
+
+        const annotation = annotationManager.createPolygonAnnotation(
+            points,
+            this.getSelectedClass(),
+            1.0, // Full confidence for user-created annotations
+            { state: 'Modified' }
+        );
+
+        if (annotation) {
+            console.log(`Created polygon annotation: ${annotation.className} with ${points.length} vertices`);
+            annotationManager.selectAnnotation(annotation.id);
+        } else {
+            console.error('Failed to create polygon annotation');
+        }
+
+        this.cancelPolygonDrawing();
+    }
+
+    /**
+     * Cancel polygon drawing
+     */
+    cancelPolygonDrawing() {
+        this.isDrawingPolygon = false;
+        this.polygonPoints = [];
+        this.currentPolygonPoint = null;
+
+        // Redraw canvas to remove preview
+        this.canvasRenderer.redraw();
+    }
+
+    /**
+     * Get the annotation whose mask is being edited, if it still has an editable polygon
+     */
+    getMaskEditAnnotation() {
+        if (!this.maskEditMode || !this.maskEditAnnotationId) return null;
+
+        const annotation = annotationManager.findAnnotationById(this.maskEditAnnotationId);
+        return annotation && annotationManager.isPolygonMask(annotation.segmentationMask) ? annotation : null;
+    }
+
+    /**
+     * Preview Douglas-Peucker simplification of the mask being edited
+     * @param {number} tolerance - Maximum deviation in image pixels
+     * @returns {Object|null} - { originalCount, simplifiedCount } or null when not editing a mask
+     */
+    previewMaskSimplification(tolerance) {
+        const annotation = this.getMaskEditAnnotation();
+        if (!annotation) return null;
+
+        this.simplifyPreview = annotationManager.simplifyPolygon(annotation.segmentationMask, tolerance);
+        this.redrawWithMaskPreview();
+
+        return {
+            originalCount: annotation.segmentationMask.length,
+            simplifiedCount: this.simplifyPreview.length
+        };
+    }
+
+    /**
+     * Apply Douglas-Peucker simplification to the mask being edited
+     * @param {number} tolerance - Maximum deviation in image pixels
+     * @returns {Object} - Result from annotationManager.simplifyAnnotationPolygon
+     */
+    applyMaskSimplification(tolerance) {
+        const annotation = this.getMaskEditAnnotation();
+        if (!annotation) {
+            return { success: false, error: 'Not editing a mask' };
+        }
+
+        this.simplifyPreview = null;
+        const result = annotationManager.simplifyAnnotationPolygon(annotation.id, tolerance);
+        this.canvasRenderer.redraw();
+
+        return result;
+    }
+
+    /**
+     * Remove the simplification preview overlay
+     */
+    clearMaskSimplificationPreview() {
+        if (!this.simplifyPreview) return;
+
+        this.simplifyPreview = null;
+        this.canvasRenderer.redraw();
+    }
+
+    /**
+     * Get the index of the polygon vertex under a canvas point, or -1
+     */
+    getPolygonVertexAtPoint(x, y, points) {
+        for (let i = points.length - 1; i >= 0; i--) {
+            const vertex = this.canvasRenderer.imageToCanvasCoordinates(points[i].x, points[i].y);
+            if (Math.hypot(x - vertex.x, y - vertex.y) <= CONFIG.POLYGON.VERTEX_TOLERANCE) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Find the polygon edge under a canvas point
+     * @returns {Object|null} - { index, point } where index is the position to insert at
+     */
+    getPolygonEdgeAtPoint(x, y, points) {
+        for (let i = 0; i < points.length; i++) {
+            const start = this.canvasRenderer.imageToCanvasCoordinates(points[i].x, points[i].y);
+            const end = this.canvasRenderer.imageToCanvasCoordinates(
+                points[(i + 1) % points.length].x,
+                points[(i + 1) % points.length].y
+            );
+
+            // Project the point onto the edge segment
+            const dx = end.x - start.x;
+            const dy = end.y - start.y;
+            const lengthSquared = dx * dx + dy * dy;
+            if (lengthSquared === 0) continue;
+
+            const t = Math.max(0, Math.min(1, ((x - start.x) * dx + (y - start.y) * dy) / lengthSquared));
+            const projected = { x: start.x + t * dx, y: start.y + t * dy };
+
+            if (Math.hypot(x - projected.x, y - projected.y) <= CONFIG.POLYGON.EDGE_TOLERANCE) {
+                return {
+                    index: i + 1,
+                    point: this.canvasRenderer.canvasToImageCoordinates(projected.x, projected.y)
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Handle vertex drag/insert/delete on the mask being edited
+     * @returns {boolean} - True if the click was consumed
+     */
+    handlePolygonVertexInteraction(x, y, event = {}) {
+        const annotation = this.getMaskEditAnnotation();
+        if (!annotation) return false;
+
+        const points = annotation.segmentationMask;
+        const vertexIndex = this.getPolygonVertexAtPoint(x, y, points);
+
+        if (vertexIndex !== -1) {
+            // Alt+click removes a vertex
+            if (event.altKey) {
+                this.deletePolygonVertex(annotation, vertexIndex);
+            } else {
+                this.startVertexDrag(annotation, vertexIndex, points);
+            }
+            return true;
+        }
+
+        // Clicking on an edge inserts a vertex there and starts dragging it
+        const edge = this.getPolygonEdgeAtPoint(x, y, points);
+        if (edge) {
+            const newPoints = [...points];
+            newPoints.splice(edge.index, 0, { x: edge.point.x, y: edge.point.y });
+
+            annotationManager.beginHistoryGroup('edit polygon');
+            annotationManager.updateAnnotationPolygon(annotation.id, newPoints);
+            this.startVertexDrag(annotation, edge.index, newPoints, false);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Start dragging a polygon vertex
+     */
+    startVertexDrag(annotation, index, points, openHistoryGroup = true) {
+        if (openHistoryGroup) {
+            annotationManager.beginHistoryGroup('edit polygon');
+        }
+
+        this.isDraggingVertex = true;
+        this.simplifyPreview = null;
+        this.vertexDrag = {
+            annotationId: annotation.id,
+            index: index,
+            points: points.map(point => ({ ...point }))
+        };
+        this.canvas.style.cursor = 'grabbing';
+    }
+
+    /**
+     * Move the dragged vertex, keeping it inside the image
+     */
+    updateVertexDrag(x, y) {
+        if (!this.isDraggingVertex || !this.vertexDrag) return;
+
+        const imageInfo = this.canvasRenderer.getImageInfo();
+        const imageCoords = this.canvasRenderer.canvasToImageCoordinates(x, y);
+
+        if (imageInfo) {
+            imageCoords.x = Math.max(0, Math.min(imageCoords.x, imageInfo.originalWidth));
+            imageCoords.y = Math.max(0, Math.min(imageCoords.y, imageInfo.originalHeight));
+        }
+
+        this.vertexDrag.points[this.vertexDrag.index] = { x: imageCoords.x, y: imageCoords.y };
+        annotationManager.updateAnnotationPolygon(this.vertexDrag.annotationId, this.vertexDrag.points);
+    }
+
+    /**
+     * Finish dragging a polygon vertex
+     */
+    finishVertexDrag() {
+        if (!this.isDraggingVertex) return;
+
+        this.isDraggingVertex = false;
+        this.vertexDrag = null;
+        annotationManager.endHistoryGroup();
+        this.canvas.style.cursor = 'default';
+    }
+
+    /**
+     * Delete a vertex from a polygon annotation (polygons keep at least MIN_POINTS vertices)
+     */
+    deletePolygonVertex(annotation, index) {
+        const points = annotation.segmentationMask;
+
+        if (points.length <= CONFIG.POLYGON.MIN_POINTS) {
+            console.log(`Cannot delete vertex: polygons need at least ${CONFIG.POLYGON.MIN_POINTS} points`);
+            return false;
+        }
+
+        return annotationManager.updateAnnotationPolygon(
+            annotation.id,
+            points.filter((point, pointIndex) => pointIndex !== index)
+        );
+    }
+
     /**
      * Handle ROI click events for polygon drawing
      */
@@ -529,7 +1467,9 @@ export class DrawingTools {
             Math.pow(imageCoords.y - firstPoint.y, 2)
         );
 
-        if (this.roiPoints.length >= CONFIG.ROI.MIN_POINTS && distance < CONFIG.ROI.SELECTION_TOLERANCE) {
+        // Tolerance is in screen pixels, so convert it to image pixels at the current zoom
+        const scale = this.canvasRenderer.getScaledDimensions()?.scale || 1;
+        if (this.roiPoints.length >= CONFIG.ROI.MIN_POINTS && distance < CONFIG.ROI.SELECTION_TOLERANCE / scale) {
             // Close the polygon
             this.finishROIDrawing();
         } else {
@@ -566,18 +1506,21 @@ export class DrawingTools {
             return;
         }
 
-        // Get current image ID (assuming we have access to it)
-        const imageInfo = this.canvasRenderer.getImageInfo();
-        const imageId = imageInfo ? 'current_image' : 'unknown'; // This should be improved to get actual image ID
+        // ROIs belong to the image being annotated
+        const imageId = annotationManager.currentImageId;
 
         // Create ROI through ROI manager
+        const previousROIs = roiManager.exportROIs(imageId);
         const roi = roiManager.createROI(this.roiPoints, imageId);
         
         if (roi) {
-            console.log(`Created ROI with ${this.roiPoints.length} points`);
+            console.log(`Created ROI "${roi.name}" with ${this.roiPoints.length} points`);
             
-            // Set ROI in canvas renderer
-            this.canvasRenderer.setROI(roi);
+            // Record for undo/redo
+            annotationManager.recordROIChange(previousROIs, roiManager.exportROIs(imageId));
+            
+            // Show the new ROI in the canvas renderer
+            this.canvasRenderer.setROIs(roiManager.getROIs(imageId), roi.id);
         } else {
             console.error('Failed to create ROI');
         }
@@ -601,28 +1544,132 @@ export class DrawingTools {
     }
 
     /**
-     * Clear current ROI
+     * Clear all ROIs on the current image
      */
     clearROI() {
+        const previousROIs = roiManager.exportROIs();
         const success = roiManager.clearROI();
         
         if (success) {
-            // Clear ROI from canvas renderer
-            this.canvasRenderer.setROI(null);
-            console.log('ROI cleared');
+            // Record for undo/redo
+            annotationManager.recordROIChange(previousROIs, []);
+            
+            // Clear ROIs from canvas renderer
+            this.canvasRenderer.setROIs([]);
+            console.log('ROIs cleared');
         }
         
         return success;
     }
 
+    /**
+     * Handle clicks in count line mode; each click adds a point to the line
+     */
+    handleCountLineClick(x, y) {
+        if (!this.countLineMode) return;
+
+        const imageCoords = this.canvasRenderer.canvasToImageCoordinates(x, y);
+
+        if (!this.isDrawingCountLine) {
+            this.isDrawingCountLine = true;
+            this.countLinePoints = [];
+            console.log(`Started count line at (${imageCoords.x.toFixed(1)}, ${imageCoords.y.toFixed(1)})`);
+        }
+
+        this.countLinePoints.push({ x: imageCoords.x, y: imageCoords.y });
+        this.redrawWithCountLinePreview();
+    }
+
+    /**
+     * Update count line preview during mouse movement
+     */
+    updateCountLinePreview(x, y) {
+        if (!this.isDrawingCountLine) return;
+
+        this.currentCountLinePoint = this.canvasRenderer.canvasToImageCoordinates(x, y);
+        this.redrawWithCountLinePreview();
+    }
+
+    /**
+     * Remove the most recently placed count line point
+     */
+    removeLastCountLinePoint() {
+        if (!this.isDrawingCountLine) return;
+
+        this.countLinePoints.pop();
+
+        if (this.countLinePoints.length === 0) {
+            this.cancelCountLineDrawing();
+        } else {
+            this.redrawWithCountLinePreview();
+        }
+    }
+
+    /**
+     * Finish count line drawing and create the line. Its direction runs from the
+     * first to the last point placed.
+     */
+    finishCountLineDrawing() {
+        // Drop repeated points (a double-click places the same point twice)
+        const points = this.countLinePoints.filter((point, index, all) =>
+            index === 0 || Math.hypot(point.x - all[index - 1].x, point.y - all[index - 1].y) >= 1
+        );
+
+        if (!this.isDrawingCountLine || points.length < CONFIG.COUNT_LINE.MIN_POINTS) {
+            console.log('Cannot finish count line: insufficient points');
+            this.cancelCountLineDrawing();
+            return;
+        }
+
+        // Count lines belong to the image being annotated
+        const imageId = annotationManager.currentImageId;
+
+        const previousLines = roiManager.exportCountLines(imageId);
+        const line = roiManager.createCountLine(points, imageId);
+
+        if (line) {
+            console.log(`Created count line "${line.name}" with ${points.length} points`);
+
+            // Record for undo/redo
+            annotationManager.recordCountLineChange(previousLines, roiManager.exportCountLines(imageId));
+
+            this.canvasRenderer.setCountLines(roiManager.getCountLines(imageId));
+        } else {
+            console.error('Failed to create count line');
+        }
+
+        this.cancelCountLineDrawing();
+    }
+
+    /**
+     * Cancel count line drawing
+     */
+    cancelCountLineDrawing() {
+        this.isDrawingCountLine = false;
+        this.countLinePoints = [];
+        this.currentCountLinePoint = null;
+
+        // Redraw canvas to remove preview
+        this.canvasRenderer.redraw();
+    }
+
     /**
      * Handle selection and manipulation interactions
      */
-    handleSelectionInteraction(x, y) {
+    handleSelectionInteraction(x, y, event = {}) {
+        // In mask edit mode, vertex editing takes priority over box handles
+        if (this.handlePolygonVertexInteraction(x, y, event)) {
+            return;
+        }
+        
         // Check if clicking on an existing annotation
         const annotation = this.canvasRenderer.getAnnotationAtPoint(x, y);
         
-        if (annotation) {
+        if (annotation && event.shiftKey) {
+            // Shift-click adds to or removes from the selection
+            annotationManager.toggleAnnotationSelection(annotation.id);
+            this.syncSelection();
+        } else if (annotation) {
             // Check if clicking on a resize handle
             const handle = this.getResizeHandleAtPoint(x, y, annotation);
             
@@ -638,15 +1685,95 @@ export class DrawingTools {
                 }
             }
         } else {
-            // Clear selection
-            this.clearSelection();
+            // Dragging on empty canvas selects the boxes inside the marquee;
+            // a plain click clears the selection when the mouse is released
+            this.startMarquee(x, y, event.shiftKey);
+        }
+    }
+
+    /**
+     * Start a marquee selection
+     * @param {boolean} additive - Add to the current selection instead of replacing it (Shift)
+     */
+    startMarquee(x, y, additive = false) {
+        this.isMarqueeSelecting = true;
+        this.marqueeStart = { x, y };
+        this.marqueeBox = { x, y, width: 0, height: 0 };
+        this.marqueeAdditive = additive;
+    }
+
+    /**
+     * Update the marquee rectangle
+     */
+    updateMarquee(x, y) {
+        if (!this.isMarqueeSelecting) return;
+        
+        this.marqueeBox = {
+            x: Math.min(this.marqueeStart.x, x),
+            y: Math.min(this.marqueeStart.y, y),
+            width: Math.abs(x - this.marqueeStart.x),
+            height: Math.abs(y - this.marqueeStart.y)
+        };
+        this.redrawWithMarqueePreview();
+    }
+
+    /**
+     * Select the annotations whose boxes lie entirely inside the marquee
+     */
+    finishMarquee() {
+        if (!this.isMarqueeSelecting) return;
+        
+        const box = this.marqueeBox;
+        const additive = this.marqueeAdditive;
+        this.isMarqueeSelecting = false;
+        this.marqueeStart = null;
+        this.marqueeBox = null;
+        
+        // Too small to be a drag: treat it as a click on empty canvas
+        if (!box || (box.width < CONFIG.DRAWING.MIN_BOX_SIZE && box.height < CONFIG.DRAWING.MIN_BOX_SIZE)) {
+            if (!additive) {
+                this.clearSelection();
+            }
+            this.canvasRenderer.redraw();
+            return;
+        }
+        
+        const topLeft = this.canvasRenderer.canvasToImageCoordinates(box.x, box.y);
+        const bottomRight = this.canvasRenderer.canvasToImageCoordinates(box.x + box.width, box.y + box.height);
+        const ids = annotationManager.getVisibleAnnotations()
+            .filter(annotation => {
+                const { x, y, width, height } = annotation.bbox;
+                return x >= topLeft.x && y >= topLeft.y &&
+                    x + width <= bottomRight.x && y + height <= bottomRight.y;
+            })
+            .map(annotation => annotation.id);
+        
+        annotationManager.selectAnnotations(ids, additive);
+        this.syncSelection();
+        this.canvasRenderer.redraw();
+        console.log(`Marquee selected ${ids.length} annotations`);
+    }
+
+    /**
+     * Follow the primary selection kept by AnnotationManager after multi-select changes
+     */
+    syncSelection() {
+        const primary = annotationManager.getSelectedAnnotation();
+        if (this.maskEditMode && primary?.id !== this.maskEditAnnotationId) {
+            this.disableMaskEditMode();
         }
+        this.selectedAnnotation = primary;
     }
 
     /**
      * Select an annotation
      */
     selectAnnotation(annotation) {
+        // Mask editing is tied to one annotation
+        if (this.maskEditMode && annotation.id !== this.maskEditAnnotationId) {
+            this.disableMaskEditMode();
+        }
+        
         this.selectedAnnotation = annotation;
         annotationManager.selectAnnotation(annotation.id);
         console.log(`Selected annotation: ${annotation.id} (${annotation.className})`);
@@ -656,6 +1783,7 @@ export class DrawingTools {
      * Clear annotation selection
      */
     clearSelection() {
+        this.disableMaskEditMode();
         this.selectedAnnotation = null;
         annotationManager.clearSelection();
         console.log('Selection cleared');
@@ -672,6 +1800,9 @@ export class DrawingTools {
         // Select the annotation
         annotationManager.selectAnnotation(annotation.id);
         
+        // Collapse all resize updates into a single undo step
+        annotationManager.beginHistoryGroup('resize');
+        
         console.log(`Started resizing annotation ${annotation.id} with handle ${handle}`);
     }
 
@@ -738,6 +1869,7 @@ export class DrawingTools {
         
         this.isResizing = false;
         this.resizeHandle = null;
+        annotationManager.endHistoryGroup();
     }
 
     /**
@@ -758,6 +1890,9 @@ export class DrawingTools {
             y: y - topLeft.y
         };
         
+        // Collapse all move updates into a single undo step
+        annotationManager.beginHistoryGroup('move');
+        
         console.log(`Started moving annotation ${annotation.id}`);
     }
 
@@ -802,17 +1937,27 @@ export class DrawingTools {
         
         this.isMoving = false;
         this.moveOffset = null;
+        annotationManager.endHistoryGroup();
     }
 
     /**
-     * Delete the currently selected annotation
+     * Delete the currently selected annotation(s)
      */
     deleteSelectedAnnotation() {
+        // The app's Delete shortcut may already have removed the selection
+        this.syncSelection();
         if (!this.selectedAnnotation) {
             console.log('No annotation selected for deletion');
             return;
         }
         
+        // Several selected annotations are deleted as one undo step
+        if (annotationManager.getSelectedAnnotations().length > 1) {
+            annotationManager.deleteSelection();
+            this.syncSelection();
+            return;
+        }
+        
         const annotationId = this.selectedAnnotation.id;
         const success = annotationManager.deleteAnnotation(annotationId);
         
@@ -828,20 +1973,38 @@ export class DrawingTools {
      * Cancel current operation and clean up state
      */
     cancelCurrentOperation() {
+        // Close any history group left open by an interrupted move/resize/vertex drag
+        if (this.isResizing || this.isMoving || this.isDraggingVertex) {
+            annotationManager.endHistoryGroup();
+        }
+        
         this.isDrawing = false;
         this.isResizing = false;
         this.isMoving = false;
+        this.isDraggingVertex = false;
+        this.vertexDrag = null;
+        this.isMarqueeSelecting = false;
+        this.marqueeStart = null;
+        this.marqueeBox = null;
         
         this.startPoint = null;
         this.currentPoint = null;
+        this.startImagePoint = null;
+        this.currentImagePoint = null;
         this.previewBox = null;
         this.resizeHandle = null;
         this.moveOffset = null;
         
-        // Also cancel ROI drawing if active
+        // Also cancel ROI and polygon drawing if active
         if (this.isDrawingROI) {
             this.cancelROIDrawing();
         }
+        if (this.isDrawingPolygon) {
+            this.cancelPolygonDrawing();
+        }
+        if (this.isDrawingCountLine) {
+            this.cancelCountLineDrawing();
+        }
         
         // Redraw canvas to remove preview
         this.canvasRenderer.redraw();
@@ -853,16 +2016,39 @@ export class DrawingTools {
      * Update cursor based on current position and mode
      */
     updateCursor(x, y) {
+        if (this.spaceHeld) {
+            this.canvas.style.cursor = 'grab';
+            return;
+        }
+        
+        if (this.canvasRenderer.isPointInMinimap(x, y)) {
+            this.canvas.style.cursor = 'pointer';
+            return;
+        }
+        
         if (this.drawingMode) {
             this.canvas.style.cursor = 'crosshair';
             return;
         }
         
-        if (this.roiMode) {
+        if (this.roiMode || this.polygonMode || this.countLineMode || this.segmentMode) {
             this.canvas.style.cursor = 'crosshair';
             return;
         }
         
+        // Vertices and edges of the mask being edited
+        const polygonAnnotation = this.getMaskEditAnnotation();
+        if (polygonAnnotation) {
+            if (this.getPolygonVertexAtPoint(x, y, polygonAnnotation.segmentationMask) !== -1) {
+                this.canvas.style.cursor = 'grab';
+                return;
+            }
+            if (this.getPolygonEdgeAtPoint(x, y, polygonAnnotation.segmentationMask)) {
+                this.canvas.style.cursor = 'copy';
+                return;
+            }
+        }
+        
         // Check if over an annotation
         const annotation = this.canvasRenderer.getAnnotationAtPoint(x, y);
         
@@ -1038,15 +2224,29 @@ export class DrawingTools {
     }
 
     /**
-     * Validate class name against FHWA list
+     * Change the state of the selected annotation, or of all selected annotations as one undo step.
+     * Rejections go through requestRejection so they carry a reason.
+     */
+    setSelectionState(state) {
+        if (state === 'Rejected') {
+            const ids = annotationManager.getSelectedAnnotations().map(annotation => annotation.id);
+            return ids.length > 0 && this.requestRejection(ids);
+        }
+        if (annotationManager.getSelectedAnnotations().length > 1) {
+            return annotationManager.setSelectionState(state).success;
+        }
+        return this.selectedAnnotation ? this.setAnnotationState(this.selectedAnnotation.id, state) : false;
+    }
+
+    /**
+     * Validate class name against the class taxonomy
      */
     validateClassName(className) {
         if (!className || typeof className !== 'string') {
             return false;
         }
 
-        const validClasses = Object.keys(CONFIG.ANNOTATION_COLORS);
-        return validClasses.includes(className);
+        return getClassDefinition(className) !== null;
     }
 
     /**
@@ -1085,6 +2285,13 @@ export class DrawingTools {
             existingModal.remove();
         }
 
+        // Truncation is pre-checked for boxes touching the frame until the annotator decides
+        const imageSize = this.canvasRenderer.scaledDimensions
+            ? { width: this.canvasRenderer.scaledDimensions.originalWidth, height: this.canvasRenderer.scaledDimensions.originalHeight }
+            : null;
+        const truncatedShown = annotationManager.isTruncated(annotation, imageSize);
+        const truncatedSuggested = typeof annotation.truncated !== 'boolean' && truncatedShown;
+
         // Create modal HTML
         const modalHTML = `
             <div class="modal fade" id="class-assignment-modal" tabindex="-1" aria-labelledby="classAssignmentModalLabel" aria-hidden="true">
@@ -1097,9 +2304,7 @@ export class DrawingTools {
                         <div class="modal-body">
                             <div class="mb-3">
                                 <label for="modal-class-selector" class="form-label">Object Class</label>
-                                <select id="modal-class-selector" class="form-select">
-                                    ${this.generateClassOptions(annotation.className)}
-                                </select>
+                                <select id="modal-class-selector" class="form-select"></select>
                             </div>
                             <div class="mb-3">
                                 <label for="modal-state-selector" class="form-label">Verification State</label>
@@ -1107,6 +2312,30 @@ export class DrawingTools {
                                     ${this.generateStateOptions(annotation.state)}
                                 </select>
                             </div>
+                            <div class="mb-3" id="modal-rejection-reason-group" ${annotation.state === 'Rejected' ? '' : 'hidden'}>
+                                <label for="modal-rejection-reason" class="form-label">Rejection Reason</label>
+                                <select id="modal-rejection-reason" class="form-select">
+                                    ${this.generateRejectionReasonOptions(annotation.metadata?.rejected_reason)}
+                                </select>
+                            </div>
+                            <div class="mb-3">
+                                <label for="modal-occlusion-selector" class="form-label">Occlusion</label>
+                                <select id="modal-occlusion-selector" class="form-select">
+                                    ${this.generateOcclusionOptions(annotationManager.validateOcclusion(annotation.occlusion))}
+                                </select>
+                            </div>
+                            <div class="mb-3">
+                                <div class="form-check">
+                                    <input class="form-check-input" type="checkbox" id="modal-truncated" ${truncatedShown ? 'checked' : ''}>
+                                    <label class="form-check-label" for="modal-truncated">Truncated by the image frame</label>
+                                    <div class="form-text" ${truncatedSuggested ? '' : 'hidden'}>Suggested: the box touches the image edge.</div>
+                                </div>
+                                <div class="form-check">
+                                    <input class="form-check-input" type="checkbox" id="modal-crowd" ${annotation.crowd === true ? 'checked' : ''}>
+                                    <label class="form-check-label" for="modal-crowd">Crowd (several objects in one box)</label>
+                                </div>
+                            </div>
+                            <div class="mb-3" id="modal-metadata-fields"></div>
                             <div class="mb-3">
                                 <label class="form-label">Confidence</label>
                                 <div class="form-text">${(annotation.confidence * 100).toFixed(1)}%</div>
@@ -1140,12 +2369,43 @@ export class DrawingTools {
         const saveBtn = modal.querySelector('#save-annotation-btn');
         const deleteBtn = modal.querySelector('#delete-annotation-btn');
         const classSelector = modal.querySelector('#modal-class-selector');
+        this.populateClassOptions(classSelector, annotation.className);
         const stateSelector = modal.querySelector('#modal-state-selector');
+        const rejectionReasonGroup = modal.querySelector('#modal-rejection-reason-group');
+        const rejectionReasonSelector = modal.querySelector('#modal-rejection-reason');
+        const occlusionSelector = modal.querySelector('#modal-occlusion-selector');
+        const truncatedCheckbox = modal.querySelector('#modal-truncated');
+        const crowdCheckbox = modal.querySelector('#modal-crowd');
+        const metadataFields = modal.querySelector('#modal-metadata-fields');
+
+        this.renderMetadataFields(metadataFields, annotation.className, annotation.metadata || {});
+
+        // Fields follow the class; values of fields both classes share are kept
+        classSelector.addEventListener('change', () => {
+            const entered = { ...annotation.metadata, ...this.readMetadataFields(metadataFields) };
+            this.renderMetadataFields(metadataFields, classSelector.value, entered);
+        });
+
+        stateSelector.addEventListener('change', () => {
+            rejectionReasonGroup.hidden = stateSelector.value !== 'Rejected';
+        });
 
         saveBtn.addEventListener('click', () => {
             const newClass = classSelector.value;
             const newState = stateSelector.value;
 
+            // Every schema field is shown, so a required field without a value is missing
+            const metadata = annotationManager.validateMetadataValues(newClass, this.readMetadataFields(metadataFields));
+            if (newState === 'Verified') {
+                getMetadataSchema(newClass)
+                    .filter(field => field.required && metadata.values[field.key] === null && !metadata.errors[field.key])
+                    .forEach(field => { metadata.errors[field.key] = `${field.label} is required before verifying`; });
+            }
+            if (Object.keys(metadata.errors).length > 0) {
+                this.showMetadataErrors(metadataFields, metadata.errors);
+                return;
+            }
+
             // Update annotation
             const updates = {};
             if (newClass !== annotation.className) {
@@ -1154,14 +2414,42 @@ export class DrawingTools {
             if (newState !== annotation.state) {
                 updates.state = newState;
             }
+            if (newState === 'Rejected' && rejectionReasonSelector.value !== annotation.metadata?.rejected_reason) {
+                updates.metadata = { rejected_reason: rejectionReasonSelector.value };
+            }
+            if (occlusionSelector.value !== annotationManager.validateOcclusion(annotation.occlusion)) {
+                updates.occlusion = occlusionSelector.value;
+            }
+            // Saving with a suggested truncation shown confirms it
+            if (truncatedCheckbox.checked !== truncatedShown || truncatedSuggested) {
+                updates.truncated = truncatedCheckbox.checked;
+            }
+            if (crowdCheckbox.checked !== (annotation.crowd === true)) {
+                updates.crowd = crowdCheckbox.checked;
+            }
 
-            if (Object.keys(updates).length > 0) {
-                const success = annotationManager.updateAnnotation(annotation.id, updates);
-                if (success) {
-                    console.log(`Updated annotation ${annotation.id}:`, updates);
-                } else {
+            // One undo step: class first so metadata is checked against it, state last so
+            // required metadata is in place before verifying
+            const { state, ...otherUpdates } = updates;
+            annotationManager.beginHistoryGroup('edit annotation');
+            try {
+                if (Object.keys(otherUpdates).length > 0 && !annotationManager.updateAnnotation(annotation.id, otherUpdates)) {
                     console.error(`Failed to update annotation ${annotation.id}`);
                 }
+                const metadataResult = annotationManager.setAnnotationMetadata(annotation.id, metadata.values);
+                if (!metadataResult.success) {
+                    console.error(`Failed to update metadata of annotation ${annotation.id}:`, metadataResult.error);
+                } else {
+                    getMetadataSchema(newClass)
+                        .filter(field => field.type === 'mutcd' && metadata.values[field.key])
+                        .forEach(field => this.rememberMutcdCode(metadata.values[field.key]));
+                }
+                if (state !== undefined) {
+                    annotationManager.updateAnnotation(annotation.id, { state });
+                }
+                console.log(`Updated annotation ${annotation.id}:`, updates, metadata.values);
+            } finally {
+                annotationManager.endHistoryGroup();
             }
 
             bootstrapModal.hide();
@@ -1189,13 +2477,17 @@ export class DrawingTools {
     }
 
     /**
-     * Generate class options HTML
+     * Fill a class select with taxonomy classes grouped by domain
      */
-    generateClassOptions(selectedClass) {
-        const classes = Object.keys(CONFIG.ANNOTATION_COLORS);
-        return classes.map(className => 
-            `<option value="${className}" ${className === selectedClass ? 'selected' : ''}>${className}</option>`
-        ).join('');
+    populateClassOptions(select, selectedClass) {
+        select.replaceChildren(...getClassDefinitionsByDomain().map(({ domain, classes }) => {
+            const group = document.createElement('optgroup');
+            group.label = domain;
+            classes.forEach(classDef => {
+                group.append(new Option(classDef.name, classDef.name, false, classDef.name === selectedClass));
+            });
+            return group;
+        }));
     }
 
     /**
@@ -1208,6 +2500,258 @@ export class DrawingTools {
         ).join('');
     }
 
+    /**
+     * Generate rejection reason options HTML
+     */
+    generateRejectionReasonOptions(selectedReason) {
+        const reasons = Object.keys(CONFIG.REJECTION.REASONS);
+        const selected = selectedReason || CONFIG.REJECTION.DEFAULT_REASON;
+        return reasons.map(reason =>
+            `<option value="${reason}" ${reason === selected ? 'selected' : ''}>${getRejectionReasonLabel(reason)}</option>`
+        ).join('');
+    }
+
+    /**
+     * Build the metadata inputs of a class's schema (see CONFIG.METADATA_SCHEMA).
+     * Values are set through DOM properties since they are free text.
+     */
+    renderMetadataFields(container, className, values) {
+        this.renderSchemaFields(container, getMetadataSchema(className), values, 'modal-metadata');
+    }
+
+    /**
+     * Build inputs for a list of schema fields; also used for the Scene panel's image attributes
+     * @param {HTMLElement} container - Element to fill; hidden when there are no fields
+     * @param {Array} fields - Field definitions in the CONFIG.METADATA_SCHEMA format
+     * @param {Object} values - Field key to current value
+     * @param {string} idPrefix - Prefix of the input ids
+     */
+    renderSchemaFields(container, fields, values, idPrefix) {
+        container.replaceChildren();
+        container.hidden = fields.length === 0;
+
+        fields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'mb-2';
+
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = `${idPrefix}-${field.key}`;
+            label.textContent = field.required ? `${field.label} *` : field.label;
+
+            let input;
+            if (field.type === 'enum' || field.type === 'bool') {
+                input = document.createElement('select');
+                input.className = 'form-select form-select-sm';
+                const choices = field.type === 'bool'
+                    ? [['true', 'Yes'], ['false', 'No']]
+                    : field.options.map(option => [option, option]);
+                [['', '—'], ...choices].forEach(([value, text]) => input.add(new Option(text, value)));
+            } else {
+                input = document.createElement('input');
+                input.className = 'form-control form-control-sm';
+                input.type = field.type === 'number' ? 'number' : 'text';
+                if (field.min !== undefined) input.min = field.min;
+                if (field.max !== undefined) input.max = field.max;
+                if (field.maxLength) input.maxLength = field.maxLength;
+            }
+            input.id = `${idPrefix}-${field.key}`;
+            input.dataset.key = field.key;
+            input.dataset.type = field.type;
+            input.value = values[field.key] === undefined || values[field.key] === null ? '' : String(values[field.key]);
+
+            const feedback = document.createElement('div');
+            feedback.className = 'invalid-feedback';
+
+            group.append(label, input);
+            if (field.type === 'mutcd') {
+                group.append(...this.createMutcdPicker(input, container));
+            }
+            group.append(feedback);
+            container.appendChild(group);
+        });
+    }
+
+    /**
+     * Turn a text input into a MUTCD code picker. Typing searches codes and names, the
+     * arrow keys move through the matches and Enter picks one; before typing, recently
+     * used codes are listed. Picking a sign fills an empty shape field with its shape.
+     * @returns {Array} - Elements to place after the input (sign description and match list)
+     */
+    createMutcdPicker(input, container) {
+        const description = document.createElement('div');
+        description.className = 'form-text';
+
+        const list = document.createElement('div');
+        list.id = `${input.id}-matches`;
+        list.className = 'list-group mt-1 overflow-auto';
+        list.style.maxHeight = '12rem';
+        list.setAttribute('role', 'listbox');
+        list.hidden = true;
+
+        input.autocomplete = 'off';
+        input.placeholder = 'Search code or name, e.g. R1-1 or stop';
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', list.id);
+
+        let matches = [];
+        let activeIndex = -1;
+
+        const describe = () => {
+            const sign = getMutcdSign(input.value);
+            description.textContent = sign
+                ? `${sign.name} · ${CONFIG.MUTCD.CATEGORIES[sign.category]} · ${sign.shape}, ${sign.color}`
+                : '';
+        };
+
+        const setActive = index => {
+            activeIndex = index;
+            Array.from(list.children).forEach((item, itemIndex) => {
+                item.classList.toggle('active', itemIndex === index);
+                item.setAttribute('aria-selected', String(itemIndex === index));
+            });
+            list.children[index]?.scrollIntoView({ block: 'nearest' });
+        };
+
+        const showMatches = () => {
+            matches = input.value.trim()
+                ? searchMutcdSigns(input.value)
+                : this.getRecentMutcdCodes().map(code => getMutcdSign(code)).filter(Boolean);
+            list.replaceChildren(...matches.map(sign => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'list-group-item list-group-item-action py-1';
+                item.setAttribute('role', 'option');
+                item.dataset.code = sign.code;
+                const code = document.createElement('strong');
+                code.textContent = sign.code;
+                item.append(code, ` ${sign.name}`);
+                return item;
+            }));
+            list.hidden = matches.length === 0;
+            setActive(matches.length > 0 ? 0 : -1);
+        };
+
+        const pick = sign => {
+            input.value = sign.code;
+            list.hidden = true;
+            describe();
+            const shape = container.querySelector('[data-key="shape"]');
+            if (shape && !shape.value && Array.from(shape.options).some(option => option.value === sign.shape)) {
+                shape.value = sign.shape;
+            }
+        };
+
+        input.addEventListener('focus', showMatches);
+        input.addEventListener('input', () => {
+            showMatches();
+            describe();
+        });
+        input.addEventListener('blur', () => {
+            list.hidden = true;
+        });
+        input.addEventListener('keydown', (event) => {
+            if (list.hidden) return;
+            switch (event.key) {
+                case 'ArrowDown':
+                    event.preventDefault();
+                    setActive((activeIndex + 1) % matches.length);
+                    break;
+                case 'ArrowUp':
+                    event.preventDefault();
+                    setActive((activeIndex - 1 + matches.length) % matches.length);
+                    break;
+                case 'Enter':
+                    if (activeIndex >= 0) {
+                        event.preventDefault();
+                        pick(matches[activeIndex]);
+                    }
+                    break;
+                case 'Escape':
+                    // Close the list, not the dialog
+                    event.preventDefault();
+                    event.stopPropagation();
+                    list.hidden = true;
+                    break;
+            }
+        });
+        // mousedown rather than click so the input keeps focus and the list is not hidden first
+        list.addEventListener('mousedown', (event) => {
+            const item = event.target.closest('[data-code]');
+            if (!item) return;
+            event.preventDefault();
+            pick(getMutcdSign(item.dataset.code));
+        });
+
+        describe();
+        return [description, list];
+    }
+
+    /**
+     * MUTCD codes picked most recently, newest first
+     */
+    getRecentMutcdCodes() {
+        try {
+            const codes = JSON.parse(localStorage.getItem('ima-recent-mutcd-codes'));
+            return Array.isArray(codes) ? codes : [];
+        } catch (error) {
+            console.warn('Failed to load recent MUTCD codes:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Put a MUTCD code at the front of the recently used list
+     */
+    rememberMutcdCode(code) {
+        const codes = [code, ...this.getRecentMutcdCodes().filter(recent => recent !== code)]
+            .slice(0, CONFIG.MUTCD.RECENT_LIMIT);
+        try {
+            localStorage.setItem('ima-recent-mutcd-codes', JSON.stringify(codes));
+        } catch (error) {
+            console.warn('Failed to save recent MUTCD codes:', error);
+        }
+    }
+
+    /**
+     * Read the metadata inputs as typed values ('' for fields left empty)
+     */
+    readMetadataFields(container) {
+        const values = {};
+        container.querySelectorAll('[data-key]').forEach(input => {
+            let value = input.value;
+            if (value !== '' && input.dataset.type === 'bool') {
+                value = value === 'true';
+            } else if (value !== '' && input.dataset.type === 'number') {
+                value = Number(value);
+            }
+            values[input.dataset.key] = value;
+        });
+        return values;
+    }
+
+    /**
+     * Mark metadata inputs with validation errors
+     */
+    showMetadataErrors(container, errors) {
+        container.querySelectorAll('[data-key]').forEach(input => {
+            const error = errors[input.dataset.key];
+            input.classList.toggle('is-invalid', Boolean(error));
+            input.parentElement.querySelector('.invalid-feedback').textContent = error || '';
+        });
+    }
+
+    /**
+     * Generate occlusion level options HTML
+     */
+    generateOcclusionOptions(selectedLevel) {
+        const levels = CONFIG.OBJECT_ATTRIBUTES.OCCLUSION_LEVELS;
+        return Object.entries(levels).map(([level, label]) =>
+            `<option value="${level}" ${level === selectedLevel ? 'selected' : ''}>${label}</option>`
+        ).join('');
+    }
+
     /**
      * Redraw canvas with drawing preview
      */
@@ -1235,6 +2779,26 @@ export class DrawingTools {
         }
     }
 
+    /**
+     * Redraw canvas with the marquee selection rectangle
+     */
+    redrawWithMarqueePreview() {
+        this.canvasRenderer.redraw();
+        
+        if (this.marqueeBox && this.isMarqueeSelecting) {
+            const ctx = this.canvasRenderer.getContext();
+            
+            ctx.save();
+            ctx.strokeStyle = CONFIG.DRAWING.MARQUEE_COLOR;
+            ctx.fillStyle = CONFIG.DRAWING.MARQUEE_COLOR + '1A'; // ~10% opacity
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.fillRect(this.marqueeBox.x, this.marqueeBox.y, this.marqueeBox.width, this.marqueeBox.height);
+            ctx.strokeRect(this.marqueeBox.x, this.marqueeBox.y, this.marqueeBox.width, this.marqueeBox.height);
+            ctx.restore();
+        }
+    }
+
     /**
      * Redraw canvas with ROI preview
      */
@@ -1313,6 +2877,223 @@ export class DrawingTools {
         }
     }
 
+    /**
+     * Redraw canvas with the count line being drawn
+     */
+    redrawWithCountLinePreview() {
+        // Redraw the base canvas
+        this.canvasRenderer.redraw();
+
+        if (!this.isDrawingCountLine || this.countLinePoints.length === 0) {
+            return;
+        }
+
+        const ctx = this.canvasRenderer.getContext();
+        const palette = CONFIG.COUNT_LINE.PALETTE;
+        const color = palette[roiManager.getCountLines().length % palette.length];
+        const canvasPoints = this.countLinePoints.map(point =>
+            this.canvasRenderer.imageToCanvasCoordinates(point.x, point.y)
+        );
+        if (this.currentCountLinePoint) {
+            canvasPoints.push(this.canvasRenderer.imageToCanvasCoordinates(
+                this.currentCountLinePoint.x,
+                this.currentCountLinePoint.y
+            ));
+        }
+
+        ctx.save();
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = CONFIG.COUNT_LINE.LINE_WIDTH;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.moveTo(canvasPoints[0].x, canvasPoints[0].y);
+        for (let i = 1; i < canvasPoints.length; i++) {
+            ctx.lineTo(canvasPoints[i].x, canvasPoints[i].y);
+        }
+        ctx.stroke();
+
+        // Draw placed points
+        ctx.fillStyle = color;
+        ctx.setLineDash([]);
+        canvasPoints.slice(0, this.countLinePoints.length).forEach(point => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, CONFIG.COUNT_LINE.POINT_RADIUS, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Redraw canvas with polygon annotation preview
+     */
+    redrawWithPolygonPreview() {
+        // Redraw the base canvas
+        this.canvasRenderer.redraw();
+        
+        if (!this.isDrawingPolygon || this.polygonPoints.length === 0) {
+            return;
+        }
+        
+        const ctx = this.canvasRenderer.getContext();
+        const color = getClassColor(this.getSelectedClass());
+        const canvasPoints = this.polygonPoints.map(point =>
+            this.canvasRenderer.imageToCanvasCoordinates(point.x, point.y)
+        );
+        
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = CONFIG.DRAWING.LINE_WIDTH;
+        ctx.setLineDash([5, 5]);
+        
+        // Placed edges plus the rubber-band edge to the cursor
+        ctx.beginPath();
+        ctx.moveTo(canvasPoints[0].x, canvasPoints[0].y);
+        canvasPoints.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+        
+        if (this.currentPolygonPoint) {
+            const current = this.canvasRenderer.imageToCanvasCoordinates(
+                this.currentPolygonPoint.x,
+                this.currentPolygonPoint.y
+            );
+            ctx.lineTo(current.x, current.y);
+            
+            // Show the closing edge once the polygon can be closed
+            if (canvasPoints.length >= CONFIG.POLYGON.MIN_POINTS) {
+                ctx.lineTo(canvasPoints[0].x, canvasPoints[0].y);
+            }
+        }
+        ctx.stroke();
+        
+        // Vertices, with the first one outlined once it can close the polygon
+        ctx.setLineDash([]);
+        ctx.fillStyle = color;
+        canvasPoints.forEach((point, index) => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, CONFIG.POLYGON.VERTEX_RADIUS, 0, 2 * Math.PI);
+            ctx.fill();
+            
+            if (index === 0 && canvasPoints.length >= CONFIG.POLYGON.MIN_POINTS) {
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+        });
+        
+        ctx.restore();
+    }
+
+    /**
+     * Redraw canvas with the mask simplification preview
+     */
+    redrawWithMaskPreview() {
+        // Redraw the base canvas
+        this.canvasRenderer.redraw();
+        
+        if (!this.simplifyPreview || this.simplifyPreview.length === 0) {
+            return;
+        }
+        
+        const ctx = this.canvasRenderer.getContext();
+        const canvasPoints = this.simplifyPreview.map(point =>
+            this.canvasRenderer.imageToCanvasCoordinates(point.x, point.y)
+        );
+        
+        ctx.save();
+        ctx.strokeStyle = getStateColor('Modified');
+        ctx.lineWidth = CONFIG.DRAWING.LINE_WIDTH;
+        ctx.setLineDash([5, 5]);
+        
+        ctx.beginPath();
+        ctx.moveTo(canvasPoints[0].x, canvasPoints[0].y);
+        canvasPoints.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+        ctx.closePath();
+        ctx.stroke();
+        
+        ctx.restore();
+    }
+
+    /**
+     * Redraw canvas with the segmentation prompt and proposed mask
+     */
+    redrawWithSegmentPreview() {
+        // Redraw the base canvas
+        this.canvasRenderer.redraw();
+        
+        if (!this.segmentMode) {
+            return;
+        }
+        
+        const ctx = this.canvasRenderer.getContext();
+        ctx.save();
+        
+        // Proposed mask
+        if (this.segmentProposal) {
+            const canvasPoints = this.segmentProposal.polygon.map(point =>
+                this.canvasRenderer.imageToCanvasCoordinates(point.x, point.y)
+            );
+            
+            ctx.beginPath();
+            ctx.moveTo(canvasPoints[0].x, canvasPoints[0].y);
+            canvasPoints.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.closePath();
+            ctx.fillStyle = CONFIG.SEGMENTATION.PROPOSAL_COLOR + '55'; // ~33% opacity
+            ctx.fill();
+            ctx.strokeStyle = CONFIG.SEGMENTATION.PROPOSAL_COLOR;
+            ctx.lineWidth = CONFIG.DRAWING.LINE_WIDTH;
+            ctx.setLineDash([5, 5]);
+            ctx.stroke();
+        }
+        
+        // Box prompt
+        if (this.segmentPrompt.bbox) {
+            const { bbox } = this.segmentPrompt;
+            const topLeft = this.canvasRenderer.imageToCanvasCoordinates(bbox.x, bbox.y);
+            const bottomRight = this.canvasRenderer.imageToCanvasCoordinates(bbox.x + bbox.width, bbox.y + bbox.height);
+            
+            ctx.strokeStyle = CONFIG.SEGMENTATION.PROPOSAL_COLOR;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 4]);
+            ctx.strokeRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+        }
+        
+        // Click prompts: green include, red exclude
+        ctx.setLineDash([]);
+        this.segmentPrompt.points.forEach(point => {
+            const canvasPoint = this.canvasRenderer.imageToCanvasCoordinates(point.x, point.y);
+            
+            ctx.beginPath();
+            ctx.arc(canvasPoint.x, canvasPoint.y, CONFIG.SEGMENTATION.POINT_RADIUS, 0, 2 * Math.PI);
+            ctx.fillStyle = point.label === 1 ? CONFIG.SEGMENTATION.POSITIVE_COLOR : CONFIG.SEGMENTATION.NEGATIVE_COLOR;
+            ctx.fill();
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        });
+        
+        ctx.restore();
+    }
+
+    /**
+     * Set callback for mask edit mode changes
+     */
+    setOnMaskEditModeChanged(callback) {
+        this.onMaskEditModeChanged = callback;
+    }
+
+    /**
+     * Notify mask edit mode change
+     */
+    notifyMaskEditModeChanged() {
+        if (this.onMaskEditModeChanged) {
+            this.onMaskEditModeChanged({
+                active: this.maskEditMode,
+                annotationId: this.maskEditAnnotationId
+            });
+        }
+    }
+
     /**
      * Enable resize mode for specific annotation
      */
@@ -1362,12 +3143,22 @@ export class DrawingTools {
         return {
             drawingMode: this.drawingMode,
             roiMode: this.roiMode,
+            countLineMode: this.countLineMode,
+            polygonMode: this.polygonMode,
+            maskEditMode: this.maskEditMode,
+            segmentMode: this.segmentMode,
             isDrawing: this.isDrawing,
             isDrawingROI: this.isDrawingROI,
+            isDrawingCountLine: this.isDrawingCountLine,
+            isDrawingPolygon: this.isDrawingPolygon,
+            isDraggingVertex: this.isDraggingVertex,
             isResizing: this.isResizing,
             isMoving: this.isMoving,
+            isMarqueeSelecting: this.isMarqueeSelecting,
             selectedAnnotation: this.selectedAnnotation?.id || null,
-            roiPointCount: this.roiPoints.length
+            roiPointCount: this.roiPoints.length,
+            countLinePointCount: this.countLinePoints.length,
+            polygonPointCount: this.polygonPoints.length
         };
     }
 
@@ -1386,14 +3177,21 @@ export class DrawingTools {
         this.canvas.removeEventListener('touchstart', this.handleTouchStart);
         this.canvas.removeEventListener('touchmove', this.handleTouchMove);
         this.canvas.removeEventListener('touchend', this.handleTouchEnd);
+        this.canvas.removeEventListener('wheel', this.handleWheel);
         
         document.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keydown', this.handlePanKeyDown, true);
+        window.removeEventListener('keyup', this.handlePanKeyUp, true);
         
         // Hide context menu if open
         this.hideContextMenu();
         
         // Clear state
         this.cancelCurrentOperation();
+        this.disableMaskEditMode();
+        this.disableSegmentMode();
+        this.onMaskEditModeChanged = null;
+        this.onSegmentStateChanged = null;
         this.selectedAnnotation = null;
         
         console.log('DrawingTools destroyed');
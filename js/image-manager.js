@@ -1,10 +1,11 @@
 /**
  * Image Manager Module for IMA Annotate Frontend
- * Handles image loading from sample directory, navigation with bounds checking,
- * image preloading for smooth navigation, and scaling images to fit canvas
+ * Handles image loading from sample directory, paginated dataset listing,
+ * navigation with bounds checking, image preloading for smooth navigation,
+ * and scaling images to fit canvas
  */
 
-import { CONFIG } from '../config.js';
+import { CONFIG, getImageAttributeSchema } from '../config.js';
 import { apiClient } from './api-client.js';
 
 /**
@@ -13,8 +14,24 @@ import { apiClient } from './api-client.js';
  */
 export class ImageManager {
     constructor() {
-        this.images = [];
+        this.images = []; // Sparse: indexed by dataset position, filled page by page
+        this.totalImages = 0;
         this.currentImageIndex = 0;
+        
+        // Dataset paging state
+        this.pageSize = CONFIG.DATASET.PAGE_SIZE;
+        this.filters = {};
+        this.loadedPages = new Set();
+        this.pageRequests = new Map(); // page -> pending Promise
+        this.datasetVersion = 0; // Bumped on reload so stale page responses are dropped
+        this.datasetMode = null;
+        
+        // Review queue navigation
+        this.reviewQueue = { mode: 'all' };
+        this.imageMatcher = null; // async (imageData, reviewQueue) => boolean
+        this.queueScan = null; // Where a search paused at CONFIG.REVIEW_QUEUE.MAX_SCAN
+        this.isScanningQueue = false;
+        
         this.imageCache = new Map();
         this.preloadCache = new Map();
         this.currentImage = null;
@@ -44,37 +61,40 @@ export class ImageManager {
     }
 
     /**
-     * Load images from API or sample directory
+     * Load the image listing from API or sample directory. Only the first page is
+     * fetched here; later pages are fetched as navigation reaches them.
      * @param {boolean} forceReload - Force reload even if images are already loaded
      */
     async loadImages(forceReload = false) {
-        if (this.images.length > 0 && !forceReload) {
+        if (this.totalImages > 0 && !forceReload) {
             console.log('Images already loaded, skipping reload');
             return {
                 success: true,
-                images: this.images,
-                total: this.images.length
+                images: this.getLoadedImages(),
+                total: this.totalImages
             };
         }
 
         console.log('Loading images...');
         
         try {
+            this.resetDataset();
+            
             // Get images from API client (will fallback to sample images if API unavailable)
-            const result = await apiClient.getImages();
+            const result = await this.fetchPage(1);
             
             if (result.success) {
-                this.images = result.images;
                 this.currentImageIndex = 0;
+                this.currentImage = null;
                 
                 // Clear existing caches
                 this.imageCache.clear();
                 this.preloadCache.clear();
                 
-                console.log(`Loaded ${this.images.length} images`);
+                console.log(`Loaded ${this.getLoadedImages().length} of ${this.totalImages} images`);
                 
                 // Load the first image if available
-                if (this.images.length > 0) {
+                if (this.totalImages > 0) {
                     await this.loadCurrentImage();
                     this.startPreloading();
                 }
@@ -84,12 +104,12 @@ export class ImageManager {
                 
                 return {
                     success: true,
-                    images: this.images,
-                    total: this.images.length,
-                    mode: result.mode || 'live'
+                    images: this.getLoadedImages(),
+                    total: this.totalImages,
+                    mode: this.datasetMode || 'live'
                 };
             } else {
-                throw new Error('Failed to load images from API');
+                throw new Error(result.error || 'Failed to load images from API');
             }
             
         } catch (error) {
@@ -103,6 +123,150 @@ export class ImageManager {
         }
     }
 
+    /**
+     * Apply server-side listing filters and reload the dataset from the first image
+     * @param {Object} filters - { status, camera, dateFrom, dateTo }; empty values are ignored
+     */
+    async setFilters(filters = {}) {
+        this.filters = Object.fromEntries(
+            Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        console.log('Image filters set:', this.filters);
+        
+        return this.loadImages(true);
+    }
+
+    /**
+     * Get the active listing filters
+     */
+    getFilters() {
+        return { ...this.filters };
+    }
+
+    /**
+     * Forget all listing pages (used before a reload)
+     */
+    resetDataset() {
+        this.datasetVersion++;
+        this.images = [];
+        this.totalImages = 0;
+        this.loadedPages.clear();
+        this.pageRequests.clear();
+        this.queueScan = null;
+    }
+
+    /**
+     * Fetch one page of the listing and place its images at their dataset positions.
+     * Concurrent requests for the same page share one fetch.
+     * @param {number} page - 1-based page number
+     * @returns {Promise<Object>} - { success, error }
+     */
+    async fetchPage(page) {
+        if (this.loadedPages.has(page)) {
+            return { success: true };
+        }
+        if (this.pageRequests.has(page)) {
+            return this.pageRequests.get(page);
+        }
+
+        const version = this.datasetVersion;
+        const request = apiClient.getImages(page, this.pageSize, this.filters)
+            .then(result => {
+                // The dataset was reloaded or refiltered while this page was in flight
+                if (version !== this.datasetVersion) {
+                    return { success: false, error: 'Image listing changed while loading' };
+                }
+                if (!result.success) {
+                    return { success: false, error: result.error || `Failed to load image page ${page}` };
+                }
+
+                const offset = (page - 1) * this.pageSize;
+                result.images.forEach((image, index) => {
+                    this.images[offset + index] = image;
+                });
+                this.totalImages = Math.max(result.total || 0, offset + result.images.length);
+                this.images.length = this.totalImages;
+                this.loadedPages.add(page);
+                this.datasetMode = result.mode || 'live';
+
+                console.log(`Loaded image page ${page} (${result.images.length} images, ${this.totalImages} total)`);
+                return { success: true };
+            })
+            .finally(() => {
+                if (version === this.datasetVersion) {
+                    this.pageRequests.delete(page);
+                }
+            });
+
+        this.pageRequests.set(page, request);
+        return request;
+    }
+
+    /**
+     * 1-based listing page that holds a dataset position
+     */
+    getPageForIndex(index) {
+        return Math.floor(index / this.pageSize) + 1;
+    }
+
+    /**
+     * Make sure the listing entry at a dataset position is loaded, fetching its page if needed
+     * @param {number} index - Dataset position
+     * @returns {Promise<Object|null>} - Image data or null if it could not be loaded
+     */
+    async ensureImageData(index) {
+        if (index < 0 || index >= this.totalImages) {
+            return null;
+        }
+        if (!this.images[index]) {
+            const result = await this.fetchPage(this.getPageForIndex(index));
+            if (!result.success) {
+                console.warn(`Could not load listing for image ${index + 1}: ${result.error}`);
+            }
+        }
+        return this.images[index] || null;
+    }
+
+    /**
+     * Get the listing entries loaded so far, in dataset order
+     */
+    getLoadedImages() {
+        return this.images.filter(Boolean);
+    }
+
+    /**
+     * Get the loaded listing entries with their dataset positions
+     * @returns {Array} - { index, image } per loaded image, in dataset order
+     */
+    getLoadedImageEntries() {
+        const entries = [];
+        this.images.forEach((image, index) => {
+            if (image) entries.push({ index, image });
+        });
+        return entries;
+    }
+
+    /**
+     * Check whether some listing pages have not been fetched yet
+     */
+    hasUnloadedPages() {
+        return this.loadedPages.size < Math.ceil(this.totalImages / this.pageSize);
+    }
+
+    /**
+     * Fetch the first listing page that is not loaded yet
+     * @returns {Promise<Object>} - { success, error }
+     */
+    async loadNextPage() {
+        const pageCount = Math.ceil(this.totalImages / this.pageSize);
+        for (let page = 1; page <= pageCount; page++) {
+            if (!this.loadedPages.has(page)) {
+                return this.fetchPage(page);
+            }
+        }
+        return { success: true };
+    }
+
     /**
      * Load a specific image by path or URL
      * @param {string} imagePath - Path to the image file
@@ -146,18 +310,22 @@ export class ImageManager {
      * Load the current image based on currentImageIndex
      */
     async loadCurrentImage() {
-        if (this.images.length === 0) {
+        if (this.totalImages === 0) {
             console.warn('No images available to load');
             return null;
         }
 
-        if (this.currentImageIndex < 0 || this.currentImageIndex >= this.images.length) {
+        if (this.currentImageIndex < 0 || this.currentImageIndex >= this.totalImages) {
             console.warn(`Invalid image index: ${this.currentImageIndex}`);
             return null;
         }
 
-        const imageData = this.images[this.currentImageIndex];
         this.isLoading = true;
+        const imageData = await this.ensureImageData(this.currentImageIndex);
+        if (!imageData) {
+            this.isLoading = false;
+            throw new Error(`Image ${this.currentImageIndex + 1} is not available`);
+        }
 
         try {
             console.log(`Loading current image: ${imageData.path} (index: ${this.currentImageIndex})`);
@@ -197,13 +365,13 @@ export class ImageManager {
      * @returns {Promise<Object|null>} - Promise that resolves to the loaded image or null
      */
     async nextImage() {
-        if (this.images.length === 0) {
+        if (this.totalImages === 0) {
             console.warn('No images available for navigation');
             return null;
         }
 
         // Check bounds
-        if (this.currentImageIndex >= this.images.length - 1) {
+        if (this.currentImageIndex >= this.totalImages - 1) {
             console.log('Already at last image');
             return this.currentImage;
         }
@@ -228,7 +396,7 @@ export class ImageManager {
      * @returns {Promise<Object|null>} - Promise that resolves to the loaded image or null
      */
     async previousImage() {
-        if (this.images.length === 0) {
+        if (this.totalImages === 0) {
             console.warn('No images available for navigation');
             return null;
         }
@@ -260,14 +428,14 @@ export class ImageManager {
      * @returns {Promise<Object|null>} - Promise that resolves to the loaded image or null
      */
     async goToImage(index) {
-        if (this.images.length === 0) {
+        if (this.totalImages === 0) {
             console.warn('No images available for navigation');
             return null;
         }
 
-        // Validate index bounds
-        if (index < 0 || index >= this.images.length) {
-            console.warn(`Invalid image index: ${index}. Valid range: 0-${this.images.length - 1}`);
+        // Validate index bounds (the index may lie beyond the pages loaded so far)
+        if (index < 0 || index >= this.totalImages) {
+            console.warn(`Invalid image index: ${index}. Valid range: 0-${this.totalImages - 1}`);
             return null;
         }
 
@@ -293,6 +461,130 @@ export class ImageManager {
         }
     }
 
+    /**
+     * Set the review queue that nextInQueue/previousInQueue navigate through
+     * @param {Object} queue - { mode, className, threshold, attribute, value }; mode is a key of
+     *   CONFIG.REVIEW_QUEUE.MODES, attribute and value pick a scene attribute for 'scene' queues
+     * @returns {Object} - { success, error }
+     */
+    setReviewQueue(queue = {}) {
+        const mode = queue.mode || 'all';
+        if (!CONFIG.REVIEW_QUEUE.MODES[mode]) {
+            return { success: false, error: `Unknown review queue: ${mode}` };
+        }
+        if (mode === 'class' && !queue.className) {
+            return { success: false, error: 'Choose a class for the review queue' };
+        }
+        if (mode === 'scene' && !getImageAttributeSchema().some(field => field.key === queue.attribute)) {
+            return { success: false, error: 'Choose a scene attribute for the review queue' };
+        }
+
+        const threshold = Number(queue.threshold ?? CONFIG.REVIEW_QUEUE.LOW_CONFIDENCE_THRESHOLD);
+        if (mode === 'low_confidence' && !(threshold > 0 && threshold <= 1)) {
+            return { success: false, error: 'Confidence threshold must be between 0 and 1' };
+        }
+
+        this.reviewQueue = { mode };
+        if (mode === 'class') this.reviewQueue.className = queue.className;
+        if (mode === 'low_confidence') this.reviewQueue.threshold = threshold;
+        if (mode === 'scene') Object.assign(this.reviewQueue, { attribute: queue.attribute, value: String(queue.value ?? '') });
+        this.queueScan = null;
+
+        console.log('Review queue set:', this.reviewQueue);
+        return { success: true };
+    }
+
+    /**
+     * Get the active review queue
+     */
+    getReviewQueue() {
+        return { ...this.reviewQueue };
+    }
+
+    /**
+     * Set the callback that decides whether an image belongs to the review queue
+     * @param {Function} matcher - async (imageData, reviewQueue) => boolean
+     */
+    setImageMatcher(matcher) {
+        this.imageMatcher = matcher;
+    }
+
+    /**
+     * Navigate to the next image in the review queue
+     * @returns {Promise<Object>} - See navigateReviewQueue
+     */
+    async nextInQueue() {
+        return this.navigateReviewQueue(1);
+    }
+
+    /**
+     * Navigate to the previous image in the review queue
+     * @returns {Promise<Object>} - See navigateReviewQueue
+     */
+    async previousInQueue() {
+        return this.navigateReviewQueue(-1);
+    }
+
+    /**
+     * Step through the dataset in one direction until an image matches the review queue,
+     * fetching listing pages as needed. A search that checks CONFIG.REVIEW_QUEUE.MAX_SCAN
+     * images without a match pauses; calling again from the same image continues it.
+     * @param {number} direction - 1 for forward, -1 for backward
+     * @returns {Promise<Object>} - { success, found, image, index, scanned, reachedEnd, error }
+     */
+    async navigateReviewQueue(direction) {
+        if (this.totalImages === 0) {
+            return { success: true, found: false, image: null, scanned: 0, reachedEnd: true };
+        }
+
+        if (this.reviewQueue.mode === 'all' || !this.imageMatcher) {
+            const moved = direction > 0 ? this.canNavigateNext() : this.canNavigatePrevious();
+            const image = direction > 0 ? await this.nextImage() : await this.previousImage();
+            return { success: true, found: moved, image, index: this.currentImageIndex, scanned: moved ? 1 : 0, reachedEnd: !moved };
+        }
+
+        if (this.isScanningQueue) {
+            return { success: false, found: false, error: 'A review queue search is already running' };
+        }
+
+        const version = this.datasetVersion;
+        const resume = this.queueScan;
+        let index = resume && resume.from === this.currentImageIndex && resume.direction === direction &&
+            resume.version === version ? resume.next : this.currentImageIndex + direction;
+        let scanned = 0;
+        this.queueScan = null;
+        this.isScanningQueue = true;
+
+        try {
+            while (index >= 0 && index < this.totalImages) {
+                if (scanned >= CONFIG.REVIEW_QUEUE.MAX_SCAN) {
+                    this.queueScan = { from: this.currentImageIndex, direction, next: index, version };
+                    return { success: true, found: false, image: null, scanned, reachedEnd: false };
+                }
+
+                const imageData = await this.ensureImageData(index);
+                if (version !== this.datasetVersion) {
+                    return { success: false, found: false, error: 'Image listing changed while searching' };
+                }
+                if (!imageData) {
+                    return { success: false, found: false, error: `Could not load listing for image ${index + 1}` };
+                }
+
+                scanned++;
+                if (await this.imageMatcher(imageData, this.getReviewQueue())) {
+                    this.isScanningQueue = false;
+                    const image = await this.goToImage(index);
+                    return { success: true, found: true, image, index, scanned, reachedEnd: false };
+                }
+                index += direction;
+            }
+
+            return { success: true, found: false, image: null, scanned, reachedEnd: true };
+        } finally {
+            this.isScanningQueue = false;
+        }
+    }
+
     /**
      * Get the current image object
      * @returns {Object|null} - Current image object with element, data, and scaled dimensions
@@ -310,21 +602,21 @@ export class ImageManager {
     }
 
     /**
-     * Get the total number of images
+     * Get the total number of images in the (filtered) dataset, loaded or not
      * @returns {number} - Total image count
      */
     getImageCount() {
-        return this.images.length;
+        return this.totalImages;
     }
 
     /**
      * Get image data by index
      * @param {number} index - Image index
-     * @returns {Object|null} - Image data object or null if invalid index
+     * @returns {Object|null} - Image data object or null if invalid index or its page is not loaded yet
      */
     getImageData(index) {
-        if (index >= 0 && index < this.images.length) {
-            return this.images[index];
+        if (index >= 0 && index < this.totalImages) {
+            return this.images[index] || null;
         }
         return null;
     }
@@ -334,7 +626,7 @@ export class ImageManager {
      * @returns {boolean} - True if next navigation is possible
      */
     canNavigateNext() {
-        return this.images.length > 0 && this.currentImageIndex < this.images.length - 1;
+        return this.totalImages > 0 && this.currentImageIndex < this.totalImages - 1;
     }
 
     /**
@@ -342,7 +634,7 @@ export class ImageManager {
      * @returns {boolean} - True if previous navigation is possible
      */
     canNavigatePrevious() {
-        return this.images.length > 0 && this.currentImageIndex > 0;
+        return this.totalImages > 0 && this.currentImageIndex > 0;
     }
 
     /**
@@ -404,7 +696,7 @@ export class ImageManager {
      * Start preloading adjacent images for smooth navigation
      */
     startPreloading() {
-        if (this.images.length <= 1) {
+        if (this.totalImages <= 1) {
             return; // No need to preload if only one or no images
         }
 
@@ -422,7 +714,7 @@ export class ImageManager {
         // Add next images to preload queue
         for (let i = 1; i <= preloadCount; i++) {
             const nextIndex = this.currentImageIndex + i;
-            if (nextIndex < this.images.length) {
+            if (nextIndex < this.totalImages) {
                 this.preloadQueue.push(nextIndex);
             }
         }
@@ -435,6 +727,13 @@ export class ImageManager {
             }
         }
 
+        // Fetch the next listing page ahead of time when nearing the end of the loaded ones
+        const prefetchIndex = Math.min(this.currentImageIndex + CONFIG.DATASET.PREFETCH_THRESHOLD, this.totalImages - 1);
+        if (prefetchIndex >= 0 && !this.images[prefetchIndex]) {
+            this.fetchPage(this.getPageForIndex(prefetchIndex))
+                .catch(error => console.warn('Failed to prefetch image page:', error));
+        }
+
         // Start preloading
         this.preloadImages();
     }
@@ -488,7 +787,9 @@ export class ImageManager {
         if (this.onNavigationChange) {
             this.onNavigationChange({
                 currentIndex: this.currentImageIndex,
-                totalImages: this.images.length,
+                totalImages: this.totalImages,
+                loadedImages: this.getLoadedImages().length,
+                filters: this.getFilters(),
                 canNavigateNext: this.canNavigateNext(),
                 canNavigatePrevious: this.canNavigatePrevious(),
                 currentImage: this.currentImage
@@ -497,11 +798,11 @@ export class ImageManager {
     }
 
     /**
-     * Check if currently loading an image
+     * Check if currently loading an image or searching the review queue
      * @returns {boolean} - True if loading
      */
     isLoadingImage() {
-        return this.isLoading;
+        return this.isLoading || this.isScanningQueue;
     }
 
     /**
@@ -534,7 +835,8 @@ export class ImageManager {
         this.clearCache();
         
         // Reset state
-        this.images = [];
+        this.resetDataset();
+        this.filters = {};
         this.currentImageIndex = 0;
         this.currentImage = null;
         this.isLoading = false;
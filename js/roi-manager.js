@@ -11,8 +11,12 @@ import { CONFIG } from '../config.js';
  */
 export class ROIManager {
     constructor() {
-        // ROI state
-        this.currentROI = null;
+        // ROI state: each image has its own list of named ROIs
+        this.roisByImage = new Map(); // imageId -> Array of ROIs
+        this.countLinesByImage = new Map(); // imageId -> Array of directed count lines
+        this.currentImageId = null;
+        this.selectedROIId = null;
+        this.unsavedImages = new Set();
         this.roiEnabled = false;
         this.roiFilteringActive = false;
         
@@ -23,33 +27,118 @@ export class ROIManager {
         console.log('ROIManager initialized');
     }
 
+    /**
+     * Switch to the ROIs of another image
+     */
+    setCurrentImage(imageId) {
+        if (this.currentImageId === imageId) {
+            return;
+        }
+
+        this.currentImageId = imageId;
+        this.selectedROIId = null;
+        this.notifyROIChanged();
+    }
+
+    /**
+     * Check whether the ROIs of an image have been loaded (or created) this session
+     */
+    hasImageROIs(imageId) {
+        return this.roisByImage.has(imageId);
+    }
+
+    /**
+     * Replace the ROIs and count lines of an image with ones loaded from storage
+     */
+    setImageROIs(imageId, roiList, countLineList = []) {
+        const rois = (roiList || [])
+            .filter(roiData => roiData && this.validateROI(roiData.polygon).valid)
+            .map((roiData, index) => this.normalizeROI(roiData, imageId, index));
+        const countLines = (countLineList || [])
+            .filter(lineData => lineData && Array.isArray(lineData.points) &&
+                lineData.points.length >= CONFIG.COUNT_LINE.MIN_POINTS)
+            .map((lineData, index) => this.normalizeCountLine(lineData, imageId, index));
+
+        this.roisByImage.set(imageId, rois);
+        this.countLinesByImage.set(imageId, countLines);
+        this.unsavedImages.delete(imageId);
+
+        if (imageId === this.currentImageId) {
+            this.selectedROIId = null;
+            this.notifyROIChanged();
+        }
+
+        console.log(`Loaded ${rois.length} ROIs and ${countLines.length} count lines for image ${imageId}`);
+        return rois;
+    }
+
+    /**
+     * Get the ROIs of an image (defaults to the current image)
+     */
+    getROIs(imageId = this.currentImageId) {
+        return this.roisByImage.get(imageId) || [];
+    }
+
+    /**
+     * Get the enabled ROIs of an image (defaults to the current image)
+     */
+    getEnabledROIs(imageId = this.currentImageId) {
+        return this.getROIs(imageId).filter(roi => roi.active);
+    }
+
+    /**
+     * Find an ROI by ID on any image
+     */
+    findROIById(roiId) {
+        for (const rois of this.roisByImage.values()) {
+            const roi = rois.find(candidate => candidate.id === roiId);
+            if (roi) return roi;
+        }
+        return null;
+    }
+
     /**
      * Create a new ROI from polygon points
+     * @param {Array} points - Polygon vertices in image coordinates
+     * @param {string} imageId - Image the ROI belongs to (defaults to the current image)
+     * @param {Object} options - Optional { name, color, inclusionPolicy, minOverlap }
      */
-    createROI(points, imageId) {
+    createROI(points, imageId = null, options = {}) {
         if (!points || points.length < CONFIG.ROI.MIN_POINTS) {
             console.warn(`ROI requires at least ${CONFIG.ROI.MIN_POINTS} points`);
             return null;
         }
 
+        const targetImageId = imageId || this.currentImageId;
+        if (!this.currentImageId) {
+            this.currentImageId = targetImageId;
+        }
+
+        const rois = this.getROIs(targetImageId);
         const roi = {
             id: this.generateROIId(),
-            imageId: imageId,
+            imageId: targetImageId,
             polygon: [...points], // Copy points array
-            name: `ROI_${Date.now()}`,
+            name: options.name || this.getNextROIName(rois),
+            color: options.color || this.getNextROIColor(rois),
+            inclusionPolicy: options.inclusionPolicy || CONFIG.ROI.INCLUSION.DEFAULT,
+            minOverlap: options.minOverlap ?? CONFIG.ROI.INCLUSION.DEFAULT_MIN_OVERLAP,
             active: true,
             createdAt: new Date(),
             modifiedAt: new Date()
         };
 
-        this.currentROI = roi;
-        console.log(`Created ROI with ${points.length} points for image ${imageId}`);
-        
-        // Trigger callback
-        if (this.onROIChanged) {
-            this.onROIChanged(this.currentROI);
+        this.roisByImage.set(targetImageId, [...rois, roi]);
+        this.unsavedImages.add(targetImageId);
+
+        if (targetImageId === this.currentImageId) {
+            this.selectedROIId = roi.id;
         }
 
+        console.log(`Created ROI "${roi.name}" with ${points.length} points for image ${targetImageId}`);
+        
+        this.notifyROIChanged();
+
         return roi;
     }
 
@@ -57,59 +146,139 @@ export class ROIManager {
      * Update existing ROI
      */
     updateROI(roiId, updates) {
-        if (!this.currentROI || this.currentROI.id !== roiId) {
+        const roi = this.findROIById(roiId);
+        if (!roi) {
             console.warn(`ROI ${roiId} not found`);
             return false;
         }
 
         // Apply updates
-        Object.assign(this.currentROI, updates);
-        this.currentROI.modifiedAt = new Date();
+        Object.assign(roi, updates);
+        roi.modifiedAt = new Date();
+        this.unsavedImages.add(roi.imageId);
 
         console.log(`Updated ROI ${roiId}`);
         
-        // Trigger callback
-        if (this.onROIChanged) {
-            this.onROIChanged(this.currentROI);
+        this.notifyROIChanged();
+
+        return true;
+    }
+
+    /**
+     * Rename an ROI; blank names are ignored
+     */
+    renameROI(roiId, name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            return false;
+        }
+        return this.updateROI(roiId, { name: trimmed });
+    }
+
+    /**
+     * Change the display color of an ROI
+     */
+    setROIColor(roiId, color) {
+        return this.updateROI(roiId, { color });
+    }
+
+    /**
+     * Enable or disable an ROI; disabled ROIs are kept but ignored by filtering and counts
+     */
+    setROIEnabled(roiId, enabled) {
+        return this.updateROI(roiId, { active: !!enabled });
+    }
+
+    /**
+     * Set the rule deciding which objects count as inside an ROI
+     * @param {string} roiId - ROI to update
+     * @param {string} policy - Key of CONFIG.ROI.INCLUSION.POLICIES
+     * @param {number} minOverlap - Fraction of the box (0-1) used by the area_fraction policy
+     */
+    setROIInclusion(roiId, policy, minOverlap = null) {
+        if (!CONFIG.ROI.INCLUSION.POLICIES[policy]) {
+            console.warn(`Unknown ROI inclusion policy: ${policy}`);
+            return false;
+        }
+
+        const updates = { inclusionPolicy: policy };
+        if (minOverlap !== null && Number.isFinite(minOverlap)) {
+            updates.minOverlap = Math.min(1, Math.max(0, minOverlap));
+        }
+        return this.updateROI(roiId, updates);
+    }
+
+    /**
+     * Select the ROI that panel actions and "current ROI" refer to
+     */
+    selectROI(roiId) {
+        if (roiId !== null && !this.getROIs().some(roi => roi.id === roiId)) {
+            return false;
         }
 
+        this.selectedROIId = roiId;
+        this.notifyROIChanged();
         return true;
     }
 
     /**
-     * Clear current ROI
+     * Delete a single ROI
+     */
+    deleteROI(roiId) {
+        const roi = this.findROIById(roiId);
+        if (!roi) {
+            console.warn(`ROI ${roiId} not found`);
+            return false;
+        }
+
+        this.roisByImage.set(roi.imageId, this.getROIs(roi.imageId).filter(candidate => candidate.id !== roiId));
+        this.unsavedImages.add(roi.imageId);
+
+        if (this.selectedROIId === roiId) {
+            this.selectedROIId = null;
+        }
+
+        console.log(`Deleted ROI ${roiId}`);
+        
+        this.notifyROIChanged();
+
+        return true;
+    }
+
+    /**
+     * Clear all ROIs on the current image
      */
     clearROI() {
-        if (!this.currentROI) {
+        const rois = this.getROIs();
+        if (rois.length === 0) {
             console.log('No ROI to clear');
             return false;
         }
 
-        const clearedROI = this.currentROI;
-        this.currentROI = null;
+        this.roisByImage.set(this.currentImageId, []);
+        this.unsavedImages.add(this.currentImageId);
+        this.selectedROIId = null;
         
-        console.log(`Cleared ROI ${clearedROI.id}`);
+        console.log(`Cleared ${rois.length} ROIs on image ${this.currentImageId}`);
         
-        // Trigger callback
-        if (this.onROIChanged) {
-            this.onROIChanged(null);
-        }
+        this.notifyROIChanged();
 
         return true;
     }
 
     /**
-     * Get current ROI
+     * Get current ROI - the selected ROI, or the most recent one on the current image
      */
     getCurrentROI() {
-        return this.currentROI;
+        const rois = this.getROIs();
+        return rois.find(roi => roi.id === this.selectedROIId) || rois[rois.length - 1] || null;
     }
 
     /**
-     * Check if ROI is active
+     * Check if the current image has at least one enabled ROI
      */
     hasActiveROI() {
-        return this.currentROI && this.currentROI.active;
+        return this.getEnabledROIs().length > 0;
     }
 
     /**
@@ -134,48 +303,407 @@ export class ROIManager {
     }
 
     /**
-     * Check if a point is inside the current ROI
+     * Check if a point is inside any enabled ROI
      */
     isPointInROI(x, y) {
         if (!this.hasActiveROI()) {
             return true; // No ROI means all points are "inside"
         }
 
-        return this.isPointInPolygon(x, y, this.currentROI.polygon);
+        return this.getEnabledROIs().some(roi => this.isPointInPolygon(x, y, roi.polygon));
     }
 
     /**
-     * Check if a bounding box intersects with the current ROI
+     * Check if an annotation is inside any enabled ROI under that ROI's inclusion policy
      */
-    isBoundingBoxInROI(bbox) {
+    isAnnotationInActiveROI(annotation) {
         if (!this.hasActiveROI()) {
-            return true; // No ROI means all boxes are "inside"
+            return true; // No ROI means all annotations are "inside"
         }
 
-        // Check if any corner of the bounding box is inside the ROI
-        const corners = [
-            { x: bbox.x, y: bbox.y },
-            { x: bbox.x + bbox.width, y: bbox.y },
-            { x: bbox.x + bbox.width, y: bbox.y + bbox.height },
-            { x: bbox.x, y: bbox.y + bbox.height }
+        return this.getEnabledROIs().some(roi => this.isAnnotationInROI(annotation, roi));
+    }
+
+    /**
+     * Check if a bounding box is inside any enabled ROI (box-only inclusion check)
+     */
+    isBoundingBoxInROI(bbox) {
+        return this.isAnnotationInActiveROI({ bbox });
+    }
+
+    /**
+     * Check whether an annotation counts as inside an ROI under the ROI's inclusion policy:
+     * - any_overlap: the box overlaps the ROI at all
+     * - bbox_centroid: the box centre lies in the ROI
+     * - bottom_center: the middle of the box's bottom edge (ground contact) lies in the ROI
+     * - mask_centroid: the polygon mask's centroid lies in the ROI (box centre without a mask)
+     * - area_fraction: at least roi.minOverlap of the box area lies in the ROI
+     */
+    isAnnotationInROI(annotation, roi) {
+        const { x, y, width, height } = annotation.bbox;
+
+        switch (roi.inclusionPolicy || CONFIG.ROI.INCLUSION.DEFAULT) {
+            case 'any_overlap':
+                return this.getBoxOverlapFraction(annotation.bbox, roi.polygon) > 0;
+            case 'bbox_centroid':
+                return this.isPointInPolygon(x + width / 2, y + height / 2, roi.polygon);
+            case 'bottom_center':
+                return this.isPointInPolygon(x + width / 2, y + height, roi.polygon);
+            case 'mask_centroid': {
+                const mask = annotation.segmentationMask;
+                const centroid = Array.isArray(mask) && mask.length >= 3
+                    ? this.calculatePolygonCentroid(mask)
+                    : { x: x + width / 2, y: y + height / 2 };
+                return this.isPointInPolygon(centroid.x, centroid.y, roi.polygon);
+            }
+            case 'area_fraction': {
+                const minOverlap = roi.minOverlap ?? CONFIG.ROI.INCLUSION.DEFAULT_MIN_OVERLAP;
+                const overlap = this.getBoxOverlapFraction(annotation.bbox, roi.polygon);
+                return overlap > 0 && overlap >= minOverlap;
+            }
+            default:
+                console.warn(`Unknown ROI inclusion policy: ${roi.inclusionPolicy}`);
+                return false;
+        }
+    }
+
+    /**
+     * Fraction (0-1) of a bounding box's area that lies inside a polygon. The polygon is
+     * clipped to the box, which is exact for concave polygons since the box is convex.
+     */
+    getBoxOverlapFraction(bbox, polygon) {
+        const boxArea = bbox.width * bbox.height;
+        if (boxArea <= 0) {
+            return 0;
+        }
+
+        const clipped = this.clipPolygonToRect(polygon, bbox);
+        return Math.min(1, this.calculatePolygonArea(clipped) / boxArea);
+    }
+
+    /**
+     * Sutherland-Hodgman clipping of a polygon against an axis-aligned rectangle
+     */
+    clipPolygonToRect(polygon, rect) {
+        const edges = [
+            { inside: p => p.x >= rect.x, intersect: (a, b) => this.intersectAtX(a, b, rect.x) },
+            { inside: p => p.x <= rect.x + rect.width, intersect: (a, b) => this.intersectAtX(a, b, rect.x + rect.width) },
+            { inside: p => p.y >= rect.y, intersect: (a, b) => this.intersectAtY(a, b, rect.y) },
+            { inside: p => p.y <= rect.y + rect.height, intersect: (a, b) => this.intersectAtY(a, b, rect.y + rect.height) }
         ];
 
-        // If any corner is inside, the box intersects
-        for (const corner of corners) {
-            if (this.isPointInROI(corner.x, corner.y)) {
-                return true;
+        let output = polygon;
+        for (const edge of edges) {
+            if (output.length === 0) break;
+
+            const input = output;
+            output = [];
+            for (let i = 0; i < input.length; i++) {
+                const current = input[i];
+                const previous = input[(i + input.length - 1) % input.length];
+
+                if (edge.inside(current)) {
+                    if (!edge.inside(previous)) {
+                        output.push(edge.intersect(previous, current));
+                    }
+                    output.push(current);
+                } else if (edge.inside(previous)) {
+                    output.push(edge.intersect(previous, current));
+                }
             }
         }
 
-        // Also check if any ROI point is inside the bounding box
-        for (const point of this.currentROI.polygon) {
-            if (point.x >= bbox.x && point.x <= bbox.x + bbox.width &&
-                point.y >= bbox.y && point.y <= bbox.y + bbox.height) {
-                return true;
+        return output;
+    }
+
+    intersectAtX(a, b, x) {
+        const t = (x - a.x) / (b.x - a.x);
+        return { x, y: a.y + t * (b.y - a.y) };
+    }
+
+    intersectAtY(a, b, y) {
+        const t = (y - a.y) / (b.y - a.y);
+        return { x: a.x + t * (b.x - a.x), y };
+    }
+
+    /**
+     * Count objects per ROI by class. Rejected annotations are not counted and
+     * disabled ROIs are listed with zero counts.
+     * @param {Array} annotations - Annotations of the image
+     * @param {string} imageId - Image the ROIs belong to (defaults to the current image)
+     * @returns {Array} - { roiId, name, color, inclusionPolicy, active, total, byClass } per ROI
+     */
+    getROICounts(annotations, imageId = this.currentImageId) {
+        const countable = (annotations || []).filter(annotation => annotation.state !== 'Rejected');
+
+        return this.getROIs(imageId).map(roi => {
+            const byClass = {};
+            let total = 0;
+
+            if (roi.active) {
+                countable.forEach(annotation => {
+                    if (this.isAnnotationInROI(annotation, roi)) {
+                        byClass[annotation.className] = (byClass[annotation.className] || 0) + 1;
+                        total++;
+                    }
+                });
             }
+
+            return {
+                roiId: roi.id,
+                name: roi.name,
+                color: roi.color,
+                inclusionPolicy: roi.inclusionPolicy,
+                active: roi.active,
+                total,
+                byClass
+            };
+        });
+    }
+
+    /**
+     * Get the count lines of an image (defaults to the current image)
+     */
+    getCountLines(imageId = this.currentImageId) {
+        return this.countLinesByImage.get(imageId) || [];
+    }
+
+    /**
+     * Find a count line by ID on any image
+     */
+    findCountLineById(lineId) {
+        for (const lines of this.countLinesByImage.values()) {
+            const line = lines.find(candidate => candidate.id === lineId);
+            if (line) return line;
+        }
+        return null;
+    }
+
+    /**
+     * Create a directed count line (gate). Its direction runs from the first to the
+     * last point; objects on the inSide ("left" or "right" of that direction) count as in.
+     * @param {Array} points - Polyline vertices in image coordinates
+     * @param {string} imageId - Image the line belongs to (defaults to the current image)
+     * @param {Object} options - Optional { name, color, inSide }
+     */
+    createCountLine(points, imageId = null, options = {}) {
+        if (!points || points.length < CONFIG.COUNT_LINE.MIN_POINTS) {
+            console.warn(`Count line requires at least ${CONFIG.COUNT_LINE.MIN_POINTS} points`);
+            return null;
         }
 
-        return false;
+        const targetImageId = imageId || this.currentImageId;
+        if (!this.currentImageId) {
+            this.currentImageId = targetImageId;
+        }
+
+        const lines = this.getCountLines(targetImageId);
+        const line = this.normalizeCountLine({
+            points,
+            name: options.name || this.getNextCountLineName(lines),
+            color: options.color || CONFIG.COUNT_LINE.PALETTE[lines.length % CONFIG.COUNT_LINE.PALETTE.length],
+            inSide: options.inSide
+        }, targetImageId, lines.length);
+
+        this.countLinesByImage.set(targetImageId, [...lines, line]);
+        this.unsavedImages.add(targetImageId);
+
+        console.log(`Created count line "${line.name}" with ${points.length} points for image ${targetImageId}`);
+
+        this.notifyROIChanged();
+
+        return line;
+    }
+
+    /**
+     * Update an existing count line
+     */
+    updateCountLine(lineId, updates) {
+        const line = this.findCountLineById(lineId);
+        if (!line) {
+            console.warn(`Count line ${lineId} not found`);
+            return false;
+        }
+
+        Object.assign(line, updates);
+        line.modifiedAt = new Date();
+        this.unsavedImages.add(line.imageId);
+
+        console.log(`Updated count line ${lineId}`);
+
+        this.notifyROIChanged();
+
+        return true;
+    }
+
+    /**
+     * Rename a count line; blank names are ignored
+     */
+    renameCountLine(lineId, name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            return false;
+        }
+        return this.updateCountLine(lineId, { name: trimmed });
+    }
+
+    /**
+     * Enable or disable a count line; disabled lines are kept but not counted
+     */
+    setCountLineEnabled(lineId, enabled) {
+        return this.updateCountLine(lineId, { active: !!enabled });
+    }
+
+    /**
+     * Swap which side of a count line is "in"
+     */
+    flipCountLine(lineId) {
+        const line = this.findCountLineById(lineId);
+        if (!line) {
+            console.warn(`Count line ${lineId} not found`);
+            return false;
+        }
+        return this.updateCountLine(lineId, { inSide: line.inSide === 'left' ? 'right' : 'left' });
+    }
+
+    /**
+     * Delete a count line
+     */
+    deleteCountLine(lineId) {
+        const line = this.findCountLineById(lineId);
+        if (!line) {
+            console.warn(`Count line ${lineId} not found`);
+            return false;
+        }
+
+        this.countLinesByImage.set(line.imageId, this.getCountLines(line.imageId).filter(candidate => candidate.id !== lineId));
+        this.unsavedImages.add(line.imageId);
+
+        console.log(`Deleted count line ${lineId}`);
+
+        this.notifyROIChanged();
+
+        return true;
+    }
+
+    /**
+     * Classify an annotation against a count line: 'crossing' if the line passes
+     * through its box, otherwise the side ('left' or 'right' of the line direction)
+     * its ground contact point (bottom centre of the box) is on
+     */
+    classifyAnnotationForLine(annotation, line) {
+        const { x, y, width, height } = annotation.bbox;
+        const points = line.points;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            if (this.segmentIntersectsRect(points[i], points[i + 1], annotation.bbox)) {
+                return 'crossing';
+            }
+        }
+
+        // The nearest segment decides the side for bent lines
+        const point = { x: x + width / 2, y: y + height };
+        let nearest = null;
+        for (let i = 0; i < points.length - 1; i++) {
+            const distance = this.distanceToSegment(point, points[i], points[i + 1]);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { distance, start: points[i], end: points[i + 1] };
+            }
+        }
+
+        // Image y points down, so a negative cross product is on the left of travel
+        const cross = (nearest.end.x - nearest.start.x) * (point.y - nearest.start.y) -
+            (nearest.end.y - nearest.start.y) * (point.x - nearest.start.x);
+        return cross < 0 ? 'left' : 'right';
+    }
+
+    /**
+     * Direction of an annotation relative to a count line: 'in', 'out' or 'crossing'
+     */
+    getCountLineDirection(annotation, line) {
+        const side = this.classifyAnnotationForLine(annotation, line);
+        if (side === 'crossing') {
+            return side;
+        }
+        return side === line.inSide ? 'in' : 'out';
+    }
+
+    /**
+     * Count objects per count line by direction and class. Rejected annotations are
+     * not counted and disabled lines are listed with zero counts.
+     * @param {Array} annotations - Annotations of the image
+     * @param {string} imageId - Image the lines belong to (defaults to the current image)
+     * @returns {Array} - { lineId, name, color, inSide, active, total, directions } per line, where
+     *   directions has in, out and crossing entries of { total, byClass }
+     */
+    getCountLineCounts(annotations, imageId = this.currentImageId) {
+        const countable = (annotations || []).filter(annotation => annotation.state !== 'Rejected');
+
+        return this.getCountLines(imageId).map(line => {
+            const directions = {
+                in: { total: 0, byClass: {} },
+                out: { total: 0, byClass: {} },
+                crossing: { total: 0, byClass: {} }
+            };
+
+            if (line.active) {
+                countable.forEach(annotation => {
+                    const bucket = directions[this.getCountLineDirection(annotation, line)];
+                    bucket.byClass[annotation.className] = (bucket.byClass[annotation.className] || 0) + 1;
+                    bucket.total++;
+                });
+            }
+
+            return {
+                lineId: line.id,
+                name: line.name,
+                color: line.color,
+                inSide: line.inSide,
+                active: line.active,
+                total: directions.in.total + directions.out.total + directions.crossing.total,
+                directions
+            };
+        });
+    }
+
+    /**
+     * Check if a line segment touches an axis-aligned rectangle
+     */
+    segmentIntersectsRect(start, end, rect) {
+        const inRect = point => point.x >= rect.x && point.x <= rect.x + rect.width &&
+            point.y >= rect.y && point.y <= rect.y + rect.height;
+        if (inRect(start) || inRect(end)) {
+            return true;
+        }
+
+        const corners = [
+            { x: rect.x, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y + rect.height },
+            { x: rect.x, y: rect.y + rect.height }
+        ];
+        return corners.some((corner, index) =>
+            this.segmentsIntersect(start, end, corner, corners[(index + 1) % corners.length])
+        );
+    }
+
+    segmentsIntersect(a, b, c, d) {
+        const orientation = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+        const o1 = orientation(a, b, c);
+        const o2 = orientation(a, b, d);
+        const o3 = orientation(c, d, a);
+        const o4 = orientation(c, d, b);
+        return o1 !== o2 && o3 !== o4;
+    }
+
+    distanceToSegment(point, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0
+            ? 0
+            : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+        return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
     }
 
     /**
@@ -206,11 +734,12 @@ export class ROIManager {
      * Get ROI bounds (bounding rectangle)
      */
     getROIBounds() {
-        if (!this.hasActiveROI()) {
+        const roi = this.getCurrentROI();
+        if (!roi || !roi.active) {
             return null;
         }
 
-        const points = this.currentROI.polygon;
+        const points = roi.polygon;
         let minX = points[0].x;
         let minY = points[0].y;
         let maxX = points[0].x;
@@ -272,7 +801,129 @@ export class ROIManager {
     }
 
     /**
-     * Set callback for ROI changes
+     * Next free default name ("ROI 1", "ROI 2", ...) for an image's ROIs
+     */
+    getNextROIName(rois) {
+        const names = new Set(rois.map(roi => roi.name));
+        let index = rois.length + 1;
+        while (names.has(`${CONFIG.ROI.DEFAULT_NAME} ${index}`)) {
+            index++;
+        }
+        return `${CONFIG.ROI.DEFAULT_NAME} ${index}`;
+    }
+
+    /**
+     * Next palette color, preferring colors not yet used on the image
+     */
+    getNextROIColor(rois) {
+        const palette = CONFIG.ROI.PALETTE;
+        const used = new Set(rois.map(roi => roi.color));
+        return palette.find(color => !used.has(color)) || palette[rois.length % palette.length];
+    }
+
+    /**
+     * Fill in defaults for ROI data read from storage or an import
+     */
+    normalizeROI(roiData, imageId, index = 0) {
+        return {
+            id: roiData.id || this.generateROIId(),
+            imageId: imageId,
+            polygon: roiData.polygon.map(point => ({ x: point.x, y: point.y })),
+            name: roiData.name || `${CONFIG.ROI.DEFAULT_NAME} ${index + 1}`,
+            color: roiData.color || CONFIG.ROI.PALETTE[index % CONFIG.ROI.PALETTE.length],
+            inclusionPolicy: CONFIG.ROI.INCLUSION.POLICIES[roiData.inclusionPolicy]
+                ? roiData.inclusionPolicy
+                : CONFIG.ROI.INCLUSION.DEFAULT,
+            minOverlap: roiData.minOverlap ?? CONFIG.ROI.INCLUSION.DEFAULT_MIN_OVERLAP,
+            active: roiData.active !== false,
+            createdAt: roiData.createdAt ? new Date(roiData.createdAt) : new Date(),
+            modifiedAt: roiData.modifiedAt ? new Date(roiData.modifiedAt) : new Date()
+        };
+    }
+
+    /**
+     * Next free default count line name ("Line 1", "Line 2", ...)
+     */
+    getNextCountLineName(lines) {
+        const names = new Set(lines.map(line => line.name));
+        let index = lines.length + 1;
+        while (names.has(`${CONFIG.COUNT_LINE.DEFAULT_NAME} ${index}`)) {
+            index++;
+        }
+        return `${CONFIG.COUNT_LINE.DEFAULT_NAME} ${index}`;
+    }
+
+    /**
+     * Fill in defaults for count line data read from storage or created in the UI
+     */
+    normalizeCountLine(lineData, imageId, index = 0) {
+        return {
+            id: lineData.id || this.generateCountLineId(),
+            imageId: imageId,
+            points: lineData.points.map(point => ({ x: point.x, y: point.y })),
+            name: lineData.name || `${CONFIG.COUNT_LINE.DEFAULT_NAME} ${index + 1}`,
+            color: lineData.color || CONFIG.COUNT_LINE.PALETTE[index % CONFIG.COUNT_LINE.PALETTE.length],
+            inSide: lineData.inSide === 'right' || lineData.inSide === 'left'
+                ? lineData.inSide
+                : CONFIG.COUNT_LINE.DEFAULT_IN_SIDE,
+            active: lineData.active !== false,
+            createdAt: lineData.createdAt ? new Date(lineData.createdAt) : new Date(),
+            modifiedAt: lineData.modifiedAt ? new Date(lineData.modifiedAt) : new Date()
+        };
+    }
+
+    generateCountLineId() {
+        return 'line_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Export all count lines of an image (defaults to the current image)
+     */
+    exportCountLines(imageId = this.currentImageId) {
+        return this.getCountLines(imageId).map(line => ({ ...line, points: [...line.points] }));
+    }
+
+    /**
+     * Restore an image's count lines from a snapshot as-is (used by undo/redo)
+     */
+    restoreCountLines(lineList, imageId = this.currentImageId) {
+        const lines = (lineList || []).map(lineData => ({ ...lineData, points: [...lineData.points] }));
+
+        this.countLinesByImage.set(imageId, lines);
+        this.unsavedImages.add(imageId);
+
+        console.log(`Restored ${lines.length} count lines for image ${imageId}`);
+
+        this.notifyROIChanged();
+
+        return true;
+    }
+
+    /**
+     * Check whether an image has ROI edits that are not persisted yet
+     */
+    hasUnsavedChanges(imageId = this.currentImageId) {
+        return this.unsavedImages.has(imageId);
+    }
+
+    /**
+     * Mark an image's ROIs as persisted
+     */
+    markSaved(imageId) {
+        this.unsavedImages.delete(imageId);
+    }
+
+    /**
+     * Notify listeners with the ROIs of the current image
+     */
+    notifyROIChanged() {
+        if (this.onROIChanged) {
+            this.onROIChanged(this.getROIs());
+        }
+    }
+
+    /**
+     * Set callback for ROI changes (called with the current image's ROI list)
      */
     setOnROIChanged(callback) {
         this.onROIChanged = callback;
@@ -286,26 +937,37 @@ export class ROIManager {
     }
 
     /**
-     * Export ROI data
+     * Export ROI data for one ROI (defaults to the current ROI)
      */
-    exportROI() {
-        if (!this.hasActiveROI()) {
+    exportROI(roiId = null) {
+        const roi = roiId ? this.findROIById(roiId) : this.getCurrentROI();
+        if (!roi) {
             return null;
         }
 
         return {
-            id: this.currentROI.id,
-            imageId: this.currentROI.imageId,
-            polygon: [...this.currentROI.polygon],
-            name: this.currentROI.name,
-            active: this.currentROI.active,
-            createdAt: this.currentROI.createdAt,
-            modifiedAt: this.currentROI.modifiedAt
+            id: roi.id,
+            imageId: roi.imageId,
+            polygon: [...roi.polygon],
+            name: roi.name,
+            color: roi.color,
+            inclusionPolicy: roi.inclusionPolicy,
+            minOverlap: roi.minOverlap,
+            active: roi.active,
+            createdAt: roi.createdAt,
+            modifiedAt: roi.modifiedAt
         };
     }
 
     /**
-     * Import ROI data
+     * Export all ROIs of an image (defaults to the current image)
+     */
+    exportROIs(imageId = this.currentImageId) {
+        return this.getROIs(imageId).map(roi => this.exportROI(roi.id));
+    }
+
+    /**
+     * Import ROI data, adding it to its image's ROIs
      */
     importROI(roiData) {
         if (!roiData || !roiData.polygon) {
@@ -319,23 +981,39 @@ export class ROIManager {
             return false;
         }
 
-        this.currentROI = {
-            id: roiData.id || this.generateROIId(),
-            imageId: roiData.imageId,
-            polygon: [...roiData.polygon],
-            name: roiData.name || `ROI_${Date.now()}`,
-            active: roiData.active !== false,
-            createdAt: roiData.createdAt ? new Date(roiData.createdAt) : new Date(),
-            modifiedAt: new Date()
-        };
+        const imageId = roiData.imageId || this.currentImageId;
+        const rois = this.getROIs(imageId).filter(roi => roi.id !== roiData.id);
+        const roi = this.normalizeROI({ ...roiData, modifiedAt: null }, imageId, rois.length);
+        roi.name = roiData.name || this.getNextROIName(rois);
+        roi.color = roiData.color || this.getNextROIColor(rois);
 
-        console.log(`Imported ROI ${this.currentROI.id}`);
+        this.roisByImage.set(imageId, [...rois, roi]);
+        this.unsavedImages.add(imageId);
+
+        console.log(`Imported ROI ${roi.id}`);
         
-        // Trigger callback
-        if (this.onROIChanged) {
-            this.onROIChanged(this.currentROI);
+        this.notifyROIChanged();
+
+        return true;
+    }
+
+    /**
+     * Restore an image's ROI list from a snapshot as-is (used by undo/redo)
+     */
+    restoreROIs(roiList, imageId = this.currentImageId) {
+        const rois = (roiList || []).map(roiData => ({ ...roiData, polygon: [...roiData.polygon] }));
+
+        this.roisByImage.set(imageId, rois);
+        this.unsavedImages.add(imageId);
+
+        if (!rois.some(roi => roi.id === this.selectedROIId)) {
+            this.selectedROIId = null;
         }
 
+        console.log(`Restored ${rois.length} ROIs for image ${imageId}`);
+
+        this.notifyROIChanged();
+
         return true;
     }
 
@@ -343,18 +1021,19 @@ export class ROIManager {
      * Get ROI statistics
      */
     getROIStats() {
-        if (!this.hasActiveROI()) {
+        const roi = this.getCurrentROI();
+        if (!roi || !roi.active) {
             return null;
         }
 
         const bounds = this.getROIBounds();
-        const area = this.calculatePolygonArea(this.currentROI.polygon);
+        const area = this.calculatePolygonArea(roi.polygon);
 
         return {
-            pointCount: this.currentROI.polygon.length,
+            pointCount: roi.polygon.length,
             bounds: bounds,
             area: area,
-            perimeter: this.calculatePolygonPerimeter(this.currentROI.polygon)
+            perimeter: this.calculatePolygonPerimeter(roi.polygon)
         };
     }
 
@@ -373,6 +1052,32 @@ export class ROIManager {
         return Math.abs(area) / 2;
     }
 
+    /**
+     * Calculate polygon centroid (area-weighted, vertex average for degenerate polygons)
+     */
+    calculatePolygonCentroid(points) {
+        let area = 0;
+        let cx = 0;
+        let cy = 0;
+
+        for (let i = 0; i < points.length; i++) {
+            const j = (i + 1) % points.length;
+            const cross = points[i].x * points[j].y - points[j].x * points[i].y;
+            area += cross;
+            cx += (points[i].x + points[j].x) * cross;
+            cy += (points[i].y + points[j].y) * cross;
+        }
+
+        if (Math.abs(area) < 1e-9) {
+            return {
+                x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+                y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+            };
+        }
+
+        return { x: cx / (3 * area), y: cy / (3 * area) };
+    }
+
     /**
      * Calculate polygon perimeter
      */
@@ -393,7 +1098,11 @@ export class ROIManager {
      * Cleanup and destroy
      */
     destroy() {
-        this.currentROI = null;
+        this.roisByImage.clear();
+        this.countLinesByImage.clear();
+        this.unsavedImages.clear();
+        this.currentImageId = null;
+        this.selectedROIId = null;
         this.roiEnabled = false;
         this.roiFilteringActive = false;
         this.onROIChanged = null;
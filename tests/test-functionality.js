@@ -19,7 +19,7 @@ if (!configValidation.isValid) {
 
 console.log(`   API Key configured: ${isApiKeyConfigured()}`);
 console.log(`   Sample images count: ${CONFIG.SAMPLE_IMAGES.length}`);
-console.log(`   Annotation colors count: ${Object.keys(CONFIG.ANNOTATION_COLORS).length}`);
+console.log(`   Taxonomy classes count: ${CONFIG.CLASS_TAXONOMY.classes.length}`);
 console.log(`   State colors count: ${Object.keys(CONFIG.STATE_COLORS).length}`);
 
 // Test 2: API Endpoints
@@ -37,9 +37,9 @@ CONFIG.SAMPLE_IMAGES.forEach((image, index) => {
 
 // Test 4: Color Configuration
 console.log('\n4. Testing Color Configuration...');
-console.log('   Annotation Colors:');
-Object.entries(CONFIG.ANNOTATION_COLORS).forEach(([className, color]) => {
-    console.log(`     ${className}: ${color}`);
+console.log('   Class Taxonomy Colors:');
+CONFIG.CLASS_TAXONOMY.classes.forEach(classDef => {
+    console.log(`     ${classDef.id} ${classDef.name}: ${classDef.color}`);
 });
 
 console.log('   State Colors:');